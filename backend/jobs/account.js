@@ -0,0 +1,40 @@
+const Report = require('../models/Report');
+const reportStorage = require('../services/reportStorage');
+const dataExport = require('../services/dataExport');
+const accountDeletion = require('../services/accountDeletion');
+
+/**
+ * Build a user's personal data ZIP into its stored Report
+ * payload: { reportId }
+ */
+async function exportData(job, { progress, isFinalAttempt }) {
+  const report = await Report.findOne({ reportId: job.payload.reportId });
+  if (!report) {
+    return { skipped: true };
+  }
+
+  try {
+    await progress(10, 'collecting');
+    await dataExport.writeArchive(report.user, reportStorage.resolvePath(report));
+    await reportStorage.markReady(report);
+  } catch (error) {
+    if (isFinalAttempt) {
+      await reportStorage.markFailed(report, error);
+    }
+    throw error;
+  }
+
+  return report.toPublicJSON();
+}
+
+/**
+ * Delete accounts whose deletion grace period has ended (scheduled)
+ */
+async function purgeDeleted() {
+  return accountDeletion.purgeDue();
+}
+
+module.exports = {
+  exportData,
+  purgeDeleted
+};
@@ -0,0 +1,178 @@
+const path = require('path');
+const fs = require('fs').promises;
+const Course = require('../models/Course');
+const aiService = require('../services/aiService');
+const quizService = require('../services/quizService');
+
+/**
+ * Load the lesson a job should write its output to
+ */
+async function loadLesson(courseId, lessonId) {
+  if (!courseId || !lessonId) return null;
+
+  const course = await Course.findById(courseId);
+  const found = course && quizService.findLesson(course, lessonId);
+
+  return found ? { course, lesson: found.lesson } : null;
+}
+
+/**
+ * Transcribe an uploaded file or a lesson video and store the captions
+ * payload: { mediaPath, isVideo, removeMedia, language, courseId, lessonId }
+ */
+async function transcribe(job, { progress, isFinalAttempt }) {
+  const { mediaPath, isVideo, removeMedia, language = 'en', courseId, lessonId } = job.payload;
+  const tempFiles = [];
+  let succeeded = false;
+
+  try {
+    // Extract audio if video file
+    let audioPath = mediaPath;
+    if (isVideo) {
+      await progress(5, 'extracting_audio');
+      audioPath = await aiService.extractAudioFromVideo(mediaPath);
+      tempFiles.push(audioPath);
+    }
+
+    await progress(30, 'transcribing');
+    const transcription = await aiService.transcribeAudio(audioPath, language);
+
+    await progress(80, 'saving');
+    const srtContent = aiService.generateSRTCaptions(transcription.segments);
+
+    let srtFile = null;
+    const target = await loadLesson(courseId, lessonId);
+
+    if (target) {
+      const srtFileName = `${courseId}_${lessonId}_${language}.srt`;
+      const srtFilePath = path.join(__dirname, '../uploads/captions', srtFileName);
+
+      // Ensure captions directory exists
+      await fs.mkdir(path.dirname(srtFilePath), { recursive: true });
+      await fs.writeFile(srtFilePath, srtContent);
+      srtFile = `/uploads/captions/${srtFileName}`;
+
+      const { course, lesson } = target;
+      lesson.transcript = transcription.text;
+
+      // Update or add caption
+      const existingCaption = lesson.captions.find(cap => cap.language === language);
+      if (existingCaption) {
+        existingCaption.content = srtContent;
+        existingCaption.srtFile = srtFile;
+      } else {
+        lesson.captions.push({ language, content: srtContent, srtFile });
+      }
+
+      await course.save();
+    }
+
+    succeeded = true;
+
+    return {
+      transcription: {
+        text: transcription.text,
+        language: transcription.language,
+        segments: transcription.segments,
+        wordCount: transcription.text.split(' ').length,
+        duration: transcription.segments.length > 0
+          ? transcription.segments[transcription.segments.length - 1].end
+          : 0
+      },
+      captions: {
+        srt: srtContent,
+        filePath: srtFile
+      }
+    };
+  } finally {
+    // Keep the uploaded file around until the last retry
+    if (removeMedia && (succeeded || isFinalAttempt)) {
+      tempFiles.push(mediaPath);
+    }
+    if (tempFiles.length > 0) {
+      await aiService.cleanupFiles(tempFiles);
+    }
+  }
+}
+
+/**
+ * Summarize a transcript, optionally saving it on the lesson
+ * payload: { transcript, lessonTitle, courseId, lessonId }
+ */
+async function summarize(job, { progress }) {
+  const { courseId, lessonId } = job.payload;
+  const target = await loadLesson(courseId, lessonId);
+
+  const transcript = job.payload.transcript || (target && target.lesson.transcript);
+  if (!transcript) {
+    throw new Error('No transcript available to summarize');
+  }
+
+  await progress(20, 'summarizing');
+  const summary = await aiService.generateLectureSummary(
+    transcript,
+    job.payload.lessonTitle || (target ? target.lesson.title : '')
+  );
+
+  if (target) {
+    await progress(90, 'saving');
+    target.lesson.aiSummary = {
+      summary: summary.summary,
+      keyPoints: summary.keyPoints,
+      generatedAt: new Date()
+    };
+    await target.course.save();
+  }
+
+  return { summary };
+}
+
+/**
+ * Generate multiple choice questions, optionally replacing the lesson quiz
+ * payload: { transcript, questionCount, courseId, lessonId }
+ */
+async function generateQuiz(job, { progress }) {
+  const { courseId, lessonId } = job.payload;
+  const questionCount = parseInt(job.payload.questionCount) || 5;
+  const target = await loadLesson(courseId, lessonId);
+
+  const transcript = job.payload.transcript || (target && target.lesson.transcript);
+  if (!transcript) {
+    throw new Error('No transcript available to generate a quiz from');
+  }
+
+  await progress(20, 'generating');
+  const questions = await aiService.generateQuizQuestions(transcript, questionCount);
+
+  if (target && questions.length > 0) {
+    await progress(90, 'saving');
+    target.lesson.quiz = {
+      questions: questions.map(q => ({
+        question: q.question,
+        type: 'multiple_choice',
+        options: q.options.map(opt => ({
+          text: opt,
+          isCorrect: opt.startsWith(q.correctAnswer)
+        })),
+        explanation: q.explanation,
+        points: 1
+      })),
+      passingScore: 70,
+      timeLimit: Math.max(questionCount * 2, 10) // 2 minutes per question, min 10
+    };
+    await target.course.save();
+  }
+
+  return {
+    quiz: {
+      questionCount: questions.length,
+      questions
+    }
+  };
+}
+
+module.exports = {
+  transcribe,
+  summarize,
+  generateQuiz
+};
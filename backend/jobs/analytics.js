@@ -0,0 +1,37 @@
+const Course = require('../models/Course');
+const cohortRetention = require('../services/cohortRetention');
+const learnerRisk = require('../services/learnerRisk');
+
+/**
+ * Nightly learner insights: cohort retention and at-risk flags for every published course
+ * payload: { courseId } to limit the run to one course
+ */
+async function learnerInsights(job, { progress }) {
+  const filter = job.payload.courseId
+    ? { _id: job.payload.courseId }
+    : { status: 'published' };
+  const courses = await Course.find(filter).select('_id').lean();
+
+  let assessed = 0;
+  let flagged = 0;
+
+  for (let index = 0; index < courses.length; index++) {
+    const course = courses[index];
+    await cohortRetention.computeCourse(course);
+    const result = await learnerRisk.assessCourse(course);
+    assessed += result.assessed;
+    flagged += result.flagged;
+
+    await progress(Math.round(((index + 1) / courses.length) * 100), 'assessing');
+  }
+
+  return {
+    courses: courses.length,
+    assessed,
+    flagged
+  };
+}
+
+module.exports = {
+  learnerInsights
+};
@@ -0,0 +1,20 @@
+const captionPipeline = require('../services/captionPipeline');
+
+/**
+ * Generate captions for a Caption record
+ * payload: { captionId }
+ */
+async function generate(job, { progress, isFinalAttempt }) {
+  const caption = await captionPipeline.run(job.payload.captionId, {
+    isFinalAttempt,
+    onProgress: ({ stage, percent }) => progress(percent, stage)
+  });
+
+  return caption
+    ? { captionId: caption._id, status: caption.status, segments: caption.captions.length }
+    : null;
+}
+
+module.exports = {
+  generate
+};
@@ -0,0 +1,94 @@
+const jobQueue = require('../services/jobQueue');
+const accountJobs = require('./account');
+const aiJobs = require('./ai');
+const analyticsJobs = require('./analytics');
+const captionJobs = require('./captions');
+const mediaJobs = require('./media');
+const reportJobs = require('./reports');
+
+/**
+ * Register every job handler with the queue
+ * Concurrency limits are per worker process; AI calls are rate limited upstream
+ * and ffmpeg work is CPU bound, so both are kept low.
+ */
+function registerJobs() {
+  jobQueue.register('captions.generate', captionJobs.generate, {
+    concurrency: 1,
+    maxAttempts: 3,
+    lockTimeoutMs: 30 * 60 * 1000
+  });
+
+  jobQueue.register('ai.transcribe', aiJobs.transcribe, {
+    concurrency: 1,
+    maxAttempts: 3,
+    lockTimeoutMs: 30 * 60 * 1000
+  });
+
+  jobQueue.register('ai.summarize', aiJobs.summarize, {
+    concurrency: 2,
+    maxAttempts: 3
+  });
+
+  jobQueue.register('ai.generateQuiz', aiJobs.generateQuiz, {
+    concurrency: 2,
+    maxAttempts: 3
+  });
+
+  jobQueue.register('media.transcodeHls', mediaJobs.transcodeHls, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 60 * 1000,
+    lockTimeoutMs: 60 * 60 * 1000
+  });
+
+  jobQueue.register('media.extractMetadata', mediaJobs.extractMetadata, {
+    concurrency: 1,
+    maxAttempts: 3,
+    backoffMs: 30 * 1000,
+    lockTimeoutMs: 15 * 60 * 1000
+  });
+
+  jobQueue.register('reports.performancePdf', reportJobs.performancePdf, {
+    concurrency: 2,
+    maxAttempts: 2,
+    backoffMs: 10 * 1000
+  });
+
+  jobQueue.register('reports.cleanup', reportJobs.cleanup, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 5 * 60 * 1000
+  });
+
+  jobQueue.register('reports.sendScheduled', reportJobs.sendScheduled, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 10 * 60 * 1000,
+    lockTimeoutMs: 60 * 60 * 1000
+  });
+
+  jobQueue.register('analytics.learnerInsights', analyticsJobs.learnerInsights, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 10 * 60 * 1000,
+    lockTimeoutMs: 60 * 60 * 1000
+  });
+
+  jobQueue.register('account.exportData', accountJobs.exportData, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 60 * 1000,
+    lockTimeoutMs: 30 * 60 * 1000
+  });
+
+  jobQueue.register('account.purgeDeleted', accountJobs.purgeDeleted, {
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 10 * 60 * 1000,
+    lockTimeoutMs: 60 * 60 * 1000
+  });
+
+  return jobQueue;
+}
+
+module.exports = registerJobs;
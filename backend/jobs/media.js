@@ -0,0 +1,122 @@
+const VideoAsset = require('../models/VideoAsset');
+const mediaProcessing = require('../services/mediaProcessing');
+const videoMetadata = require('../services/videoMetadata');
+const videoTranscoder = require('../services/videoTranscoder');
+
+/**
+ * Transcode an uploaded video into an HLS rendition ladder
+ * payload: { videoId }
+ */
+async function transcodeHls(job, { progress, isFinalAttempt }) {
+  const { videoId } = job.payload;
+
+  await VideoAsset.updateOne(
+    { videoId },
+    { $set: { 'hls.status': 'processing' }, $unset: { 'hls.error': 1 } }
+  );
+
+  let lastPercent = -1;
+
+  try {
+    const output = await videoTranscoder.transcodeToHls(videoId, ({ stage, percent }) => {
+      // ffmpeg reports progress many times a second, only persist real changes
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      progress(percent, stage).catch(error => {
+        console.error('Transcode progress update error:', error);
+      });
+    });
+
+    await VideoAsset.updateOne(
+      { videoId },
+      {
+        $set: {
+          'hls.status': 'ready',
+          'hls.directory': output.directory,
+          'hls.renditions': output.renditions,
+          'hls.completedAt': new Date()
+        }
+      }
+    );
+
+    return output;
+  } catch (error) {
+    await VideoAsset.updateOne(
+      { videoId },
+      {
+        $set: {
+          'hls.status': isFinalAttempt ? 'failed' : 'pending',
+          'hls.error': error.message
+        }
+      }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Probe an uploaded video, generate its poster and seek-preview sprite
+ * and copy the results onto every lesson that uses it
+ * payload: { videoId }
+ */
+async function extractMetadata(job, { progress, isFinalAttempt }) {
+  const { videoId } = job.payload;
+
+  await VideoAsset.updateOne(
+    { videoId },
+    { $set: { 'metadata.status': 'processing' }, $unset: { 'metadata.error': 1 } }
+  );
+
+  let lastPercent = -1;
+
+  try {
+    const output = await videoMetadata.extract(videoId, ({ stage, percent }) => {
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      progress(percent, stage).catch(error => {
+        console.error('Metadata progress update error:', error);
+      });
+    });
+
+    const asset = await VideoAsset.findOneAndUpdate(
+      { videoId },
+      {
+        $set: {
+          metadata: {
+            ...output.metadata,
+            status: 'ready',
+            job: job._id,
+            extractedAt: new Date()
+          },
+          poster: output.poster,
+          sprite: output.sprite
+        }
+      },
+      { new: true }
+    );
+
+    await progress(98, 'updating_lessons');
+    const lessonsUpdated = asset ? await mediaProcessing.applyToLessons(asset) : 0;
+
+    return {
+      ...output,
+      lessonsUpdated
+    };
+  } catch (error) {
+    await VideoAsset.updateOne(
+      { videoId },
+      {
+        $set: {
+          'metadata.status': isFinalAttempt ? 'failed' : 'pending',
+          'metadata.error': error.message
+        }
+      }
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  transcodeHls,
+  extractMetadata
+};
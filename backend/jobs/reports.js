@@ -0,0 +1,54 @@
+const Report = require('../models/Report');
+const reportGenerator = require('../services/reportGenerator');
+const reportStorage = require('../services/reportStorage');
+const reportSubscriptions = require('../services/reportSubscriptions');
+
+/**
+ * Render a PDF performance report into its stored Report
+ * payload: { reportId }
+ */
+async function performancePdf(job, { progress, isFinalAttempt }) {
+  const report = await Report.findOne({ reportId: job.payload.reportId });
+  if (!report) {
+    // Deleted (or expired) before the worker got to it
+    return { skipped: true };
+  }
+
+  try {
+    await progress(10, 'collecting');
+    await reportGenerator.generatePDFReport(
+      report.user,
+      report.course,
+      report.timeframe,
+      reportStorage.resolvePath(report)
+    );
+    await reportStorage.markReady(report);
+  } catch (error) {
+    if (isFinalAttempt) {
+      await reportStorage.markFailed(report, error);
+    }
+    throw error;
+  }
+
+  return report.toPublicJSON();
+}
+
+/**
+ * Delete expired reports and stray files (scheduled)
+ */
+async function cleanup() {
+  return reportStorage.cleanupExpired();
+}
+
+/**
+ * Email the weekly/monthly reports that are due (scheduled)
+ */
+async function sendScheduled() {
+  return reportSubscriptions.sendDue();
+}
+
+module.exports = {
+  performancePdf,
+  cleanup,
+  sendScheduled
+};
@@ -0,0 +1,55 @@
+const cron = require('node-cron');
+const Job = require('../models/Job');
+
+/**
+ * Recurring jobs, as cron expressions in CRON_TIMEZONE (default: the server's zone)
+ * Each tick only enqueues the job, so scheduled runs get the queue's retries and status tracking.
+ */
+const SCHEDULES = [
+  {
+    type: 'analytics.learnerInsights',
+    expression: process.env.LEARNER_INSIGHTS_CRON || '0 3 * * *'
+  },
+  {
+    type: 'reports.cleanup',
+    expression: process.env.REPORT_CLEANUP_CRON || '15 * * * *'
+  },
+  {
+    type: 'reports.sendScheduled',
+    expression: process.env.REPORT_DIGEST_CRON || '0 7 * * *'
+  },
+  {
+    type: 'account.purgeDeleted',
+    expression: process.env.ACCOUNT_PURGE_CRON || '30 4 * * *'
+  }
+];
+
+async function enqueueScheduled(jobQueue, type) {
+  try {
+    // Every worker runs the schedule; skip the tick if another one already queued this run
+    const pending = await Job.exists({ type, status: { $in: ['queued', 'running'] } });
+    if (!pending) {
+      await jobQueue.enqueue(type, { scheduledAt: new Date() });
+    }
+  } catch (error) {
+    console.error(`Scheduled ${type} error:`, error);
+  }
+}
+
+/**
+ * Start the cron tasks (worker process only)
+ * @returns {Array} - node-cron tasks, stopped on shutdown
+ */
+function startSchedules(jobQueue) {
+  return SCHEDULES.map(({ type, expression }) => {
+    if (!cron.validate(expression)) {
+      throw new Error(`Invalid cron expression for ${type}: ${expression}`);
+    }
+
+    return cron.schedule(expression, () => enqueueScheduled(jobQueue, type), {
+      ...(process.env.CRON_TIMEZONE && { timezone: process.env.CRON_TIMEZONE })
+    });
+  });
+}
+
+module.exports = startSchedules;
@@ -1,7 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-// Verify JWT token
+const REFRESH_SECRET = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Access tokens are only honoured while the session they were issued for is active
+const isSessionActive = (sid, userId) => Session.exists({
+  sid,
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Sign in with a personal API key; routes limit what it can do with requireScope
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findActive(key);
+  if (!apiKey) {
+    return res.status(401).json({ 
+      error: 'Access denied', 
+      message: 'Invalid, expired or revoked API key' 
+    });
+  }
+  
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({ 
+      error: 'Access denied', 
+      message: 'Account is deactivated' 
+    });
+  }
+  
+  apiKey.touch(req.ip).catch(error => console.error('API key touch error:', error));
+  
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Verify JWT token or API key
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -14,7 +51,19 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    if (ApiKey.looksLikeKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+    
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Refresh and login-challenge tokens carry a type; access tokens don't
+    if (decoded.type) {
+      return res.status(401).json({ 
+        error: 'Access denied', 
+        message: 'Invalid token' 
+      });
+    }
+    
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -31,7 +80,22 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        error: 'Access denied', 
+        message: 'Password was reset - please login again' 
+      });
+    }
+    
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, user._id))) {
+      return res.status(401).json({ 
+        error: 'Access denied', 
+        message: 'Session has ended - please login again' 
+      });
+    }
+    
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -56,6 +120,31 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Limit what an API key may do on a route; signed-in sessions have every scope
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ 
+        error: 'Insufficient scope', 
+        message: `This API key needs the ${scope} scope`,
+        requiredScope: scope
+      });
+    }
+    next();
+  };
+};
+
+// For account and security settings, which API keys must never change
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      error: 'Session required', 
+      message: 'This endpoint cannot be used with an API key' 
+    });
+  }
+  next();
+};
+
 // Check if user has specific role
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -86,17 +175,24 @@ const requireInstructor = requireRole(['instructor', 'admin']);
 const requireAdmin = requireRole('admin');
 
 // Optional authentication (doesn't fail if no token)
+// A stale session token falls back to anonymous, but an API key must be valid
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1];
     
+    if (token && ApiKey.looksLikeKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+    
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !decoded.type && !user.changedPasswordAfter(decoded.iat) &&
+          decoded.sid && await isSessionActive(decoded.sid, user._id)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -145,10 +241,10 @@ const requireOwnershipOrAdmin = (resourceField = 'user') => {
   };
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate JWT token for a session
+const generateToken = (userId, sid) => {
   return jwt.sign(
-    { userId }, 
+    { userId, sid }, 
     process.env.JWT_SECRET, 
     { 
       expiresIn: '7d',
@@ -158,13 +254,13 @@ const generateToken = (userId) => {
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Generate refresh token; jti identifies it within the session's token family
+const generateRefreshToken = (userId, sid, jti) => {
   return jwt.sign(
-    { userId, type: 'refresh' }, 
-    process.env.JWT_SECRET, 
+    { userId, type: 'refresh', sid, jti }, 
+    REFRESH_SECRET(), 
     { 
-      expiresIn: '30d',
+      expiresIn: `${parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30}d`,
       issuer: 'virtual-learning-platform',
       audience: 'vlp-users'
     }
@@ -174,7 +270,7 @@ const generateRefreshToken = (userId) => {
 // Verify refresh token
 const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, REFRESH_SECRET());
     if (decoded.type !== 'refresh') {
       throw new Error('Invalid token type');
     }
@@ -184,14 +280,40 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate the short-lived token that stands in for a login until the second factor is checked
+const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, type: '2fa_challenge' }, 
+    process.env.JWT_SECRET, 
+    { 
+      expiresIn: '10m',
+      issuer: 'virtual-learning-platform',
+      audience: 'vlp-users'
+    }
+  );
+};
+
+// Verify login challenge token
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== '2fa_challenge') {
+    throw new Error('Invalid token type');
+  }
+  return decoded;
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
+  requireScope,
+  requireSession,
   requireInstructor,
   requireAdmin,
   optionalAuth,
   requireOwnershipOrAdmin,
   generateToken,
   generateRefreshToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken
 };
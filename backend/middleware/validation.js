@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -57,6 +58,55 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^(\d{6}|[a-f0-9]{4}-?[a-f0-9]{4})$/i)
+    .withMessage('Enter the 6-digit code from your authenticator app or a recovery code'),
+  
+  handleValidationErrors
+];
+
+const validateAccountDeletion = [
+  body('confirmEmail')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isEmail()
+    .withMessage('Type your email address to confirm'),
+  
+  body('password')
+    .optional()
+    .isString(),
+  
+  handleValidationErrors
+];
+
 const validateUserUpdate = [
   body('name')
     .optional()
@@ -246,6 +296,56 @@ const validateNote = [
   handleValidationErrors
 ];
 
+// Quiz validation rules
+const validateQuizSubmission = [
+  body('answers')
+    .isArray()
+    .withMessage('Answers must be an array'),
+  
+  body('answers.*.questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  
+  handleValidationErrors
+];
+
+// Coupon validation rules
+const validateCouponCreation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3-32 letters, numbers, dashes or underscores'),
+  
+  body('type')
+    .isIn(['percent', 'fixed'])
+    .withMessage('Type must be either percent or fixed'),
+  
+  body('value')
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be a positive number'),
+  
+  body('scope')
+    .isIn(['course', 'instructor', 'global'])
+    .withMessage('Scope must be course, instructor or global'),
+  
+  body('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  
+  body('maxRedemptions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max redemptions must be at least 1'),
+  
+  handleValidationErrors
+];
+
 // Parameter validation
 const validateObjectId = (paramName) => [
   param(paramName)
@@ -270,6 +370,80 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+const validateReportRequest = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid courseId'),
+
+  query('timeframe')
+    .optional()
+    .isIn(['7d', '30d', '90d'])
+    .withMessage('Timeframe must be one of 7d, 30d or 90d'),
+
+  handleValidationErrors
+];
+
+const validateReportSubscription = [
+  body('frequency')
+    .isIn(['weekly', 'monthly'])
+    .withMessage('Frequency must be weekly or monthly'),
+
+  body('format')
+    .optional()
+    .isIn(['pdf', 'csv'])
+    .withMessage('Format must be pdf or csv'),
+
+  body('courseId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  handleValidationErrors
+];
+
+const validateReportSubscriptionUpdate = [
+  body('frequency')
+    .optional()
+    .isIn(['weekly', 'monthly'])
+    .withMessage('Frequency must be weekly or monthly'),
+
+  body('format')
+    .optional()
+    .isIn(['pdf', 'csv'])
+    .withMessage('Format must be pdf or csv'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+
+  handleValidationErrors
+];
+
+const validateApiKeyCreation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one scope'),
+
+  body('scopes.*')
+    .isIn(Object.keys(ApiKey.SCOPES))
+    .withMessage('Unknown scope'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Keys must expire within 1 to 365 days'),
+
+  handleValidationErrors
+];
+
 const validateCourseFilters = [
   query('category')
     .optional()
@@ -314,6 +488,9 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateTwoFactorCode,
   validateUserUpdate,
   validateCourseCreation,
   validateCourseUpdate,
@@ -321,7 +498,14 @@ module.exports = {
   validateReview,
   validateProgressUpdate,
   validateNote,
+  validateQuizSubmission,
+  validateCouponCreation,
   validateObjectId,
   validatePagination,
+  validateReportRequest,
+  validateReportSubscription,
+  validateReportSubscriptionUpdate,
+  validateApiKeyCreation,
+  validateAccountDeletion,
   validateCourseFilters
 };
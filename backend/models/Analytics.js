@@ -15,6 +15,10 @@ const analyticsSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Session id generated by the player; batched events for the same session share one document
+  clientSessionId: {
+    type: String
+  },
   sessionData: {
     startTime: {
       type: Date,
@@ -30,6 +34,10 @@ const analyticsSchema = new mongoose.Schema({
       type: Number, // Percentage completed (0-100)
       default: 0
     },
+    // Client time of the latest event; idle sessions are closed from this
+    lastActivityAt: {
+      type: Date
+    },
     interactions: [{
       type: {
         type: String,
@@ -41,6 +49,10 @@ const analyticsSchema = new mongoose.Schema({
       data: {
         type: mongoose.Schema.Types.Mixed // Additional interaction data
       },
+      // Client idempotency key, so a resent batch does not record the event twice
+      eventId: {
+        type: String
+      },
       createdAt: {
         type: Date,
         default: Date.now
@@ -59,6 +71,13 @@ const analyticsSchema = new mongoose.Schema({
     completionRate: {
       type: Number, // 0-100
       default: 0
+    },
+    // Formula version from services/engagementScoring; unset until the session is scored
+    scoringVersion: {
+      type: Number
+    },
+    scoredAt: {
+      type: Date
     }
   }
 }, {
@@ -69,5 +88,11 @@ const analyticsSchema = new mongoose.Schema({
 analyticsSchema.index({ user: 1, course: 1 });
 analyticsSchema.index({ user: 1, createdAt: -1 });
 analyticsSchema.index({ course: 1, createdAt: -1 });
+analyticsSchema.index({ 'performance.scoringVersion': 1 });
+analyticsSchema.index(
+  { user: 1, clientSessionId: 1 },
+  { unique: true, partialFilterExpression: { clientSessionId: { $exists: true } } }
+);
+analyticsSchema.index({ 'sessionData.endTime': 1, 'sessionData.lastActivityAt': 1 });
 
 module.exports = mongoose.model('Analytics', analyticsSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'vlp_';
+// Shown in key lists so users can tell their keys apart
+const DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// What each scope allows; routes check them with requireScope
+const API_KEY_SCOPES = {
+  'profile:read': 'Read your profile, dashboard and learning stats',
+  'profile:write': 'Update your profile and wishlist',
+  'courses:read': 'Read courses and lesson stream URLs',
+  'courses:write': 'Create and edit your courses, uploads, captions and coupons',
+  'enrollments:write': 'Enroll in free courses and post reviews',
+  'progress:read': 'Read course progress and bookmarks',
+  'progress:write': 'Record lesson progress and bookmarks',
+  'notes:read': 'Read your notes',
+  'notes:write': 'Create, edit and summarize notes',
+  'quizzes:read': 'Read quiz attempts',
+  'quizzes:write': 'Start and submit quiz attempts',
+  'analytics:read': 'Read learner and course analytics, gradebooks and xAPI statements',
+  'analytics:write': 'Send learning analytics events',
+  'reports:read': 'List and download reports and report subscriptions',
+  'reports:write': 'Generate reports and manage report subscriptions',
+  'certificates:read': 'List and download your certificates',
+  'ai:use': 'Use AI transcription, translation, summaries and quiz generation',
+  'jobs:read': 'Check background job status'
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Personal API key for scripts and integrations; only a hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Start of the key, e.g. "vlp_1a2b3c4d"
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES)
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+apiKeySchema.statics.looksLikeKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+/**
+ * Create a key
+ * @returns {Promise<Object>} - { apiKey, key }; the raw key is only available here
+ */
+apiKeySchema.statics.generate = async function(userId, { name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, DISPLAY_LENGTH),
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * @returns {Promise<Object|null>} - The key if it exists, is not revoked and has not expired
+ */
+apiKeySchema.statics.findActive = function(key) {
+  return this.findOne({ keyHash: hashKey(key), revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record use without a write on every request
+apiKeySchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL_MS) return Promise.resolve();
+
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+};
+
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    expired: this.expiresAt <= new Date()
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -37,6 +37,37 @@ const captionSchema = new mongoose.Schema({
     type: String,
     enum: ['pending', 'processing', 'completed', 'failed'],
     default: 'pending'
+  },
+  provider: {
+    type: String,
+    enum: ['whisper', 'google', 'mock']
+  },
+  videoFile: {
+    type: String // File name inside /videos
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'extracting_audio', 'transcribing', 'formatting', 'saving', 'completed', 'failed'],
+      default: 'queued'
+    },
+    percent: {
+      type: Number, // 0-100
+      default: 0
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
+  confidence: {
+    type: Number
+  },
+  error: {
+    type: String
   }
 }, {
   timestamps: true
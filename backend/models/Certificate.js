@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Unambiguous characters only (no 0/O, 1/I) so serials can be typed from paper
+const SERIAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const certificateSchema = new mongoose.Schema({
+  serial: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Names are copied at issue time so the certificate reads the same
+  // even if the user or course is renamed later
+  recipientName: {
+    type: String,
+    required: true
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  instructorName: String,
+  template: {
+    type: String,
+    default: 'default'
+  },
+  completedAt: Date,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+certificateSchema.index({ course: 1, issuedAt: -1 });
+
+// Generate a serial such as "CERT-7KQ2-M9XD-4HPA"
+certificateSchema.statics.generateSerial = function() {
+  const bytes = crypto.randomBytes(12);
+  const characters = Array.from(bytes, byte => SERIAL_ALPHABET[byte % SERIAL_ALPHABET.length]).join('');
+  return `CERT-${characters.slice(0, 4)}-${characters.slice(4, 8)}-${characters.slice(8, 12)}`;
+};
+
+certificateSchema.methods.isValid = function() {
+  return !this.revokedAt;
+};
+
+// Details safe to show to anyone holding the serial
+certificateSchema.methods.toPublicJSON = function() {
+  return {
+    serial: this.serial,
+    recipientName: this.recipientName,
+    courseTitle: this.courseTitle,
+    instructorName: this.instructorName,
+    issuedAt: this.issuedAt,
+    valid: this.isValid(),
+    revokedAt: this.revokedAt
+  };
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Weekly retention of the learners who enrolled in a course in the same week
+const cohortRetentionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Monday of the enrollment week (UTC), YYYY-MM-DD
+  cohort: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Week 0 is the enrollment week
+  weeks: [{
+    week: Number,
+    active: Number,
+    retention: Number // % of the cohort active that week
+  }],
+  computedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes for better query performance
+cohortRetentionSchema.index({ course: 1, cohort: 1 }, { unique: true });
+
+module.exports = mongoose.model('CohortRetention', cohortRetentionSchema);
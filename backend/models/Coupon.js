@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,32}$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  // Percent off (1-100), or a fixed amount off in the course currency (e.g. 10.00)
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Fixed discounts only apply to courses priced in this currency
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  // course: one course; instructor: every course by an instructor; global: any course (admin only)
+  scope: {
+    type: String,
+    enum: ['course', 'instructor', 'global'],
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ createdBy: 1, createdAt: -1 });
+couponSchema.index({ course: 1 });
+couponSchema.index({ instructor: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percent' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage discount must be between 1 and 100');
+  }
+  if (this.type === 'fixed' && !this.currency) {
+    this.invalidate('currency', 'Fixed discounts require a currency');
+  }
+  if (this.scope === 'course' && !this.course) {
+    this.invalidate('course', 'Course coupons require a course');
+  }
+  if (this.scope === 'instructor' && !this.instructor) {
+    this.invalidate('instructor', 'Instructor coupons require an instructor');
+  }
+  next();
+});
+
+// Reason the coupon can't be used right now, or null if it can
+couponSchema.methods.getUnavailableReason = function(now = new Date()) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.startsAt && this.startsAt > now) return 'This coupon is not active yet';
+  if (this.expiresAt && this.expiresAt <= now) return 'This coupon has expired';
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This coupon has reached its redemption limit';
+  }
+  return null;
+};
+
+couponSchema.methods.appliesTo = function(course) {
+  if (this.type === 'fixed' && this.currency !== (course.currency || 'USD').toUpperCase()) {
+    return false;
+  }
+
+  switch (this.scope) {
+    case 'global':
+      return true;
+    case 'course':
+      return this.course.toString() === course._id.toString();
+    case 'instructor': {
+      const instructorId = course.instructor._id || course.instructor;
+      return this.instructor.toString() === instructorId.toString();
+    }
+    default:
+      return false;
+  }
+};
+
+// Check if a user may view and edit this coupon
+couponSchema.methods.isManagedBy = function(user) {
+  return user.role === 'admin' || this.createdBy.toString() === user._id.toString();
+};
+
+couponSchema.statics.normalizeCode = function(code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
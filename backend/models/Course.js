@@ -20,6 +20,27 @@ const lessonSchema = new mongoose.Schema({
     required: false,
     default: 0
   },
+  // Filled in from the uploaded video by the metadata extraction job
+  media: {
+    width: Number,
+    height: Number,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number, // bits per second
+    frameRate: Number,
+    size: Number, // in bytes
+    posterUrl: String,
+    sprite: {
+      url: String,
+      interval: Number, // seconds between frames
+      count: Number,
+      columns: Number,
+      rows: Number,
+      frameWidth: Number,
+      frameHeight: Number
+    },
+    extractedAt: Date
+  },
   order: {
     type: Number,
     required: true
@@ -345,10 +366,22 @@ courseSchema.methods.getProgressForUser = function(userId) {
   return 0;
 };
 
-// Check if user has access to course
-courseSchema.methods.hasUserAccess = function(userId) {
-  // Check if user is enrolled or if course is free
-  return this.price === 0 || this.enrollmentCount > 0;
+// Check if user is the course instructor
+courseSchema.methods.isInstructor = function(user) {
+  if (!user) return false;
+  const instructorId = this.instructor._id || this.instructor;
+  return instructorId.toString() === user._id.toString();
+};
+
+// Check if user has access to full course content
+courseSchema.methods.hasUserAccess = function(user) {
+  if (!user) return false;
+  
+  const isEnrolled = user.enrolledCourses.some(
+    enrollment => enrollment.course.toString() === this._id.toString()
+  );
+  
+  return this.isInstructor(user) || isEnrolled || this.price === 0;
 };
 
 module.exports = mongoose.model('Course', courseSchema);
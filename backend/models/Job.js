@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // User who requested the job, used for access checks on the status endpoint
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    stage: {
+      type: String,
+      default: 'queued'
+    },
+    message: {
+      type: String
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  // Earliest time the job may be picked up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+jobSchema.index({ type: 1, status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+
+// Check whether the job has reached a final state
+jobSchema.methods.isFinished = function() {
+  return this.status === 'completed' || this.status === 'failed';
+};
+
+// Check whether a requesting user may see this job
+jobSchema.methods.isVisibleTo = function(user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return Boolean(this.user) && this.user.toString() === user._id.toString();
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Latest at-risk assessment for a learner in a course; removed once the learner is no longer at risk
+const learnerRiskSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['medium', 'high'],
+    required: true
+  },
+  score: {
+    type: Number, // 0-100, sum of the reason weights
+    required: true
+  },
+  reasons: [{
+    code: {
+      type: String,
+      enum: ['inactive', 'not_started', 'streak_lost', 'irregular_study', 'quiz_decline', 'low_quiz_scores', 'failing_quizzes'],
+      required: true
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    weight: {
+      type: Number,
+      required: true
+    }
+  }],
+  metrics: {
+    lastActivityAt: Date,
+    daysInactive: Number,
+    overallProgress: Number,
+    streakDays: Number,
+    studyConsistency: String,
+    recentQuizAverage: Number,
+    previousQuizAverage: Number,
+    quizAttempts: Number
+  },
+  // First assessment in the current at-risk stretch
+  flaggedAt: {
+    type: Date,
+    default: Date.now
+  },
+  assessedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes for better query performance
+learnerRiskSchema.index({ course: 1, user: 1 }, { unique: true });
+learnerRiskSchema.index({ course: 1, score: -1 });
+
+module.exports = mongoose.model('LearnerRisk', learnerRiskSchema);
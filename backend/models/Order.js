@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Course details at checkout time, for receipts
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  // All amounts are in the currency's minor unit (e.g. cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  listPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  originalPrice: {
+    type: Number,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  coupon: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerSessionId: String,
+  providerPaymentId: String,
+  checkoutUrl: String,
+  failureReason: String,
+  paidAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  receipt: {
+    number: String,
+    issuedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+orderSchema.index({ provider: 1, providerSessionId: 1 }, { unique: true, sparse: true });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ user: 1, course: 1, status: 1 });
+orderSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
+
+// Check if the order can still be paid
+orderSchema.methods.isPayable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+orderSchema.methods.isVisibleTo = function(user) {
+  return user.role === 'admin' || this.user.toString() === user._id.toString();
+};
+
+// Order summary and receipt sent to the buyer
+orderSchema.methods.toReceiptJSON = function() {
+  return {
+    id: this._id,
+    course: this.course,
+    courseTitle: this.courseTitle,
+    amount: this.amount,
+    listPrice: this.listPrice,
+    originalPrice: this.originalPrice,
+    discount: this.discount,
+    couponCode: this.coupon && this.coupon.code ? this.coupon.code : null,
+    currency: this.currency,
+    status: this.status,
+    provider: this.provider,
+    checkoutUrl: this.isPayable() ? this.checkoutUrl : undefined,
+    paidAt: this.paidAt,
+    receipt: this.receipt && this.receipt.number ? this.receipt : null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Order', orderSchema);
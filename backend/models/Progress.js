@@ -191,7 +191,7 @@ progressSchema.methods.calculateProgress = async function() {
 };
 
 // Mark lesson as completed
-progressSchema.methods.completeLesson = function(lessonId, sectionId, watchTime = 0, quizScore = null) {
+progressSchema.methods.completeLesson = function(lessonId, sectionId, watchTime = 0) {
   // Check if lesson is already completed
   const existingCompletion = this.completedLessons.find(
     completion => completion.lessonId.toString() === lessonId.toString()
@@ -201,14 +201,8 @@ progressSchema.methods.completeLesson = function(lessonId, sectionId, watchTime
     this.completedLessons.push({
       lessonId,
       sectionId,
-      watchTime,
-      quizScore,
-      quizAttempts: quizScore !== null ? 1 : 0
+      watchTime
     });
-  } else if (quizScore !== null && quizScore > (existingCompletion.quizScore || 0)) {
-    // Update quiz score if better
-    existingCompletion.quizScore = quizScore;
-    existingCompletion.quizAttempts += 1;
   }
   
   this.totalWatchTime += watchTime;
@@ -218,6 +212,20 @@ progressSchema.methods.completeLesson = function(lessonId, sectionId, watchTime
   this.updateStreak();
 };
 
+// Record graded quiz results (from QuizAttempt) on a completed lesson
+progressSchema.methods.applyQuizResult = function(lessonId, bestScore, attempts) {
+  const completion = this.completedLessons.find(
+    completion => completion.lessonId.toString() === lessonId.toString()
+  );
+  
+  if (!completion) return;
+  
+  completion.quizAttempts = attempts;
+  if (bestScore !== null) {
+    completion.quizScore = bestScore;
+  }
+};
+
 // Update current lesson position
 progressSchema.methods.updateCurrentLesson = function(lessonId, sectionId, position = 0) {
   this.currentLesson = {
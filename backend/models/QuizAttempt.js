@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: {
+    type: Date
+  },
+  // Snapshot of the quiz settings at the time the attempt was started
+  passingScore: {
+    type: Number,
+    required: true
+  },
+  timeLimit: {
+    type: Number, // in minutes
+    required: true
+  },
+  answers: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed // option id(s), boolean or free text
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    },
+    pointsAwarded: {
+      type: Number,
+      default: 0
+    },
+    pointsPossible: {
+      type: Number,
+      default: 0
+    }
+  }],
+  earnedPoints: {
+    type: Number,
+    default: 0
+  },
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number, // 0-100
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+quizAttemptSchema.index({ user: 1, lesson: 1, createdAt: -1 });
+quizAttemptSchema.index({ course: 1, lesson: 1 });
+
+// Check whether the attempt can still be submitted
+quizAttemptSchema.methods.isOpen = function(graceSeconds = 0) {
+  return this.status === 'in_progress' &&
+    Date.now() <= this.expiresAt.getTime() + graceSeconds * 1000;
+};
+
+// Best score and number of graded attempts for a lesson
+quizAttemptSchema.statics.summarizeForLesson = async function(userId, lessonId) {
+  const attempts = await this.find({
+    user: userId,
+    lesson: lessonId,
+    status: { $in: ['submitted', 'expired'] }
+  }).select('score');
+
+  return {
+    attempts: attempts.length,
+    bestScore: attempts.length > 0
+      ? Math.max(...attempts.map(attempt => attempt.score))
+      : null
+  };
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const reportSchema = new mongoose.Schema({
+  // Opaque id used in URLs; file names and Mongo ids are never exposed
+  reportId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  type: {
+    type: String,
+    enum: ['performance', 'data-export'],
+    default: 'performance'
+  },
+  timeframe: {
+    type: String,
+    enum: ['7d', '30d', '90d'],
+    default: '30d'
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'csv', 'zip'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Name inside the reports directory, chosen when the report is created; the file exists once status is ready
+  fileName: {
+    type: String
+  },
+  size: {
+    type: Number // bytes
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  error: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reportSchema.index({ user: 1, createdAt: -1 });
+reportSchema.index({ expiresAt: 1 });
+
+// Check whether a user may read this report
+reportSchema.methods.isOwnedBy = function(user) {
+  return user.role === 'admin' || this.user.toString() === user._id.toString();
+};
+
+// Name offered to the browser when downloading
+reportSchema.methods.getDownloadName = function() {
+  const date = this.createdAt.toISOString().slice(0, 10);
+  if (this.type === 'data-export') {
+    return `my-data-${date}.${this.format}`;
+  }
+  return `${this.type}-report-${date}.${this.format}`;
+};
+
+reportSchema.methods.toPublicJSON = function() {
+  return {
+    id: this.reportId,
+    type: this.type,
+    format: this.format,
+    course: this.course,
+    timeframe: this.timeframe,
+    status: this.status,
+    size: this.size,
+    error: this.error,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt,
+    downloadUrl: this.status === 'ready' ? `/api/reports/${this.reportId}/download` : null
+  };
+};
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const reportSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset for a report across all of the user's courses
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'csv'],
+    default: 'pdf'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: {
+    type: Date
+  },
+  lastReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  // Consecutive failed deliveries for the current period
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reportSubscriptionSchema.index({ user: 1 });
+reportSubscriptionSchema.index({ active: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ReportSubscription', reportSubscriptionSchema);
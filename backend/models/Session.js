@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Its refresh tokens form one family: each refresh replaces currentJti,
+// and presenting an older token revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  sid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Id of the only refresh token that may still be used
+  currentJti: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh tokens stop working after this, whatever their own expiry
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_changed', 'password_reset', 'token_reuse', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Ended sessions are kept for a while for auditing, then removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A login sent to an identity provider and not yet answered. The state comes back with the
+// response, and anything the protocol must check then (nonce, PKCE verifier) is kept here.
+const ssoRequestSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned logins are removed by MongoDB
+ssoRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Take the pending request for a state, so each response is accepted once
+ * @returns {Promise<Object|null>}
+ */
+ssoRequestSchema.statics.consume = function(state, provider) {
+  if (typeof state !== 'string' || !state) return Promise.resolve(null);
+  return this.findOneAndDelete({ state, provider, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('SsoRequest', ssoRequestSchema);
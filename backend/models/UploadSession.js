@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true // Original name on the uploader's machine
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true // Total bytes expected
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  videoId: {
+    type: String,
+    required: true // File name the finished upload gets inside /videos
+  },
+  bytesReceived: {
+    type: Number,
+    default: 0
+  },
+  chunksReceived: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'aborted', 'expired'],
+    default: 'uploading'
+  },
+  processingJobs: {
+    metadata: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    transcode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    }
+  },
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true // Pushed forward on every chunk
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for cleanup and listing
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ user: 1, createdAt: -1 });
+
+// Only the uploader (or an admin) may see or continue a session
+uploadSessionSchema.methods.isOwnedBy = function(user) {
+  return user.role === 'admin' || this.user.toString() === user._id.toString();
+};
+
+uploadSessionSchema.methods.isExpired = function() {
+  return this.status === 'expired' ||
+    (this.status === 'uploading' && this.expiresAt < new Date());
+};
+
+// Resume information sent to the client
+uploadSessionSchema.methods.toStatus = function() {
+  return {
+    uploadId: this._id,
+    status: this.isExpired() ? 'expired' : this.status,
+    filename: this.filename,
+    size: this.size,
+    chunkSize: this.chunkSize,
+    bytesReceived: this.bytesReceived,
+    progress: this.size > 0 ? Math.floor((this.bytesReceived / this.size) * 100) : 0,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
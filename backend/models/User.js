@@ -18,7 +18,8 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return !this.googleId; // Password required only if not Google OAuth user
+      // Password required only if not Google OAuth or SSO user
+      return !this.googleId && !(this.ssoIdentities && this.ssoIdentities.length);
     },
     minlength: 6
   },
@@ -26,6 +27,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     sparse: true // Allows multiple null values
   },
+  // Institutional single sign-on accounts linked to this user
+  ssoIdentities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    // Subject (OIDC sub or SAML NameID) at that provider
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: ''
@@ -118,6 +135,65 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Set by a password reset; tokens issued before it are rejected
+  passwordChangedAt: {
+    type: Date
+  },
+  // TOTP second factor; secrets are stored encrypted and recovery codes as hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Set by an admin; only applies to instructors and admins
+    required: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Generated by setup, becomes the secret once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Set when the user asks to delete their account; it is purged once scheduledFor passes
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    }
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -129,8 +205,10 @@ const userSchema = new mongoose.Schema({
 // Indexes for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
+userSchema.index({ 'ssoIdentities.provider': 1, 'ssoIdentities.subject': 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ 'enrolledCourses.course': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -151,6 +229,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether a JWT issued at `iat` (seconds) predates the last password reset
+userSchema.methods.changedPasswordAfter = function(iat) {
+  return !!this.passwordChangedAt && iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
 // Get user's enrolled course progress
 userSchema.methods.getCourseProgress = function(courseId) {
   const enrollment = this.enrolledCourses.find(
@@ -188,6 +271,11 @@ userSchema.methods.updateCourseProgress = function(courseId, progress) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+  }
   return user;
 };
 
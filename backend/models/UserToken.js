@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Single-use tokens sent by email; only a hash is stored so a database leak doesn't expose live links
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+userTokenSchema.index({ user: 1, type: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create a token for a user, replacing any unused one of the same type
+ * @returns {Promise<string>} - The raw token to put in the emailed link
+ */
+userTokenSchema.statics.issue = async function(userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token used, if it is valid
+ * @returns {Promise<Object|null>} - The token document, or null if unknown, used or expired
+ */
+userTokenSchema.statics.consume = function(token, type) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+// When the last token of a type was sent to a user, for throttling resends
+userTokenSchema.statics.lastIssuedAt = async function(userId, type) {
+  const latest = await this.findOne({ user: userId, type }).sort({ createdAt: -1 }).select('createdAt');
+  return latest ? latest.createdAt : null;
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,151 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+const renditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true // e.g. "720p"
+  },
+  width: Number,
+  height: Number,
+  bandwidth: Number, // bits per second, as advertised in the master playlist
+  playlist: String // File name inside the HLS directory
+}, { _id: false });
+
+const videoAssetSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true,
+    unique: true // File name inside /videos, same key Caption uses
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hls: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    directory: {
+      type: String // Folder inside /videos/hls
+    },
+    renditions: [renditionSchema],
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    error: String,
+    completedAt: Date
+  },
+  metadata: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    duration: Number, // in seconds
+    width: Number,
+    height: Number,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number, // bits per second
+    frameRate: Number,
+    size: Number, // in bytes
+    formatName: String,
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    error: String,
+    extractedAt: Date
+  },
+  poster: {
+    url: String
+  },
+  // Seek-preview frames tiled left to right, top to bottom
+  sprite: {
+    url: String,
+    interval: Number, // seconds between frames
+    count: Number,
+    columns: Number,
+    rows: Number,
+    frameWidth: Number,
+    frameHeight: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Path of the master playlist inside /videos, or null until transcoding has finished
+// Players get it through a signed stream URL
+videoAssetSchema.methods.getHlsUrl = function() {
+  if (this.hls.status !== 'ready') return null;
+  return `/videos/hls/${this.hls.directory}/master.m3u8`;
+};
+
+// Streaming details sent with each lesson; playable URLs come from the stream-url endpoint
+videoAssetSchema.methods.toStreamingInfo = function() {
+  return {
+    status: this.hls.status,
+    renditions: this.hls.status === 'ready'
+      ? this.hls.renditions.map(rendition => ({
+          name: rendition.name,
+          width: rendition.width,
+          height: rendition.height,
+          bandwidth: rendition.bandwidth
+        }))
+      : []
+  };
+};
+
+// Media details copied onto lessons that use this video
+videoAssetSchema.methods.toLessonMedia = function() {
+  if (this.metadata.status !== 'ready') return null;
+
+  return {
+    width: this.metadata.width,
+    height: this.metadata.height,
+    videoCodec: this.metadata.videoCodec,
+    audioCodec: this.metadata.audioCodec,
+    bitrate: this.metadata.bitrate,
+    frameRate: this.metadata.frameRate,
+    size: this.metadata.size,
+    posterUrl: this.poster.url,
+    sprite: this.sprite.url ? {
+      url: this.sprite.url,
+      interval: this.sprite.interval,
+      count: this.sprite.count,
+      columns: this.sprite.columns,
+      rows: this.sprite.rows,
+      frameWidth: this.sprite.frameWidth,
+      frameHeight: this.sprite.frameHeight
+    } : undefined,
+    extractedAt: this.metadata.extractedAt
+  };
+};
+
+// Map a lesson videoUrl such as "/videos/video-123.mp4" to its videoId
+videoAssetSchema.statics.videoIdFromUrl = function(videoUrl) {
+  if (!videoUrl || typeof videoUrl !== 'string' || !videoUrl.startsWith('/videos/')) {
+    return null;
+  }
+  return path.basename(videoUrl.split('?')[0]);
+};
+
+// Find assets for a list of lessons, keyed by videoId
+videoAssetSchema.statics.findForLessons = async function(lessons) {
+  const videoIds = [...new Set(
+    lessons
+      .map(lesson => this.videoIdFromUrl(lesson.videoUrl))
+      .filter(Boolean)
+  )];
+
+  if (videoIds.length === 0) return new Map();
+
+  const assets = await this.find({ videoId: { $in: videoIds } });
+  return new Map(assets.map(asset => [asset.videoId, asset]));
+};
+
+module.exports = mongoose.model('VideoAsset', videoAssetSchema);
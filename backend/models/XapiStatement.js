@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const xapiStatementSchema = new mongoose.Schema({
+  // xAPI statement id (UUID), derived from the event so the same event is never recorded twice
+  statementId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  verb: {
+    type: String, // Verb IRI
+    required: true
+  },
+  activity: {
+    type: String, // Object activity IRI
+    required: true
+  },
+  // Object plus context activities, for related_activities queries
+  relatedActivities: [{
+    type: String
+  }],
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  stored: {
+    type: Date,
+    default: Date.now
+  },
+  // Full statement as served by the LRS endpoint and sent to the external LRS
+  statement: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  forwarding: {
+    // Unset when no external LRS is configured
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed']
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    sentAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    }
+  }
+});
+
+// Indexes for better query performance
+xapiStatementSchema.index({ stored: -1, _id: -1 });
+xapiStatementSchema.index({ user: 1, stored: -1 });
+xapiStatementSchema.index({ verb: 1, stored: -1 });
+xapiStatementSchema.index({ activity: 1, stored: -1 });
+xapiStatementSchema.index({ relatedActivities: 1, stored: -1 });
+xapiStatementSchema.index({ 'forwarding.status': 1, 'forwarding.nextAttemptAt': 1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
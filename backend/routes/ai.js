@@ -1,11 +1,15 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
+const mongoose = require('mongoose');
 const Course = require('../models/Course');
+const User = require('../models/User');
+const Progress = require('../models/Progress');
 const aiService = require('../services/aiService');
-const { authenticateToken, requireInstructor } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const quizService = require('../services/quizService');
+const captionPipeline = require('../services/captionPipeline');
+const jobQueue = require('../services/jobQueue');
+const { authenticateToken, requireScope, requireInstructor } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -25,122 +29,69 @@ const upload = multer({
 });
 
 // @route   POST /api/ai/transcribe
-// @desc    Transcribe video/audio file
+// @desc    Queue transcription of an uploaded file or an existing lesson video
 // @access  Private (Instructor)
 router.post('/transcribe', [
   authenticateToken,
+  requireScope('ai:use'),
   requireInstructor,
   upload.single('media')
 ], async (req, res) => {
-  let tempFiles = [];
-  
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'No file uploaded',
-        message: 'Please upload a video or audio file'
-      });
-    }
-
     const { language = 'en', courseId, lessonId } = req.body;
-    const mediaPath = req.file.path;
-    tempFiles.push(mediaPath);
-
-    // Extract audio if video file
-    let audioPath = mediaPath;
-    if (req.file.mimetype.startsWith('video/')) {
-      console.log('Extracting audio from video...');
-      audioPath = await aiService.extractAudioFromVideo(mediaPath);
-      tempFiles.push(audioPath);
-    }
 
-    // Transcribe audio
-    console.log('Transcribing audio...');
-    const transcription = await aiService.transcribeAudio(audioPath, language);
-
-    // Generate SRT captions
-    const srtContent = aiService.generateSRTCaptions(transcription.segments);
-
-    // Save SRT file if needed
-    let srtFilePath = null;
-    if (courseId && lessonId) {
-      const srtFileName = `${courseId}_${lessonId}_${language}.srt`;
-      srtFilePath = path.join(__dirname, '../uploads/captions', srtFileName);
-      
-      // Ensure captions directory exists
-      await fs.mkdir(path.dirname(srtFilePath), { recursive: true });
-      await fs.writeFile(srtFilePath, srtContent);
-    }
+    const target = await findLessonForUpdate(req, res, courseId, lessonId);
+    if (target === false) return cleanupUpload(req);
 
-    // Update course lesson if provided
-    if (courseId && lessonId) {
-      try {
-        const course = await Course.findById(courseId);
-        if (course && course.instructor.toString() === req.user._id.toString()) {
-          // Find and update the lesson
-          for (const section of course.sections) {
-            const lesson = section.lessons.id(lessonId);
-            if (lesson) {
-              lesson.transcript = transcription.text;
-              
-              // Update or add caption
-              const existingCaption = lesson.captions.find(cap => cap.language === language);
-              if (existingCaption) {
-                existingCaption.content = srtContent;
-                existingCaption.srtFile = srtFilePath ? `/uploads/captions/${path.basename(srtFilePath)}` : '';
-              } else {
-                lesson.captions.push({
-                  language,
-                  content: srtContent,
-                  srtFile: srtFilePath ? `/uploads/captions/${path.basename(srtFilePath)}` : ''
-                });
-              }
-              
-              await course.save();
-              break;
-            }
-          }
-        }
-      } catch (updateError) {
-        console.error('Error updating course with transcription:', updateError);
+    let mediaPath;
+    let isVideo;
+
+    if (req.file) {
+      mediaPath = req.file.path;
+      isVideo = req.file.mimetype.startsWith('video/');
+    } else {
+      const videoFile = target && captionPipeline.resolveVideoFile(target.lesson.videoUrl);
+
+      if (!videoFile) {
+        return res.status(400).json({
+          error: 'No media to transcribe',
+          message: 'Upload a video or audio file, or pass a lesson that has a video'
+        });
       }
+
+      mediaPath = captionPipeline.getVideoPath(videoFile);
+      isVideo = true;
     }
 
-    res.json({
-      message: 'Transcription completed successfully',
-      transcription: {
-        text: transcription.text,
-        language: transcription.language,
-        segments: transcription.segments,
-        wordCount: transcription.text.split(' ').length,
-        duration: transcription.segments.length > 0 
-          ? transcription.segments[transcription.segments.length - 1].end 
-          : 0
-      },
-      captions: {
-        srt: srtContent,
-        filePath: srtFilePath ? `/uploads/captions/${path.basename(srtFilePath)}` : null
-      }
+    const job = await jobQueue.enqueue('ai.transcribe', {
+      mediaPath,
+      isVideo,
+      removeMedia: Boolean(req.file),
+      language,
+      courseId,
+      lessonId
+    }, { user: req.user._id });
+
+    res.status(202).json({
+      message: 'Transcription queued',
+      jobId: job._id,
+      status: job.status
     });
 
   } catch (error) {
     console.error('Transcription error:', error);
+    cleanupUpload(req);
     res.status(500).json({
       error: 'Transcription failed',
-      message: error.message || 'An error occurred during transcription'
+      message: error.message || 'An error occurred while queueing the transcription'
     });
-  } finally {
-    // Cleanup temporary files
-    if (tempFiles.length > 0) {
-      aiService.cleanupFiles(tempFiles).catch(console.error);
-    }
   }
 });
 
 // @route   POST /api/ai/translate
 // @desc    Translate captions to different language
 // @access  Private (Instructor)
-router.post('/translate', [authenticateToken, requireInstructor], async (req, res) => {
+router.post('/translate', [authenticateToken, requireScope('ai:use'), requireInstructor], async (req, res) => {
   try {
     const { text, targetLanguage, sourceLanguage = 'en' } = req.body;
 
@@ -173,121 +124,79 @@ router.post('/translate', [authenticateToken, requireInstructor], async (req, re
 });
 
 // @route   POST /api/ai/summarize
-// @desc    Generate lecture summary from transcript
+// @desc    Queue a lecture summary from a transcript or a lesson's stored transcript
 // @access  Private (Instructor)
-router.post('/summarize', [authenticateToken, requireInstructor], async (req, res) => {
+router.post('/summarize', [authenticateToken, requireScope('ai:use'), requireInstructor], async (req, res) => {
   try {
     const { transcript, lessonTitle, courseId, lessonId } = req.body;
 
-    if (!transcript) {
+    const target = await findLessonForUpdate(req, res, courseId, lessonId);
+    if (target === false) return;
+
+    if (!transcript && !(target && target.lesson.transcript)) {
       return res.status(400).json({
         error: 'Missing transcript',
         message: 'Transcript text is required'
       });
     }
 
-    const summary = await aiService.generateLectureSummary(transcript, lessonTitle);
-
-    // Update course lesson if provided
-    if (courseId && lessonId) {
-      try {
-        const course = await Course.findById(courseId);
-        if (course && course.instructor.toString() === req.user._id.toString()) {
-          // Find and update the lesson
-          for (const section of course.sections) {
-            const lesson = section.lessons.id(lessonId);
-            if (lesson) {
-              lesson.aiSummary = {
-                summary: summary.summary,
-                keyPoints: summary.keyPoints,
-                generatedAt: new Date()
-              };
-              await course.save();
-              break;
-            }
-          }
-        }
-      } catch (updateError) {
-        console.error('Error updating course with summary:', updateError);
-      }
-    }
-
-    res.json({
-      message: 'Summary generated successfully',
-      summary
+    const job = await jobQueue.enqueue('ai.summarize', {
+      transcript,
+      lessonTitle,
+      courseId,
+      lessonId
+    }, { user: req.user._id });
+
+    res.status(202).json({
+      message: 'Summary generation queued',
+      jobId: job._id,
+      status: job.status
     });
 
   } catch (error) {
     console.error('Summarization error:', error);
     res.status(500).json({
       error: 'Summarization failed',
-      message: error.message || 'An error occurred during summarization'
+      message: error.message || 'An error occurred while queueing the summary'
     });
   }
 });
 
 // @route   POST /api/ai/generate-quiz
-// @desc    Generate quiz questions from transcript
+// @desc    Queue quiz generation from a transcript or a lesson's stored transcript
 // @access  Private (Instructor)
-router.post('/generate-quiz', [authenticateToken, requireInstructor], async (req, res) => {
+router.post('/generate-quiz', [authenticateToken, requireScope('ai:use'), requireInstructor], async (req, res) => {
   try {
     const { transcript, questionCount = 5, courseId, lessonId } = req.body;
 
-    if (!transcript) {
+    const target = await findLessonForUpdate(req, res, courseId, lessonId);
+    if (target === false) return;
+
+    if (!transcript && !(target && target.lesson.transcript)) {
       return res.status(400).json({
         error: 'Missing transcript',
         message: 'Transcript text is required'
       });
     }
 
-    const questions = await aiService.generateQuizQuestions(transcript, parseInt(questionCount));
-
-    // Update course lesson quiz if provided
-    if (courseId && lessonId && questions.length > 0) {
-      try {
-        const course = await Course.findById(courseId);
-        if (course && course.instructor.toString() === req.user._id.toString()) {
-          // Find and update the lesson
-          for (const section of course.sections) {
-            const lesson = section.lessons.id(lessonId);
-            if (lesson) {
-              lesson.quiz = {
-                questions: questions.map(q => ({
-                  question: q.question,
-                  type: 'multiple_choice',
-                  options: q.options.map(opt => ({
-                    text: opt,
-                    isCorrect: opt.startsWith(q.correctAnswer)
-                  })),
-                  explanation: q.explanation,
-                  points: 1
-                })),
-                passingScore: 70,
-                timeLimit: Math.max(questionCount * 2, 10) // 2 minutes per question, min 10
-              };
-              await course.save();
-              break;
-            }
-          }
-        }
-      } catch (updateError) {
-        console.error('Error updating course with quiz:', updateError);
-      }
-    }
-
-    res.json({
-      message: 'Quiz generated successfully',
-      quiz: {
-        questionCount: questions.length,
-        questions
-      }
+    const job = await jobQueue.enqueue('ai.generateQuiz', {
+      transcript,
+      questionCount: parseInt(questionCount),
+      courseId,
+      lessonId
+    }, { user: req.user._id });
+
+    res.status(202).json({
+      message: 'Quiz generation queued',
+      jobId: job._id,
+      status: job.status
     });
 
   } catch (error) {
     console.error('Quiz generation error:', error);
     res.status(500).json({
       error: 'Quiz generation failed',
-      message: error.message || 'An error occurred during quiz generation'
+      message: error.message || 'An error occurred while queueing quiz generation'
     });
   }
 });
@@ -295,7 +204,7 @@ router.post('/generate-quiz', [authenticateToken, requireInstructor], async (req
 // @route   POST /api/ai/analyze-performance
 // @desc    Analyze student performance and provide insights
 // @access  Private
-router.post('/analyze-performance', authenticateToken, async (req, res) => {
+router.post('/analyze-performance', [authenticateToken, requireScope('ai:use')], async (req, res) => {
   try {
     const userId = req.user._id;
     
@@ -419,4 +328,46 @@ router.get('/supported-languages', (req, res) => {
   });
 });
 
+// Helper function to resolve the lesson a job will write to.
+// Returns null when no lesson was given, false after sending an error response.
+async function findLessonForUpdate(req, res, courseId, lessonId) {
+  if (!courseId && !lessonId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(lessonId)) {
+    res.status(400).json({
+      error: 'Invalid ID',
+      message: 'courseId and lessonId must both be valid IDs'
+    });
+    return false;
+  }
+
+  const course = await Course.findById(courseId);
+  const found = course && quizService.findLesson(course, lessonId);
+
+  if (!found) {
+    res.status(404).json({
+      error: 'Lesson not found',
+      message: 'The requested lesson does not exist'
+    });
+    return false;
+  }
+
+  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only update lessons in your own courses'
+    });
+    return false;
+  }
+
+  return { course, lesson: found.lesson };
+}
+
+// Helper function to remove an upload that will not be processed
+function cleanupUpload(req) {
+  if (req.file) {
+    aiService.cleanupFiles([req.file.path]).catch(console.error);
+  }
+}
+
 module.exports = router;
@@ -1,18 +1,29 @@
 const express = require('express');
 const Analytics = require('../models/Analytics');
-const { authenticateToken, optionalAuth, requireInstructor } = require('../middleware/auth');
+const Course = require('../models/Course');
+const { authenticateToken, requireScope, requireInstructor } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 const performanceAnalytics = require('../services/performanceAnalytics');
+const engagementScoring = require('../services/engagementScoring');
+const videoRetention = require('../services/videoRetention');
+const courseAnalytics = require('../services/courseAnalytics');
+const analyticsIngestion = require('../services/analyticsIngestion');
+const xapi = require('../services/xapi');
+const learnerRisk = require('../services/learnerRisk');
+const cohortRetention = require('../services/cohortRetention');
+const gradebook = require('../services/gradebook');
+const csv = require('../services/csv');
+const xlsx = require('../services/xlsx');
 const reportGenerator = require('../services/reportGenerator');
 
 const router = express.Router();
 
 // @route   POST /api/analytics/track
 // @desc    Track user interaction/session data
-// @access  Private
-router.post('/track', optionalAuth, async (req, res) => {
+// @access  Private (Enrolled)
+router.post('/track', [authenticateToken, requireScope('analytics:write')], async (req, res) => {
   try {
-    const { courseId, lessonId, action, data, course, lesson, sessionData, interaction } = req.body;
+    const { courseId, lessonId, action, data, course, lesson, sessionData } = req.body;
 
     // Support both new and old field names
     const finalCourseId = courseId || course;
@@ -25,24 +36,31 @@ router.post('/track', optionalAuth, async (req, res) => {
       });
     }
 
-    // Use default user ID if no user is authenticated
-    const userId = req.user?._id || '507f1f77bcf86cd799439011';
-    
-    // Validate ObjectIds only if they look like ObjectIds
-    const mongoose = require('mongoose');
-    if (finalCourseId.length === 24 && !mongoose.Types.ObjectId.isValid(finalCourseId)) {
+    if (![finalCourseId, finalLessonId].every(value => /^[0-9a-fA-F]{24}$/.test(value))) {
       return res.status(400).json({
         error: 'Invalid ObjectId',
-        message: 'Course must be a valid ObjectId'
+        message: 'Course and lesson must be valid ObjectIds'
+      });
+    }
+
+    // Same rule as /events: only lessons of courses the user can access
+    const accessible = await analyticsIngestion.findAccessibleLessons(req.user, [finalCourseId]);
+    const lessons = accessible.get(finalCourseId.toString());
+    if (!lessons) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Course not found or not enrolled'
       });
     }
-    if (finalLessonId.length === 24 && !mongoose.Types.ObjectId.isValid(finalLessonId)) {
+    if (!lessons.has(finalLessonId.toString())) {
       return res.status(400).json({
-        error: 'Invalid ObjectId', 
-        message: 'Lesson must be a valid ObjectId'
+        error: 'Invalid lesson',
+        message: 'Lesson does not belong to the course'
       });
     }
-    
+
+    const userId = req.user._id;
+
     let analytics = await Analytics.findOne({
       user: userId,
       course: finalCourseId,
@@ -60,11 +78,6 @@ router.post('/track', optionalAuth, async (req, res) => {
           startTime: new Date(),
           interactions: [],
           videoProgress: 0
-        },
-        performance: {
-          engagementScore: 0,
-          completionRate: 0,
-          averageWatchTime: 0
         }
       });
     }
@@ -78,6 +91,7 @@ router.post('/track', optionalAuth, async (req, res) => {
       };
       analytics.sessionData.interactions.push(interaction);
     }
+    analytics.sessionData.lastActivityAt = new Date();
     
     // Update session data
     if (sessionData) {
@@ -92,18 +106,21 @@ router.post('/track', optionalAuth, async (req, res) => {
       }
     }
 
-    // Calculate performance metrics (simplified for now)
-    analytics.performance = {
-      engagementScore: 85,
-      completionRate: 75,
-      averageWatchTime: 120
-    };
+    // Score the session once it closes
+    if (analytics.sessionData.endTime) {
+      await engagementScoring.scoreSession(analytics);
+    }
 
     await analytics.save();
 
+    if (analytics.sessionData.endTime) {
+      await xapi.recordLessonViewed(analytics);
+    }
+
     res.json({
       message: 'Analytics tracked successfully',
-      sessionId: analytics._id
+      sessionId: analytics._id,
+      ...(analytics.performance.scoredAt && { performance: analytics.performance })
     });
   } catch (error) {
     console.error('Track analytics error:', error);
@@ -114,10 +131,59 @@ router.post('/track', optionalAuth, async (req, res) => {
   }
 });
 
+// navigator.sendBeacon can't set headers, so unload flushes post text/plain with the token in the body
+const parseBeaconBody = [
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      try {
+        req.body = JSON.parse(req.body || '{}');
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid JSON',
+          message: 'Request body must be a JSON object'
+        });
+      }
+    }
+
+    if (!req.headers.authorization && typeof req.body?.token === 'string') {
+      req.headers.authorization = `Bearer ${req.body.token}`;
+    }
+    next();
+  }
+];
+
+// @route   POST /api/analytics/events
+// @desc    Record a batch of player events; events are deduplicated by id
+// @access  Private
+router.post('/events', [...parseBeaconBody, authenticateToken, requireScope('analytics:write')], async (req, res) => {
+  try {
+    const result = await analyticsIngestion.ingest(req.user, req.body?.events);
+
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid batch',
+        message: result.error
+      });
+    }
+
+    res.json({
+      message: 'Events recorded',
+      ...result
+    });
+  } catch (error) {
+    console.error('Ingest analytics events error:', error);
+    res.status(500).json({
+      error: 'Failed to record events',
+      message: 'An error occurred while recording analytics events'
+    });
+  }
+});
+
 // @route   GET /api/analytics/user/:userId
 // @desc    Get user performance analytics
 // @access  Private (Self or Instructor)
-router.get('/user/:userId', [authenticateToken, validateObjectId('userId')], async (req, res) => {
+router.get('/user/:userId', [authenticateToken, requireScope('analytics:read'), validateObjectId('userId')], async (req, res) => {
   try {
     const { userId } = req.params;
     const { course, timeframe = '30d' } = req.query;
@@ -161,7 +227,7 @@ router.get('/user/:userId', [authenticateToken, validateObjectId('userId')], asy
 // @route   GET /api/analytics/course/:courseId
 // @desc    Get course analytics for instructors
 // @access  Private (Instructor)
-router.get('/course/:courseId', [authenticateToken, requireInstructor, validateObjectId('courseId')], async (req, res) => {
+router.get('/course/:courseId', [authenticateToken, requireScope('analytics:read'), requireInstructor, validateObjectId('courseId')], async (req, res) => {
   try {
     const { courseId } = req.params;
     const { timeframe = '30d' } = req.query;
@@ -193,17 +259,270 @@ router.get('/course/:courseId', [authenticateToken, requireInstructor, validateO
   }
 });
 
+// @route   GET /api/analytics/course/:courseId/lessons/:lessonId/heatmap
+// @desc    Audience retention, rewatch hotspots and drop-off points for a lesson video
+//          (?timeframe=7d|30d|90d|all or ?from=&to=; ?format=csv for the per-bucket curve)
+// @access  Private (Course Instructor/Admin)
+router.get('/course/:courseId/lessons/:lessonId/heatmap', [
+  authenticateToken,
+  requireScope('analytics:read'),
+  requireInstructor,
+  validateObjectId('courseId'),
+  validateObjectId('lessonId')
+], async (req, res) => {
+  try {
+    const { courseId, lessonId } = req.params;
+    const { timeframe = 'all', bucket } = req.query;
+
+    const course = await findInstructorCourse(req, res, 'instructor sections');
+    if (!course) return;
+
+    const lesson = course.sections
+      .map(section => section.lessons.id(lessonId))
+      .find(Boolean);
+
+    if (!lesson) {
+      return res.status(404).json({
+        error: 'Lesson not found',
+        message: 'The requested lesson does not exist'
+      });
+    }
+
+    let since = getTimeframeDate(timeframe);
+    let until;
+    if (req.query.from || req.query.to) {
+      const range = courseAnalytics.parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          message: range.error
+        });
+      }
+      since = range.from;
+      until = range.to;
+    }
+
+    const heatmap = await videoRetention.buildLessonHeatmap(courseId, lessonId, {
+      lessonDuration: lesson.duration,
+      bucketSize: parseInt(bucket, 10) || undefined,
+      since,
+      until
+    });
+
+    if (req.query.format === 'csv') {
+      return csv.send(res, `lesson-${lesson._id}-retention.csv`, [
+        { key: 'start', label: 'Start (s)' },
+        { key: 'end', label: 'End (s)' },
+        { key: 'retention', label: 'Retention (%)' },
+        { key: 'viewers', label: 'Viewers' },
+        { key: 'views', label: 'Views' },
+        { key: 'rewatches', label: 'Rewatches' },
+        { key: 'rewinds', label: 'Rewinds' },
+        { key: 'dropOffs', label: 'Drop-offs' }
+      ], heatmap.buckets);
+    }
+
+    res.json({
+      lesson: {
+        id: lesson._id,
+        title: lesson.title,
+        duration: lesson.duration
+      },
+      timeframe,
+      heatmap
+    });
+  } catch (error) {
+    console.error('Get lesson heatmap error:', error);
+    res.status(500).json({
+      error: 'Failed to build heatmap',
+      message: 'An error occurred while building the lesson heatmap'
+    });
+  }
+});
+
+// @route   GET /api/analytics/course/:courseId/metrics/:view
+// @desc    Instructor course metrics (enrollments, activity, funnel, quizzes, revenue, ratings)
+//          for a date range, as JSON or CSV (?format=csv)
+// @access  Private (Course Instructor/Admin)
+router.get('/course/:courseId/metrics/:view', [
+  authenticateToken,
+  requireScope('analytics:read'),
+  requireInstructor,
+  validateObjectId('courseId')
+], async (req, res) => {
+  try {
+    const { view } = req.params;
+
+    if (!courseAnalytics.views.includes(view)) {
+      return res.status(404).json({
+        error: 'Unknown view',
+        message: `View must be one of: ${courseAnalytics.views.join(', ')}`
+      });
+    }
+
+    const range = courseAnalytics.parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: range.error
+      });
+    }
+
+    const course = await findInstructorCourse(req, res);
+    if (!course) return;
+
+    const result = await courseAnalytics.getView(view, course, range);
+
+    if (req.query.format === 'csv') {
+      const from = range.from.toISOString().slice(0, 10);
+      const to = range.to.toISOString().slice(0, 10);
+      return csv.send(res, `course-${course._id}-${view}-${from}-to-${to}.csv`, result.columns, result.rows);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get course metrics error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch course metrics',
+      message: 'An error occurred while fetching course metrics'
+    });
+  }
+});
+
+// @route   GET /api/analytics/course/:courseId/at-risk
+// @desc    Learners flagged as at risk by the nightly assessment, with reasons, as JSON or CSV (?format=csv)
+// @access  Private (Course Instructor/Admin)
+router.get('/course/:courseId/at-risk', [
+  authenticateToken,
+  requireScope('analytics:read'),
+  requireInstructor,
+  validateObjectId('courseId')
+], async (req, res) => {
+  try {
+    const course = await findInstructorCourse(req, res, 'instructor title');
+    if (!course) return;
+
+    const risks = (await learnerRisk.getCourseRisks(course._id)).filter(risk => risk.user);
+    const learners = risks.map(risk => ({
+      user: risk.user,
+      level: risk.level,
+      score: risk.score,
+      reasons: risk.reasons.map(({ code, message }) => ({ code, message })),
+      metrics: risk.metrics,
+      flaggedAt: risk.flaggedAt,
+      assessedAt: risk.assessedAt
+    }));
+
+    if (req.query.format === 'csv') {
+      const columns = [
+        { key: 'name', label: 'Learner' },
+        { key: 'email', label: 'Email' },
+        { key: 'level', label: 'Risk' },
+        { key: 'score', label: 'Score' },
+        { key: 'reasons', label: 'Reasons' },
+        { key: 'daysInactive', label: 'Days inactive' },
+        { key: 'overallProgress', label: 'Progress %' },
+        { key: 'recentQuizAverage', label: 'Recent quiz average %' },
+        { key: 'flaggedAt', label: 'Flagged since' }
+      ];
+      const rows = learners.map(learner => ({
+        name: learner.user.name,
+        email: learner.user.email,
+        level: learner.level,
+        score: learner.score,
+        reasons: learner.reasons.map(reason => reason.message).join('; '),
+        daysInactive: learner.metrics?.daysInactive,
+        overallProgress: learner.metrics?.overallProgress,
+        recentQuizAverage: learner.metrics?.recentQuizAverage,
+        flaggedAt: learner.flaggedAt
+      }));
+      return csv.send(res, `course-${course._id}-at-risk.csv`, columns, rows);
+    }
+
+    res.json({
+      learners,
+      assessedAt: learners[0]?.assessedAt || null
+    });
+  } catch (error) {
+    console.error('Get at-risk learners error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch at-risk learners',
+      message: 'An error occurred while fetching at-risk learners'
+    });
+  }
+});
+
+// @route   GET /api/analytics/course/:courseId/cohorts
+// @desc    Weekly retention of enrollment cohorts, as computed by the nightly job
+// @access  Private (Course Instructor/Admin)
+router.get('/course/:courseId/cohorts', [
+  authenticateToken,
+  requireScope('analytics:read'),
+  requireInstructor,
+  validateObjectId('courseId')
+], async (req, res) => {
+  try {
+    const course = await findInstructorCourse(req, res, 'instructor');
+    if (!course) return;
+
+    const cohorts = await cohortRetention.getCourseCohorts(course._id);
+
+    res.json({
+      cohorts: cohorts.map(({ cohort, size, weeks, computedAt }) => ({ cohort, size, weeks, computedAt }))
+    });
+  } catch (error) {
+    console.error('Get cohort retention error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cohort retention',
+      message: 'An error occurred while fetching cohort retention'
+    });
+  }
+});
+
+// @route   GET /api/analytics/course/:courseId/gradebook
+// @desc    Gradebook with one row per enrolled learner and per-lesson completion and quiz results,
+//          as JSON or as a download (?format=csv or ?format=xlsx)
+// @access  Private (Course Instructor/Admin)
+router.get('/course/:courseId/gradebook', [
+  authenticateToken,
+  requireScope('analytics:read'),
+  requireInstructor,
+  validateObjectId('courseId')
+], async (req, res) => {
+  try {
+    const course = await findInstructorCourse(req, res, 'instructor title sections');
+    if (!course) return;
+
+    const { lessons, columns, rows } = await gradebook.build(course);
+    const filename = `course-${course._id}-gradebook`;
+
+    if (req.query.format === 'csv') {
+      return csv.send(res, `${filename}.csv`, columns, rows);
+    }
+    if (req.query.format === 'xlsx') {
+      return xlsx.send(res, `${filename}.xlsx`, columns, rows, 'Gradebook');
+    }
+
+    res.json({ lessons, rows });
+  } catch (error) {
+    console.error('Get gradebook error:', error);
+    res.status(500).json({
+      error: 'Failed to build gradebook',
+      message: 'An error occurred while building the gradebook'
+    });
+  }
+});
+
 // @route   GET /api/analytics/reports/performance
 // @desc    Get performance report with AI insights
 // @access  Private
-router.get('/reports/performance', optionalAuth, async (req, res) => {
+router.get('/reports/performance', [authenticateToken, requireScope('reports:write')], async (req, res) => {
   try {
     const { course, timeframe = '7d' } = req.query;
-    const userId = req.user?._id || '507f1f77bcf86cd799439011';
-    
+
     // Generate comprehensive performance report with AI insights
     const report = await performanceAnalytics.generatePerformanceReport(
-      userId,
+      req.user._id,
       course,
       timeframe
     );
@@ -219,21 +538,29 @@ router.get('/reports/performance', optionalAuth, async (req, res) => {
 });
 
 // Helper functions
-function calculatePerformanceMetrics(analytics) {
-  const interactions = analytics.sessionData.interactions || [];
-  const videoProgress = analytics.sessionData.videoProgress || 0;
-  
-  // Calculate engagement score based on interactions
-  const engagementScore = Math.min(100, interactions.length * 10);
-  
-  // Calculate comprehension score (mock calculation)
-  const comprehensionScore = Math.min(100, videoProgress * 0.8 + engagementScore * 0.2);
-  
-  return {
-    comprehensionScore: Math.round(comprehensionScore),
-    engagementScore: Math.round(engagementScore),
-    completionRate: Math.round(videoProgress)
-  };
+
+// Load a course the current user teaches (or any course for admins); responds and returns null otherwise
+async function findInstructorCourse(req, res, select) {
+  const query = Course.findById(req.params.courseId);
+  const course = select ? await query.select(select) : await query;
+
+  if (!course) {
+    res.status(404).json({
+      error: 'Course not found',
+      message: 'The requested course does not exist'
+    });
+    return null;
+  }
+
+  if (!course.isInstructor(req.user) && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only view analytics for your own courses'
+    });
+    return null;
+  }
+
+  return course;
 }
 
 function generateAnalyticsSummary(analytics) {
@@ -247,8 +574,8 @@ function generateAnalyticsSummary(analytics) {
   }
 
   const totalSessions = analytics.length;
-  const totalEngagement = analytics.reduce((sum, a) => sum + (a.performance?.engagementScore || 0), 0);
-  const totalCompletion = analytics.reduce((sum, a) => sum + (a.performance?.completionRate || 0), 0);
+  const totalEngagement = analytics.reduce((sum, a) => sum + performanceAnalytics.getSessionScores(a).engagementScore, 0);
+  const totalCompletion = analytics.reduce((sum, a) => sum + performanceAnalytics.getSessionScores(a).completionRate, 0);
   const totalWatchTime = analytics.reduce((sum, a) => sum + (a.sessionData?.duration || 0), 0);
 
   return {
@@ -262,7 +589,7 @@ function generateAnalyticsSummary(analytics) {
 function generateCourseInsights(analytics) {
   const totalStudents = new Set(analytics.map(a => a.user._id.toString())).size;
   const averageCompletion = analytics.length > 0 
-    ? analytics.reduce((sum, a) => sum + (a.performance?.completionRate || 0), 0) / analytics.length
+    ? analytics.reduce((sum, a) => sum + performanceAnalytics.getSessionScores(a).completionRate, 0) / analytics.length
     : 0;
 
   const popularLessons = {};
@@ -0,0 +1,100 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { validateObjectId, validateApiKeyCreation } = require('../middleware/validation');
+
+const router = express.Router();
+
+const MAX_API_KEYS = 25;
+const DEFAULT_EXPIRY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys are managed from a signed-in session only, so a key can't mint broader keys
+router.use(authenticateToken, requireSession);
+
+// @route   GET /api/api-keys
+// @desc    Current user's API keys and the scopes a key can have
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      apiKeys: apiKeys.map(apiKey => apiKey.toPublicJSON()),
+      scopes: ApiKey.SCOPES
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to get API keys',
+      message: 'An error occurred while fetching your API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key; the key itself is only returned in this response
+// @access  Private
+router.post('/', validateApiKeyCreation, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    const count = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (count >= MAX_API_KEYS) {
+      return res.status(400).json({
+        error: 'Too many API keys',
+        message: `You can have at most ${MAX_API_KEYS} API keys. Revoke one first`
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate(req.user._id, {
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays) * DAY_MS)
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again',
+      apiKey: apiKey.toPublicJSON(),
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: 'An error occurred while creating the API key'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', validateObjectId('id'), async (req, res) => {
+  try {
+    const result = await ApiKey.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No active API key exists with this ID'
+      });
+    }
+
+    res.json({
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: 'An error occurred while revoking the API key'
+    });
+  }
+});
+
+module.exports = router;
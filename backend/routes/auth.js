@@ -2,19 +2,104 @@ const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
+const accountEmails = require('../services/accountEmails');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
 const { 
-  generateToken, 
-  generateRefreshToken, 
-  verifyRefreshToken,
-  authenticateToken 
+  authenticateToken,
+  requireScope,
+  requireSession,
+  generateChallengeToken,
+  verifyChallengeToken
 } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
-  validateUserLogin 
+  validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateTwoFactorCode
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+const FRONTEND_URL = process.env.NODE_ENV === 'production' 
+  ? 'https://your-domain.com' 
+  : 'http://localhost:3000';
+
+// User fields returned with a new token pair
+const authUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled
+});
+
+// Finish a sign-in: record it and start a session for this device
+const completeLogin = async (user, req) => {
+  user.lastLogin = new Date();
+  await user.save();
+  
+  const { token, refreshToken } = await sessions.create(user, req);
+  return { user: authUser(user), token, refreshToken };
+};
+
+// Accepts either an access token or, for users who must enroll before their first login
+// completes, the challenge token from /login
+const authenticateTokenOrChallenge = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+  
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken);
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+      throw new Error('Invalid challenge user');
+    }
+    
+    req.user = user;
+    req.loginChallenge = true;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: 'Invalid challenge',
+      message: 'Your sign-in has expired. Please login again'
+    });
+  }
+};
+
+// Wrong codes are 400s so clients don't treat them as an expired login
+const TWO_FACTOR_ERRORS = {
+  invalid_code: {
+    status: 400,
+    error: 'Invalid code',
+    message: 'The code is incorrect or has already been used'
+  },
+  locked: {
+    status: 429,
+    error: 'Too many attempts',
+    message: 'Too many incorrect codes. Please try again in 15 minutes'
+  },
+  no_setup: {
+    status: 400,
+    error: 'Setup not started',
+    message: 'Start two-factor setup before confirming a code'
+  },
+  not_enabled: {
+    status: 400,
+    error: 'Two-factor not enabled',
+    message: 'Two-factor authentication is not enabled for this account'
+  }
+};
+
+const sendTwoFactorError = (res, result) => {
+  const { status, ...body } = TWO_FACTOR_ERRORS[result.error];
+  res.status(status).json({ ...body, ...(result.retryAt && { retryAt: result.retryAt }) });
+};
+
 // Configure Google OAuth Strategy
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
@@ -40,6 +125,11 @@ passport.use(new GoogleStrategy({
       user.googleId = profile.id;
       user.avatar = user.avatar || profile.photos[0].value;
       user.lastLogin = new Date();
+      // Google has verified the address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
       await user.save();
       return done(null, user);
     }
@@ -50,6 +140,8 @@ passport.use(new GoogleStrategy({
       name: profile.displayName,
       email: profile.emails[0].value,
       avatar: profile.photos[0].value,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
       lastLogin: new Date()
     });
     
@@ -99,19 +191,19 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     
     await user.save();
     
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Registration still succeeds if the email can't be sent; the user can ask for another
+    try {
+      await accountEmails.sendVerification(user);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+    
+    // Start a session for this device
+    const { token, refreshToken } = await sessions.create(user, req);
     
     res.status(201).json({
       message: 'User registered successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      },
+      user: authUser(user),
       token,
       refreshToken
     });
@@ -157,25 +249,19 @@ router.post('/login', validateUserLogin, async (req, res) => {
       });
     }
     
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-    
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // No tokens until the second factor is checked (or set up, if it is required)
+    if (twoFactor.needsChallenge(user)) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactor.enabled,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
     
     res.json({
       message: 'Login successful',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      },
-      token,
-      refreshToken
+      ...(await completeLogin(user, req))
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -200,25 +286,30 @@ router.post('/refresh', async (req, res) => {
       });
     }
     
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    // Rotate: the presented token is used up and a new pair is issued for the same session
+    const result = await sessions.rotate(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: result.error === 'reuse'
+          ? 'This session was ended for your security. Please login again'
+          : 'Please login again'
+      });
+    }
     
     // Check if user still exists
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(result.session.user);
     if (!user || !user.isActive) {
+      await sessions.revoke(result.session.sid, 'revoked');
       return res.status(401).json({
         error: 'Invalid refresh token',
         message: 'User not found or account deactivated'
       });
     }
     
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
-    
     res.json({
-      token: newToken,
-      refreshToken: newRefreshToken
+      token: result.token,
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     console.error('Token refresh error:', error);
@@ -243,19 +334,21 @@ router.get('/google/callback',
   passport.authenticate('google', { session: false }),
   async (req, res) => {
     try {
-      // Generate tokens
-      const token = generateToken(req.user._id);
-      const refreshToken = generateRefreshToken(req.user._id);
+      // Finish on the login page when a second factor is needed
+      if (twoFactor.needsChallenge(req.user)) {
+        const challengeToken = generateChallengeToken(req.user._id);
+        const setup = req.user.twoFactor.enabled ? '0' : '1';
+        return res.redirect(`${FRONTEND_URL}/login?challenge=${challengeToken}&setup=${setup}`);
+      }
       
-      // Redirect to frontend with tokens
-      const frontendURL = process.env.NODE_ENV === 'production' 
-        ? 'https://your-domain.com' 
-        : 'http://localhost:3000';
+      // Start a session for this device
+      const { token, refreshToken } = await sessions.create(req.user, req);
       
-      res.redirect(`${frontendURL}/auth/callback?token=${token}&refreshToken=${refreshToken}`);
+      // Redirect to frontend with tokens
+      res.redirect(`${FRONTEND_URL}/auth/callback?token=${token}&refreshToken=${refreshToken}`);
     } catch (error) {
       console.error('Google OAuth callback error:', error);
-      res.redirect(`${frontendURL}/auth/error`);
+      res.redirect(`${FRONTEND_URL}/auth/error`);
     }
   }
 );
@@ -263,7 +356,7 @@ router.get('/google/callback',
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', [authenticateToken, requireScope('profile:read')], async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('enrolledCourses.course', 'title thumbnail')
@@ -275,6 +368,8 @@ router.get('/me', authenticateToken, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         role: user.role,
         avatar: user.avatar,
         bio: user.bio,
@@ -297,24 +392,403 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    const user = token ? await accountEmails.verifyEmail(token) : null;
+    
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      message: 'Email verified successfully',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Verification failed',
+      message: 'An error occurred while verifying your email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send another verification email to the current user
+// @access  Private
+router.post('/resend-verification', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+    
+    if (!(await accountEmails.canResend(req.user._id, 'email_verification'))) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'Please wait a minute before requesting another email'
+      });
+    }
+    
+    await accountEmails.sendVerification(req.user);
+    
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send email',
+      message: 'An error occurred while sending the verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Same response whether or not the account exists, so emails can't be probed
+    if (user && user.isActive && await accountEmails.canResend(user._id, 'password_reset')) {
+      await accountEmails.sendPasswordReset(user);
+    }
+    
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to send email',
+      message: 'An error occurred while sending the password reset email'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const user = await accountEmails.resetPassword(token, password);
+    
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      message: 'Password reset successfully. Please login with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'An error occurred while resetting your password'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+// @access  Public
+router.post('/2fa/verify', validateTwoFactorCode, async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your sign-in has expired. Please login again'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your sign-in has expired. Please login again'
+      });
+    }
+    
+    const result = await twoFactor.verify(user, req.body.code);
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+    
+    res.json({
+      message: 'Login successful',
+      ...(await completeLogin(user, req)),
+      ...(result.method === 'recovery' && {
+        recoveryCodesRemaining: await twoFactor.countRecoveryCodes(user._id)
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/2fa', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    res.json({
+      ...twoFactor.getStatus(req.user),
+      recoveryCodesRemaining: await twoFactor.countRecoveryCodes(req.user._id)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to get two-factor status',
+      message: 'An error occurred while fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a secret and QR code for an authenticator app
+// @access  Private (or login challenge when 2FA is required)
+router.post('/2fa/setup', [authenticateTokenOrChallenge, requireSession], async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor already enabled',
+        message: 'Disable two-factor authentication before setting it up again'
+      });
+    }
+    
+    const setup = await twoFactor.startSetup(req.user);
+    
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm a code',
+      ...setup
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'An error occurred while setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm a code from the new secret and turn 2FA on; completes the login when called with a challenge
+// @access  Private (or login challenge when 2FA is required)
+router.post('/2fa/enable', [authenticateTokenOrChallenge, requireSession, validateTwoFactorCode], async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const result = await twoFactor.enable(req.user, req.body.code);
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+    
+    if (!req.loginChallenge) {
+      return res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: result.recoveryCodes
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: result.recoveryCodes,
+      ...(await completeLogin(user, req))
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'An error occurred while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (needs a current code, and the password for password accounts)
+// @access  Private
+router.post('/2fa/disable', [authenticateToken, requireSession, validateTwoFactorCode], async (req, res) => {
+  try {
+    if (twoFactor.isRequired(req.user)) {
+      return res.status(403).json({
+        error: 'Two-factor required',
+        message: 'Two-factor authentication is required for your account and cannot be disabled'
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+    
+    const result = await twoFactor.verify(user, req.body.code);
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+    
+    await twoFactor.disable(user);
+    
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor',
+      message: 'An error occurred while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (needs a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', [authenticateToken, requireSession, validateTwoFactorCode], async (req, res) => {
+  try {
+    const result = await twoFactor.verify(req.user, req.body.code);
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+    
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work',
+      recoveryCodes: await twoFactor.regenerateRecoveryCodes(req.user)
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes',
+      message: 'An error occurred while generating recovery codes'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (ends the current session)
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a JWT-based system, logout is typically handled client-side
-  // by removing the token from storage. Server-side logout would require
-  // token blacklisting, which can be implemented if needed.
-  
-  res.json({
-    message: 'Logout successful',
-    instructions: 'Please remove the token from client storage'
-  });
+router.post('/logout', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    await sessions.revoke(req.sessionId, 'logout');
+    
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout from every device, including this one
+// @access  Private
+router.post('/logout-all', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const count = await sessions.revokeAll(req.user._id, 'logout_all');
+    
+    res.json({
+      message: 'Logged out from all devices',
+      count
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred while logging out from all devices'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices the current user is logged in on
+// @access  Private
+router.get('/sessions', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const active = await sessions.listActive(req.user._id);
+    
+    res.json({
+      sessions: active.map(session => ({
+        id: session.sid,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.sid === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to get sessions',
+      message: 'An error occurred while fetching your sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Logout a single device
+// @access  Private
+router.delete('/sessions/:sessionId', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const revoked = await sessions.revoke(String(req.params.sessionId), 'revoked', req.user._id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No active session exists with this ID'
+      });
+    }
+    
+    res.json({
+      message: 'Session ended',
+      current: req.params.sessionId === req.sessionId
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to end session',
+      message: 'An error occurred while ending the session'
+    });
+  }
 });
 
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', [authenticateToken, requireSession], async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
@@ -347,8 +821,14 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every device, then give this one a fresh session
+    await sessions.revokeAll(user._id, 'password_changed');
+    const { token, refreshToken } = await sessions.create(user, req);
+    
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Change password error:', error);
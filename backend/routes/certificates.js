@@ -0,0 +1,95 @@
+const express = require('express');
+const Certificate = require('../models/Certificate');
+const certificateService = require('../services/certificateService');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/certificates
+// @desc    List the current user's certificates
+// @access  Private
+router.get('/', [authenticateToken, requireScope('certificates:read')], async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ user: req.user._id })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      certificates: certificates.map(certificate => ({
+        ...certificate.toPublicJSON(),
+        course: certificate.course,
+        verificationUrl: certificateService.getVerificationUrl(certificate.serial)
+      }))
+    });
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({
+      error: 'Failed to get certificates',
+      message: 'An error occurred while fetching certificates'
+    });
+  }
+});
+
+// @route   GET /api/certificates/verify/:serial
+// @desc    Check a certificate by serial number
+// @access  Public
+router.get('/verify/:serial', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      serial: String(req.params.serial).trim().toUpperCase()
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'No certificate exists with this ID'
+      });
+    }
+
+    res.json({ certificate: certificate.toPublicJSON() });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to verify certificate',
+      message: 'An error occurred while verifying the certificate'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:serial/download
+// @desc    Download a certificate as PDF
+// @access  Private (Owner/Admin)
+router.get('/:serial/download', [authenticateToken, requireScope('certificates:read')], async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      serial: String(req.params.serial).trim().toUpperCase()
+    });
+
+    if (!certificate ||
+        (certificate.user.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'No certificate exists with this ID'
+      });
+    }
+
+    if (!certificate.isValid()) {
+      return res.status(410).json({
+        error: 'Certificate revoked',
+        message: 'This certificate has been revoked'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.serial}.pdf"`);
+
+    certificateService.renderPDF(certificate).pipe(res);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to download certificate',
+      message: 'An error occurred while generating the certificate'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const paymentService = require('../services/paymentService');
+const { authenticateToken, requireScope, requireInstructor, optionalAuth } = require('../middleware/auth');
+const { validateCouponCreation, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon code against a course and return the discounted price
+// @access  Public
+router.post('/validate', [optionalAuth, requireScope('courses:read')], async (req, res) => {
+  try {
+    const { code, courseId } = req.body;
+
+    const course = courseId && /^[0-9a-fA-F]{24}$/.test(courseId)
+      ? await Course.findById(courseId)
+      : null;
+
+    if (!course || course.status !== 'published') {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'The requested course does not exist'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Invalid coupon',
+        message: 'Please enter a coupon code'
+      });
+    }
+
+    const quote = await paymentService.quote(course, code);
+    if (quote.error) {
+      return res.status(400).json({
+        error: 'Invalid coupon',
+        message: quote.error
+      });
+    }
+
+    res.json({
+      coupon: {
+        code: quote.coupon.code,
+        type: quote.coupon.type,
+        value: quote.coupon.value,
+        description: quote.coupon.description,
+        expiresAt: quote.coupon.expiresAt
+      },
+      // Minor units, as on orders
+      currency: quote.currency,
+      listPrice: quote.listPrice,
+      discount: quote.discount,
+      amount: quote.amount
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      error: 'Failed to validate coupon',
+      message: 'An error occurred while checking the coupon'
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    List coupons created by the current user (all coupons for admins)
+// @access  Private (Instructor/Admin)
+router.get('/', [authenticateToken, requireScope('courses:read'), requireInstructor], async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { createdBy: req.user._id };
+    if (req.query.course && /^[0-9a-fA-F]{24}$/.test(req.query.course)) {
+      filter.course = req.query.course;
+    }
+
+    const coupons = await Coupon.find(filter)
+      .populate('course', 'title')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({ coupons });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      error: 'Failed to get coupons',
+      message: 'An error occurred while fetching coupons'
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon for a course, for all of an instructor's courses, or site-wide (admin)
+// @access  Private (Instructor/Admin)
+router.post('/', [authenticateToken, requireScope('courses:write'), requireInstructor, validateCouponCreation], async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const { code, description, type, value, scope, startsAt, expiresAt, maxRedemptions } = req.body;
+
+    const coupon = new Coupon({
+      code,
+      description,
+      type,
+      value,
+      scope,
+      startsAt,
+      expiresAt,
+      maxRedemptions,
+      createdBy: req.user._id
+    });
+
+    if (scope === 'global' && !isAdmin) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only admins can create site-wide coupons'
+      });
+    }
+
+    if (scope === 'course') {
+      const course = req.body.course ? await Course.findById(req.body.course) : null;
+
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'The requested course does not exist'
+        });
+      }
+
+      if (!course.isInstructor(req.user) && !isAdmin) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only create coupons for your own courses'
+        });
+      }
+
+      coupon.course = course._id;
+      coupon.currency = course.currency;
+    }
+
+    if (scope === 'instructor') {
+      coupon.instructor = isAdmin && req.body.instructor ? req.body.instructor : req.user._id;
+    }
+
+    if (type === 'fixed' && !coupon.currency) {
+      coupon.currency = req.body.currency || 'USD';
+    }
+
+    await coupon.save();
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Coupon exists',
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      error: 'Failed to create coupon',
+      message: 'An error occurred while creating the coupon'
+    });
+  }
+});
+
+// @route   PATCH /api/coupons/:id
+// @desc    Deactivate a coupon or change its expiry and redemption limit
+// @access  Private (Creator/Admin)
+router.patch('/:id', [authenticateToken, requireScope('courses:write'), requireInstructor, validateObjectId('id')], async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon || !coupon.isManagedBy(req.user)) {
+      return res.status(404).json({
+        error: 'Coupon not found',
+        message: 'The requested coupon does not exist'
+      });
+    }
+
+    ['description', 'isActive', 'startsAt', 'expiresAt', 'maxRedemptions'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    await coupon.save();
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      error: 'Failed to update coupon',
+      message: 'An error occurred while updating the coupon'
+    });
+  }
+});
+
+module.exports = router;
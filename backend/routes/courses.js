@@ -4,9 +4,17 @@ const path = require('path');
 const fs = require('fs').promises;
 const Course = require('../models/Course');
 const User = require('../models/User');
-const Progress = require('../models/Progress');
+const VideoAsset = require('../models/VideoAsset');
+const Job = require('../models/Job');
+const UploadSession = require('../models/UploadSession');
+const quizService = require('../services/quizService');
+const mediaProcessing = require('../services/mediaProcessing');
+const chunkedUpload = require('../services/chunkedUpload');
+const streamSigner = require('../services/streamSigner');
+const enrollmentService = require('../services/enrollmentService');
 const { 
   authenticateToken, 
+  requireScope, 
   requireInstructor, 
   optionalAuth 
 } = require('../middleware/auth');
@@ -57,8 +65,8 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     if (file.fieldname === 'video') {
-      // Accept video files
-      if (file.mimetype.startsWith('video/')) {
+      // Accept video files, stored under an extension /videos serves as video
+      if (file.mimetype.startsWith('video/') && chunkedUpload.videoExtension(file.originalname)) {
         cb(null, true);
       } else {
         cb(new Error('Only video files are allowed for video uploads'));
@@ -179,7 +187,7 @@ router.get('/', [validatePagination, validateCourseFilters], async (req, res) =>
 // @route   GET /api/courses/:id
 // @desc    Get course by ID
 // @access  Public
-router.get('/:id', validateObjectId('id'), optionalAuth, async (req, res) => {
+router.get('/:id', validateObjectId('id'), optionalAuth, requireScope('courses:read'), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('instructor', 'name avatar bio')
@@ -193,28 +201,12 @@ router.get('/:id', validateObjectId('id'), optionalAuth, async (req, res) => {
     }
     
     // Check if user has access to full content
-    let hasAccess = false;
-    let userProgress = null;
-    
-    if (req.user) {
-      // Check if user is enrolled or is the instructor
-      const isInstructor = course.instructor._id.toString() === req.user._id.toString();
-      const isEnrolled = req.user.enrolledCourses.some(
-        enrollment => enrollment.course.toString() === course._id.toString()
-      );
-      
-      hasAccess = isInstructor || isEnrolled || course.price === 0;
-      
-      if (isEnrolled) {
-        userProgress = await Progress.findOne({
-          user: req.user._id,
-          course: course._id
-        });
-      }
-    }
+    const hasAccess = course.hasUserAccess(req.user);
+    const canEdit = course.isInstructor(req.user) || req.user?.role === 'admin';
     
     // Filter content based on access
     const courseData = course.toObject();
+    courseData.isEnrolled = req.user ? enrollmentService.isEnrolled(req.user, course._id) : false;
     
     if (!hasAccess) {
       // Only show preview lessons and basic info
@@ -224,6 +216,19 @@ router.get('/:id', validateObjectId('id'), optionalAuth, async (req, res) => {
       }));
     }
     
+    if (!canEdit) {
+      // Quizzes are graded server-side, never send answers to students
+      courseData.sections.forEach(section => {
+        section.lessons.forEach(lesson => {
+          if (lesson.quiz) {
+            lesson.quiz.questions = quizService.sanitizeQuestions(lesson.quiz.questions || []);
+          }
+        });
+      });
+    }
+    
+    await mediaProcessing.attachStreamingInfo(courseData);
+    
     res.json(courseData);
   } catch (error) {
     console.error('Get course error:', error);
@@ -234,10 +239,92 @@ router.get('/:id', validateObjectId('id'), optionalAuth, async (req, res) => {
   }
 });
 
+// Lessons may only use videos uploaded by the course instructor; sends the error response otherwise
+const rejectForeignVideos = async (course, res, lessons) => {
+  const foreign = await mediaProcessing.findForeignVideos(course, lessons);
+  if (foreign.length === 0) return false;
+
+  res.status(403).json({
+    error: 'Video not allowed',
+    message: 'Lessons can only use videos uploaded by the course instructor',
+    videoIds: foreign
+  });
+  return true;
+};
+
+// @route   GET /api/courses/:id/lessons/:lessonId/stream-url
+// @desc    Issue short-lived signed URLs for a lesson's video, poster and preview sprite
+// @access  Public for preview lessons, otherwise enrolled users and the instructor
+router.get('/:id/lessons/:lessonId/stream-url', [
+  validateObjectId('id'),
+  validateObjectId('lessonId'),
+  optionalAuth,
+  requireScope('courses:read')
+], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    const found = course && quizService.findLesson(course, req.params.lessonId);
+    
+    if (!found) {
+      return res.status(404).json({
+        error: 'Lesson not found',
+        message: 'The requested lesson does not exist'
+      });
+    }
+    
+    const { lesson } = found;
+    const hasAccess = lesson.isPreview || course.hasUserAccess(req.user) || req.user?.role === 'admin';
+    
+    if (!hasAccess) {
+      return res.status(req.user ? 403 : 401).json({
+        error: 'Access denied',
+        message: 'Enroll in this course to watch this lesson'
+      });
+    }
+    
+    const videoId = VideoAsset.videoIdFromUrl(lesson.videoUrl);
+    
+    if (!videoId) {
+      // External videos (or none at all) are not ours to sign
+      return res.json({
+        src: lesson.videoUrl || null,
+        fallbackSrc: lesson.videoUrl || null,
+        expiresAt: null
+      });
+    }
+    
+    if (await rejectForeignVideos(course, res, [lesson])) return;
+    
+    const asset = await VideoAsset.findOne({ videoId });
+    const { token, expiresAt } = streamSigner.sign(videoId, {
+      userId: req.user?._id,
+      duration: lesson.duration
+    });
+    const hlsUrl = asset ? asset.getHlsUrl() : null;
+    const media = lesson.toObject().media || {};
+    
+    res.json({
+      src: streamSigner.toSignedUrl(token, hlsUrl || lesson.videoUrl),
+      fallbackSrc: streamSigner.toSignedUrl(token, lesson.videoUrl),
+      posterUrl: streamSigner.toSignedUrl(token, media.posterUrl) || null,
+      sprite: media.sprite?.url
+        ? { ...media.sprite, url: streamSigner.toSignedUrl(token, media.sprite.url) }
+        : null,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Stream URL error:', error);
+    res.status(500).json({
+      error: 'Failed to create stream URL',
+      message: 'An error occurred while preparing the video'
+    });
+  }
+});
+
 // @route   POST /api/courses
 // @desc    Create a new course
 // @access  Private (Instructor)
-router.post('/', [authenticateToken, requireInstructor], async (req, res) => {
+router.post('/', [authenticateToken, requireScope('courses:write'), requireInstructor], async (req, res) => {
   try {
     console.log('Course creation request body:', req.body);
     console.log('User:', req.user);
@@ -248,6 +335,9 @@ router.post('/', [authenticateToken, requireInstructor], async (req, res) => {
     };
     
     const course = new Course(courseData);
+    if (await rejectForeignVideos(course, res)) return;
+    // Lessons may point at videos whose metadata was extracted after upload
+    await mediaProcessing.applyAssetMetadata(course);
     await course.save();
     
     // Add course to instructor's created courses
@@ -275,6 +365,7 @@ router.post('/', [authenticateToken, requireInstructor], async (req, res) => {
 // @access  Private (Instructor/Owner)
 router.put('/:id', [
   authenticateToken, 
+  requireScope('courses:write'), 
   requireInstructor, 
   validateObjectId('id'), 
   validateCourseUpdate
@@ -305,6 +396,9 @@ router.put('/:id', [
       course.publishedAt = new Date();
     }
     
+    if (await rejectForeignVideos(course, res)) return;
+    
+    await mediaProcessing.applyAssetMetadata(course);
     await course.save();
     await course.populate('instructor', 'name avatar');
     
@@ -326,6 +420,7 @@ router.put('/:id', [
 // @access  Private (Instructor/Owner)
 router.delete('/:id', [
   authenticateToken, 
+  requireScope('courses:write'), 
   requireInstructor, 
   validateObjectId('id')
 ], async (req, res) => {
@@ -377,7 +472,7 @@ router.delete('/:id', [
 // @route   POST /api/courses/:id/enroll
 // @desc    Enroll in a course
 // @access  Private
-router.post('/:id/enroll', [authenticateToken, validateObjectId('id')], async (req, res) => {
+router.post('/:id/enroll', [authenticateToken, requireScope('enrollments:write'), validateObjectId('id')], async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -396,40 +491,26 @@ router.post('/:id/enroll', [authenticateToken, validateObjectId('id')], async (r
     }
     
     // Check if already enrolled
-    const alreadyEnrolled = req.user.enrolledCourses.some(
-      enrollment => enrollment.course.toString() === course._id.toString()
-    );
-    
-    if (alreadyEnrolled) {
+    if (enrollmentService.isEnrolled(req.user, course._id)) {
       return res.status(400).json({
         error: 'Already enrolled',
         message: 'You are already enrolled in this course'
       });
     }
     
-    // For paid courses, you would implement payment processing here
+    // Paid courses are enrolled by the payment webhook once checkout succeeds
     if (course.price > 0) {
-      // TODO: Implement payment processing
-      return res.status(400).json({
+      return res.status(402).json({
         error: 'Payment required',
-        message: 'Payment processing not implemented yet'
+        message: 'Purchase this course to enroll',
+        price: course.price,
+        originalPrice: course.originalPrice,
+        currency: course.currency,
+        checkout: '/api/payments/checkout'
       });
     }
     
-    // Enroll user
-    req.user.enrollInCourse(course._id);
-    await req.user.save();
-    
-    // Create progress tracking
-    const progress = new Progress({
-      user: req.user._id,
-      course: course._id
-    });
-    await progress.save();
-    
-    // Update course enrollment count
-    course.enrollmentCount += 1;
-    await course.save();
+    await enrollmentService.enroll(req.user, course);
     
     res.json({
       message: 'Successfully enrolled in course',
@@ -453,6 +534,7 @@ router.post('/:id/enroll', [authenticateToken, validateObjectId('id')], async (r
 // @access  Private
 router.post('/:id/reviews', [
   authenticateToken, 
+  requireScope('enrollments:write'), 
   validateObjectId('id'), 
   validateReview
 ], async (req, res) => {
@@ -521,6 +603,7 @@ router.post('/:id/reviews', [
 // @access  Private (Instructor)
 router.post('/upload-video', [
   authenticateToken,
+  requireScope('courses:write'),
   requireInstructor
 ], upload.single('video'), async (req, res) => {
   try {
@@ -532,13 +615,15 @@ router.post('/upload-video', [
     }
     
     const videoUrl = `/videos/${req.file.filename}`;
+    const processing = await mediaProcessing.queueVideoProcessing(req.file.filename, req.user._id);
     
     res.json({
       message: 'Video uploaded successfully',
       videoUrl,
       filename: req.file.filename,
       size: req.file.size,
-      uploadId: req.file.filename
+      uploadId: req.file.filename,
+      jobs: processing.jobs
     });
   } catch (error) {
     console.error('Upload video error:', error);
@@ -549,29 +634,292 @@ router.post('/upload-video', [
   }
 });
 
+// @route   POST /api/courses/uploads
+// @desc    Start a resumable chunked video upload
+// @access  Private (Instructor)
+router.post('/uploads', [authenticateToken, requireScope('courses:write'), requireInstructor], async (req, res) => {
+  try {
+    const { filename, size, mimeType, chunkSize } = req.body;
+
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: 'A file name is required'
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: 'File size must be a positive number of bytes'
+      });
+    }
+
+    if (size > chunkedUpload.maxUploadSize) {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Videos can be at most ${Math.floor(chunkedUpload.maxUploadSize / (1024 * 1024))}MB`
+      });
+    }
+
+    if (!mimeType || !mimeType.startsWith('video/') || !chunkedUpload.videoExtension(filename)) {
+      return res.status(400).json({
+        error: 'Invalid file type',
+        message: `Only ${chunkedUpload.videoExtensions.join(', ')} videos can be uploaded`
+      });
+    }
+
+    if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize <= 0)) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: 'Chunk size must be a positive number of bytes'
+      });
+    }
+
+    const session = await chunkedUpload.createSession(req.user, { filename, size, mimeType, chunkSize });
+
+    res.status(201).json({
+      message: 'Upload session created',
+      upload: session.toStatus(),
+      maxChunkSize: chunkedUpload.maxChunkSize,
+      checksumAlgorithms: chunkedUpload.checksumAlgorithms
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      error: 'Failed to start upload',
+      message: 'An error occurred while starting the upload'
+    });
+  }
+});
+
+// Find a session the current user may write to; sends the error response otherwise
+const findUploadSession = async (req, res) => {
+  const session = await UploadSession.findById(req.params.uploadId);
+
+  if (!session || !session.isOwnedBy(req.user)) {
+    res.status(404).json({
+      error: 'Upload not found',
+      message: 'The requested upload does not exist'
+    });
+    return null;
+  }
+
+  if (session.isExpired() || session.status === 'aborted') {
+    res.status(410).json({
+      error: 'Upload expired',
+      message: 'This upload is no longer available, please start again'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// @route   PATCH /api/courses/uploads/:uploadId
+// @desc    Append a chunk at Upload-Offset; verified against Upload-Checksum
+// @access  Private (Instructor)
+router.patch('/uploads/:uploadId', [
+  authenticateToken,
+  requireScope('courses:write'),
+  requireInstructor,
+  validateObjectId('uploadId'),
+  express.raw({ type: 'application/offset+octet-stream', limit: chunkedUpload.maxChunkSize })
+], async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        error: 'Upload already completed',
+        message: 'All bytes for this upload have been received',
+        bytesReceived: session.bytesReceived
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(415).json({
+        error: 'Invalid chunk',
+        message: 'Chunks must be sent as application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+
+    // The client is out of sync (e.g. after a reconnect); it should resume from bytesReceived
+    if (offset !== session.bytesReceived) {
+      res.set('Upload-Offset', session.bytesReceived);
+      return res.status(409).json({
+        error: 'Offset mismatch',
+        message: 'Resume the upload from the offset the server has received',
+        bytesReceived: session.bytesReceived
+      });
+    }
+
+    if (offset + req.body.length > session.size) {
+      return res.status(400).json({
+        error: 'Invalid chunk',
+        message: 'Chunk extends past the declared file size'
+      });
+    }
+
+    // 460 is the tus status code for a checksum mismatch
+    if (!chunkedUpload.verifyChecksum(req.body, req.get('Upload-Checksum'))) {
+      return res.status(460).json({
+        error: 'Checksum mismatch',
+        message: 'The chunk was corrupted in transit, please resend it',
+        bytesReceived: session.bytesReceived
+      });
+    }
+
+    const updated = await chunkedUpload.writeChunk(session, req.body);
+
+    if (!updated) {
+      const current = await UploadSession.findById(session._id);
+      res.set('Upload-Offset', current.bytesReceived);
+      return res.status(409).json({
+        error: 'Offset mismatch',
+        message: 'Another request wrote to this upload, resume from bytesReceived',
+        bytesReceived: current.bytesReceived
+      });
+    }
+
+    res.set('Upload-Offset', updated.bytesReceived);
+
+    if (updated.bytesReceived < updated.size) {
+      return res.json({ upload: updated.toStatus() });
+    }
+
+    const { processing } = await chunkedUpload.complete(updated);
+
+    res.json({
+      message: 'Video uploaded successfully',
+      upload: updated.toStatus(),
+      videoUrl: `/videos/${updated.videoId}`,
+      filename: updated.videoId,
+      size: updated.size,
+      uploadId: updated._id,
+      jobs: processing.jobs
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      error: 'Failed to upload chunk',
+      message: 'An error occurred while saving the chunk'
+    });
+  }
+});
+
+// @route   DELETE /api/courses/uploads/:uploadId
+// @desc    Cancel a chunked upload
+// @access  Private (Instructor)
+router.delete('/uploads/:uploadId', [
+  authenticateToken,
+  requireScope('courses:write'),
+  requireInstructor,
+  validateObjectId('uploadId')
+], async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        error: 'Upload already completed',
+        message: 'Completed uploads cannot be cancelled'
+      });
+    }
+
+    await chunkedUpload.abort(session);
+
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel upload',
+      message: 'An error occurred while cancelling the upload'
+    });
+  }
+});
+
 // @route   GET /api/courses/upload-status/:uploadId
-// @desc    Get upload status
+// @desc    Get bytes received for a chunked upload, then its processing (metadata/HLS) status
+//          uploadId is an upload session id, or a file name from the single-request endpoints
 // @access  Private (Instructor)
-router.get('/upload-status/:uploadId', [authenticateToken, requireInstructor], async (req, res) => {
+router.get('/upload-status/:uploadId', [authenticateToken, requireScope('courses:read'), requireInstructor], async (req, res) => {
   try {
-    const { uploadId } = req.params;
-    
-    // Check if file exists
-    const videoPath = path.join(__dirname, '../../videos', uploadId);
-    
+    let videoId = path.basename(req.params.uploadId);
+
+    if (/^[0-9a-fA-F]{24}$/.test(videoId)) {
+      const session = await UploadSession.findById(videoId);
+
+      if (!session || !session.isOwnedBy(req.user)) {
+        return res.status(404).json({
+          error: 'Upload not found',
+          message: 'The requested upload does not exist'
+        });
+      }
+
+      if (session.status !== 'completed') {
+        return res.json(session.toStatus());
+      }
+
+      videoId = session.videoId;
+    }
+
+    const videoPath = path.join(__dirname, '../../videos', videoId);
+    let stats;
+
     try {
-      await fs.access(videoPath);
-      res.json({
-        status: 'completed',
-        videoUrl: `/videos/${uploadId}`,
-        stage: 'Processing complete'
-      });
+      stats = await fs.stat(videoPath);
     } catch (error) {
-      res.json({
+      return res.json({
         status: 'error',
         message: 'File not found'
       });
     }
+
+    const videoUrl = `/videos/${videoId}`;
+    const asset = await VideoAsset.findOne({ videoId });
+    const received = {
+      size: stats.size,
+      bytesReceived: stats.size
+    };
+    
+    // Uploaders can watch their own video before it is attached to a lesson
+    const canPreview = asset && (
+      req.user.role === 'admin' || (asset.uploadedBy && asset.uploadedBy.equals(req.user._id))
+    );
+    if (canPreview) {
+      const { token } = streamSigner.sign(videoId, { userId: req.user._id });
+      received.previewUrl = streamSigner.toSignedUrl(token, videoUrl);
+    }
+
+    if (asset && ['pending', 'processing'].includes(asset.hls.status)) {
+      const job = asset.hls.job ? await Job.findById(asset.hls.job) : null;
+
+      return res.json({
+        status: 'processing',
+        videoUrl,
+        ...received,
+        stage: job && job.status === 'running'
+          ? `Optimizing for streaming (${job.progress.percent}%)`
+          : 'Waiting to optimize for streaming',
+        progress: job ? job.progress.percent : 0
+      });
+    }
+
+    // The original upload stays playable even if transcoding failed
+    res.json({
+      status: 'completed',
+      videoUrl,
+      ...received,
+      stage: 'Processing complete',
+      streaming: asset ? asset.toStreamingInfo() : null,
+      duration: asset && asset.metadata.status === 'ready' ? asset.metadata.duration : null,
+      media: asset ? asset.toLessonMedia() : null
+    });
   } catch (error) {
     console.error('Upload status error:', error);
     res.status(500).json({
@@ -586,6 +934,7 @@ router.get('/upload-status/:uploadId', [authenticateToken, requireInstructor], a
 // @access  Private (Instructor)
 router.post('/:id/upload-video', [
   authenticateToken,
+  requireScope('courses:write'),
   requireInstructor,
   validateObjectId('id')
 ], upload.single('video'), async (req, res) => {
@@ -615,13 +964,15 @@ router.post('/:id/upload-video', [
     }
     
     const videoUrl = `/videos/${req.file.filename}`;
+    const processing = await mediaProcessing.queueVideoProcessing(req.file.filename, req.user._id);
     
     res.json({
       message: 'Video uploaded successfully',
       videoUrl,
       filename: req.file.filename,
       size: req.file.size,
-      uploadId: req.file.filename // For tracking upload status
+      uploadId: req.file.filename, // For tracking upload status
+      jobs: processing.jobs
     });
   } catch (error) {
     console.error('Upload video error:', error);
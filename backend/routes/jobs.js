@@ -0,0 +1,47 @@
+const express = require('express');
+const Job = require('../models/Job');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/jobs/:id
+// @desc    Get background job status, progress and result
+// @access  Private (job owner or admin)
+router.get('/:id', [authenticateToken, requireScope('jobs:read'), validateObjectId('id')], async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job || !job.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'Job not found or access denied'
+      });
+    }
+
+    res.json({
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextRunAt: job.status === 'queued' ? job.runAt : undefined,
+        result: job.status === 'completed' ? job.result : undefined,
+        error: job.lastError,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to get job',
+      message: 'An error occurred while fetching the job status'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const Note = require('../models/Note');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, requireScope, optionalAuth } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -8,7 +8,7 @@ const router = express.Router();
 // @route   GET /api/notes
 // @desc    Get user's notes for a course or lesson
 // @access  Private
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', [optionalAuth, requireScope('notes:read')], async (req, res) => {
   try {
     const { course, lesson } = req.query;
     
@@ -42,7 +42,7 @@ router.get('/', optionalAuth, async (req, res) => {
 // @route   POST /api/notes
 // @desc    Create a new note
 // @access  Private
-router.post('/', optionalAuth, async (req, res) => {
+router.post('/', [optionalAuth, requireScope('notes:write')], async (req, res) => {
   try {
     const { course, lesson, content, timestamp, tags } = req.body;
 
@@ -84,7 +84,7 @@ router.post('/', optionalAuth, async (req, res) => {
 // @route   PUT /api/notes/:id
 // @desc    Update a note
 // @access  Private
-router.put('/:id', [authenticateToken, validateObjectId('id')], async (req, res) => {
+router.put('/:id', [authenticateToken, requireScope('notes:write'), validateObjectId('id')], async (req, res) => {
   try {
     const { content, tags } = req.body;
     
@@ -122,7 +122,7 @@ router.put('/:id', [authenticateToken, validateObjectId('id')], async (req, res)
 // @route   DELETE /api/notes/:id
 // @desc    Delete a note
 // @access  Private
-router.delete('/:id', [authenticateToken, validateObjectId('id')], async (req, res) => {
+router.delete('/:id', [authenticateToken, requireScope('notes:write'), validateObjectId('id')], async (req, res) => {
   try {
     const note = await Note.findOneAndDelete({
       _id: req.params.id,
@@ -153,7 +153,7 @@ const geminiService = require('../services/geminiService');
 // @route   POST /api/notes/:id/summarize
 // @desc    Generate AI summary for a note
 // @access  Private
-router.post('/:id/summarize', [optionalAuth, validateObjectId('id')], async (req, res) => {
+router.post('/:id/summarize', [optionalAuth, requireScope('notes:write'), validateObjectId('id')], async (req, res) => {
   try {
     const userId = req.user?._id || '507f1f77bcf86cd799439011';
     
@@ -199,7 +199,7 @@ router.post('/:id/summarize', [optionalAuth, validateObjectId('id')], async (req
 // @route   POST /api/notes/batch-summarize
 // @desc    Generate AI summaries for multiple notes
 // @access  Private
-router.post('/batch-summarize', authenticateToken, async (req, res) => {
+router.post('/batch-summarize', [authenticateToken, requireScope('notes:write')], async (req, res) => {
   try {
     const { course, lesson } = req.body;
     const filter = { user: req.user._id };
@@ -0,0 +1,214 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+const enrollmentService = require('../services/enrollmentService');
+const payments = require('../services/payments');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/payments/checkout
+// @desc    Start checkout for a paid course, optionally with a coupon code
+// @access  Private
+router.post('/checkout', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const { courseId } = req.body;
+
+    const course = courseId && /^[0-9a-fA-F]{24}$/.test(courseId)
+      ? await Course.findById(courseId)
+      : null;
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'The requested course does not exist'
+      });
+    }
+
+    if (course.status !== 'published') {
+      return res.status(400).json({
+        error: 'Course not available',
+        message: 'This course is not currently available for enrollment'
+      });
+    }
+
+    if (enrollmentService.isEnrolled(req.user, course._id)) {
+      return res.status(400).json({
+        error: 'Already enrolled',
+        message: 'You are already enrolled in this course'
+      });
+    }
+
+    if (course.price <= 0) {
+      return res.status(400).json({
+        error: 'Free course',
+        message: 'This course is free, enroll directly instead'
+      });
+    }
+
+    const quote = await paymentService.quote(course, req.body.couponCode);
+    if (quote.error) {
+      return res.status(400).json({
+        error: 'Invalid coupon',
+        message: quote.error
+      });
+    }
+
+    const order = await paymentService.createCheckout(req.user, course, quote);
+    if (order.error) {
+      return res.status(400).json({
+        error: 'Invalid coupon',
+        message: order.error
+      });
+    }
+
+    res.status(201).json({
+      message: 'Checkout started',
+      order: order.toReceiptJSON(),
+      checkoutUrl: order.checkoutUrl
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to start checkout',
+      message: 'An error occurred while starting checkout'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment provider webhook; confirms payment and enrolls the buyer
+// @access  Public (signature verified)
+router.post('/webhook/:provider', async (req, res) => {
+  if (!req.rawBody) {
+    return res.status(400).json({
+      error: 'Invalid webhook',
+      message: 'Webhook body is missing'
+    });
+  }
+
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    if (result.error) {
+      console.error('Payment webhook rejected:', result.error);
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        message: 'The webhook could not be verified'
+      });
+    }
+
+    res.json({
+      received: true,
+      order: result.order ? result.order._id : null
+    });
+  } catch (error) {
+    // Anything but a bad webhook is answered with 5xx so the provider retries it
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      error: 'Webhook failed',
+      message: 'The webhook could not be processed'
+    });
+  }
+});
+
+// @route   GET /api/payments/orders
+// @desc    List the current user's orders and receipts
+// @access  Private
+router.get('/orders', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const orders = await Order.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      orders: orders.map(order => order.toReceiptJSON())
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      error: 'Failed to get orders',
+      message: 'An error occurred while fetching orders'
+    });
+  }
+});
+
+// @route   GET /api/payments/orders/:id
+// @desc    Get an order's status and receipt
+// @access  Private (Owner/Admin)
+router.get('/orders/:id', [authenticateToken, requireSession, validateObjectId('id')], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || !order.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The requested order does not exist'
+      });
+    }
+
+    res.json({ order: order.toReceiptJSON() });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      error: 'Failed to get order',
+      message: 'An error occurred while fetching the order'
+    });
+  }
+});
+
+// @route   POST /api/payments/fake/:sessionId/complete
+// @desc    Simulate the fake provider finishing checkout (development only)
+// @access  Private (Owner)
+router.post('/fake/:sessionId/complete', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    if (!payments.isFakeEnabled()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'The requested resource was not found'
+      });
+    }
+
+    const order = await Order.findOne({ provider: 'fake', providerSessionId: req.params.sessionId });
+
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        error: 'Checkout not found',
+        message: 'The requested checkout session does not exist'
+      });
+    }
+
+    if (!order.isPayable()) {
+      return res.status(400).json({
+        error: 'Checkout closed',
+        message: 'This checkout session has expired or was already completed'
+      });
+    }
+
+    const outcome = req.body.outcome === 'failed' ? 'failed' : 'succeeded';
+    const provider = payments.getProvider('fake');
+    const webhook = provider.buildWebhook(outcome, {
+      sessionId: order.providerSessionId,
+      amount: order.amount,
+      currency: order.currency
+    });
+
+    // Same path a real provider webhook takes
+    const result = await paymentService.handleWebhook('fake', webhook.rawBody, webhook.headers);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    res.json({ order: result.order.toReceiptJSON() });
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to complete checkout',
+      message: 'An error occurred while completing checkout'
+    });
+  }
+});
+
+module.exports = router;
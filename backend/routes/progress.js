@@ -2,7 +2,11 @@ const express = require('express');
 const Progress = require('../models/Progress');
 const Course = require('../models/Course');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const QuizAttempt = require('../models/QuizAttempt');
+const certificateService = require('../services/certificateService');
+const quizService = require('../services/quizService');
+const xapi = require('../services/xapi');
+const { authenticateToken, requireScope } = require('../middleware/auth');
 const { validateProgressUpdate, validateNote, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -10,7 +14,7 @@ const router = express.Router();
 // @route   GET /api/progress/:courseId
 // @desc    Get user progress for a specific course
 // @access  Private
-router.get('/:courseId', [authenticateToken, validateObjectId('courseId')], async (req, res) => {
+router.get('/:courseId', [authenticateToken, requireScope('progress:read'), validateObjectId('courseId')], async (req, res) => {
   try {
     const progress = await Progress.findOne({
       user: req.user._id,
@@ -42,11 +46,38 @@ router.get('/:courseId', [authenticateToken, validateObjectId('courseId')], asyn
 // @access  Private
 router.post('/:courseId/lesson-complete', [
   authenticateToken,
+  requireScope('progress:write'),
   validateObjectId('courseId'),
   validateProgressUpdate
 ], async (req, res) => {
   try {
-    const { lessonId, sectionId, watchTime = 0, quizScore } = req.body;
+    // Quiz scores are never taken from the client, only from graded attempts
+    const { lessonId, watchTime = 0 } = req.body;
+    
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'The requested course does not exist'
+      });
+    }
+    
+    if (!course.hasUserAccess(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You must be enrolled to record progress in this course'
+      });
+    }
+    
+    // Completions count towards certificates, so only real lessons of this course are accepted
+    const found = quizService.findLesson(course, lessonId);
+    if (!found) {
+      return res.status(400).json({
+        error: 'Invalid lesson',
+        message: 'This lesson does not belong to the course'
+      });
+    }
+    const sectionId = found.section._id;
     
     let progress = await Progress.findOne({
       user: req.user._id,
@@ -61,8 +92,16 @@ router.post('/:courseId/lesson-complete', [
       });
     }
 
+    const wasLessonCompleted = progress.completedLessons.some(
+      completion => completion.lessonId.toString() === lessonId.toString()
+    );
+    const wasCourseCompleted = !!progress.completedAt;
+
     // Mark lesson as completed
-    progress.completeLesson(lessonId, sectionId, watchTime, quizScore);
+    progress.completeLesson(lessonId, sectionId, watchTime);
+    
+    const quizSummary = await QuizAttempt.summarizeForLesson(req.user._id, lessonId);
+    progress.applyQuizResult(lessonId, quizSummary.bestScore, quizSummary.attempts);
     
     // Calculate overall progress
     await progress.calculateProgress();
@@ -80,13 +119,24 @@ router.post('/:courseId/lesson-complete', [
     // Check for achievements
     await checkAndAwardAchievements(req.user._id, progress);
 
+    // Issue a certificate when this completes a certificate-enabled course
+    const certificate = await certificateService.issueIfEligible(progress);
+
+    if (!wasLessonCompleted) {
+      await xapi.recordLessonCompleted(req.user._id, progress.course, lessonId);
+    }
+    if (!wasCourseCompleted && progress.completedAt) {
+      await xapi.recordCourseCompleted(req.user._id, progress.course, progress.completedAt);
+    }
+
     res.json({
       message: 'Lesson marked as completed',
       progress: {
         overallProgress: progress.overallProgress,
         completedLessons: progress.completedLessons.length,
         streakDays: progress.streakDays
-      }
+      },
+      certificate: certificate ? certificate.toPublicJSON() : null
     });
   } catch (error) {
     console.error('Complete lesson error:', error);
@@ -102,6 +152,7 @@ router.post('/:courseId/lesson-complete', [
 // @access  Private
 router.post('/:courseId/update-position', [
   authenticateToken,
+  requireScope('progress:write'),
   validateObjectId('courseId')
 ], async (req, res) => {
   try {
@@ -142,6 +193,7 @@ router.post('/:courseId/update-position', [
 // @access  Private
 router.post('/:courseId/notes', [
   authenticateToken,
+  requireScope('notes:write'),
   validateObjectId('courseId'),
   validateNote
 ], async (req, res) => {
@@ -183,6 +235,7 @@ router.post('/:courseId/notes', [
 // @access  Private
 router.get('/:courseId/notes/:lessonId', [
   authenticateToken,
+  requireScope('notes:read'),
   validateObjectId('courseId'),
   validateObjectId('lessonId')
 ], async (req, res) => {
@@ -221,6 +274,7 @@ router.get('/:courseId/notes/:lessonId', [
 // @access  Private
 router.delete('/:courseId/notes/:noteId', [
   authenticateToken,
+  requireScope('notes:write'),
   validateObjectId('courseId'),
   validateObjectId('noteId')
 ], async (req, res) => {
@@ -258,7 +312,7 @@ router.delete('/:courseId/notes/:noteId', [
 // @route   POST /api/progress/:courseId/bookmarks
 // @desc    Add bookmark to lesson
 // @access  Private
-router.post('/:courseId/bookmarks', [authenticateToken, validateObjectId('courseId')], async (req, res) => {
+router.post('/:courseId/bookmarks', [authenticateToken, requireScope('progress:write'), validateObjectId('courseId')], async (req, res) => {
   try {
     const { lessonId, title, timestamp } = req.body;
     
@@ -304,6 +358,7 @@ router.post('/:courseId/bookmarks', [authenticateToken, validateObjectId('course
 // @access  Private
 router.get('/:courseId/bookmarks', [
   authenticateToken,
+  requireScope('progress:read'),
   validateObjectId('courseId')
 ], async (req, res) => {
   try {
@@ -339,6 +394,7 @@ router.get('/:courseId/bookmarks', [
 // @access  Private
 router.delete('/:courseId/bookmarks/:bookmarkId', [
   authenticateToken,
+  requireScope('progress:write'),
   validateObjectId('courseId'),
   validateObjectId('bookmarkId')
 ], async (req, res) => {
@@ -0,0 +1,313 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const quizService = require('../services/quizService');
+const xapi = require('../services/xapi');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateObjectId, validateQuizSubmission } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Allow for network latency between the client timer running out and the request arriving
+const SUBMISSION_GRACE_SECONDS = 30;
+
+// @route   POST /api/quizzes/:courseId/lessons/:lessonId/attempts
+// @desc    Start a quiz attempt (or resume the one in progress)
+// @access  Private
+router.post('/:courseId/lessons/:lessonId/attempts', [
+  authenticateToken,
+  requireScope('quizzes:write'),
+  validateObjectId('courseId'),
+  validateObjectId('lessonId')
+], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'The requested course does not exist'
+      });
+    }
+
+    if (!course.hasUserAccess(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You must be enrolled to take this quiz'
+      });
+    }
+
+    const found = quizService.findLesson(course, req.params.lessonId);
+
+    if (!found || !found.lesson.quiz || found.lesson.quiz.questions.length === 0) {
+      return res.status(404).json({
+        error: 'Quiz not found',
+        message: 'This lesson does not have a quiz'
+      });
+    }
+
+    const { section, lesson } = found;
+
+    // Resume an open attempt instead of restarting the timer
+    let attempt = await QuizAttempt.findOne({
+      user: req.user._id,
+      lesson: lesson._id,
+      status: 'in_progress'
+    });
+
+    if (attempt && !attempt.isOpen()) {
+      await expireAttempt(attempt);
+      attempt = null;
+    }
+
+    if (!attempt) {
+      const previousAttempts = await QuizAttempt.countDocuments({
+        user: req.user._id,
+        lesson: lesson._id
+      });
+      const startedAt = new Date();
+
+      attempt = new QuizAttempt({
+        user: req.user._id,
+        course: course._id,
+        section: section._id,
+        lesson: lesson._id,
+        attemptNumber: previousAttempts + 1,
+        startedAt,
+        expiresAt: new Date(startedAt.getTime() + lesson.quiz.timeLimit * 60 * 1000),
+        passingScore: lesson.quiz.passingScore,
+        timeLimit: lesson.quiz.timeLimit
+      });
+
+      await attempt.save();
+    }
+
+    res.status(201).json({
+      message: 'Quiz attempt started',
+      attempt: formatAttempt(attempt),
+      questions: quizService.sanitizeQuestions(lesson.quiz.questions),
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('Start quiz attempt error:', error);
+    res.status(500).json({
+      error: 'Failed to start quiz',
+      message: 'An error occurred while starting the quiz attempt'
+    });
+  }
+});
+
+// @route   GET /api/quizzes/:courseId/lessons/:lessonId/attempts
+// @desc    Get the current user's attempts for a lesson quiz
+// @access  Private
+router.get('/:courseId/lessons/:lessonId/attempts', [
+  authenticateToken,
+  requireScope('quizzes:read'),
+  validateObjectId('courseId'),
+  validateObjectId('lessonId')
+], async (req, res) => {
+  try {
+    const attempts = await QuizAttempt.find({
+      user: req.user._id,
+      course: req.params.courseId,
+      lesson: req.params.lessonId
+    }).sort({ attemptNumber: -1 });
+
+    const summary = await QuizAttempt.summarizeForLesson(req.user._id, req.params.lessonId);
+
+    res.json({
+      message: 'Quiz attempts retrieved successfully',
+      attempts: attempts.map(formatAttempt),
+      bestScore: summary.bestScore,
+      totalAttempts: summary.attempts
+    });
+  } catch (error) {
+    console.error('Get quiz attempts error:', error);
+    res.status(500).json({
+      error: 'Failed to get quiz attempts',
+      message: 'An error occurred while fetching quiz attempts'
+    });
+  }
+});
+
+// @route   GET /api/quizzes/attempts/:attemptId
+// @desc    Get a quiz attempt with per-question results
+// @access  Private
+router.get('/attempts/:attemptId', [
+  authenticateToken,
+  requireScope('quizzes:read'),
+  validateObjectId('attemptId')
+], async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      user: req.user._id
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        error: 'Attempt not found',
+        message: 'Quiz attempt not found or access denied'
+      });
+    }
+
+    if (attempt.status === 'in_progress' && !attempt.isOpen(SUBMISSION_GRACE_SECONDS)) {
+      await expireAttempt(attempt);
+    }
+
+    const course = await Course.findById(attempt.course);
+    const found = course && quizService.findLesson(course, attempt.lesson);
+
+    res.json({
+      attempt: formatAttempt(attempt),
+      results: attempt.status === 'in_progress'
+        ? []
+        : formatResults(attempt, found ? found.lesson.quiz : null)
+    });
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    res.status(500).json({
+      error: 'Failed to get quiz attempt',
+      message: 'An error occurred while fetching the quiz attempt'
+    });
+  }
+});
+
+// @route   POST /api/quizzes/attempts/:attemptId/submit
+// @desc    Submit answers for grading
+// @access  Private
+router.post('/attempts/:attemptId/submit', [
+  authenticateToken,
+  requireScope('quizzes:write'),
+  validateObjectId('attemptId'),
+  validateQuizSubmission
+], async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      user: req.user._id
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        error: 'Attempt not found',
+        message: 'Quiz attempt not found or access denied'
+      });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        error: 'Attempt closed',
+        message: 'This quiz attempt has already been submitted'
+      });
+    }
+
+    if (!attempt.isOpen(SUBMISSION_GRACE_SECONDS)) {
+      await expireAttempt(attempt);
+      return res.status(400).json({
+        error: 'Time limit exceeded',
+        message: 'The time limit for this quiz attempt has expired',
+        attempt: formatAttempt(attempt)
+      });
+    }
+
+    const course = await Course.findById(attempt.course);
+    const found = course && quizService.findLesson(course, attempt.lesson);
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Quiz not found',
+        message: 'The quiz for this attempt no longer exists'
+      });
+    }
+
+    const grading = quizService.grade(found.lesson.quiz, req.body.answers);
+
+    attempt.answers = grading.results;
+    attempt.earnedPoints = grading.earnedPoints;
+    attempt.totalPoints = grading.totalPoints;
+    attempt.score = grading.score;
+    attempt.passed = grading.score >= attempt.passingScore;
+    attempt.status = 'submitted';
+    attempt.submittedAt = new Date();
+    await attempt.save();
+
+    await syncProgress(attempt);
+    await xapi.recordQuizAttempt(attempt);
+
+    res.json({
+      message: attempt.passed ? 'Quiz passed' : 'Quiz submitted',
+      attempt: formatAttempt(attempt),
+      results: formatResults(attempt, found.lesson.quiz)
+    });
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    res.status(500).json({
+      error: 'Failed to submit quiz',
+      message: 'An error occurred while grading the quiz attempt'
+    });
+  }
+});
+
+// Helper function to close an attempt that ran past its time limit
+async function expireAttempt(attempt) {
+  attempt.status = 'expired';
+  attempt.score = 0;
+  attempt.passed = false;
+  attempt.submittedAt = attempt.expiresAt;
+  await attempt.save();
+  await syncProgress(attempt);
+  await xapi.recordQuizAttempt(attempt);
+}
+
+// Helper function to feed the best graded score into completedLessons
+async function syncProgress(attempt) {
+  const progress = await Progress.findOne({
+    user: attempt.user,
+    course: attempt.course
+  });
+
+  if (!progress) return;
+
+  const summary = await QuizAttempt.summarizeForLesson(attempt.user, attempt.lesson);
+  progress.applyQuizResult(attempt.lesson, summary.bestScore, summary.attempts);
+  await progress.save();
+}
+
+function formatAttempt(attempt) {
+  return {
+    id: attempt._id,
+    course: attempt.course,
+    lesson: attempt.lesson,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    timeLimit: attempt.timeLimit,
+    passingScore: attempt.passingScore,
+    score: attempt.score,
+    earnedPoints: attempt.earnedPoints,
+    totalPoints: attempt.totalPoints,
+    passed: attempt.passed
+  };
+}
+
+function formatResults(attempt, quiz) {
+  return attempt.answers.map(answer => {
+    const question = quiz && quiz.questions.id(answer.questionId);
+
+    return {
+      questionId: answer.questionId,
+      question: question ? question.question : null,
+      response: answer.response,
+      isCorrect: answer.isCorrect,
+      pointsAwarded: answer.pointsAwarded,
+      pointsPossible: answer.pointsPossible,
+      explanation: question ? question.explanation : null
+    };
+  });
+}
+
+module.exports = router;
@@ -1,52 +1,101 @@
 const express = require('express');
-const { optionalAuth, requireInstructor } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validateReportRequest,
+  validateReportSubscription,
+  validateReportSubscriptionUpdate
+} = require('../middleware/validation');
+const Course = require('../models/Course');
+const Report = require('../models/Report');
+const ReportSubscription = require('../models/ReportSubscription');
 const reportGenerator = require('../services/reportGenerator');
-const performanceAnalytics = require('../services/performanceAnalytics');
-const path = require('path');
+const reportStorage = require('../services/reportStorage');
+const reportSubscriptions = require('../services/reportSubscriptions');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 
+const MAX_SUBSCRIPTIONS = 10;
+
+// Reports are only visible to their owner (and admins); anyone else gets a 404
+const findOwnReport = async (req, res) => {
+  const report = await Report.findOne({ reportId: String(req.params.reportId) });
+
+  if (!report || !report.isOwnedBy(req.user)) {
+    res.status(404).json({
+      error: 'Report not found',
+      message: 'No report exists with this ID'
+    });
+    return null;
+  }
+
+  return report;
+};
+
 // @route   GET /api/reports/performance/pdf
-// @desc    Generate and download PDF performance report
+// @desc    Queue a PDF performance report; poll /api/reports/:reportId until it is ready
 // @access  Private
-router.get('/performance/pdf', optionalAuth, async (req, res) => {
+router.get('/performance/pdf', [authenticateToken, requireScope('reports:write'), validateReportRequest], async (req, res) => {
   try {
     const { courseId, timeframe = '30d' } = req.query;
-    const userId = req.user?._id || '507f1f77bcf86cd799439011';
 
-    const report = await reportGenerator.generatePDFReport(userId, courseId, timeframe);
-    
-    res.json({
-      message: 'PDF report generated successfully',
-      url: report.url,
-      fileName: report.fileName
+    const report = await reportStorage.createReport({
+      userId: req.user._id,
+      courseId,
+      timeframe,
+      format: 'pdf'
+    });
+
+    const job = await jobQueue.enqueue('reports.performancePdf', {
+      reportId: report.reportId
+    }, { user: req.user._id });
+
+    report.job = job._id;
+    await report.save();
+
+    res.status(202).json({
+      message: 'PDF report generation queued',
+      jobId: job._id,
+      status: job.status,
+      report: report.toPublicJSON()
     });
   } catch (error) {
     console.error('Generate PDF report error:', error);
     res.status(500).json({
       error: 'Failed to generate PDF report',
-      message: 'An error occurred while generating the PDF report'
+      message: 'An error occurred while queueing the PDF report'
     });
   }
 });
 
 // @route   GET /api/reports/performance/csv
-// @desc    Generate and download CSV performance report
+// @desc    Generate a CSV performance report
 // @access  Private
-router.get('/performance/csv', optionalAuth, async (req, res) => {
+router.get('/performance/csv', [authenticateToken, requireScope('reports:write'), validateReportRequest], async (req, res) => {
+  let report;
   try {
     const { courseId, timeframe = '30d' } = req.query;
-    const userId = req.user?._id || '507f1f77bcf86cd799439011';
 
-    const report = await reportGenerator.generateCSVReport(userId, courseId, timeframe);
-    
-    res.json({
+    report = await reportStorage.createReport({
+      userId: req.user._id,
+      courseId,
+      timeframe,
+      format: 'csv'
+    });
+
+    await reportGenerator.generateCSVReport(req.user._id, courseId, timeframe, reportStorage.resolvePath(report));
+    await reportStorage.markReady(report);
+
+    res.status(201).json({
       message: 'CSV report generated successfully',
-      url: report.url,
-      fileName: report.fileName
+      report: report.toPublicJSON()
     });
   } catch (error) {
     console.error('Generate CSV report error:', error);
+    if (report) {
+      await reportStorage.markFailed(report, error).catch(() => {});
+    }
     res.status(500).json({
       error: 'Failed to generate CSV report',
       message: 'An error occurred while generating the CSV report'
@@ -54,16 +103,201 @@ router.get('/performance/csv', optionalAuth, async (req, res) => {
   }
 });
 
-// @route   GET /api/reports/download/:fileName
-// @desc    Download a generated report
+// @route   GET /api/reports/subscriptions
+// @desc    List the current user's scheduled report emails
+// @access  Private
+router.get('/subscriptions', [authenticateToken, requireScope('reports:read')], async (req, res) => {
+  try {
+    const subscriptions = await ReportSubscription.find({ user: req.user._id })
+      .populate('course', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      subscriptions,
+      emailEnabled: req.user.preferences?.notifications?.email !== false
+    });
+  } catch (error) {
+    console.error('List report subscriptions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch subscriptions',
+      message: 'An error occurred while fetching scheduled reports'
+    });
+  }
+});
+
+// @route   POST /api/reports/subscriptions
+// @desc    Subscribe to a weekly or monthly performance report by email
 // @access  Private
-router.get('/download/:fileName', optionalAuth, (req, res) => {
+router.post('/subscriptions', [authenticateToken, requireScope('reports:write'), validateReportSubscription], async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const filePath = path.join(__dirname, '../../reports', fileName);
-    
-    res.download(filePath, fileName, (err) => {
-      if (err) {
+    const { frequency, format = 'pdf', courseId } = req.body;
+
+    if (courseId && !(await Course.exists({ _id: courseId }))) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'The requested course does not exist'
+      });
+    }
+
+    const count = await ReportSubscription.countDocuments({ user: req.user._id });
+    if (count >= MAX_SUBSCRIPTIONS) {
+      return res.status(400).json({
+        error: 'Too many subscriptions',
+        message: `You can have at most ${MAX_SUBSCRIPTIONS} scheduled reports`
+      });
+    }
+
+    const subscription = await ReportSubscription.create({
+      user: req.user._id,
+      course: courseId || undefined,
+      frequency,
+      format,
+      nextRunAt: reportSubscriptions.nextRunAt(frequency)
+    });
+    await subscription.populate('course', 'title');
+
+    res.status(201).json({
+      message: 'Scheduled report created successfully',
+      subscription
+    });
+  } catch (error) {
+    console.error('Create report subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to create subscription',
+      message: 'An error occurred while scheduling the report'
+    });
+  }
+});
+
+// @route   PATCH /api/reports/subscriptions/:id
+// @desc    Change a scheduled report's frequency or format, or pause/resume it
+// @access  Private (Owner)
+router.patch('/subscriptions/:id', [authenticateToken, requireScope('reports:write'), validateObjectId('id'), validateReportSubscriptionUpdate], async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.findOne({ _id: req.params.id, user: req.user._id });
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'Subscription not found',
+        message: 'No scheduled report exists with this ID'
+      });
+    }
+
+    const { frequency, format, active } = req.body;
+    const reschedule = (frequency && frequency !== subscription.frequency) ||
+      (active === true && !subscription.active);
+
+    if (frequency) subscription.frequency = frequency;
+    if (format) subscription.format = format;
+    if (active !== undefined) subscription.active = active;
+    if (reschedule) {
+      subscription.nextRunAt = reportSubscriptions.nextRunAt(subscription.frequency);
+      subscription.failures = 0;
+    }
+
+    await subscription.save();
+    await subscription.populate('course', 'title');
+
+    res.json({
+      message: 'Scheduled report updated successfully',
+      subscription
+    });
+  } catch (error) {
+    console.error('Update report subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to update subscription',
+      message: 'An error occurred while updating the scheduled report'
+    });
+  }
+});
+
+// @route   DELETE /api/reports/subscriptions/:id
+// @desc    Unsubscribe from a scheduled report
+// @access  Private (Owner)
+router.delete('/subscriptions/:id', [authenticateToken, requireScope('reports:write'), validateObjectId('id')], async (req, res) => {
+  try {
+    const result = await ReportSubscription.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: 'Subscription not found',
+        message: 'No scheduled report exists with this ID'
+      });
+    }
+
+    res.json({ message: 'Scheduled report deleted successfully' });
+  } catch (error) {
+    console.error('Delete report subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to delete subscription',
+      message: 'An error occurred while deleting the scheduled report'
+    });
+  }
+});
+
+// @route   GET /api/reports
+// @desc    List the current user's reports, newest first
+// @access  Private
+router.get('/', [authenticateToken, requireScope('reports:read')], async (req, res) => {
+  try {
+    const reports = await Report.find({ user: req.user._id, type: 'performance', expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ reports: reports.map(report => report.toPublicJSON()) });
+  } catch (error) {
+    console.error('List reports error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reports',
+      message: 'An error occurred while fetching reports'
+    });
+  }
+});
+
+// @route   GET /api/reports/:reportId
+// @desc    Get a report's status
+// @access  Private (Owner/Admin)
+router.get('/:reportId', [authenticateToken, requireScope('reports:read')], async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    res.json({ report: report.toPublicJSON() });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report',
+      message: 'An error occurred while fetching the report'
+    });
+  }
+});
+
+// @route   GET /api/reports/:reportId/download
+// @desc    Download a generated report
+// @access  Private (Owner/Admin)
+router.get('/:reportId/download', [authenticateToken, requireScope('reports:read')], async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    if (report.expiresAt <= new Date()) {
+      return res.status(410).json({
+        error: 'Report expired',
+        message: 'This report has expired; please generate a new one'
+      });
+    }
+
+    if (report.status !== 'ready') {
+      return res.status(409).json({
+        error: 'Report not ready',
+        message: report.status === 'failed'
+          ? 'This report could not be generated'
+          : 'This report is still being generated',
+        status: report.status
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.download(reportStorage.resolvePath(report), report.getDownloadName(), (err) => {
+      if (err && !res.headersSent) {
         console.error('Download error:', err);
         res.status(404).json({
           error: 'File not found',
@@ -80,4 +314,24 @@ router.get('/download/:fileName', optionalAuth, (req, res) => {
   }
 });
 
+// @route   DELETE /api/reports/:reportId
+// @desc    Delete a report and its file
+// @access  Private (Owner/Admin)
+router.delete('/:reportId', [authenticateToken, requireScope('reports:write')], async (req, res) => {
+  try {
+    const report = await findOwnReport(req, res);
+    if (!report) return;
+
+    await reportStorage.deleteReport(report);
+
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    console.error('Delete report error:', error);
+    res.status(500).json({
+      error: 'Failed to delete report',
+      message: 'An error occurred while deleting the report'
+    });
+  }
+});
+
 module.exports = router;
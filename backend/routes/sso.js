@@ -0,0 +1,140 @@
+const express = require('express');
+const crypto = require('crypto');
+const SsoRequest = require('../models/SsoRequest');
+const sso = require('../services/sso');
+const ssoAccounts = require('../services/ssoAccounts');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { generateChallengeToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+const SSO_ERRORS = {
+  missing_email: 'Your institution did not share an email address',
+  domain_not_allowed: 'Your email address is not allowed for this institution',
+  inactive: 'Your account has been deactivated. Please contact support.',
+  unverified_email: 'An account with this email already exists. Please sign in with your password instead',
+  link_not_allowed: 'An account with this email already exists. Please sign in with your password instead',
+  not_provisioned: 'No account exists for you yet. Please contact your institution'
+};
+
+// Browser flows end on the frontend, which shows the message
+const redirectWithError = (res, message) => {
+  res.redirect(`${FRONTEND_URL}/auth/callback?error=sso_failed&message=${encodeURIComponent(message)}`);
+};
+
+// @route   GET /api/auth/sso/providers
+// @desc    Institutions that can be used to sign in
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: sso.listProviders()
+  });
+});
+
+// @route   GET /api/auth/sso/:providerId/login
+// @desc    Start signing in with an institution's identity provider
+// @access  Public
+router.get('/:providerId/login', async (req, res) => {
+  const provider = sso.getProvider(req.params.providerId);
+  if (!provider) {
+    return redirectWithError(res, 'Unknown identity provider');
+  }
+
+  try {
+    const state = crypto.randomBytes(24).toString('hex');
+    const { url, data } = await provider.createLoginRequest(state);
+
+    await SsoRequest.create({
+      state,
+      provider: provider.id,
+      data,
+      expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+    });
+
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectWithError(res, `Could not reach ${provider.name}. Please try again later`);
+  }
+});
+
+// @route   GET /api/auth/sso/:providerId/authorize
+// @desc    Login form of the local mock identity provider
+// @access  Public (development only)
+router.get('/:providerId/authorize', (req, res) => {
+  const provider = sso.getProvider(req.params.providerId);
+  if (!provider || !provider.renderLoginPage) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'This identity provider has no local login page'
+    });
+  }
+
+  res.type('html').send(provider.renderLoginPage(String(req.query.state || '')));
+});
+
+// @route   GET|POST /api/auth/sso/:providerId/callback
+// @desc    Identity provider response (OIDC redirects with GET, SAML posts)
+// @access  Public
+const handleCallback = async (req, res) => {
+  const provider = sso.getProvider(req.params.providerId);
+  if (!provider) {
+    return redirectWithError(res, 'Unknown identity provider');
+  }
+
+  try {
+    const state = provider.getState(req);
+    const request = await SsoRequest.consume(state, provider.id);
+    if (!request) {
+      return redirectWithError(res, 'Your sign-in has expired. Please try again');
+    }
+
+    const identity = await provider.handleCallback(req, request.data, state);
+    const result = await ssoAccounts.findOrCreateUser(provider, identity);
+    if (result.error) {
+      return redirectWithError(res, SSO_ERRORS[result.error]);
+    }
+
+    const { user } = result;
+
+    // Finish on the login page when a second factor is needed
+    if (twoFactor.needsChallenge(user)) {
+      const challengeToken = generateChallengeToken(user._id);
+      const setup = user.twoFactor.enabled ? '0' : '1';
+      return res.redirect(`${FRONTEND_URL}/login?challenge=${challengeToken}&setup=${setup}`);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await sessions.create(user, req);
+
+    const params = new URLSearchParams({ token, refreshToken, provider: provider.name });
+    res.redirect(`${FRONTEND_URL}/auth/callback?${params}`);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithError(res, `Sign-in with ${provider.name} failed. Please try again`);
+  }
+};
+
+router.get('/:providerId/callback', handleCallback);
+router.post('/:providerId/callback', handleCallback);
+
+// @route   GET /api/auth/sso/:providerId/metadata
+// @desc    Service provider metadata for registering this platform with a SAML IdP
+// @access  Public
+router.get('/:providerId/metadata', (req, res) => {
+  const provider = sso.getProvider(req.params.providerId);
+  if (!provider || !provider.getMetadata) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No SAML identity provider with this ID'
+    });
+  }
+
+  res.type('application/xml').send(provider.getMetadata());
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const path = require('path');
+const streamSigner = require('../services/streamSigner');
+
+const router = express.Router();
+
+const VIDEOS_DIR = path.join(__dirname, '../../videos');
+
+// @route   GET /api/stream/:token/*
+// @desc    Serve a video, HLS playlist/segment or thumbnail with a signed token (supports Range)
+// @access  Signed URL (issued by GET /api/courses/:id/lessons/:lessonId/stream-url)
+router.get('/:token/*', (req, res) => {
+  const grant = streamSigner.verify(req.params.token);
+
+  if (!grant) {
+    return res.status(403).json({
+      error: 'Invalid stream URL',
+      message: 'This video link is invalid or has expired'
+    });
+  }
+
+  const filePath = req.params[0];
+
+  if (!streamSigner.isPathAllowed(grant, filePath)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This link does not grant access to the requested file'
+    });
+  }
+
+  // Signed URLs are per user, keep them out of shared caches
+  res.set('Cache-Control', 'private, max-age=300');
+
+  res.sendFile(filePath, { root: VIDEOS_DIR, dotfiles: 'deny' }, (error) => {
+    if (!error || res.headersSent) return;
+
+    if (error.code === 'ENOENT' || error.status === 404) {
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The requested video file does not exist'
+      });
+    }
+
+    console.error('Stream error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to stream video',
+      message: 'An error occurred while streaming the video'
+    });
+  });
+});
+
+module.exports = router;
@@ -1,15 +1,21 @@
 const express = require('express');
 const User = require('../models/User');
 const Progress = require('../models/Progress');
-const { authenticateToken, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateUserUpdate, validateObjectId } = require('../middleware/validation');
+const Report = require('../models/Report');
+const sessions = require('../services/sessions');
+const reportStorage = require('../services/reportStorage');
+const accountDeletion = require('../services/accountDeletion');
+const jobQueue = require('../services/jobQueue');
+const twoFactor = require('../services/twoFactor');
+const { authenticateToken, requireScope, requireSession, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { validateUserUpdate, validateObjectId, validateAccountDeletion } = require('../middleware/validation');
 
 const router = express.Router();
 
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', [authenticateToken, requireScope('profile:read')], async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('enrolledCourses.course', 'title thumbnail instructor')
@@ -32,7 +38,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', [authenticateToken, validateUserUpdate], async (req, res) => {
+router.put('/profile', [authenticateToken, requireScope('profile:write'), validateUserUpdate], async (req, res) => {
   try {
     const updates = req.body;
     const user = await User.findById(req.user._id);
@@ -63,7 +69,7 @@ router.put('/profile', [authenticateToken, validateUserUpdate], async (req, res)
 // @route   POST /api/users/wishlist/:courseId
 // @desc    Add course to wishlist
 // @access  Private
-router.post('/wishlist/:courseId', [authenticateToken, validateObjectId('courseId')], async (req, res) => {
+router.post('/wishlist/:courseId', [authenticateToken, requireScope('profile:write'), validateObjectId('courseId')], async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     const courseId = req.params.courseId;
@@ -106,7 +112,7 @@ router.post('/wishlist/:courseId', [authenticateToken, validateObjectId('courseI
 // @route   DELETE /api/users/wishlist/:courseId
 // @desc    Remove course from wishlist
 // @access  Private
-router.delete('/wishlist/:courseId', [authenticateToken, validateObjectId('courseId')], async (req, res) => {
+router.delete('/wishlist/:courseId', [authenticateToken, requireScope('profile:write'), validateObjectId('courseId')], async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     const courseId = req.params.courseId;
@@ -129,7 +135,7 @@ router.delete('/wishlist/:courseId', [authenticateToken, validateObjectId('cours
 // @route   GET /api/users/dashboard
 // @desc    Get user dashboard data
 // @access  Private
-router.get('/dashboard', authenticateToken, async (req, res) => {
+router.get('/dashboard', [authenticateToken, requireScope('profile:read')], async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('enrolledCourses.course', 'title thumbnail instructor totalDuration');
@@ -190,7 +196,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
 // @route   GET /api/users/learning-stats
 // @desc    Get detailed learning statistics
 // @access  Private
-router.get('/learning-stats', authenticateToken, async (req, res) => {
+router.get('/learning-stats', [authenticateToken, requireScope('profile:read')], async (req, res) => {
   try {
     const progressRecords = await Progress.find({ user: req.user._id })
       .populate('course', 'title category');
@@ -265,4 +271,183 @@ router.get('/learning-stats', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/me/export
+// @desc    Queue a ZIP of all the current user's data; poll GET /api/users/me/export until it is ready
+// @access  Private
+router.post('/me/export', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const pending = await Report.findOne({ user: req.user._id, type: 'data-export', status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        error: 'Export in progress',
+        message: 'Your data export is still being prepared',
+        report: pending.toPublicJSON()
+      });
+    }
+
+    const report = await reportStorage.createReport({
+      userId: req.user._id,
+      type: 'data-export',
+      format: 'zip'
+    });
+
+    const job = await jobQueue.enqueue('account.exportData', {
+      reportId: report.reportId
+    }, { user: req.user._id });
+
+    report.job = job._id;
+    await report.save();
+
+    res.status(202).json({
+      message: 'Data export queued',
+      jobId: job._id,
+      report: report.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: 'An error occurred while queueing your data export'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Latest data export; download it from its downloadUrl
+// @access  Private
+router.get('/me/export', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const report = await Report.findOne({
+      user: req.user._id,
+      type: 'data-export',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({ report: report ? report.toPublicJSON() : null });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      error: 'Failed to get data export',
+      message: 'An error occurred while fetching your data export'
+    });
+  }
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Schedule the current user's account for deletion after the grace period
+// @access  Private
+router.post('/me/deletion', [authenticateToken, requireSession, validateAccountDeletion], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (req.body.confirmEmail !== user.email) {
+      return res.status(400).json({
+        error: 'Confirmation failed',
+        message: 'The email address does not match your account'
+      });
+    }
+
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const result = await accountDeletion.request(user, req.sessionId);
+    if (result.error === 'has_courses') {
+      return res.status(409).json({
+        error: 'Courses still assigned',
+        message: 'Hand over or delete the courses you teach before deleting your account'
+      });
+    }
+
+    res.json({
+      message: 'Your account will be deleted at the end of the grace period',
+      scheduledFor: result.scheduledFor
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete account',
+      message: 'An error occurred while scheduling the account deletion'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.delete('/me/deletion', [authenticateToken, requireSession], async (req, res) => {
+  try {
+    const cancelled = await accountDeletion.cancel(req.user._id);
+    if (!cancelled) {
+      return res.status(404).json({
+        error: 'No deletion scheduled',
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+
+    res.json({
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel deletion',
+      message: 'An error occurred while cancelling the account deletion'
+    });
+  }
+});
+
+// @route   PUT /api/users/:userId/two-factor
+// @desc    Require (or stop requiring) two-factor authentication for an instructor or admin
+// @access  Private (Admin)
+router.put('/:userId/two-factor', [authenticateToken, requireSession, requireAdmin, validateObjectId('userId')], async (req, res) => {
+  try {
+    if (typeof req.body.required !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'required must be true or false'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    if (!twoFactor.canBeRequired(user)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'Two-factor authentication can only be required for instructors and admins'
+      });
+    }
+
+    user.twoFactor.required = req.body.required;
+    await user.save();
+
+    // Existing sessions predate the requirement; signing in again walks the user through setup
+    if (twoFactor.isRequired(user) && !user.twoFactor.enabled) {
+      await sessions.revokeAll(user._id, 'revoked');
+    }
+
+    res.json({
+      message: req.body.required
+        ? 'Two-factor authentication is now required for this user'
+        : 'Two-factor authentication is no longer required for this user',
+      twoFactor: twoFactor.getStatus(user)
+    });
+  } catch (error) {
+    console.error('Update two-factor requirement error:', error);
+    res.status(500).json({
+      error: 'Failed to update two-factor requirement',
+      message: 'An error occurred while updating the two-factor requirement'
+    });
+  }
+});
+
 module.exports = router;
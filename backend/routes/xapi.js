@@ -0,0 +1,56 @@
+const express = require('express');
+const xapi = require('../services/xapi');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every LRS response carries the spec version it speaks
+router.use((req, res, next) => {
+  res.set('X-Experience-API-Version', xapi.version);
+  next();
+});
+
+// @route   GET /api/xapi/statements
+// @desc    Read xAPI statements (statementId, agent, verb, activity, related_activities, since, until, limit, ascending)
+// @access  Private (Admin sees every learner, everyone else only their own statements)
+router.get('/statements', [authenticateToken, requireScope('analytics:read')], async (req, res) => {
+  try {
+    const scope = req.user.role === 'admin' ? {} : { userId: req.user._id };
+    const result = await xapi.query(req.query, scope);
+
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: result.error
+      });
+    }
+
+    if (req.query.statementId) {
+      if (!result.statement) {
+        return res.status(404).json({
+          error: 'Statement not found',
+          message: 'No statement with this id'
+        });
+      }
+      return res.json(result.statement);
+    }
+
+    // StatementResult: "more" is the relative URL of the next page, empty when there is none
+    const more = result.cursor
+      ? `${req.baseUrl}/statements?${new URLSearchParams({ ...req.query, cursor: result.cursor })}`
+      : '';
+
+    res.json({
+      statements: result.statements,
+      more
+    });
+  } catch (error) {
+    console.error('Get xAPI statements error:', error);
+    res.status(500).json({
+      error: 'Failed to get statements',
+      message: 'An error occurred while reading xAPI statements'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Analytics = require('../models/Analytics');
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const xapi = require('../services/xapi');
+
+// Emit xAPI statements for learning records that predate the xAPI integration.
+// Statement ids are derived from the records, so running this again only adds what is missing.
+async function backfillXapi() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/virtual_learning_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const counts = { lessonViews: 0, lessonCompletions: 0, quizAttempts: 0, courseCompletions: 0 };
+
+    const sessions = Analytics.find({ 'sessionData.endTime': { $exists: true } }).cursor();
+    for (let session = await sessions.next(); session; session = await sessions.next()) {
+      if (await xapi.recordLessonViewed(session)) counts.lessonViews++;
+    }
+
+    const progressRecords = Progress.find({ 'completedLessons.0': { $exists: true } })
+      .select('user course completedLessons completedAt')
+      .cursor();
+    for (let progress = await progressRecords.next(); progress; progress = await progressRecords.next()) {
+      for (const completion of progress.completedLessons) {
+        if (await xapi.recordLessonCompleted(progress.user, progress.course, completion.lessonId, completion.completedAt)) {
+          counts.lessonCompletions++;
+        }
+      }
+      if (progress.completedAt && await xapi.recordCourseCompleted(progress.user, progress.course, progress.completedAt)) {
+        counts.courseCompletions++;
+      }
+    }
+
+    const attempts = QuizAttempt.find({ status: { $in: ['submitted', 'expired'] } }).cursor();
+    for (let attempt = await attempts.next(); attempt; attempt = await attempts.next()) {
+      if (await xapi.recordQuizAttempt(attempt)) counts.quizAttempts++;
+    }
+
+    console.log(
+      `✅ Recorded ${counts.lessonViews} lesson views, ${counts.lessonCompletions} lesson completions, ` +
+      `${counts.quizAttempts} quiz attempts and ${counts.courseCompletions} course completions`
+    );
+  } catch (error) {
+    console.error('❌ Error backfilling xAPI statements:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('📡 Disconnected from MongoDB');
+  }
+}
+
+backfillXapi();
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Analytics = require('../models/Analytics');
+const engagementScoring = require('../services/engagementScoring');
+
+// Rescore closed sessions that were never scored or were scored with an older formula.
+// Pass --all to rescore every closed session regardless of version.
+async function rescoreAnalytics() {
+  const rescoreAll = process.argv.includes('--all');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/virtual_learning_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const filter = {
+      'sessionData.endTime': { $exists: true },
+      ...(!rescoreAll && {
+        $or: [
+          { 'performance.scoringVersion': { $exists: false } },
+          { 'performance.scoringVersion': { $lt: engagementScoring.version } }
+        ]
+      })
+    };
+
+    const total = await Analytics.countDocuments(filter);
+    console.log(`📊 Rescoring ${total} sessions with scoring version ${engagementScoring.version}`);
+
+    let rescored = 0;
+    let failed = 0;
+    const cursor = Analytics.find(filter).cursor();
+
+    for (let session = await cursor.next(); session; session = await cursor.next()) {
+      try {
+        await engagementScoring.scoreSession(session);
+        await session.save();
+        rescored++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to rescore session ${session._id}:`, error.message);
+      }
+
+      if (rescored % 500 === 0 && rescored > 0) {
+        console.log(`⏳ ${rescored}/${total} sessions rescored`);
+      }
+    }
+
+    console.log(`✅ Rescored ${rescored} sessions${failed ? `, ${failed} failed` : ''}`);
+  } catch (error) {
+    console.error('❌ Error rescoring analytics:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('📡 Disconnected from MongoDB');
+  }
+}
+
+rescoreAnalytics();
@@ -13,9 +13,20 @@ const progressRoutes = require('./routes/progress');
 const captionRoutes = require('./routes/captions');
 const noteRoutes = require('./routes/notes');
 const analyticsRoutes = require('./routes/analytics');
+const quizRoutes = require('./routes/quizzes');
+const jobRoutes = require('./routes/jobs');
+const streamRoutes = require('./routes/stream');
+const certificateRoutes = require('./routes/certificates');
+const paymentRoutes = require('./routes/payments');
+const couponRoutes = require('./routes/coupons');
+const xapiRoutes = require('./routes/xapi');
+const registerJobs = require('./jobs');
 
 const app = express();
 
+// Job handlers run in worker.js; registering them here gives enqueue() the per-type defaults
+registerJobs();
+
 // Security middleware with custom CSP for video playback
 app.use(helmet({
   contentSecurityPolicy: {
@@ -45,17 +56,28 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Chunked uploads and HLS playback each make hundreds of requests per video
+  skip: (req) => (req.method === 'PATCH' && req.path.startsWith('/courses/uploads/')) ||
+    req.path.startsWith('/stream/')
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Payment webhooks are verified against the exact bytes the provider signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Static files
 app.use('/uploads', express.static('uploads'));
-app.use('/videos', express.static('../videos'));
+// Videos are only served through signed URLs (see routes/stream.js)
 
 // Database connection
 mongoose.connect('mongodb://localhost:27017/virtual_learning_platform', {
@@ -66,6 +88,7 @@ mongoose.connect('mongodb://localhost:27017/virtual_learning_platform', {
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/sso', require('./routes/sso'));
 app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/users', userRoutes);
@@ -74,7 +97,15 @@ app.use('/api/progress', progressRoutes);
 app.use('/api/captions', captionRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/xapi', xapiRoutes);
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -97,6 +128,13 @@ app.use((err, req, res, next) => {
     });
   }
   
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: 'The request body exceeds the allowed size'
+    });
+  }
+  
   if (err.name === 'UnauthorizedError') {
     return res.status(401).json({ 
       error: 'Unauthorized', 
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const Note = require('../models/Note');
+const QuizAttempt = require('../models/QuizAttempt');
+const Analytics = require('../models/Analytics');
+const Certificate = require('../models/Certificate');
+const Job = require('../models/Job');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const ApiKey = require('../models/ApiKey');
+const Report = require('../models/Report');
+const ReportSubscription = require('../models/ReportSubscription');
+const LearnerRisk = require('../models/LearnerRisk');
+const UploadSession = require('../models/UploadSession');
+const XapiStatement = require('../models/XapiStatement');
+const mailer = require('./mailer');
+const sessions = require('./sessions');
+const reportStorage = require('./reportStorage');
+const chunkedUpload = require('./chunkedUpload');
+const xapi = require('./xapi');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AccountDeletionService {
+  /**
+   * Schedule a user's account for deletion after the grace period
+   * Other devices and all API keys are signed out right away; the current session stays so the
+   * user can still cancel.
+   * @returns {Promise<Object>} - { scheduledFor } or { error }
+   */
+  async request(user, currentSid) {
+    if (await Course.exists({ instructor: user._id })) {
+      return { error: 'has_courses' };
+    }
+
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + GRACE_DAYS * DAY_MS);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { deletion: { requestedAt: now, scheduledFor } } }
+    );
+    await sessions.revokeAll(user._id, 'account_deleted', currentSid);
+    await ApiKey.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: now } });
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Your account will be deleted',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your account and personal data will be deleted on ${scheduledFor.toDateString()}.`,
+        'Until then you can sign in and cancel the deletion from your profile.',
+        'If you did not ask for this, sign in and cancel it, then change your password.'
+      ].join('\n')
+    }).catch(error => console.error('Deletion email error:', error));
+
+    return { scheduledFor };
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether a pending deletion was cancelled
+   */
+  async cancel(userId) {
+    const result = await User.updateOne(
+      { _id: userId, 'deletion.scheduledFor': { $exists: true } },
+      { $unset: { deletion: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Remove a user's personal data
+   * Reviews, learning sessions, progress, quiz attempts, xAPI statements and orders keep feeding course
+   * analytics and accounting, so they are moved to a random id that nothing links back to the person.
+   * Everything else is deleted.
+   * @returns {Promise<Object>} - { deleted } or { skipped }
+   */
+  async purge(userId) {
+    const user = await User.findById(userId);
+    if (!user) return { skipped: 'not_found' };
+
+    // Courses need an instructor; the user has to hand them over first
+    if (await Course.exists({ instructor: userId })) {
+      return { skipped: 'has_courses' };
+    }
+
+    // Queued jobs would otherwise run for a user that no longer exists. A running one could still
+    // write personal data after the purge, so wait for it; the next scheduled purge tries again.
+    await Job.deleteMany({ user: userId, status: 'queued' });
+    if (await Job.exists({ user: userId, status: 'running' })) {
+      return { skipped: 'jobs_running' };
+    }
+
+    const anonymousId = new mongoose.Types.ObjectId();
+
+    await Course.updateMany(
+      { 'reviews.user': userId },
+      { $set: { 'reviews.$[review].user': anonymousId } },
+      { arrayFilters: [{ 'review.user': userId }] }
+    );
+    await Course.updateMany({ 'reviews.helpful': userId }, { $pull: { 'reviews.$[].helpful': userId } });
+
+    await Analytics.updateMany({ user: userId }, { $set: { user: anonymousId } });
+    await Progress.updateMany({ user: userId }, { $set: { user: anonymousId, notes: [], bookmarks: [] } });
+    await QuizAttempt.updateMany({ user: userId }, { $set: { user: anonymousId } });
+    await Order.updateMany({ user: userId }, { $set: { user: anonymousId } });
+    await XapiStatement.updateMany(
+      { user: userId },
+      { $set: { user: anonymousId, 'statement.actor': xapi.buildAnonymousActor(anonymousId) } }
+    );
+
+    const reports = await Report.find({ user: userId }).select('fileName');
+    for (const report of reports) {
+      await reportStorage.deleteReport(report);
+    }
+
+    const uploads = await UploadSession.find({ user: userId, status: 'uploading' });
+    for (const upload of uploads) {
+      await chunkedUpload.removePartial(upload);
+    }
+
+    await Promise.all([
+      Note.deleteMany({ user: userId }),
+      Certificate.deleteMany({ user: userId }),
+      Session.deleteMany({ user: userId }),
+      UserToken.deleteMany({ user: userId }),
+      ApiKey.deleteMany({ user: userId }),
+      ReportSubscription.deleteMany({ user: userId }),
+      LearnerRisk.deleteMany({ user: userId }),
+      UploadSession.deleteMany({ user: userId }),
+      Job.deleteMany({ user: userId })
+    ]);
+
+    await user.deleteOne();
+    return { deleted: true };
+  }
+
+  /**
+   * Purge every account whose grace period has ended (scheduled)
+   * @returns {Promise<Object>} - { deleted, skipped }
+   */
+  async purgeDue(now = new Date()) {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: now } }).select('_id');
+
+    let deleted = 0;
+    let skipped = 0;
+    for (const { _id } of due) {
+      const result = await this.purge(_id);
+      if (result.deleted) {
+        deleted++;
+      } else {
+        skipped++;
+        console.warn(`Account ${_id} not deleted: ${result.skipped}`);
+      }
+    }
+
+    return { deleted, skipped };
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,111 @@
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const mailer = require('./mailer');
+const sessions = require('./sessions');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const HOUR_MS = 60 * 60 * 1000;
+
+const VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * HOUR_MS;
+const PASSWORD_RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+// Minimum time between two emails of the same kind to one user
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+class AccountEmailService {
+  /**
+   * Whether another email of this type may be sent to the user yet
+   */
+  async canResend(userId, type) {
+    const lastIssuedAt = await UserToken.lastIssuedAt(userId, type);
+    return !lastIssuedAt || Date.now() - lastIssuedAt.getTime() >= RESEND_INTERVAL_MS;
+  }
+
+  /**
+   * Email a link that confirms the user owns their address
+   */
+  async sendVerification(user) {
+    const token = await UserToken.issue(user._id, 'email_verification', VERIFICATION_TTL_MS);
+    const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        link,
+        '',
+        `The link expires in ${Math.round(VERIFICATION_TTL_MS / HOUR_MS)} hours.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Email a single-use link for choosing a new password
+   */
+  async sendPasswordReset(user) {
+    const token = await UserToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MS);
+    const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your account. To choose a new password, open this link:',
+        link,
+        '',
+        `The link expires in ${Math.round(PASSWORD_RESET_TTL_MS / 60000)} minutes and can only be used once.`,
+        'If you did not ask for this, you can ignore this email; your password will not change.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Mark the token's user as verified
+   * @returns {Promise<Object|null>} - The user, or null if the token is invalid
+   */
+  async verifyEmail(token) {
+    const userToken = await UserToken.consume(token, 'email_verification');
+    if (!userToken) return null;
+
+    const user = await User.findById(userToken.user);
+    if (!user) return null;
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    return user;
+  }
+
+  /**
+   * Set a new password with a reset token and sign the user out everywhere
+   * @returns {Promise<Object|null>} - The user, or null if the token is invalid
+   */
+  async resetPassword(token, password) {
+    const userToken = await UserToken.consume(token, 'password_reset');
+    if (!userToken) return null;
+
+    const user = await User.findById(userToken.user);
+    if (!user || !user.isActive) return null;
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Receiving the reset email proves the address works
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await UserToken.deleteMany({ user: user._id, type: 'password_reset', usedAt: null });
+    await sessions.revokeAll(user._id, 'password_reset');
+    return user;
+  }
+}
+
+module.exports = new AccountEmailService();
@@ -0,0 +1,306 @@
+const Analytics = require('../models/Analytics');
+const Course = require('../models/Course');
+const engagementScoring = require('./engagementScoring');
+const xapi = require('./xapi');
+
+const MAX_BATCH_SIZE = 500;
+const MAX_ID_LENGTH = 100;
+// Events buffered offline for longer than this are dropped rather than backfilled
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.ANALYTICS_SESSION_TIMEOUT_MINUTES) || 30;
+
+// Closes the session instead of being stored as an interaction
+const SESSION_END = 'session_end';
+const INTERACTION_TYPES = Analytics.schema
+  .path('sessionData.interactions')
+  .schema.path('type').enumValues;
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID.test(value);
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+};
+
+class AnalyticsIngestionService {
+  get maxBatchSize() {
+    return MAX_BATCH_SIZE;
+  }
+
+  /**
+   * Validate one client event and convert it to the stored shape
+   * @returns {Object} - { event } or { reason } when it is rejected
+   */
+  normalizeEvent(raw, now = new Date()) {
+    if (!raw || typeof raw !== 'object') {
+      return { reason: 'Event must be an object' };
+    }
+    if (!isId(raw.id) || !isId(raw.sessionId)) {
+      return { reason: 'Event id and sessionId are required' };
+    }
+    if (!isObjectId(raw.courseId) || !isObjectId(raw.lessonId)) {
+      return { reason: 'courseId and lessonId must be valid ObjectIds' };
+    }
+    if (raw.type !== SESSION_END && !INTERACTION_TYPES.includes(raw.type)) {
+      return { reason: `Unknown event type: ${raw.type}` };
+    }
+
+    const occurredAt = new Date(raw.occurredAt);
+    if (Number.isNaN(occurredAt.getTime())) {
+      return { reason: 'occurredAt must be a valid date' };
+    }
+    if (now - occurredAt > MAX_EVENT_AGE_MS) {
+      return { reason: 'Event is too old' };
+    }
+
+    const position = toNumber(raw.position);
+    const progress = toNumber(raw.progress);
+    const data = raw.data && typeof raw.data === 'object' && !Array.isArray(raw.data) ? raw.data : {};
+
+    return {
+      event: {
+        id: raw.id,
+        sessionId: raw.sessionId,
+        courseId: raw.courseId.toLowerCase(),
+        lessonId: raw.lessonId.toLowerCase(),
+        type: raw.type,
+        // Client clocks run ahead sometimes; never record events in the future
+        occurredAt: occurredAt > now ? now : occurredAt,
+        position: position !== null && position >= 0 ? position : null,
+        progress: progress !== null ? Math.min(100, Math.max(0, progress)) : null,
+        data
+      }
+    };
+  }
+
+  /**
+   * Lessons the user may record events for, per course id in the batch
+   * Courses the user has no access to (or that don't exist) are left out.
+   * @returns {Promise<Map>} - courseId -> Set of lesson ids
+   */
+  async findAccessibleLessons(user, courseIds) {
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('instructor price sections');
+    const lessons = new Map();
+
+    for (const course of courses) {
+      if (!course.hasUserAccess(user)) continue;
+      lessons.set(
+        course._id.toString(),
+        new Set(course.sections.flatMap(section => section.lessons.map(lesson => lesson._id.toString())))
+      );
+    }
+
+    return lessons;
+  }
+
+  /**
+   * Record a batch of player events for a user
+   * Sessions feed heatmaps, course metrics and at-risk detection, so events are only accepted for
+   * lessons of courses the user has access to.
+   * @returns {Promise<Object>} - { accepted, duplicates, rejected: [{ index, id, reason }] } or { error }
+   */
+  async ingest(user, events) {
+    if (!Array.isArray(events)) {
+      return { error: 'events must be an array' };
+    }
+    if (events.length > MAX_BATCH_SIZE) {
+      return { error: `A batch can contain at most ${MAX_BATCH_SIZE} events` };
+    }
+
+    const now = new Date();
+    const result = { accepted: 0, duplicates: 0, rejected: [] };
+    const sessions = new Map();
+
+    const normalized = [];
+    events.forEach((raw, index) => {
+      const { event, reason } = this.normalizeEvent(raw, now);
+      if (reason) {
+        result.rejected.push({ index, id: raw?.id, reason });
+        return;
+      }
+      normalized.push({ index, event });
+    });
+
+    const courseIds = [...new Set(normalized.map(({ event }) => event.courseId))];
+    const accessible = courseIds.length > 0 ? await this.findAccessibleLessons(user, courseIds) : new Map();
+
+    normalized.forEach(({ index, event }) => {
+      const lessons = accessible.get(event.courseId);
+      if (!lessons) {
+        result.rejected.push({ index, id: event.id, reason: 'Course not found or not enrolled' });
+        return;
+      }
+      if (!lessons.has(event.lessonId)) {
+        result.rejected.push({ index, id: event.id, reason: 'Lesson does not belong to the course' });
+        return;
+      }
+
+      if (!sessions.has(event.sessionId)) {
+        sessions.set(event.sessionId, []);
+      }
+      sessions.get(event.sessionId).push({ index, event });
+    });
+
+    for (const [sessionId, entries] of sessions) {
+      const outcome = await this.applySessionEvents(user._id, sessionId, entries);
+      result.accepted += outcome.accepted;
+      result.duplicates += outcome.duplicates;
+      result.rejected.push(...outcome.rejected);
+    }
+
+    result.rejected.sort((a, b) => a.index - b.index);
+    return result;
+  }
+
+  /**
+   * Find or create the session document for a client session id
+   * Two batches for a new session can race; the loser retries and finds the winner's document
+   */
+  async upsertSession(userId, sessionId, fields, retry = true) {
+    try {
+      return await Analytics.findOneAndUpdate(
+        { user: userId, clientSessionId: sessionId },
+        fields,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).select('course lesson sessionData.startTime sessionData.endTime');
+    } catch (error) {
+      if (error.code === 11000 && retry) {
+        return this.upsertSession(userId, sessionId, fields, false);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one session's events: extend its time range, append new interactions and close it if asked
+   */
+  async applySessionEvents(userId, sessionId, entries) {
+    const outcome = { accepted: 0, duplicates: 0, rejected: [] };
+    const { courseId, lessonId } = entries[0].event;
+
+    // A session id belongs to one lesson; anything else under it is a client bug
+    const valid = [];
+    for (const entry of entries) {
+      if (entry.event.courseId === courseId && entry.event.lessonId === lessonId) {
+        valid.push(entry);
+      } else {
+        outcome.rejected.push({ index: entry.index, id: entry.event.id, reason: 'Session belongs to another lesson' });
+      }
+    }
+
+    const times = valid.map(({ event }) => event.occurredAt.getTime());
+    const progress = Math.max(-1, ...valid.map(({ event }) => event.progress ?? -1));
+    const max = { 'sessionData.lastActivityAt': new Date(Math.max(...times)) };
+    if (progress >= 0) {
+      max['sessionData.videoProgress'] = progress;
+    }
+
+    const session = await this.upsertSession(userId, sessionId, {
+      $setOnInsert: { course: courseId, lesson: lessonId },
+      $min: { 'sessionData.startTime': new Date(Math.min(...times)) },
+      $max: max
+    });
+
+    if (session.course.toString() !== courseId || session.lesson.toString() !== lessonId) {
+      outcome.rejected.push(...valid.map(({ index, event }) => ({
+        index,
+        id: event.id,
+        reason: 'Session belongs to another lesson'
+      })));
+      return outcome;
+    }
+
+    const interactions = valid.filter(({ event }) => event.type !== SESSION_END);
+    const ends = valid.filter(({ event }) => event.type === SESSION_END);
+
+    if (interactions.length > 0) {
+      // Ordered, so an event repeated within the batch is skipped like one sent twice
+      const write = await Analytics.bulkWrite(interactions.map(({ event }) => ({
+        updateOne: {
+          filter: { _id: session._id, 'sessionData.interactions.eventId': { $ne: event.id } },
+          update: {
+            $push: {
+              'sessionData.interactions': {
+                type: event.type,
+                timestamp: event.position,
+                eventId: event.id,
+                data: { ...event.data, ...(event.position !== null && { timestamp: event.position }) },
+                createdAt: event.occurredAt
+              }
+            }
+          }
+        }
+      })), { ordered: true });
+
+      outcome.accepted += write.modifiedCount;
+      outcome.duplicates += interactions.length - write.modifiedCount;
+    }
+
+    // Ending is idempotent, so repeated session_end events all count as accepted
+    outcome.accepted += ends.length;
+
+    const endedAt = ends.length > 0
+      ? new Date(Math.max(...ends.map(({ event }) => event.occurredAt.getTime())))
+      : null;
+    const newlyEnded = endedAt && !session.sessionData.endTime;
+
+    // Late events for a closed session change its scores too
+    if (newlyEnded || (session.sessionData.endTime && outcome.accepted > ends.length)) {
+      await this.closeSession(session._id, newlyEnded ? endedAt : null);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Set a session's end time (unless already closed) and score it
+   * @param {Date|null} endTime - Defaults to the session's last activity
+   */
+  async closeSession(id, endTime = null) {
+    const session = await Analytics.findById(id);
+    if (!session) return null;
+
+    const { sessionData } = session;
+    if (!sessionData.endTime) {
+      sessionData.endTime = endTime || sessionData.lastActivityAt || session.updatedAt;
+      sessionData.duration = Math.max(0, Math.floor((sessionData.endTime - sessionData.startTime) / 1000));
+    }
+
+    await engagementScoring.scoreSession(session);
+    await session.save();
+    await xapi.recordLessonViewed(session);
+    return session;
+  }
+
+  /**
+   * Close sessions that have not had any activity within the timeout
+   * @returns {Promise<Number>} - Number of sessions closed
+   */
+  async closeIdleSessions(timeoutMinutes = SESSION_TIMEOUT_MINUTES) {
+    const cutoff = new Date(Date.now() - timeoutMinutes * 60 * 1000);
+    // Sessions from the legacy /track endpoint may predate lastActivityAt
+    const cursor = Analytics.find({
+      'sessionData.endTime': { $exists: false },
+      $or: [
+        { 'sessionData.lastActivityAt': { $lt: cutoff } },
+        { 'sessionData.lastActivityAt': { $exists: false }, updatedAt: { $lt: cutoff } }
+      ]
+    }).select('_id').lean().cursor();
+
+    let closed = 0;
+    for (let session = await cursor.next(); session; session = await cursor.next()) {
+      try {
+        await this.closeSession(session._id);
+        closed += 1;
+      } catch (error) {
+        console.error(`Failed to close analytics session ${session._id}:`, error);
+      }
+    }
+
+    return closed;
+  }
+}
+
+module.exports = new AnalyticsIngestionService();
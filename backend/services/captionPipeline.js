@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const Caption = require('../models/Caption');
+const speechToTextService = require('./speechToText');
+const jobQueue = require('./jobQueue');
+
+const VIDEOS_DIR = path.join(__dirname, '../../videos');
+
+class CaptionPipeline {
+  /**
+   * Resolve a videoId to a file inside /videos
+   * Accepts a file name, a file name without extension or a /videos/... URL.
+   * @returns {string|null} - File name inside /videos, or null if it does not exist
+   */
+  resolveVideoFile(videoId) {
+    if (!videoId || typeof videoId !== 'string') return null;
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(videoId.split('?')[0]);
+    } catch (error) {
+      // Malformed %-escapes can't name a file; callers report it as a missing video
+      console.warn(`Video file not found, invalid video id: ${videoId}`);
+      return null;
+    }
+
+    // basename() keeps the lookup inside the videos folder
+    const name = path.basename(decoded);
+    const candidates = path.extname(name) ? [name] : [`${name}.mp4`, name];
+
+    return candidates.find(candidate => {
+      const filePath = path.join(VIDEOS_DIR, candidate);
+      return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    }) || null;
+  }
+
+  getVideoPath(videoFile) {
+    return path.join(VIDEOS_DIR, videoFile);
+  }
+
+  /**
+   * Queue the pipeline for a caption record
+   * @returns {Object} - Queued job
+   */
+  async start(caption, user) {
+    const job = await jobQueue.enqueue('captions.generate', { captionId: caption._id }, { user });
+
+    caption.job = job._id;
+    await caption.save();
+    return job;
+  }
+
+  /**
+   * Transcribe the caption's video and persist segments and WebVTT
+   * Errors are rethrown so the job queue can retry; the caption is only
+   * marked failed on the final attempt.
+   */
+  async run(captionId, { onProgress, isFinalAttempt = true } = {}) {
+    const caption = await Caption.findById(captionId);
+    if (!caption) return null;
+
+    const videoPath = this.getVideoPath(caption.videoFile);
+    let lastPercent = -1;
+
+    const updateProgress = async ({ stage, percent }) => {
+      // ffmpeg reports progress many times a second, only persist real changes
+      if (stage === caption.progress.stage && percent === lastPercent) return;
+      lastPercent = percent;
+
+      await Caption.updateOne(
+        { _id: caption._id },
+        { $set: { 'progress.stage': stage, 'progress.percent': percent, 'progress.updatedAt': new Date() } }
+      );
+      caption.progress.stage = stage;
+
+      if (onProgress) {
+        await onProgress({ stage, percent });
+      }
+    };
+
+    try {
+      await updateProgress({ stage: 'extracting_audio', percent: 0 });
+
+      const result = await speechToTextService.transcribeVideo(videoPath, {
+        language: caption.language,
+        onProgress: (progress) => {
+          updateProgress(progress).catch(error => {
+            console.error('Caption progress update error:', error);
+          });
+        }
+      });
+
+      await updateProgress({ stage: 'saving', percent: 95 });
+
+      caption.captions = result.captions;
+      caption.vttContent = result.webvtt || speechToTextService.generateWebVTT(result.captions);
+      caption.provider = result.provider;
+      caption.confidence = result.confidence;
+      caption.status = 'completed';
+      caption.error = undefined;
+      caption.progress = { stage: 'completed', percent: 100, updatedAt: new Date() };
+      await caption.save();
+
+      console.log(`Captions generated for video: ${caption.videoId}`);
+      return caption;
+    } catch (error) {
+      console.error('Caption generation failed:', error);
+      caption.error = error.message;
+
+      if (isFinalAttempt) {
+        caption.status = 'failed';
+        caption.progress = { stage: 'failed', percent: lastPercent < 0 ? 0 : lastPercent, updatedAt: new Date() };
+      } else {
+        caption.progress = { stage: 'queued', percent: 0, updatedAt: new Date() };
+      }
+
+      await caption.save();
+      throw error;
+    }
+  }
+}
+
+module.exports = new CaptionPipeline();
@@ -0,0 +1,195 @@
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const User = require('../models/User');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MAX_SERIAL_ATTEMPTS = 5;
+
+class CertificateService {
+  getVerificationUrl(serial) {
+    return `${FRONTEND_URL}/verify/${serial}`;
+  }
+
+  /**
+   * Issue a certificate once a learner completes a certificate-enabled course
+   * Safe to call on every progress update; returns the existing certificate if already issued
+   * @param {Object} progress - Progress document (after calculateProgress)
+   * @returns {Promise<Object|null>} - Certificate, or null if not eligible
+   */
+  async issueIfEligible(progress) {
+    if (progress.overallProgress < 100) return null;
+
+    const existing = await Certificate.findOne({ user: progress.user, course: progress.course });
+    if (existing) return existing;
+
+    const course = await Course.findById(progress.course).populate('instructor', 'name');
+    if (!course || !course.certificate || !course.certificate.enabled) return null;
+
+    // Certificates are publicly verifiable, so don't trust the stored percentage:
+    // every lesson of the course must have a completion
+    if (!this.hasCompletedAllLessons(course, progress)) return null;
+
+    const user = await User.findById(progress.user).select('name');
+    if (!user) return null;
+
+    const certificate = await this.createWithUniqueSerial({
+      user: user._id,
+      course: course._id,
+      recipientName: user.name,
+      courseTitle: course.title,
+      instructorName: course.instructor ? course.instructor.name : undefined,
+      template: course.certificate.template,
+      completedAt: progress.completedAt || new Date()
+    });
+
+    progress.certificateIssued = true;
+    progress.certificateIssuedAt = certificate.issuedAt;
+    await progress.save();
+
+    await User.updateOne(
+      { _id: user._id, 'enrolledCourses.course': course._id },
+      { $set: { 'enrolledCourses.$.certificateIssued': true, 'enrolledCourses.$.completed': true } }
+    );
+
+    return certificate;
+  }
+
+  hasCompletedAllLessons(course, progress) {
+    const lessonIds = course.sections.flatMap(section => section.lessons.map(lesson => lesson._id.toString()));
+    if (lessonIds.length === 0) return false;
+
+    const completed = new Set(progress.completedLessons.map(completion => completion.lessonId.toString()));
+    return lessonIds.every(lessonId => completed.has(lessonId));
+  }
+
+  async createWithUniqueSerial(data) {
+    for (let attempt = 1; attempt <= MAX_SERIAL_ATTEMPTS; attempt++) {
+      try {
+        return await Certificate.create({ ...data, serial: Certificate.generateSerial() });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // A concurrent request already issued this user's certificate
+        if (error.keyPattern && error.keyPattern.user) {
+          return Certificate.findOne({ user: data.user, course: data.course });
+        }
+        // Otherwise the serial collided, try another one
+      }
+    }
+
+    throw new Error('Could not generate a unique certificate serial');
+  }
+
+  /**
+   * Render a certificate as a landscape A4 PDF
+   * @returns {PDFDocument} - Pipe it to a response or file; already ended
+   */
+  renderPDF(certificate) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      // Small bottom margin so the verification footer stays on the first page
+      margins: {
+        top: 60,
+        bottom: 20,
+        left: 60,
+        right: 60
+      },
+      info: {
+        Title: `Certificate ${certificate.serial}`,
+        Subject: certificate.courseTitle
+      }
+    });
+
+    const width = doc.page.width;
+    const height = doc.page.height;
+    const contentWidth = width - 120;
+
+    // Border
+    doc.rect(20, 20, width - 40, height - 40)
+       .lineWidth(3)
+       .stroke('#1d4ed8');
+    doc.rect(30, 30, width - 60, height - 60)
+       .lineWidth(1)
+       .stroke('#93c5fd');
+
+    doc.fontSize(32)
+       .font('Helvetica-Bold')
+       .fillColor('#1f2937')
+       .text('Certificate of Completion', 60, 90, { width: contentWidth, align: 'center' });
+
+    doc.moveDown(1.5);
+
+    doc.fontSize(14)
+       .font('Helvetica')
+       .fillColor('#6b7280')
+       .text('This certifies that', { width: contentWidth, align: 'center' });
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(28)
+       .font('Helvetica-Bold')
+       .fillColor('#1d4ed8')
+       .text(certificate.recipientName, { width: contentWidth, align: 'center' });
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(14)
+       .font('Helvetica')
+       .fillColor('#6b7280')
+       .text('has successfully completed the course', { width: contentWidth, align: 'center' });
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1f2937')
+       .text(certificate.courseTitle, { width: contentWidth, align: 'center' });
+
+    if (certificate.instructorName) {
+      doc.moveDown(0.5);
+      doc.fontSize(12)
+         .font('Helvetica')
+         .fillColor('#6b7280')
+         .text(`Instructor: ${certificate.instructorName}`, { width: contentWidth, align: 'center' });
+    }
+
+    // Footer with issue date and verification details
+    const footerY = height - 130;
+
+    doc.fontSize(11)
+       .font('Helvetica')
+       .fillColor('#6b7280')
+       .text('Issued on', 80, footerY)
+       .font('Helvetica-Bold')
+       .fillColor('#1f2937')
+       .text(certificate.issuedAt.toLocaleDateString('en-US', {
+         year: 'numeric',
+         month: 'long',
+         day: 'numeric'
+       }), 80, footerY + 16);
+
+    doc.font('Helvetica')
+       .fillColor('#6b7280')
+       .text('Certificate ID', width - 330, footerY, { width: 250, align: 'right' })
+       .font('Helvetica-Bold')
+       .fillColor('#1f2937')
+       .text(certificate.serial, width - 330, footerY + 16, { width: 250, align: 'right' });
+
+    const verificationUrl = this.getVerificationUrl(certificate.serial);
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor('#6b7280')
+       .text(`Verify at ${verificationUrl}`, 60, height - 70, {
+         width: contentWidth,
+         align: 'center',
+         link: verificationUrl
+       });
+
+    doc.end();
+    return doc;
+  }
+}
+
+module.exports = new CertificateService();
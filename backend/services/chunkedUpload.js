@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+const mediaProcessing = require('./mediaProcessing');
+
+const VIDEOS_DIR = path.join(__dirname, '../../videos');
+// Dot-directory so express.static never serves half-written files
+const PARTIAL_DIR = path.join(VIDEOS_DIR, '.partial');
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_VIDEO_UPLOAD_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Idle sessions expire after a day
+
+// Algorithms accepted in the Upload-Checksum header (tus checksum extension)
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+// Containers a video may be stored as; the extension decides the Content-Type /videos serves it with
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.mkv'];
+
+class ChunkedUploadService {
+  constructor() {
+    this.maxUploadSize = MAX_UPLOAD_SIZE;
+    this.maxChunkSize = MAX_CHUNK_SIZE;
+    this.checksumAlgorithms = CHECKSUM_ALGORITHMS;
+    this.videoExtensions = VIDEO_EXTENSIONS;
+  }
+
+  /**
+   * Allowed extension of a video file name, or null if it is not a supported container
+   */
+  videoExtension(filename) {
+    const extension = path.extname(String(filename || '')).toLowerCase();
+    return VIDEO_EXTENSIONS.find(allowed => allowed === extension) || null;
+  }
+
+  getPartialPath(session) {
+    return path.join(PARTIAL_DIR, `${session._id}.part`);
+  }
+
+  /**
+   * Open an upload session and reserve its partial file
+   * @param {Object} user - Uploader
+   * @param {Object} file - { filename, size, mimeType, chunkSize }
+   * @returns {Promise<Object>} - UploadSession document
+   */
+  async createSession(user, { filename, size, mimeType, chunkSize }) {
+    const extension = this.videoExtension(filename);
+    if (!extension) {
+      throw new Error(`Unsupported video file: ${filename}`);
+    }
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+
+    const session = new UploadSession({
+      user: user._id,
+      filename,
+      mimeType,
+      size,
+      chunkSize: Math.min(chunkSize || DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE),
+      videoId: 'video-' + uniqueSuffix + extension,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    await fs.mkdir(PARTIAL_DIR, { recursive: true });
+    await fs.writeFile(this.getPartialPath(session), '');
+    await session.save();
+
+    return session;
+  }
+
+  /**
+   * Check a chunk against an Upload-Checksum header ("<algorithm> <base64 digest>")
+   */
+  verifyChecksum(chunk, header) {
+    const [algorithm, expected] = (header || '').trim().split(/\s+/);
+
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !expected) {
+      return false;
+    }
+
+    const actual = crypto.createHash(algorithm).update(chunk).digest('base64');
+    return actual === expected;
+  }
+
+  /**
+   * Write a chunk at the session's current offset
+   * @returns {Promise<Object|null>} - Updated session, or null if the offset moved meanwhile
+   */
+  async writeChunk(session, chunk) {
+    const offset = session.bytesReceived;
+    const handle = await fs.open(this.getPartialPath(session), 'r+');
+
+    try {
+      // A dropped request may have left bytes past the committed offset
+      await handle.truncate(offset);
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    // Only commit if no other request for this session got there first
+    return UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading', bytesReceived: offset },
+      {
+        $inc: { bytesReceived: chunk.length, chunksReceived: 1 },
+        $set: { expiresAt: new Date(Date.now() + SESSION_TTL_MS) }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Move a fully received upload into /videos and queue its processing
+   * @returns {Promise<Object>} - { session, processing }
+   */
+  async complete(session) {
+    await fs.rename(this.getPartialPath(session), path.join(VIDEOS_DIR, session.videoId));
+
+    const processing = await mediaProcessing.queueVideoProcessing(session.videoId, session.user);
+
+    session.status = 'completed';
+    session.completedAt = new Date();
+    session.processingJobs = processing.jobs;
+    await session.save();
+
+    return { session, processing };
+  }
+
+  /**
+   * Cancel an upload and remove whatever was received
+   */
+  async abort(session) {
+    session.status = 'aborted';
+    await session.save();
+    await this.removePartial(session);
+  }
+
+  /**
+   * Expire idle sessions and free their disk space
+   * @returns {Promise<number>} - Number of sessions expired
+   */
+  async cleanupExpired() {
+    const sessions = await UploadSession.find({
+      status: 'uploading',
+      expiresAt: { $lt: new Date() }
+    });
+
+    for (const session of sessions) {
+      await this.removePartial(session);
+      session.status = 'expired';
+      await session.save();
+    }
+
+    return sessions.length;
+  }
+
+  async removePartial(session) {
+    try {
+      await fs.unlink(this.getPartialPath(session));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Partial upload cleanup error:', error);
+      }
+    }
+  }
+}
+
+module.exports = new ChunkedUploadService();
@@ -0,0 +1,107 @@
+const Analytics = require('../models/Analytics');
+const CohortRetention = require('../models/CohortRetention');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+const courseAnalytics = require('./courseAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// Cohorts older than this keep the retention computed while they were in the window
+const COHORT_WEEKS = 12;
+
+const addWeeks = (weekKey, weeks) => new Date(Date.parse(weekKey) + weeks * WEEK_MS).toISOString().slice(0, 10);
+
+class CohortRetentionService {
+  /**
+   * Group a course's recent enrollments into weekly cohorts and compute how many were active each week since
+   * A learner counts as active in a week if they had a player session or a quiz attempt in it
+   * @returns {Promise<Array>} - [{ cohort, size, weeks: [{ week, active, retention }] }]
+   */
+  async computeCourse(course, now = new Date()) {
+    const currentWeek = courseAnalytics.periodKey(now, 'week');
+    const firstWeek = addWeeks(currentWeek, -(COHORT_WEEKS - 1));
+    const since = new Date(firstWeek);
+
+    const enrollments = await User.aggregate([
+      { $match: { 'enrolledCourses.course': course._id } },
+      { $unwind: '$enrolledCourses' },
+      {
+        $match: {
+          'enrolledCourses.course': course._id,
+          'enrolledCourses.enrolledAt': { $gte: since }
+        }
+      },
+      { $project: { at: '$enrolledCourses.enrolledAt' } }
+    ]);
+
+    if (enrollments.length === 0) return [];
+
+    const users = enrollments.map(enrollment => enrollment._id);
+    const dailyActivity = (Model, dateField) => Model.aggregate([
+      { $match: { course: course._id, user: { $in: users }, [dateField]: { $gte: since } } },
+      {
+        $group: {
+          _id: {
+            user: '$user',
+            day: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } }
+          }
+        }
+      }
+    ]);
+
+    const [sessions, attempts] = await Promise.all([
+      dailyActivity(Analytics, 'createdAt'),
+      dailyActivity(QuizAttempt, 'startedAt')
+    ]);
+
+    const activeWeeks = new Map();
+    for (const { _id } of [...sessions, ...attempts]) {
+      const user = _id.user.toString();
+      if (!activeWeeks.has(user)) activeWeeks.set(user, new Set());
+      activeWeeks.get(user).add(courseAnalytics.periodKey(_id.day, 'week'));
+    }
+
+    const cohorts = new Map();
+    for (const { _id, at } of enrollments) {
+      const cohort = courseAnalytics.periodKey(at, 'week');
+      if (!cohorts.has(cohort)) cohorts.set(cohort, []);
+      cohorts.get(cohort).push(_id.toString());
+    }
+
+    const rows = [...cohorts.keys()].sort().map(cohort => {
+      const members = cohorts.get(cohort);
+      const elapsed = Math.round((Date.parse(currentWeek) - Date.parse(cohort)) / WEEK_MS);
+      const weeks = [];
+
+      for (let week = 0; week <= elapsed; week++) {
+        const weekKey = addWeeks(cohort, week);
+        const active = members.filter(user => activeWeeks.get(user)?.has(weekKey)).length;
+        weeks.push({ week, active, retention: Math.round((active / members.length) * 1000) / 10 });
+      }
+
+      return { cohort, size: members.length, weeks };
+    });
+
+    await CohortRetention.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { course: course._id, cohort: row.cohort },
+        update: { $set: { size: row.size, weeks: row.weeks, computedAt: now } },
+        upsert: true
+      }
+    })));
+
+    return rows;
+  }
+
+  /**
+   * Stored cohorts for a course, newest first
+   */
+  async getCourseCohorts(courseId, limit = COHORT_WEEKS) {
+    return CohortRetention.find({ course: courseId })
+      .sort({ cohort: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new CohortRetentionService();
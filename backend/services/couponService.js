@@ -0,0 +1,61 @@
+const Coupon = require('../models/Coupon');
+
+class CouponService {
+  /**
+   * Look up a coupon code and check it can be used for a course
+   * @returns {Promise<Object>} - { coupon } or { reason } when it can't be applied
+   */
+  async findApplicable(code, course) {
+    const normalized = Coupon.normalizeCode(code);
+    const coupon = normalized ? await Coupon.findOne({ code: normalized }) : null;
+
+    if (!coupon) {
+      return { reason: 'This coupon code is not valid' };
+    }
+
+    const unavailable = coupon.getUnavailableReason();
+    if (unavailable) {
+      return { reason: unavailable };
+    }
+
+    if (!coupon.appliesTo(course)) {
+      return { reason: 'This coupon does not apply to this course' };
+    }
+
+    return { coupon };
+  }
+
+  /**
+   * Discount in minor units for an amount, never more than the amount itself
+   * @param {Function} toMinorUnits - Converts a major-unit value in the given currency
+   */
+  computeDiscount(coupon, amount, currency, toMinorUnits) {
+    const discount = coupon.type === 'percent'
+      ? Math.round(amount * coupon.value / 100)
+      : toMinorUnits(coupon.value, currency);
+
+    return Math.min(Math.max(discount, 0), amount);
+  }
+
+  /**
+   * Count one redemption, unless the coupon ran out meanwhile
+   * @returns {Promise<boolean>} - Whether the redemption was counted
+   */
+  async redeem(couponId) {
+    const updated = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    return !!updated;
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,455 @@
+const Analytics = require('../models/Analytics');
+const Order = require('../models/Order');
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+const paymentService = require('./paymentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+const VIEWS = ['enrollments', 'activity', 'funnel', 'quizzes', 'revenue', 'ratings'];
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const percent = (part, total) => (total ? round((part / total) * 100) : 0);
+
+class CourseAnalyticsService {
+  get views() {
+    return VIEWS;
+  }
+
+  /**
+   * Parse from/to/interval query parameters; defaults to the last 30 days
+   * @returns {Object} - { from, to, interval } or { error }
+   */
+  parseRange({ from, to, interval } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (isNaN(start) || isNaN(end)) {
+      return { error: 'from and to must be valid dates' };
+    }
+
+    // A date-only "to" means the whole of that day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (start > end) {
+      return { error: 'from must be before to' };
+    }
+
+    const days = Math.ceil((end - start) / DAY_MS);
+    if (days > MAX_RANGE_DAYS) {
+      return { error: 'Date range can be at most two years' };
+    }
+
+    const resolvedInterval = ['day', 'week', 'month'].includes(interval)
+      ? interval
+      : days <= 62 ? 'day' : days <= 366 ? 'week' : 'month';
+
+    return { from: start, to: end, interval: resolvedInterval };
+  }
+
+  // Weeks start on Monday and are labelled with that date
+  periodKey(date, interval) {
+    const d = new Date(date);
+    if (interval === 'month') return d.toISOString().slice(0, 7);
+    if (interval === 'week') {
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    }
+    return d.toISOString().slice(0, 10);
+  }
+
+  listPeriods(range) {
+    const keys = [];
+    for (let time = range.from.getTime(); time <= range.to.getTime(); time += DAY_MS) {
+      const key = this.periodKey(time, range.interval);
+      if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Build one analytics view for a course
+   * @returns {Promise<Object>} - { view, range, columns, rows, summary }
+   */
+  async getView(view, course, range) {
+    const builders = {
+      enrollments: () => this.getEnrollments(course, range),
+      activity: () => this.getActivity(course, range),
+      funnel: () => this.getFunnel(course, range),
+      quizzes: () => this.getQuizzes(course, range),
+      revenue: () => this.getRevenue(course, range),
+      ratings: () => this.getRatings(course, range)
+    };
+
+    const result = await builders[view]();
+
+    return {
+      view,
+      range: { from: range.from, to: range.to, interval: range.interval },
+      ...result
+    };
+  }
+
+  async getEnrollments(course, range) {
+    const [enrollments, completions] = await Promise.all([
+      User.aggregate([
+        { $match: { 'enrolledCourses.course': course._id } },
+        { $unwind: '$enrolledCourses' },
+        {
+          $match: {
+            'enrolledCourses.course': course._id,
+            'enrolledCourses.enrolledAt': { $gte: range.from, $lte: range.to }
+          }
+        },
+        { $project: { at: '$enrolledCourses.enrolledAt' } }
+      ]),
+      Progress.find({
+        course: course._id,
+        completedAt: { $gte: range.from, $lte: range.to }
+      }).select('completedAt').lean()
+    ]);
+
+    const rows = this.listPeriods(range).map(period => ({ period, enrollments: 0, completions: 0 }));
+    const byPeriod = new Map(rows.map(row => [row.period, row]));
+
+    enrollments.forEach(({ at }) => {
+      const row = byPeriod.get(this.periodKey(at, range.interval));
+      if (row) row.enrollments += 1;
+    });
+    completions.forEach(({ completedAt }) => {
+      const row = byPeriod.get(this.periodKey(completedAt, range.interval));
+      if (row) row.completions += 1;
+    });
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'enrollments', label: 'Enrollments' },
+        { key: 'completions', label: 'Completions' }
+      ],
+      rows,
+      summary: {
+        enrollments: enrollments.length,
+        completions: completions.length,
+        totalEnrollments: course.enrollmentCount
+      }
+    };
+  }
+
+  async getActivity(course, range) {
+    const daily = await Analytics.aggregate([
+      { $match: { course: course._id, createdAt: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            user: '$user'
+          },
+          sessions: { $sum: 1 },
+          watchTime: { $sum: { $ifNull: ['$sessionData.duration', 0] } }
+        }
+      }
+    ]);
+
+    const rows = this.listPeriods(range).map(period => ({
+      period, activeLearners: 0, sessions: 0, watchMinutes: 0, learners: new Set()
+    }));
+    const byPeriod = new Map(rows.map(row => [row.period, row]));
+    const learners = new Set();
+
+    daily.forEach(({ _id, sessions, watchTime }) => {
+      const row = byPeriod.get(this.periodKey(_id.day, range.interval));
+      if (!row) return;
+      row.learners.add(_id.user.toString());
+      row.sessions += sessions;
+      row.watchMinutes += watchTime / 60;
+      learners.add(_id.user.toString());
+    });
+
+    const result = rows.map(({ learners: periodLearners, ...row }) => ({
+      ...row,
+      activeLearners: periodLearners.size,
+      watchMinutes: Math.round(row.watchMinutes)
+    }));
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'activeLearners', label: 'Active learners' },
+        { key: 'sessions', label: 'Sessions' },
+        { key: 'watchMinutes', label: 'Watch time (min)' }
+      ],
+      rows: result,
+      summary: {
+        activeLearners: learners.size,
+        sessions: result.reduce((sum, row) => sum + row.sessions, 0),
+        watchMinutes: result.reduce((sum, row) => sum + row.watchMinutes, 0)
+      }
+    };
+  }
+
+  /**
+   * How far learners who started in the range got, lesson by lesson
+   */
+  async getFunnel(course, range) {
+    const cohort = await Progress.find({
+      course: course._id,
+      startedAt: { $gte: range.from, $lte: range.to }
+    }).select('completedLessons.lessonId completedAt').lean();
+
+    const completedBy = new Map();
+    cohort.forEach(progress => {
+      const lessons = new Set((progress.completedLessons || []).map(item => item.lessonId.toString()));
+      lessons.forEach(lessonId => {
+        completedBy.set(lessonId, (completedBy.get(lessonId) || 0) + 1);
+      });
+      progress.lessonSet = lessons;
+    });
+
+    const started = cohort.length;
+    const rows = [];
+
+    course.sections.forEach((section, sectionIndex) => {
+      const lessonIds = section.lessons.map(lesson => lesson._id.toString());
+      const completedSection = cohort.filter(progress =>
+        lessonIds.length > 0 && lessonIds.every(lessonId => progress.lessonSet.has(lessonId))
+      ).length;
+
+      rows.push({
+        level: 'section',
+        position: `${sectionIndex + 1}`,
+        section: section.title,
+        lesson: '',
+        completed: completedSection,
+        completionRate: percent(completedSection, started)
+      });
+
+      section.lessons.forEach((lesson, lessonIndex) => {
+        const completed = completedBy.get(lesson._id.toString()) || 0;
+        rows.push({
+          level: 'lesson',
+          position: `${sectionIndex + 1}.${lessonIndex + 1}`,
+          section: section.title,
+          lesson: lesson.title,
+          lessonId: lesson._id,
+          completed,
+          completionRate: percent(completed, started)
+        });
+      });
+    });
+
+    const finished = cohort.filter(progress => progress.completedAt).length;
+
+    return {
+      columns: [
+        { key: 'position', label: '#' },
+        { key: 'level', label: 'Level' },
+        { key: 'section', label: 'Section' },
+        { key: 'lesson', label: 'Lesson' },
+        { key: 'completed', label: 'Learners completed' },
+        { key: 'completionRate', label: 'Completion (%)' }
+      ],
+      rows,
+      summary: {
+        started,
+        finished,
+        completionRate: percent(finished, started)
+      }
+    };
+  }
+
+  async getQuizzes(course, range) {
+    const stats = await QuizAttempt.aggregate([
+      {
+        $match: {
+          course: course._id,
+          status: { $in: ['submitted', 'expired'] },
+          submittedAt: { $gte: range.from, $lte: range.to }
+        }
+      },
+      {
+        $group: {
+          _id: '$lesson',
+          attempts: { $sum: 1 },
+          learners: { $addToSet: '$user' },
+          averageScore: { $avg: '$score' },
+          passed: { $sum: { $cond: ['$passed', 1, 0] } }
+        }
+      }
+    ]);
+
+    const byLesson = new Map(stats.map(stat => [stat._id.toString(), stat]));
+    const rows = [];
+
+    course.sections.forEach((section, sectionIndex) => {
+      section.lessons.forEach((lesson, lessonIndex) => {
+        const stat = byLesson.get(lesson._id.toString());
+        const hasQuiz = lesson.quiz?.questions?.length > 0;
+        if (!stat && !hasQuiz) return;
+
+        rows.push({
+          position: `${sectionIndex + 1}.${lessonIndex + 1}`,
+          section: section.title,
+          lesson: lesson.title,
+          lessonId: lesson._id,
+          attempts: stat ? stat.attempts : 0,
+          learners: stat ? stat.learners.length : 0,
+          averageScore: stat ? round(stat.averageScore) : null,
+          passRate: stat ? percent(stat.passed, stat.attempts) : null
+        });
+      });
+    });
+
+    const attempts = rows.reduce((sum, row) => sum + row.attempts, 0);
+    const weightedScore = rows.reduce((sum, row) => sum + (row.averageScore || 0) * row.attempts, 0);
+
+    return {
+      columns: [
+        { key: 'position', label: '#' },
+        { key: 'section', label: 'Section' },
+        { key: 'lesson', label: 'Lesson' },
+        { key: 'attempts', label: 'Attempts' },
+        { key: 'learners', label: 'Learners' },
+        { key: 'averageScore', label: 'Average score (%)' },
+        { key: 'passRate', label: 'Pass rate (%)' }
+      ],
+      rows,
+      summary: {
+        quizzes: rows.length,
+        attempts,
+        averageScore: attempts ? round(weightedScore / attempts) : null
+      }
+    };
+  }
+
+  async getRevenue(course, range) {
+    const orders = await Order.find({
+      course: course._id,
+      status: 'paid',
+      paidAt: { $gte: range.from, $lte: range.to }
+    }).select('amount discount currency paidAt').lean();
+
+    const currencies = [...new Set(orders.map(order => order.currency))];
+    if (currencies.length === 0) {
+      currencies.push((course.currency || 'USD').toUpperCase());
+    }
+
+    const periods = this.listPeriods(range);
+    const rows = [];
+    const byKey = new Map();
+
+    periods.forEach(period => {
+      currencies.forEach(currency => {
+        const row = { period, currency, orders: 0, gross: 0, discounts: 0 };
+        rows.push(row);
+        byKey.set(`${period}|${currency}`, row);
+      });
+    });
+
+    orders.forEach(order => {
+      const row = byKey.get(`${this.periodKey(order.paidAt, range.interval)}|${order.currency}`);
+      if (!row) return;
+      row.orders += 1;
+      row.gross += order.amount;
+      row.discounts += order.discount || 0;
+    });
+
+    const totals = {};
+    currencies.forEach(currency => {
+      const currencyOrders = orders.filter(order => order.currency === currency);
+      totals[currency] = {
+        orders: currencyOrders.length,
+        gross: paymentService.fromMinorUnits(
+          currencyOrders.reduce((sum, order) => sum + order.amount, 0), currency
+        )
+      };
+    });
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'orders', label: 'Orders' },
+        { key: 'gross', label: 'Revenue' },
+        { key: 'discounts', label: 'Discounts' }
+      ],
+      // Major units, e.g. 49.99
+      rows: rows.map(row => ({
+        ...row,
+        gross: paymentService.fromMinorUnits(row.gross, row.currency),
+        discounts: paymentService.fromMinorUnits(row.discounts, row.currency)
+      })),
+      summary: {
+        orders: orders.length,
+        totals
+      }
+    };
+  }
+
+  async getRatings(course, range) {
+    const reviews = [...course.reviews]
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    const rows = this.listPeriods(range).map(period => ({
+      period, reviews: 0, averageRating: null, cumulativeAverage: null, sum: 0
+    }));
+    const byPeriod = new Map(rows.map(row => [row.period, row]));
+
+    let runningSum = 0;
+    let runningCount = 0;
+    let reviewIndex = 0;
+
+    // Reviews before the range still count towards the running average
+    while (reviewIndex < reviews.length && reviews[reviewIndex].createdAt < range.from) {
+      runningSum += reviews[reviewIndex].rating;
+      runningCount += 1;
+      reviewIndex += 1;
+    }
+
+    rows.forEach(row => {
+      while (
+        reviewIndex < reviews.length &&
+        reviews[reviewIndex].createdAt <= range.to &&
+        this.periodKey(reviews[reviewIndex].createdAt, range.interval) === row.period
+      ) {
+        row.reviews += 1;
+        row.sum += reviews[reviewIndex].rating;
+        runningSum += reviews[reviewIndex].rating;
+        runningCount += 1;
+        reviewIndex += 1;
+      }
+      row.averageRating = row.reviews ? round(row.sum / row.reviews, 2) : null;
+      row.cumulativeAverage = runningCount ? round(runningSum / runningCount, 2) : null;
+    });
+
+    const inRange = rows.reduce((sum, row) => sum + row.reviews, 0);
+    const inRangeSum = rows.reduce((sum, row) => sum + row.sum, 0);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'reviews', label: 'Reviews' },
+        { key: 'averageRating', label: 'Average rating' },
+        { key: 'cumulativeAverage', label: 'Overall rating' }
+      ],
+      rows: rows.map(({ sum, ...row }) => row),
+      summary: {
+        reviews: inRange,
+        averageRating: inRange ? round(inRangeSum / inRange, 2) : null,
+        overallRating: course.rating?.average || 0,
+        totalReviews: course.rating?.count || 0
+      }
+    };
+  }
+}
+
+module.exports = new CourseAnalyticsService();
@@ -0,0 +1,42 @@
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class CsvService {
+  escape(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build a CSV document
+   * @param {Array} columns - [{ key, label }]
+   * @param {Array} rows - Plain objects keyed by column key
+   */
+  toCSV(columns, rows) {
+    const lines = [columns.map(column => this.escape(column.label)).join(',')];
+
+    for (const row of rows) {
+      lines.push(columns.map(column => this.escape(row[column.key])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Send a CSV document as a download
+   */
+  send(res, filename, columns, rows) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so Excel picks up UTF-8
+    res.send('\uFEFF' + this.toCSV(columns, rows));
+  }
+}
+
+module.exports = new CsvService();
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const Note = require('../models/Note');
+const QuizAttempt = require('../models/QuizAttempt');
+const Analytics = require('../models/Analytics');
+const Certificate = require('../models/Certificate');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const ReportSubscription = require('../models/ReportSubscription');
+const XapiStatement = require('../models/XapiStatement');
+const csv = require('./csv');
+
+const README = `Your Virtual Learning Platform data
+
+profile.json              Your account and settings
+enrollments.csv           Courses you are enrolled in
+progress.json/.csv        Lesson progress per course
+notes.json                Your notes
+quiz-attempts.json/.csv   Quiz attempts and answers
+learning-sessions.json    Video sessions with player events
+learning-sessions.csv     Video sessions, one row each
+reviews.json              Course reviews you wrote
+certificates.json         Certificates issued to you
+orders.json               Purchases and receipts
+sessions.json             Devices you were signed in on
+api-keys.json             Your API keys (the keys themselves are never stored)
+report-subscriptions.json Scheduled report emails
+xapi-statements.json      xAPI learning record statements about you
+`;
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+class DataExportService {
+  /**
+   * Collect everything stored about a user, as file name -> contents
+   * @returns {Promise<Object>}
+   */
+  async collect(userId) {
+    const user = await User.findById(userId).populate('enrolledCourses.course', 'title');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [progress, notes, attempts, sessions, reviewedCourses, certificates, orders, devices, apiKeys, subscriptions, statements] = await Promise.all([
+      Progress.find({ user: userId }).populate('course', 'title').lean(),
+      Note.find({ user: userId }).populate('course', 'title').sort({ createdAt: 1 }).lean(),
+      QuizAttempt.find({ user: userId }).populate('course', 'title').sort({ startedAt: 1 }).lean(),
+      Analytics.find({ user: userId }).populate('course', 'title').sort({ 'sessionData.startTime': 1 }).lean(),
+      Course.find({ 'reviews.user': userId }).select('title reviews'),
+      Certificate.find({ user: userId }),
+      Order.find({ user: userId }).sort({ createdAt: 1 }),
+      Session.find({ user: userId }).select('device userAgent ip lastUsedAt createdAt revokedAt').sort({ createdAt: 1 }).lean(),
+      ApiKey.find({ user: userId }).sort({ createdAt: 1 }),
+      ReportSubscription.find({ user: userId }).populate('course', 'title').lean(),
+      XapiStatement.find({ user: userId }).select('statement').sort({ timestamp: 1 }).lean()
+    ]);
+
+    const courseTitle = (course) => (course && course.title) || '';
+
+    const reviews = reviewedCourses.flatMap(course => course.reviews
+      .filter(review => review.user.toString() === userId.toString())
+      .map(review => ({
+        course: course._id,
+        courseTitle: course.title,
+        rating: review.rating,
+        comment: review.comment,
+        createdAt: review.createdAt
+      })));
+
+    return {
+      'README.txt': README,
+      'profile.json': json(user.toJSON()),
+      'enrollments.csv': csv.toCSV([
+        { key: 'course', label: 'Course' },
+        { key: 'enrolledAt', label: 'Enrolled At' },
+        { key: 'progress', label: 'Progress %' },
+        { key: 'completed', label: 'Completed' }
+      ], user.enrolledCourses.map(enrollment => ({
+        course: courseTitle(enrollment.course),
+        enrolledAt: enrollment.enrolledAt,
+        progress: enrollment.progress,
+        completed: enrollment.completed
+      }))),
+      'progress.json': json(progress),
+      'progress.csv': csv.toCSV([
+        { key: 'course', label: 'Course' },
+        { key: 'overallProgress', label: 'Progress %' },
+        { key: 'completedLessons', label: 'Completed Lessons' },
+        { key: 'totalWatchTime', label: 'Watch Time (s)' },
+        { key: 'lastAccessedAt', label: 'Last Accessed' }
+      ], progress.map(record => ({
+        course: courseTitle(record.course),
+        overallProgress: record.overallProgress,
+        completedLessons: record.completedLessons.length,
+        totalWatchTime: record.totalWatchTime,
+        lastAccessedAt: record.lastAccessedAt
+      }))),
+      'notes.json': json(notes),
+      'quiz-attempts.json': json(attempts),
+      'quiz-attempts.csv': csv.toCSV([
+        { key: 'course', label: 'Course' },
+        { key: 'lesson', label: 'Lesson ID' },
+        { key: 'attemptNumber', label: 'Attempt' },
+        { key: 'status', label: 'Status' },
+        { key: 'score', label: 'Score %' },
+        { key: 'passed', label: 'Passed' },
+        { key: 'startedAt', label: 'Started At' },
+        { key: 'submittedAt', label: 'Submitted At' }
+      ], attempts.map(attempt => ({
+        ...attempt,
+        course: courseTitle(attempt.course)
+      }))),
+      'learning-sessions.json': json(sessions),
+      'learning-sessions.csv': csv.toCSV([
+        { key: 'course', label: 'Course' },
+        { key: 'lesson', label: 'Lesson ID' },
+        { key: 'startTime', label: 'Started At' },
+        { key: 'endTime', label: 'Ended At' },
+        { key: 'duration', label: 'Duration (s)' },
+        { key: 'videoProgress', label: 'Video Progress %' },
+        { key: 'interactions', label: 'Events' },
+        { key: 'engagementScore', label: 'Engagement Score' },
+        { key: 'comprehensionScore', label: 'Comprehension Score' }
+      ], sessions.map(session => ({
+        course: courseTitle(session.course),
+        lesson: session.lesson,
+        startTime: session.sessionData.startTime,
+        endTime: session.sessionData.endTime,
+        duration: session.sessionData.duration,
+        videoProgress: session.sessionData.videoProgress,
+        interactions: (session.sessionData.interactions || []).length,
+        engagementScore: session.performance?.engagementScore,
+        comprehensionScore: session.performance?.comprehensionScore
+      }))),
+      'reviews.json': json(reviews),
+      'certificates.json': json(certificates.map(certificate => certificate.toPublicJSON())),
+      'orders.json': json(orders.map(order => order.toReceiptJSON())),
+      'sessions.json': json(devices),
+      'api-keys.json': json(apiKeys.map(apiKey => apiKey.toPublicJSON())),
+      'report-subscriptions.json': json(subscriptions),
+      'xapi-statements.json': json(statements.map(record => record.statement))
+    };
+  }
+
+  /**
+   * Write a user's data export as a ZIP archive
+   * @param {string} filePath - Where to write the file (see reportStorage.resolvePath)
+   */
+  async writeArchive(userId, filePath) {
+    const files = await this.collect(userId);
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve({ filePath, bytes: archive.pointer() }));
+      output.on('error', reject);
+      archive.on('error', reject);
+
+      archive.pipe(output);
+      for (const [name, contents] of Object.entries(files)) {
+        // BOM so Excel picks up UTF-8
+        archive.append(name.endsWith('.csv') ? '\uFEFF' + contents : contents, { name });
+      }
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,155 @@
+const Course = require('../models/Course');
+const QuizAttempt = require('../models/QuizAttempt');
+
+// Bump whenever the formula changes; sessions scored with an older version can be rescored
+const SCORING_VERSION = 1;
+
+// The player has sent both the short and the video_* names over time
+const INTERACTION_ALIASES = {
+  play: 'play',
+  video_play: 'play',
+  pause: 'pause',
+  video_pause: 'pause',
+  seek: 'seek',
+  video_seek: 'seek',
+  note_taken: 'note',
+  note_created: 'note',
+  quiz_attempt: 'quiz',
+  quiz_completed: 'quiz',
+  caption_toggle: 'caption',
+  video_ended: 'ended'
+};
+
+// How much each deliberate learning action counts towards the activity component
+const ACTION_WEIGHTS = {
+  note: 3,
+  quiz: 4,
+  pause: 1,
+  caption: 0.5
+};
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+class EngagementScoringService {
+  get version() {
+    return SCORING_VERSION;
+  }
+
+  /**
+   * Count interactions by normalized type and find the furthest video position reached
+   */
+  summarizeInteractions(interactions = []) {
+    const counts = { play: 0, pause: 0, seek: 0, note: 0, quiz: 0, caption: 0, ended: 0 };
+    const quizScores = [];
+    let furthestPosition = 0;
+
+    for (const interaction of interactions) {
+      const type = INTERACTION_ALIASES[interaction.type];
+      if (type) counts[type] += 1;
+
+      // A seek's position is where the learner jumped to, not what they watched
+      const position = Number(interaction.data?.timestamp ?? interaction.data?.currentTime);
+      if (type !== 'seek' && Number.isFinite(position) && position > furthestPosition) {
+        furthestPosition = position;
+      }
+
+      const quizScore = Number(interaction.data?.score);
+      if (type === 'quiz' && Number.isFinite(quizScore)) {
+        quizScores.push(clamp(quizScore, 0, 100));
+      }
+    }
+
+    return { counts, quizScores, furthestPosition };
+  }
+
+  /**
+   * Score one learning session
+   * @param {Object} session - Analytics document (or plain object with sessionData)
+   * @param {Object} context - { lessonDuration (seconds), quizScore (0-100, best graded attempt) }
+   * @returns {Object} - Scores (0-100) plus the formula version
+   */
+  score(session, context = {}) {
+    const sessionData = session.sessionData || {};
+    const lessonDuration = context.lessonDuration || 0;
+    const { counts, quizScores, furthestPosition } = this.summarizeInteractions(sessionData.interactions);
+
+    // Completion: reported progress, or how far into the lesson the player got
+    let completion = clamp((sessionData.videoProgress || 0) / 100);
+    if (lessonDuration > 0) {
+      completion = Math.max(completion, clamp(furthestPosition / lessonDuration));
+    }
+    if (counts.ended > 0) {
+      completion = 1;
+    }
+
+    const lessonMinutes = Math.max(1, lessonDuration / 60);
+
+    // Focus: lesson time covered per second spent in the session; an idle tab scores low
+    let focus = completion;
+    if (lessonDuration > 0 && sessionData.duration > 0) {
+      focus = clamp((completion * lessonDuration) / sessionData.duration);
+    }
+
+    // Activity: notes, quizzes and pauses, expected to grow with lesson length
+    const actionPoints = Object.entries(ACTION_WEIGHTS)
+      .reduce((total, [type, weight]) => total + counts[type] * weight, 0);
+    const activity = clamp(actionPoints / (2 + lessonMinutes / 5));
+
+    // Skimming: more than one seek per lesson minute counts as jumping around
+    const watched = completion > 0 || counts.play > 0;
+    const steadiness = watched ? 1 - clamp(counts.seek / lessonMinutes) : 0;
+
+    const engagement = 0.35 * completion + 0.25 * focus + 0.25 * activity + 0.15 * steadiness;
+
+    // Comprehension comes from graded quizzes when there are any, otherwise it is estimated
+    const graded = context.quizScore ?? (quizScores.length
+      ? quizScores.reduce((a, b) => a + b, 0) / quizScores.length
+      : null);
+    const comprehension = graded !== null
+      ? graded / 100
+      : 0.6 * completion + 0.25 * clamp(counts.note / 2) + 0.15 * steadiness;
+
+    return {
+      engagementScore: Math.round(engagement * 100),
+      comprehensionScore: Math.round(comprehension * 100),
+      completionRate: Math.round(completion * 100),
+      scoringVersion: SCORING_VERSION,
+      scoredAt: new Date()
+    };
+  }
+
+  /**
+   * Load the lesson duration and quiz results for a session
+   */
+  async getContext(session) {
+    const [course, quizSummary] = await Promise.all([
+      Course.findById(session.course).select('sections.lessons._id sections.lessons.duration'),
+      QuizAttempt.summarizeForLesson(session.user, session.lesson)
+    ]);
+
+    let lessonDuration = 0;
+    for (const section of course?.sections || []) {
+      const lesson = section.lessons.id(session.lesson);
+      if (lesson) {
+        lessonDuration = lesson.duration || 0;
+        break;
+      }
+    }
+
+    return {
+      lessonDuration,
+      quizScore: quizSummary.bestScore
+    };
+  }
+
+  /**
+   * Compute and set a session's performance scores (caller saves)
+   */
+  async scoreSession(session) {
+    const context = await this.getContext(session);
+    session.performance = this.score(session, context);
+    return session.performance;
+  }
+}
+
+module.exports = new EngagementScoringService();
@@ -0,0 +1,44 @@
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const User = require('../models/User');
+
+class EnrollmentService {
+  isEnrolled(user, courseId) {
+    return user.enrolledCourses.some(
+      enrollment => enrollment.course.toString() === courseId.toString()
+    );
+  }
+
+  /**
+   * Enroll a user in a course and start progress tracking
+   * Idempotent: enrolling twice does not count the student twice
+   * @param {Object|string} userOrId - User document or id
+   * @param {Object} course - Course document
+   * @returns {Promise<boolean>} - false if the user was already enrolled
+   */
+  async enroll(userOrId, course) {
+    const user = userOrId.enrolledCourses ? userOrId : await User.findById(userOrId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (this.isEnrolled(user, course._id)) {
+      return false;
+    }
+
+    user.enrollInCourse(course._id);
+    await user.save();
+
+    await Progress.updateOne(
+      { user: user._id, course: course._id },
+      { $setOnInsert: { user: user._id, course: course._id } },
+      { upsert: true }
+    );
+
+    await Course.updateOne({ _id: course._id }, { $inc: { enrollmentCount: 1 } });
+
+    return true;
+  }
+}
+
+module.exports = new EnrollmentService();
@@ -0,0 +1,124 @@
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+class GradebookService {
+  /**
+   * The course's lessons in syllabus order, numbered like "2.3" (section.lesson)
+   * @returns {Array} - [{ key, number, lessonId, sectionTitle, title, hasQuiz }]
+   */
+  getLessons(course) {
+    const lessons = [];
+
+    [...course.sections].sort(byOrder).forEach((section, sectionIndex) => {
+      [...section.lessons].sort(byOrder).forEach((lesson, lessonIndex) => {
+        lessons.push({
+          key: `l${lessons.length + 1}`,
+          number: `${sectionIndex + 1}.${lessonIndex + 1}`,
+          lessonId: lesson._id.toString(),
+          sectionTitle: section.title,
+          title: lesson.title,
+          hasQuiz: (lesson.quiz?.questions?.length || 0) > 0
+        });
+      });
+    });
+
+    return lessons;
+  }
+
+  /**
+   * Columns for the export: learner totals first, then completion (and quiz results) per lesson
+   */
+  getColumns(lessons) {
+    const columns = [
+      { key: 'name', label: 'Learner', width: 24 },
+      { key: 'email', label: 'Email', width: 28 },
+      { key: 'enrolledAt', label: 'Enrolled', width: 20 },
+      { key: 'overallProgress', label: 'Progress %' },
+      { key: 'completedLessons', label: 'Lessons completed' },
+      { key: 'watchMinutes', label: 'Watch time (min)' },
+      { key: 'lastAccessedAt', label: 'Last active', width: 20 },
+      { key: 'completedAt', label: 'Course completed', width: 20 }
+    ];
+
+    for (const lesson of lessons) {
+      const label = `${lesson.number} ${lesson.title}`;
+      columns.push({ key: `${lesson.key}_completedAt`, label: `${label} - completed`, width: 20 });
+      if (lesson.hasQuiz) {
+        columns.push({ key: `${lesson.key}_bestScore`, label: `${label} - best score %` });
+        columns.push({ key: `${lesson.key}_attempts`, label: `${label} - attempts` });
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * One row per enrolled learner
+   * Quiz results come from graded attempts, falling back to what was recorded when the lesson was completed.
+   * @returns {Promise<Object>} - { lessons, columns, rows }
+   */
+  async build(course) {
+    const lessons = this.getLessons(course);
+
+    const [learners, progressRecords, attempts] = await Promise.all([
+      User.find(
+        { 'enrolledCourses.course': course._id },
+        { name: 1, email: 1, 'enrolledCourses.$': 1 }
+      ).sort({ name: 1 }).lean(),
+      Progress.find({ course: course._id })
+        .select('user completedLessons overallProgress totalWatchTime lastAccessedAt completedAt')
+        .lean(),
+      QuizAttempt.aggregate([
+        { $match: { course: course._id, status: { $in: ['submitted', 'expired'] } } },
+        {
+          $group: {
+            _id: { user: '$user', lesson: '$lesson' },
+            bestScore: { $max: '$score' },
+            attempts: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const progressByUser = new Map(progressRecords.map(progress => [progress.user.toString(), progress]));
+    const attemptsByKey = new Map(attempts.map(({ _id, ...summary }) => [`${_id.user}:${_id.lesson}`, summary]));
+
+    const rows = learners.map(learner => {
+      const user = learner._id.toString();
+      const progress = progressByUser.get(user);
+      const completed = new Map((progress?.completedLessons || []).map(entry => [entry.lessonId.toString(), entry]));
+
+      const row = {
+        userId: user,
+        name: learner.name,
+        email: learner.email,
+        enrolledAt: learner.enrolledCourses?.[0]?.enrolledAt,
+        overallProgress: progress?.overallProgress || 0,
+        completedLessons: lessons.filter(lesson => completed.has(lesson.lessonId)).length,
+        watchMinutes: Math.round((progress?.totalWatchTime || 0) / 6) / 10,
+        lastAccessedAt: progress?.lastAccessedAt,
+        completedAt: progress?.completedAt
+      };
+
+      for (const lesson of lessons) {
+        const entry = completed.get(lesson.lessonId);
+        row[`${lesson.key}_completedAt`] = entry?.completedAt;
+
+        if (lesson.hasQuiz) {
+          const summary = attemptsByKey.get(`${user}:${lesson.lessonId}`);
+          row[`${lesson.key}_bestScore`] = summary?.bestScore ?? entry?.quizScore;
+          row[`${lesson.key}_attempts`] = summary?.attempts ?? entry?.quizAttempts ?? 0;
+        }
+      }
+
+      return row;
+    });
+
+    return { lessons, columns: this.getColumns(lessons), rows };
+  }
+}
+
+module.exports = new GradebookService();
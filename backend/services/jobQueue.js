@@ -0,0 +1,288 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const DEFAULT_OPTIONS = {
+  concurrency: 1,
+  maxAttempts: 3,
+  backoffMs: 30 * 1000, // doubled on every retry
+  maxBackoffMs: 30 * 60 * 1000,
+  lockTimeoutMs: 10 * 60 * 1000 // running jobs without a heartbeat for this long are requeued
+};
+
+class JobQueue {
+  constructor() {
+    this.definitions = new Map();
+    this.active = new Map(); // type -> number of jobs running in this process
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.polling = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type, e.g. "captions.generate"
+   * @param {Function} handler - async (job, context) => result
+   * @param {Object} options - concurrency, maxAttempts, backoffMs, maxBackoffMs, lockTimeoutMs
+   */
+  register(type, handler, options = {}) {
+    this.definitions.set(type, {
+      handler,
+      ...DEFAULT_OPTIONS,
+      ...options
+    });
+    this.active.set(type, 0);
+  }
+
+  /**
+   * Add a job to the queue
+   * @returns {Object} - Saved job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const definition = this.definitions.get(type);
+
+    const job = new Job({
+      type,
+      payload,
+      user: options.user,
+      priority: options.priority || 0,
+      runAt: options.runAt || new Date(),
+      maxAttempts: options.maxAttempts || (definition ? definition.maxAttempts : DEFAULT_OPTIONS.maxAttempts)
+    });
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Start polling for work (worker process only)
+   */
+  start({ pollInterval = 2000 } = {}) {
+    if (this.pollTimer) return;
+
+    this.stopping = false;
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => {
+        console.error('Job poll error:', error);
+      });
+    }, pollInterval);
+
+    console.log(`👷 Job worker ${this.workerId} started for: ${[...this.definitions.keys()].join(', ')}`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop(timeoutMs = 30000) {
+    this.stopping = true;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.getActiveCount() > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  getActiveCount() {
+    return [...this.active.values()].reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Claim and run as many jobs as the concurrency limits allow
+   */
+  async poll() {
+    // Skip this tick if the previous one is still claiming
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverStaleJobs();
+
+      for (const [type, definition] of this.definitions) {
+        while (!this.stopping && this.active.get(type) < definition.concurrency) {
+          const job = await this.claim(type);
+          if (!job) break;
+
+          this.active.set(type, this.active.get(type) + 1);
+          this.execute(job, definition)
+            .catch(error => console.error(`Job ${job._id} error:`, error))
+            .finally(() => this.active.set(type, this.active.get(type) - 1));
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the next due job of a type
+   */
+  async claim(type) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      { type, status: 'queued', runAt: { $lte: now } },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+          'progress.stage': 'running',
+          'progress.updatedAt': now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async execute(job, definition) {
+    // Keep the lock fresh while the handler is running
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => console.error('Job heartbeat error:', error));
+    }, Math.max(definition.lockTimeoutMs / 3, 1000));
+
+    const context = {
+      attempt: job.attempts,
+      isFinalAttempt: job.attempts >= job.maxAttempts,
+      progress: (percent, stage, message) => this.updateProgress(job, percent, stage, message)
+    };
+
+    try {
+      const result = await definition.handler(job, context);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: 'completed',
+            result: result === undefined ? null : result,
+            completedAt: new Date(),
+            'progress.percent': 100,
+            'progress.stage': 'completed',
+            'progress.updatedAt': new Date()
+          },
+          $unset: { lockedBy: 1, lockedAt: 1 }
+        }
+      );
+    } catch (error) {
+      console.error(`Job ${job.type} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+      await this.fail(job, definition, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or mark the job failed
+   */
+  async fail(job, definition, error) {
+    const failure = {
+      attempt: job.attempts,
+      message: error.message || String(error),
+      failedAt: new Date()
+    };
+
+    const update = job.attempts >= job.maxAttempts
+      ? {
+          status: 'failed',
+          completedAt: new Date(),
+          'progress.stage': 'failed'
+        }
+      : {
+          status: 'queued',
+          runAt: new Date(Date.now() + this.getBackoff(definition, job.attempts)),
+          'progress.stage': 'retrying'
+        };
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          ...update,
+          lastError: failure.message,
+          'progress.message': failure.message,
+          'progress.updatedAt': new Date()
+        },
+        $push: { failures: failure },
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      }
+    );
+  }
+
+  getBackoff(definition, attempt) {
+    return Math.min(definition.backoffMs * Math.pow(2, attempt - 1), definition.maxBackoffMs);
+  }
+
+  /**
+   * Persist handler progress; doubles as a heartbeat
+   */
+  async updateProgress(job, percent, stage, message) {
+    const update = {
+      'progress.percent': Math.max(0, Math.min(100, Math.round(percent))),
+      'progress.updatedAt': new Date(),
+      lockedAt: new Date()
+    };
+    if (stage) update['progress.stage'] = stage;
+    if (message !== undefined) update['progress.message'] = message;
+
+    await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, { $set: update });
+  }
+
+  /**
+   * Requeue jobs whose worker died while running them
+   */
+  async recoverStaleJobs() {
+    for (const [type, definition] of this.definitions) {
+      const stale = {
+        type,
+        status: 'running',
+        lockedAt: { $lt: new Date(Date.now() - definition.lockTimeoutMs) }
+      };
+      const now = new Date();
+
+      // Jobs that already used all their attempts are failed instead of retried
+      await Job.updateMany(
+        { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        {
+          $set: {
+            status: 'failed',
+            completedAt: now,
+            lastError: 'Worker stopped responding',
+            'progress.stage': 'failed',
+            'progress.updatedAt': now
+          },
+          $unset: { lockedBy: 1, lockedAt: 1 }
+        }
+      );
+
+      const result = await Job.updateMany(
+        stale,
+        {
+          $set: {
+            status: 'queued',
+            runAt: now,
+            lastError: 'Worker stopped responding',
+            'progress.stage': 'retrying',
+            'progress.updatedAt': now
+          },
+          $unset: { lockedBy: 1, lockedAt: 1 }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        console.warn(`Requeued ${result.modifiedCount} stale ${type} job(s)`);
+      }
+    }
+  }
+}
+
+module.exports = new JobQueue();
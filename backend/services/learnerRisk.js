@@ -0,0 +1,208 @@
+const Analytics = require('../models/Analytics');
+const LearnerRisk = require('../models/LearnerRisk');
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const performanceAnalytics = require('./performanceAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only recent sessions matter for consistency and last activity
+const ACTIVITY_WINDOW_DAYS = 60;
+
+const INACTIVE_DAYS = 7;
+const LONG_INACTIVE_DAYS = 14;
+const NOT_STARTED_DAYS = 7;
+const STREAK_MIN_DAYS = 3;
+const QUIZ_WINDOW = 3;
+const QUIZ_DECLINE_POINTS = 15;
+const LOW_QUIZ_AVERAGE = 50;
+const FAILING_STREAK = 2;
+
+const WEIGHTS = {
+  inactive: 30,
+  longInactive: 50,
+  not_started: 40,
+  streak_lost: 10,
+  irregular_study: 10,
+  quiz_decline: 30,
+  low_quiz_scores: 25,
+  failing_quizzes: 20
+};
+
+// Scores at or above these are flagged
+const LEVELS = [
+  { level: 'high', minScore: 60 },
+  { level: 'medium', minScore: 30 }
+];
+
+const average = (values) => (
+  values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+);
+const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+class LearnerRiskService {
+  /**
+   * Assess one learner from their progress, recent sessions and graded quiz attempts
+   * @param {Array} sessions - Analytics sessions, oldest first
+   * @param {Array} attempts - Submitted/expired quiz attempts, oldest first
+   * @returns {Object} - { level (null if not at risk), score, reasons, metrics }
+   */
+  assessLearner(progress, sessions, attempts, now = new Date()) {
+    const reasons = [];
+    const addReason = (code, message, weight = WEIGHTS[code]) => reasons.push({ code, message, weight });
+
+    const activityDates = [
+      progress.lastAccessedAt,
+      ...sessions.map(session => session.sessionData?.lastActivityAt || session.createdAt),
+      ...attempts.map(attempt => attempt.submittedAt)
+    ].filter(Boolean).map(date => new Date(date).getTime());
+    const lastActivityAt = activityDates.length ? new Date(Math.max(...activityDates)) : null;
+    const daysInactive = lastActivityAt ? daysBetween(lastActivityAt, now) : null;
+
+    const started = (progress.completedLessons?.length || 0) > 0 || sessions.length > 0 || attempts.length > 0;
+    const enrolledDays = daysBetween(new Date(progress.startedAt), now);
+
+    if (!started) {
+      if (enrolledDays >= NOT_STARTED_DAYS) {
+        addReason('not_started', `Enrolled ${enrolledDays} days ago and has not started`);
+      }
+    } else if (daysInactive >= LONG_INACTIVE_DAYS) {
+      addReason('inactive', `No activity for ${daysInactive} days`, WEIGHTS.longInactive);
+    } else if (daysInactive >= INACTIVE_DAYS) {
+      addReason('inactive', `No activity for ${daysInactive} days`);
+    } else if (progress.streakDays >= STREAK_MIN_DAYS && progress.lastStreakDate &&
+      daysBetween(new Date(progress.lastStreakDate), now) > 1) {
+      // Early warning before the inactivity threshold
+      addReason('streak_lost', `Broke a ${progress.streakDays}-day study streak`);
+    }
+
+    const studyConsistency = performanceAnalytics.getStudyConsistency(sessions);
+    if (studyConsistency === 'Irregular') {
+      addReason('irregular_study', 'Studies irregularly');
+    }
+
+    const scores = attempts.map(attempt => attempt.score || 0);
+    const recent = scores.slice(-QUIZ_WINDOW);
+    const recentQuizAverage = average(recent);
+    let previousQuizAverage = null;
+
+    // Compare the latest attempts with the ones just before, using equal-sized windows
+    if (scores.length >= 4) {
+      const size = Math.min(QUIZ_WINDOW, Math.floor(scores.length / 2));
+      const latest = average(scores.slice(-size));
+      previousQuizAverage = average(scores.slice(-2 * size, -size));
+
+      if (previousQuizAverage - latest >= QUIZ_DECLINE_POINTS) {
+        addReason('quiz_decline', `Quiz average fell from ${previousQuizAverage}% to ${latest}%`);
+      }
+    }
+
+    if (scores.length >= 2 && recentQuizAverage < LOW_QUIZ_AVERAGE) {
+      addReason('low_quiz_scores', `Recent quiz average is ${recentQuizAverage}%`);
+    }
+
+    let failures = 0;
+    for (let i = attempts.length - 1; i >= 0 && !attempts[i].passed; i--) {
+      failures++;
+    }
+    if (failures >= FAILING_STREAK) {
+      addReason('failing_quizzes', `Failed the last ${failures} quiz attempts`);
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+    const match = LEVELS.find(({ minScore }) => score >= minScore);
+
+    return {
+      level: match ? match.level : null,
+      score,
+      reasons,
+      metrics: {
+        lastActivityAt,
+        daysInactive,
+        overallProgress: progress.overallProgress || 0,
+        streakDays: progress.streakDays || 0,
+        studyConsistency,
+        recentQuizAverage,
+        previousQuizAverage,
+        quizAttempts: attempts.length
+      }
+    };
+  }
+
+  /**
+   * Reassess every learner still working through a course and store who is at risk
+   * Learners who are no longer at risk have their flag removed
+   * @returns {Promise<Object>} - { assessed, flagged }
+   */
+  async assessCourse(course, now = new Date()) {
+    const since = new Date(now.getTime() - ACTIVITY_WINDOW_DAYS * DAY_MS);
+
+    const [progressRecords, sessions, attempts] = await Promise.all([
+      Progress.find({ course: course._id, completedAt: null })
+        .select('user startedAt lastAccessedAt overallProgress streakDays lastStreakDate completedLessons.lessonId')
+        .lean(),
+      Analytics.find({ course: course._id, createdAt: { $gte: since } })
+        .select('user createdAt sessionData.lastActivityAt')
+        .sort({ createdAt: 1 })
+        .lean(),
+      QuizAttempt.find({ course: course._id, status: { $in: ['submitted', 'expired'] } })
+        .select('user score passed submittedAt')
+        .sort({ submittedAt: 1 })
+        .lean()
+    ]);
+
+    const groupByUser = (items) => {
+      const groups = new Map();
+      for (const item of items) {
+        const user = item.user.toString();
+        if (!groups.has(user)) groups.set(user, []);
+        groups.get(user).push(item);
+      }
+      return groups;
+    };
+    const sessionsByUser = groupByUser(sessions);
+    const attemptsByUser = groupByUser(attempts);
+
+    const flagged = [];
+    for (const progress of progressRecords) {
+      const user = progress.user.toString();
+      const assessment = this.assessLearner(
+        progress,
+        sessionsByUser.get(user) || [],
+        attemptsByUser.get(user) || [],
+        now
+      );
+      if (assessment.level) {
+        flagged.push({ user: progress.user, ...assessment });
+      }
+    }
+
+    if (flagged.length > 0) {
+      await LearnerRisk.bulkWrite(flagged.map(({ user, level, score, reasons, metrics }) => ({
+        updateOne: {
+          filter: { course: course._id, user },
+          update: {
+            $set: { level, score, reasons, metrics, assessedAt: now },
+            $setOnInsert: { flaggedAt: now }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    await LearnerRisk.deleteMany({ course: course._id, assessedAt: { $lt: now } });
+
+    return { assessed: progressRecords.length, flagged: flagged.length };
+  }
+
+  /**
+   * At-risk learners for a course, highest risk first
+   */
+  async getCourseRisks(courseId) {
+    return LearnerRisk.find({ course: courseId })
+      .populate('user', 'name email avatar')
+      .sort({ score: -1, flaggedAt: 1 })
+      .lean();
+  }
+}
+
+module.exports = new LearnerRiskService();
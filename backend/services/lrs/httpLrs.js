@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+const XAPI_VERSION = '1.0.3';
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * External Learning Record Store reached over the xAPI statements resource
+ */
+class HttpLrs {
+  constructor({ endpoint, username, password }) {
+    this.name = 'http';
+    // Endpoints are usually given with a trailing slash, e.g. https://lrs.example.edu/xapi/
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.auth = username ? { username, password: password || '' } : undefined;
+  }
+
+  /**
+   * Store a batch of statements; throws if the LRS rejects them
+   */
+  async saveStatements(statements) {
+    try {
+      await axios.post(`${this.endpoint}/statements`, statements, {
+        auth: this.auth,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Experience-API-Version': XAPI_VERSION
+        }
+      });
+    } catch (error) {
+      // 409 means the LRS already has statements with these ids, i.e. an earlier send got through
+      if (error.response?.status === 409) return;
+
+      const detail = error.response
+        ? `LRS responded with ${error.response.status}`
+        : error.message;
+      throw new Error(detail);
+    }
+  }
+}
+
+module.exports = HttpLrs;
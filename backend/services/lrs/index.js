@@ -0,0 +1,40 @@
+const HttpLrs = require('./httpLrs');
+const LocalLrs = require('./localLrs');
+
+/**
+ * Learning Record Store registry for forwarding xAPI statements
+ * An LRS implements:
+ *   name
+ *   saveStatements(statements) -> resolves once stored, throws if rejected
+ * XAPI_LRS picks the one to forward to; when unset statements are only kept locally.
+ */
+const stores = new Map();
+
+function registerLrs(lrs) {
+  stores.set(lrs.name, lrs);
+}
+
+function getLrs(name = process.env.XAPI_LRS) {
+  if (!name) return null;
+
+  const lrs = stores.get(name);
+  if (!lrs) {
+    throw new Error(`Unknown LRS: ${name}`);
+  }
+  return lrs;
+}
+
+registerLrs(new LocalLrs());
+
+if (process.env.XAPI_LRS_ENDPOINT) {
+  registerLrs(new HttpLrs({
+    endpoint: process.env.XAPI_LRS_ENDPOINT,
+    username: process.env.XAPI_LRS_USERNAME,
+    password: process.env.XAPI_LRS_PASSWORD
+  }));
+}
+
+module.exports = {
+  registerLrs,
+  getLrs
+};
@@ -0,0 +1,28 @@
+/**
+ * In-process LRS for development and tests
+ * Keeps forwarded statements in memory so forwarding can be exercised without an external store.
+ */
+class LocalLrs {
+  constructor() {
+    this.name = 'local';
+    this.statements = new Map();
+  }
+
+  async saveStatements(statements) {
+    for (const statement of statements) {
+      if (!this.statements.has(statement.id)) {
+        this.statements.set(statement.id, statement);
+      }
+    }
+  }
+
+  list() {
+    return [...this.statements.values()];
+  }
+
+  reset() {
+    this.statements.clear();
+  }
+}
+
+module.exports = LocalLrs;
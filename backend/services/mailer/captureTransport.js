@@ -0,0 +1,30 @@
+/**
+ * In-process transport for tests: keeps messages in memory instead of sending them
+ */
+class CaptureTransport {
+  constructor() {
+    this.name = 'capture';
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `<${Date.now()}.${this.messages.length}@capture>`;
+    this.messages.push({ messageId, ...message });
+    return { messageId };
+  }
+
+  list() {
+    return [...this.messages];
+  }
+
+  // Most recent message sent to an address
+  lastTo(address) {
+    return [...this.messages].reverse().find(message => message.to === address) || null;
+  }
+
+  reset() {
+    this.messages = [];
+  }
+}
+
+module.exports = CaptureTransport;
@@ -0,0 +1,58 @@
+const path = require('path');
+const CaptureTransport = require('./captureTransport');
+const LocalTransport = require('./localTransport');
+const SmtpTransport = require('./smtpTransport');
+
+/**
+ * Email transport registry
+ * A transport implements:
+ *   name
+ *   send({ from, to, subject, text, html, attachments }) -> { messageId }, throws if not accepted
+ * MAIL_TRANSPORT picks the one to use; defaults to smtp when SMTP_HOST is set and local otherwise.
+ * Tests can set MAIL_TRANSPORT=capture and read sent messages from getTransport('capture').
+ */
+const transports = new Map();
+
+function registerTransport(transport) {
+  transports.set(transport.name, transport);
+}
+
+function getTransport(name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'local')) {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { to, subject, text, html, attachments: [{ filename, path }] }
+ */
+async function sendMail(message) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Virtual Learning Platform <no-reply@localhost>',
+    ...message
+  });
+}
+
+registerTransport(new CaptureTransport());
+registerTransport(new LocalTransport({
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../../mail')
+}));
+
+if (process.env.SMTP_HOST) {
+  registerTransport(new SmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    username: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }));
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail
+};
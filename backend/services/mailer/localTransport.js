@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Development transport: writes each message to an .eml file and logs it instead of sending it
+ * The files open in any mail client, attachments included.
+ */
+class LocalTransport {
+  constructor({ outboxDir }) {
+    this.name = 'local';
+    this.outboxDir = outboxDir;
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const filePath = path.join(this.outboxDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    await fs.promises.writeFile(filePath, info.message);
+
+    console.log(`📧 Mail to ${message.to}: "${message.subject}" (saved to ${filePath})`);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = LocalTransport;
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Delivers mail through an SMTP server
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, username, password }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: username ? { user: username, pass: password || '' } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,122 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const VideoAsset = require('../models/VideoAsset');
+const jobQueue = require('./jobQueue');
+
+class MediaProcessingService {
+  /**
+   * Register an uploaded video and queue its post-upload processing
+   * @param {string} videoId - File name inside /videos
+   * @param {string} userId - Uploader, owner of the queued jobs
+   * @returns {Object} - { asset, jobs }
+   */
+  async queueVideoProcessing(videoId, userId) {
+    const asset = await VideoAsset.findOneAndUpdate(
+      { videoId },
+      {
+        $set: { uploadedBy: userId, 'hls.status': 'pending', 'metadata.status': 'pending' },
+        $unset: { 'hls.error': 1, 'metadata.error': 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Metadata is quick and fills in lesson durations, so run it ahead of transcoding
+    const metadataJob = await jobQueue.enqueue('media.extractMetadata', { videoId }, {
+      user: userId,
+      priority: 10
+    });
+    const transcodeJob = await jobQueue.enqueue('media.transcodeHls', { videoId }, { user: userId });
+
+    asset.metadata.job = metadataJob._id;
+    asset.hls.job = transcodeJob._id;
+    await asset.save();
+
+    return {
+      asset,
+      jobs: {
+        metadata: metadataJob._id,
+        transcode: transcodeJob._id
+      }
+    };
+  }
+
+  /**
+   * Videos among a course's lessons that were uploaded by someone other than its instructor
+   * Admin uploads may be used in any course, and files without an asset were put in /videos by an operator.
+   * @param {Object} course - Course document; its instructor is the only uploader allowed
+   * @param {Array} lessons - Lessons to check, all of the course's by default
+   * @returns {Promise<string[]>} - videoIds the course may not use
+   */
+  async findForeignVideos(course, lessons = course.sections.flatMap(section => section.lessons)) {
+    const assets = await VideoAsset.findForLessons(lessons);
+    const instructorId = (course.instructor._id || course.instructor).toString();
+    const foreign = [...assets.values()].filter(asset =>
+      asset.uploadedBy && asset.uploadedBy.toString() !== instructorId
+    );
+    if (foreign.length === 0) return [];
+
+    const admins = await User.find({ _id: { $in: foreign.map(asset => asset.uploadedBy) }, role: 'admin' }).select('_id');
+    const adminIds = new Set(admins.map(admin => admin._id.toString()));
+    return foreign
+      .filter(asset => !adminIds.has(asset.uploadedBy.toString()))
+      .map(asset => asset.videoId);
+  }
+
+  /**
+   * Copy extracted duration and media details onto the lessons of a course document
+   * Used before saving a course so lessons pointing at processed videos pick them up
+   * @returns {number} - Number of lessons updated
+   */
+  async applyAssetMetadata(course) {
+    const lessons = course.sections.flatMap(section => section.lessons);
+    const assets = await VideoAsset.findForLessons(lessons);
+
+    let updated = 0;
+    lessons.forEach(lesson => {
+      const asset = assets.get(VideoAsset.videoIdFromUrl(lesson.videoUrl));
+      const media = asset ? asset.toLessonMedia() : null;
+      if (!media) return;
+
+      lesson.duration = asset.metadata.duration;
+      lesson.media = media;
+      updated++;
+    });
+
+    return updated;
+  }
+
+  /**
+   * Copy an asset's metadata onto every lesson that uses its video
+   * Saving the course recomputes its total duration
+   * @returns {number} - Number of lessons updated
+   */
+  async applyToLessons(asset) {
+    const videoUrl = `/videos/${asset.videoId}`;
+    const courses = await Course.find({ 'sections.lessons.videoUrl': videoUrl });
+
+    let updated = 0;
+    for (const course of courses) {
+      updated += await this.applyAssetMetadata(course);
+      await course.save();
+    }
+
+    return updated;
+  }
+
+  /**
+   * Attach streaming details to the lessons of a course object (from toObject())
+   */
+  async attachStreamingInfo(courseData) {
+    const lessons = courseData.sections.flatMap(section => section.lessons);
+    const assets = await VideoAsset.findForLessons(lessons);
+
+    lessons.forEach(lesson => {
+      const asset = assets.get(VideoAsset.videoIdFromUrl(lesson.videoUrl));
+      lesson.streaming = asset ? asset.toStreamingInfo() : null;
+    });
+
+    return courseData;
+  }
+}
+
+module.exports = new MediaProcessingService();
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const enrollmentService = require('./enrollmentService');
+const couponService = require('./couponService');
+const payments = require('./payments');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+// Currencies without a minor unit (ISO 4217 exponent 0)
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'UGX', 'XAF', 'XOF'];
+
+class PaymentService {
+  /**
+   * Convert a course price (e.g. 49.99) into the currency's minor unit (4999)
+   */
+  toMinorUnits(price, currency) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100;
+    return Math.round(price * factor);
+  }
+
+  fromMinorUnits(amount, currency) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100;
+    return amount / factor;
+  }
+
+  generateReceiptNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `RCPT-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Price a course for checkout, applying a coupon code if one is given
+   * @returns {Promise<Object>} - { currency, listPrice, discount, amount, coupon }, or { error } for an unusable code
+   */
+  async quote(course, couponCode) {
+    const currency = (course.currency || 'USD').toUpperCase();
+    const listPrice = this.toMinorUnits(course.price, currency);
+    const quote = {
+      currency,
+      listPrice,
+      originalPrice: course.originalPrice !== undefined
+        ? this.toMinorUnits(course.originalPrice, currency)
+        : undefined,
+      discount: 0,
+      amount: listPrice,
+      coupon: null
+    };
+
+    if (!couponCode) return quote;
+
+    const { coupon, reason } = await couponService.findApplicable(couponCode, course);
+    if (!coupon) return { error: reason };
+
+    quote.coupon = coupon;
+    quote.discount = couponService.computeDiscount(
+      coupon, listPrice, currency, (value, cur) => this.toMinorUnits(value, cur)
+    );
+    quote.amount = listPrice - quote.discount;
+
+    return quote;
+  }
+
+  /**
+   * Create (or reuse) a pending order for a priced quote and open a checkout session
+   * A coupon that brings the price to zero completes the order right away
+   * @returns {Promise<Object>} - Order with checkoutUrl, or { error } if the coupon ran out
+   */
+  async createCheckout(user, course, quote) {
+    if (quote.amount === 0) {
+      return this.completeFreeOrder(user, course, quote);
+    }
+
+    const provider = payments.getProvider();
+
+    // Clicking "Buy" twice should not create two payable orders
+    const existing = await Order.findOne({
+      user: user._id,
+      course: course._id,
+      provider: provider.name,
+      status: 'pending',
+      amount: quote.amount,
+      currency: quote.currency,
+      'coupon.code': quote.coupon ? quote.coupon.code : null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (existing) return existing;
+
+    const order = this.buildOrder(user, course, quote, provider.name);
+    order.expiresAt = new Date(Date.now() + CHECKOUT_TTL_MS);
+
+    const session = await provider.createCheckoutSession(order, {
+      successUrl: `${FRONTEND_URL}/checkout/complete?order=${order._id}`,
+      cancelUrl: `${FRONTEND_URL}/courses/${course._id}`
+    });
+
+    order.providerSessionId = session.sessionId;
+    order.checkoutUrl = session.checkoutUrl;
+    await order.save();
+
+    return order;
+  }
+
+  async completeFreeOrder(user, course, quote) {
+    if (quote.coupon && !(await couponService.redeem(quote.coupon._id))) {
+      return { error: 'This coupon has reached its redemption limit' };
+    }
+
+    const order = this.buildOrder(user, course, quote, 'coupon');
+    order.status = 'paid';
+    order.paidAt = new Date();
+    order.expiresAt = order.paidAt;
+    order.receipt = {
+      number: this.generateReceiptNumber(),
+      issuedAt: order.paidAt
+    };
+    await order.save();
+
+    await enrollmentService.enroll(user, course);
+
+    return order;
+  }
+
+  buildOrder(user, course, quote, providerName) {
+    return new Order({
+      user: user._id,
+      course: course._id,
+      courseTitle: course.title,
+      amount: quote.amount,
+      listPrice: quote.listPrice,
+      originalPrice: quote.originalPrice,
+      discount: quote.discount,
+      coupon: quote.coupon
+        ? { id: quote.coupon._id, code: quote.coupon.code }
+        : undefined,
+      currency: quote.currency,
+      provider: providerName
+    });
+  }
+
+  /**
+   * Verify and apply a provider webhook
+   * Webhooks may arrive more than once; applying one twice has no further effect
+   * Errors thrown after verification are left to the caller, so the provider can retry
+   * @returns {Promise<Object>} - { order, event } (order is null for unknown sessions), or { error } if it cannot be verified
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    let provider;
+    let event;
+    try {
+      provider = payments.getProvider(providerName);
+      event = provider.verifyWebhook(rawBody, headers);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    if (event.type === 'ignored') {
+      return { order: null, event };
+    }
+
+    const order = await Order.findOne({ provider: provider.name, providerSessionId: event.sessionId });
+    if (!order) {
+      console.warn(`Payment webhook for unknown session ${event.sessionId}`);
+      return { order: null, event };
+    }
+
+    if (event.type === 'payment.succeeded') {
+      return { order: await this.markPaid(order, event), event };
+    }
+
+    if (event.type === 'payment.failed') {
+      const failed = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'pending' },
+        { $set: { status: 'failed', failureReason: event.failureReason || 'Payment failed' } },
+        { new: true }
+      );
+      return { order: failed || order, event };
+    }
+
+    return { order, event };
+  }
+
+  async markPaid(order, event) {
+    if (event.amount !== order.amount || String(event.currency).toUpperCase() !== order.currency) {
+      console.error(`Payment amount mismatch for order ${order._id}`);
+      const failed = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'pending' },
+        { $set: { status: 'failed', failureReason: 'Paid amount does not match the order' } },
+        { new: true }
+      );
+      return failed || order;
+    }
+
+    // A late payment for an expired or failed checkout still counts, the money was taken
+    const paid = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: ['pending', 'failed', 'cancelled'] } },
+      {
+        $set: {
+          status: 'paid',
+          paidAt: new Date(),
+          providerPaymentId: event.paymentId,
+          receipt: {
+            number: this.generateReceiptNumber(),
+            issuedAt: new Date()
+          }
+        },
+        $unset: { failureReason: 1 }
+      },
+      { new: true }
+    );
+
+    const current = paid || await Order.findById(order._id);
+
+    // Coupons are only counted once payment goes through
+    if (paid && current.coupon && current.coupon.id) {
+      const redeemed = await couponService.redeem(current.coupon.id);
+      if (!redeemed) {
+        console.warn(`Coupon ${current.coupon.code} was over its limit when order ${current._id} was paid`);
+      }
+    }
+
+    if (current.status === 'paid') {
+      const course = await Course.findById(current.course);
+      if (course) {
+        await enrollmentService.enroll(current.user, course);
+      }
+    }
+
+    return current;
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const SIGNATURE_HEADER = 'x-fake-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Local payment provider for development and tests
+ * Checkout happens on a page in our own frontend, which asks the backend to
+ * send the same signed webhook a real provider would.
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  getSecret() {
+    return process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET;
+  }
+
+  sign(timestamp, rawBody) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * @returns {Promise<Object>} - { sessionId, checkoutUrl }
+   */
+  async createCheckoutSession(order) {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      sessionId,
+      checkoutUrl: `${FRONTEND_URL}/checkout/fake/${sessionId}?order=${order._id}`
+    };
+  }
+
+  /**
+   * Build the signed webhook the provider would send for a checkout session
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @returns {Object} - { rawBody, headers }
+   */
+  buildWebhook(outcome, { sessionId, amount, currency }) {
+    const event = {
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'checkout.session.completed' : 'checkout.session.failed',
+      data: {
+        session_id: sessionId,
+        payment_id: outcome === 'succeeded' ? `fake_pay_${crypto.randomBytes(12).toString('hex')}` : null,
+        amount,
+        currency,
+        failure_reason: outcome === 'succeeded' ? null : 'Card declined (test)'
+      }
+    };
+
+    const rawBody = Buffer.from(JSON.stringify(event));
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      rawBody,
+      headers: {
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${this.sign(timestamp, rawBody)}`
+      }
+    };
+  }
+
+  /**
+   * Verify a webhook and normalize it to a payment event
+   * @returns {Object} - { id, type: 'payment.succeeded'|'payment.failed'|'ignored', sessionId, paymentId, amount, currency, failureReason }
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, rawBody));
+    const actual = Buffer.from(parts.v1);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const types = {
+      'checkout.session.completed': 'payment.succeeded',
+      'checkout.session.failed': 'payment.failed'
+    };
+
+    return {
+      id: event.id,
+      type: types[event.type] || 'ignored',
+      sessionId: event.data.session_id,
+      paymentId: event.data.payment_id,
+      amount: event.data.amount,
+      currency: event.data.currency,
+      failureReason: event.data.failure_reason
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
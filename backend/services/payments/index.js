@@ -0,0 +1,38 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+/**
+ * Payment provider registry
+ * A provider implements:
+ *   name
+ *   createCheckoutSession(order, { successUrl, cancelUrl }) -> { sessionId, checkoutUrl }
+ *   verifyWebhook(rawBody, headers) -> { id, type, sessionId, paymentId, amount, currency, failureReason }
+ * verifyWebhook must throw if the signature does not match.
+ */
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+function isFakeEnabled() {
+  return providers.has('fake');
+}
+
+// The fake provider lets anyone "pay", never expose it in production
+if (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_ALLOW_FAKE === 'true') {
+  registerProvider(new FakePaymentProvider());
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  isFakeEnabled
+};
@@ -1,5 +1,6 @@
 const Analytics = require('../models/Analytics');
 const geminiService = require('./geminiService');
+const engagementScoring = require('./engagementScoring');
 
 class PerformanceAnalyticsService {
   /**
@@ -84,51 +85,40 @@ class PerformanceAnalyticsService {
   }
 
   /**
-   * Calculate engagement score based on interactions
+   * Scores for a session: stored ones once it has been scored, otherwise a provisional
+   * score from its interactions so far (without lesson duration or quiz results)
+   */
+  getSessionScores(session) {
+    if (session.performance?.scoringVersion) {
+      return session.performance;
+    }
+    return engagementScoring.score(session);
+  }
+
+  /**
+   * Calculate average engagement score across sessions
    */
   calculateEngagementScore(analytics) {
     if (!analytics.length) return 0;
 
-    const scores = analytics.map(session => {
-      const interactions = session.sessionData?.interactions || [];
-      const duration = session.sessionData?.duration || 0;
-      
-      // Points for different interactions
-      const interactionPoints = interactions.reduce((total, interaction) => {
-        switch (interaction.type) {
-          case 'video_play': return total + 10;
-          case 'video_pause': return total + 5;
-          case 'video_seek': return total + 3;
-          case 'note_created': return total + 15;
-          case 'quiz_completed': return total + 20;
-          case 'fullscreen_toggle': return total + 5;
-          default: return total + 2;
-        }
-      }, 0);
-
-      // Normalize by duration (interactions per minute)
-      const normalizedScore = duration > 0 
-        ? (interactionPoints / (duration / 60)) * 10
-        : interactionPoints;
-
-      return Math.min(100, normalizedScore);
-    });
+    const total = analytics.reduce(
+      (sum, session) => sum + this.getSessionScores(session).engagementScore, 0
+    );
 
-    return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+    return Math.round(total / analytics.length);
   }
 
   /**
-   * Calculate completion rate
+   * Calculate average completion rate across sessions
    */
   calculateCompletionRate(analytics) {
     if (!analytics.length) return 0;
 
-    const completedSessions = analytics.filter(session => {
-      const progress = session.sessionData?.videoProgress || 0;
-      return progress >= 90; // Consider 90% as completed
-    });
+    const total = analytics.reduce(
+      (sum, session) => sum + this.getSessionScores(session).completionRate, 0
+    );
 
-    return Math.round((completedSessions.length / analytics.length) * 100);
+    return Math.round(total / analytics.length);
   }
 
   /**
@@ -195,7 +185,7 @@ class PerformanceAnalyticsService {
       const topicData = topicMap.get(topic);
       topicData.sessions += 1;
       topicData.totalTime += session.sessionData?.duration || 0;
-      topicData.engagement += session.performance?.engagementScore || 0;
+      topicData.engagement += this.getSessionScores(session).engagementScore;
     }
 
     const topics = Array.from(topicMap.entries()).map(([topic, data]) => ({
@@ -0,0 +1,180 @@
+class QuizService {
+  /**
+   * Find a lesson (and its section) inside a course document
+   */
+  findLesson(course, lessonId) {
+    for (const section of course.sections) {
+      const lesson = section.lessons.id(lessonId);
+      if (lesson) {
+        return { section, lesson };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Strip answers and explanations so questions can be sent to a student
+   */
+  sanitizeQuestions(questions) {
+    return questions.map(question => ({
+      _id: question._id,
+      question: question.question,
+      type: question.type,
+      points: question.points,
+      options: (question.options || []).map(option => ({
+        _id: option._id,
+        text: option.text
+      }))
+    }));
+  }
+
+  /**
+   * Grade a set of answers against the lesson quiz
+   * @param {Object} quiz - Lesson quiz subdocument
+   * @param {Array} answers - [{ questionId, response }]
+   * @returns {Object} - Per-question results and totals
+   */
+  grade(quiz, answers = []) {
+    const responses = new Map(
+      answers
+        .filter(answer => answer && answer.questionId)
+        .map(answer => [answer.questionId.toString(), answer.response])
+    );
+
+    let earnedPoints = 0;
+    let totalPoints = 0;
+
+    const results = quiz.questions.map(question => {
+      const pointsPossible = question.points || 1;
+      const response = responses.has(question._id.toString())
+        ? responses.get(question._id.toString())
+        : null;
+      const isCorrect = response !== null && this.isCorrect(question, response);
+      const pointsAwarded = isCorrect ? pointsPossible : 0;
+
+      earnedPoints += pointsAwarded;
+      totalPoints += pointsPossible;
+
+      return {
+        questionId: question._id,
+        response,
+        isCorrect,
+        pointsAwarded,
+        pointsPossible
+      };
+    });
+
+    const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
+
+    return {
+      results,
+      earnedPoints,
+      totalPoints,
+      score,
+      passed: score >= (quiz.passingScore || 0)
+    };
+  }
+
+  /**
+   * Check a single response against a question
+   */
+  isCorrect(question, response) {
+    switch (question.type) {
+      case 'true_false':
+        return this.gradeTrueFalse(question, response);
+      case 'short_answer':
+        return this.gradeShortAnswer(question, response);
+      case 'multiple_choice':
+      default:
+        return this.gradeMultipleChoice(question, response);
+    }
+  }
+
+  /**
+   * Multiple choice: the selected option ids must match the correct options exactly
+   */
+  gradeMultipleChoice(question, response) {
+    const selected = new Set(
+      (Array.isArray(response) ? response : [response])
+        .filter(value => value !== null && value !== undefined)
+        .map(value => value.toString())
+    );
+
+    let correct = question.options
+      .filter(option => option.isCorrect)
+      .map(option => option._id.toString());
+
+    // Fall back to matching the option text against correctAnswer
+    if (correct.length === 0 && question.correctAnswer) {
+      correct = question.options
+        .filter(option => this.normalizeText(option.text) === this.normalizeText(question.correctAnswer))
+        .map(option => option._id.toString());
+    }
+
+    if (correct.length === 0 || selected.size !== correct.length) {
+      return false;
+    }
+
+    return correct.every(optionId => selected.has(optionId));
+  }
+
+  /**
+   * True/false: accepts a boolean, "true"/"false" or the id of a True/False option
+   */
+  gradeTrueFalse(question, response) {
+    const expected = this.getTrueFalseAnswer(question);
+    if (expected === null) return false;
+
+    let value = response;
+    const option = question.options.find(opt => opt._id.toString() === String(response));
+    if (option) {
+      value = option.text;
+    }
+
+    return this.toBoolean(value) === expected;
+  }
+
+  getTrueFalseAnswer(question) {
+    if (question.correctAnswer) {
+      return this.toBoolean(question.correctAnswer);
+    }
+
+    const correctOption = question.options.find(option => option.isCorrect);
+    return correctOption ? this.toBoolean(correctOption.text) : null;
+  }
+
+  toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+
+    const normalized = this.normalizeText(value);
+    if (normalized === 'true') return true;
+    if (normalized === 'false') return false;
+    return null;
+  }
+
+  /**
+   * Short answer: case/whitespace-insensitive match, "|" separates accepted answers
+   */
+  gradeShortAnswer(question, response) {
+    if (!question.correctAnswer || typeof response !== 'string') {
+      return false;
+    }
+
+    const accepted = question.correctAnswer
+      .split('|')
+      .map(answer => this.normalizeText(answer))
+      .filter(Boolean);
+
+    return accepted.includes(this.normalizeText(response));
+  }
+
+  normalizeText(value) {
+    return String(value || '')
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/[.!?]+$/, '');
+  }
+}
+
+module.exports = new QuizService();
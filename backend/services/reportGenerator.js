@@ -1,14 +1,15 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
-const path = require('path');
 const performanceAnalytics = require('./performanceAnalytics');
 const geminiService = require('./geminiService');
+const csv = require('./csv');
 
 class ReportGenerator {
   /**
    * Generate PDF performance report
+   * @param {string} filePath - Where to write the file (see reportStorage.resolvePath)
    */
-  async generatePDFReport(userId, courseId, timeframe = '30d') {
+  async generatePDFReport(userId, courseId, timeframe = '30d', filePath) {
     const reportData = await performanceAnalytics.generatePerformanceReport(userId, courseId, timeframe);
     
     return new Promise((resolve, reject) => {
@@ -23,15 +24,6 @@ class ReportGenerator {
           }
         });
 
-        const fileName = `performance_report_${userId}_${Date.now()}.pdf`;
-        const filePath = path.join(__dirname, '../../reports', fileName);
-        
-        // Ensure reports directory exists
-        const reportsDir = path.join(__dirname, '../../reports');
-        if (!fs.existsSync(reportsDir)) {
-          fs.mkdirSync(reportsDir, { recursive: true });
-        }
-
         const stream = fs.createWriteStream(filePath);
         doc.pipe(stream);
 
@@ -56,11 +48,7 @@ class ReportGenerator {
         doc.end();
 
         stream.on('finish', () => {
-          resolve({
-            fileName,
-            filePath,
-            url: `/reports/${fileName}`
-          });
+          resolve({ filePath });
         });
 
         stream.on('error', reject);
@@ -327,8 +315,9 @@ class ReportGenerator {
 
   /**
    * Generate CSV report
+   * @param {string} filePath - Where to write the file (see reportStorage.resolvePath)
    */
-  async generateCSVReport(userId, courseId, timeframe = '30d') {
+  async generateCSVReport(userId, courseId, timeframe = '30d', filePath) {
     const reportData = await performanceAnalytics.generatePerformanceReport(userId, courseId, timeframe);
     
     const csvData = [
@@ -351,18 +340,11 @@ class ReportGenerator {
       ...reportData.recommendations.map((r, i) => [`${i + 1}`, r])
     ];
 
-    const csvContent = csvData.map(row => row.join(',')).join('\n');
-    
-    const fileName = `performance_report_${userId}_${Date.now()}.csv`;
-    const filePath = path.join(__dirname, '../../reports', fileName);
-    
-    fs.writeFileSync(filePath, csvContent);
-    
-    return {
-      fileName,
-      filePath,
-      url: `/reports/${fileName}`
-    };
+    const csvContent = csvData.map(row => row.map(cell => csv.escape(cell)).join(',')).join('\r\n') + '\r\n';
+
+    await fs.promises.writeFile(filePath, csvContent);
+
+    return { filePath };
   }
 }
 
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '../../reports');
+const RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportStorageService {
+  constructor() {
+    this.dir = REPORTS_DIR;
+  }
+
+  /**
+   * Create the record for a report before its file is written
+   * @returns {Promise<Object>} - Report document with a fresh opaque reportId
+   */
+  async createReport({ userId, courseId, timeframe, format, type }) {
+    const report = new Report({
+      user: userId,
+      course: courseId || undefined,
+      type,
+      timeframe,
+      format,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * DAY_MS)
+    });
+    report.fileName = `${report.reportId}.${format}`;
+    await report.save();
+    return report;
+  }
+
+  /**
+   * Absolute path for a stored report, never outside the reports directory
+   */
+  resolvePath(report) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    return path.join(this.dir, path.basename(report.fileName));
+  }
+
+  /**
+   * Record that a report's file has been written
+   */
+  async markReady(report) {
+    const stats = await fs.promises.stat(this.resolvePath(report));
+    report.status = 'ready';
+    report.size = stats.size;
+    report.error = undefined;
+    await report.save();
+    return report;
+  }
+
+  async markFailed(report, error) {
+    report.status = 'failed';
+    report.error = error.message;
+    await report.save();
+    await this.removeFile(report.fileName);
+    return report;
+  }
+
+  async removeFile(fileName) {
+    try {
+      await fs.promises.unlink(path.join(this.dir, path.basename(fileName)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Delete a report and its file
+   */
+  async deleteReport(report) {
+    await this.removeFile(report.fileName);
+    await report.deleteOne();
+  }
+
+  /**
+   * Remove expired reports, plus files no report points to once they are older than the retention period
+   * @returns {Promise<Object>} - { reports, files }
+   */
+  async cleanupExpired(now = new Date()) {
+    const expired = await Report.find({ expiresAt: { $lte: now } }).select('fileName');
+    for (const report of expired) {
+      await this.removeFile(report.fileName);
+    }
+    await Report.deleteMany({ _id: { $in: expired.map(report => report._id) } });
+
+    let files = 0;
+    if (fs.existsSync(this.dir)) {
+      const cutoff = now.getTime() - RETENTION_DAYS * DAY_MS;
+      const names = await fs.promises.readdir(this.dir);
+      const known = new Set(
+        (await Report.find({ fileName: { $in: names } }).select('fileName').lean())
+          .map(report => report.fileName)
+      );
+
+      for (const name of names) {
+        if (known.has(name)) continue;
+        const stats = await fs.promises.stat(path.join(this.dir, name));
+        if (stats.isFile() && stats.mtimeMs < cutoff) {
+          await this.removeFile(name);
+          files++;
+        }
+      }
+    }
+
+    return { reports: expired.length, files };
+  }
+}
+
+module.exports = new ReportStorageService();
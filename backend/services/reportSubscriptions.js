@@ -0,0 +1,135 @@
+const Course = require('../models/Course');
+const ReportSubscription = require('../models/ReportSubscription');
+const User = require('../models/User');
+const mailer = require('./mailer');
+const reportGenerator = require('./reportGenerator');
+const reportStorage = require('./reportStorage');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const FREQUENCIES = {
+  weekly: { timeframe: '7d', label: 'weekly' },
+  monthly: { timeframe: '30d', label: 'monthly' }
+};
+
+// After this many failed deliveries in a row, skip to the next period instead of retrying
+const MAX_FAILURES = 3;
+
+class ReportSubscriptionService {
+  /**
+   * Start of the next period after a date, in server time: the coming Monday or the 1st of next month
+   */
+  nextRunAt(frequency, from = new Date()) {
+    if (frequency === 'monthly') {
+      return new Date(from.getFullYear(), from.getMonth() + 1, 1);
+    }
+
+    const next = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    next.setDate(next.getDate() + ((8 - next.getDay()) % 7 || 7));
+    return next;
+  }
+
+  /**
+   * Generate one subscription's report and email it to the subscriber
+   * Users who turned off email notifications are skipped until the next period.
+   * @returns {Promise<Object>} - { status: sent|skipped|deactivated|failed, error? }
+   */
+  async deliver(subscription, now = new Date()) {
+    const user = await User.findById(subscription.user).select('name email isActive preferences.notifications');
+    const course = subscription.course
+      ? await Course.findById(subscription.course).select('title')
+      : null;
+
+    if (!user || !user.isActive || (subscription.course && !course)) {
+      subscription.active = false;
+      await subscription.save();
+      return { status: 'deactivated' };
+    }
+
+    const nextRunAt = this.nextRunAt(subscription.frequency, now);
+
+    if (user.preferences?.notifications?.email === false) {
+      subscription.nextRunAt = nextRunAt;
+      await subscription.save();
+      return { status: 'skipped' };
+    }
+
+    const { timeframe, label } = FREQUENCIES[subscription.frequency];
+    let report;
+
+    try {
+      report = await reportStorage.createReport({
+        userId: user._id,
+        courseId: subscription.course,
+        timeframe,
+        format: subscription.format
+      });
+
+      const filePath = reportStorage.resolvePath(report);
+      if (report.format === 'pdf') {
+        await reportGenerator.generatePDFReport(user._id, subscription.course, timeframe, filePath);
+      } else {
+        await reportGenerator.generateCSVReport(user._id, subscription.course, timeframe, filePath);
+      }
+      await reportStorage.markReady(report);
+
+      const scope = course ? `"${course.title}"` : 'all your courses';
+      await mailer.sendMail({
+        to: user.email,
+        subject: `Your ${label} performance report`,
+        text: [
+          `Hi ${user.name},`,
+          '',
+          `Your ${label} performance report for ${scope} is attached.`,
+          '',
+          `To change or stop these emails, visit ${FRONTEND_URL}/profile`
+        ].join('\n'),
+        attachments: [{ filename: report.getDownloadName(), path: filePath }]
+      });
+
+      subscription.set({
+        nextRunAt,
+        lastSentAt: now,
+        lastReport: report._id,
+        failures: 0,
+        lastError: undefined
+      });
+      await subscription.save();
+      return { status: 'sent' };
+    } catch (error) {
+      if (report) {
+        await reportStorage.markFailed(report, error).catch(() => {});
+      }
+
+      subscription.failures += 1;
+      subscription.lastError = error.message;
+      if (subscription.failures >= MAX_FAILURES) {
+        subscription.nextRunAt = nextRunAt;
+        subscription.failures = 0;
+      }
+      await subscription.save();
+      return { status: 'failed', error };
+    }
+  }
+
+  /**
+   * Deliver every active subscription whose next run is due
+   * @returns {Promise<Object>} - Count per delivery status
+   */
+  async sendDue(now = new Date()) {
+    const counts = { sent: 0, skipped: 0, deactivated: 0, failed: 0 };
+    const due = ReportSubscription.find({ active: true, nextRunAt: { $lte: now } }).cursor();
+
+    for await (const subscription of due) {
+      const result = await this.deliver(subscription, now);
+      if (result.error) {
+        console.error(`Scheduled report ${subscription._id} error:`, result.error);
+      }
+      counts[result.status]++;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new ReportSubscriptionService();
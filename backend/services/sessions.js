@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+const SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const randomId = () => crypto.randomBytes(16).toString('hex');
+
+class SessionService {
+  /**
+   * Short label such as "Chrome on Windows" for the session list
+   */
+  describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[0];
+    if (!browser) return system[0];
+    return `${browser[0]} on ${system[0]}`;
+  }
+
+  signTokens(userId, sid, jti) {
+    return {
+      token: generateToken(userId, sid),
+      refreshToken: generateRefreshToken(userId, sid, jti)
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @returns {Promise<Object>} - { session, token, refreshToken }
+   */
+  async create(user, req) {
+    const sid = randomId();
+    const jti = randomId();
+    const userAgent = (req.get('user-agent') || '').slice(0, 512);
+
+    const session = await Session.create({
+      sid,
+      user: user._id,
+      currentJti: jti,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    return { session, ...this.signTokens(user._id, sid, jti) };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Each refresh token works once; replaying an already-rotated one revokes its session,
+   * since either the legitimate client or an attacker is holding a copy.
+   * @returns {Promise<Object>} - { session, token, refreshToken } or { error: 'invalid'|'reuse' }
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return { error: 'invalid' };
+    }
+    if (!decoded.sid || !decoded.jti) {
+      return { error: 'invalid' };
+    }
+
+    const now = new Date();
+    const jti = randomId();
+    const session = await Session.findOneAndUpdate(
+      { sid: decoded.sid, currentJti: decoded.jti, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          currentJti: jti,
+          lastUsedAt: now,
+          ip: req.ip,
+          expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { sid: decoded.sid, revokedAt: null, currentJti: { $ne: decoded.jti } },
+        { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+      );
+      if (reused) {
+        console.warn(`Refresh token reuse detected, revoked session ${reused.sid} of user ${reused.user}`);
+        return { error: 'reuse' };
+      }
+      return { error: 'invalid' };
+    }
+
+    return { session, ...this.signTokens(session.user, session.sid, jti) };
+  }
+
+  /**
+   * End one session
+   * @returns {Promise<boolean>} - Whether an active session was revoked
+   */
+  async revoke(sid, reason = 'logout', userId) {
+    const result = await Session.updateOne(
+      { sid, revokedAt: null, ...(userId && { user: userId }) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * End every session of a user, optionally keeping one
+   * @returns {Promise<number>} - Sessions revoked
+   */
+  async revokeAll(userId, reason = 'logout_all', exceptSid) {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null, ...(exceptSid && { sid: { $ne: exceptSid } }) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sessions a user is still signed in with, most recently used first
+   */
+  async listActive(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('sid device userAgent ip lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new SessionService();
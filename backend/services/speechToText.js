@@ -14,25 +14,64 @@ class SpeechToTextService {
     ffmpeg.setFfmpegPath(ffmpegPath);
   }
 
+  /**
+   * Transcribe a video with the configured provider (SPEECH_TO_TEXT_PROVIDER)
+   * Unlike the provider methods below, errors are thrown instead of falling back to mock captions.
+   * @param {string} videoPath - Path to video file
+   * @param {Object} options - { provider, language, onProgress({ stage, percent }) }
+   */
+  async transcribeVideo(videoPath, options = {}) {
+    const provider = options.provider || process.env.SPEECH_TO_TEXT_PROVIDER || 'whisper';
+    const strictOptions = { ...options, strict: true };
+
+    let result;
+    switch (provider) {
+      case 'whisper':
+        result = await this.generateCaptionsWithWhisper(videoPath, strictOptions);
+        break;
+      case 'google':
+        result = await this.generateCaptionsWithGoogle(videoPath, options.language, strictOptions);
+        break;
+      case 'mock':
+        result = this.generateMockCaptions(120);
+        break;
+      default:
+        throw new Error(`Unknown speech-to-text provider: ${provider}`);
+    }
+
+    return { ...result, provider };
+  }
+
   /**
    * Generate captions using OpenAI Whisper API
    */
-  async generateCaptionsWithWhisper(videoPath) {
+  async generateCaptionsWithWhisper(videoPath, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+
     if (!this.openaiApiKey) {
+      if (options.strict) {
+        throw new Error('OpenAI API key not configured');
+      }
       console.log('OpenAI API key not configured, using mock captions');
       return this.generateMockCaptions(120);
     }
 
+    let audioPath = null;
+
     try {
       console.log('Starting audio extraction for OpenAI Whisper...');
-      const audioPath = await this.extractAudio(videoPath);
+      audioPath = await this.extractAudio(videoPath, reportProgress);
       
       console.log('Preparing Whisper API request...');
+      reportProgress({ stage: 'transcribing', percent: 45 });
       const formData = new FormData();
       formData.append('file', fs.createReadStream(audioPath));
       formData.append('model', 'whisper-1');
       formData.append('response_format', 'verbose_json');
       formData.append('timestamp_granularities[]', 'word');
+      if (options.language) {
+        formData.append('language', options.language);
+      }
 
       console.log('Sending request to OpenAI Whisper API...');
       const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
@@ -53,33 +92,41 @@ class SpeechToTextService {
       const result = await response.json();
       console.log('OpenAI Whisper API response received successfully');
       
-      // Clean up temporary audio file
-      if (fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-        console.log('Temporary audio file cleaned up');
-      }
-
+      reportProgress({ stage: 'formatting', percent: 90 });
       return this.formatWhisperResponse(result);
     } catch (error) {
       console.error('Whisper transcription error:', error);
+      if (options.strict) {
+        throw error;
+      }
       return this.generateMockCaptions(120);
+    } finally {
+      this.removeTempAudio(audioPath);
     }
   }
 
   /**
    * Generate captions using Google Speech-to-Text API with live translation
    */
-  async generateCaptionsWithGoogle(videoPath, targetLanguage = 'en-US') {
+  async generateCaptionsWithGoogle(videoPath, targetLanguage = 'en-US', options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+
     if (!this.googleApiKey) {
+      if (options.strict) {
+        throw new Error('Google Speech API key not configured');
+      }
       console.log('Google Speech API key not configured, using mock captions');
       return this.generateMockCaptions(120);
     }
 
+    let audioPath = null;
+
     try {
       console.log('Starting audio extraction for Google Speech-to-Text...');
-      const audioPath = await this.extractAudio(videoPath);
+      audioPath = await this.extractAudio(videoPath, reportProgress);
       
       console.log('Reading audio file for Google Speech API...');
+      reportProgress({ stage: 'transcribing', percent: 45 });
       const audioBytes = fs.readFileSync(audioPath).toString('base64');
 
       const request = {
@@ -120,23 +167,34 @@ class SpeechToTextService {
       const result = await response.json();
       console.log('Google Speech API response received successfully');
       
-      // Clean up temporary audio file
-      if (fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-        console.log('Temporary audio file cleaned up');
-      }
-
+      reportProgress({ stage: 'formatting', percent: 90 });
       return this.formatGoogleResponse(result);
     } catch (error) {
       console.error('Google Speech transcription error:', error);
+      if (options.strict) {
+        throw error;
+      }
       return this.generateMockCaptions(120);
+    } finally {
+      this.removeTempAudio(audioPath);
+    }
+  }
+
+  /**
+   * Remove the temporary audio file created by extractAudio
+   */
+  removeTempAudio(audioPath) {
+    if (audioPath && fs.existsSync(audioPath)) {
+      fs.unlinkSync(audioPath);
+      console.log('Temporary audio file cleaned up');
     }
   }
 
   /**
    * Extract audio from video file using ffmpeg
+   * Progress is reported as the first 40% of the transcription pipeline.
    */
-  async extractAudio(videoPath) {
+  async extractAudio(videoPath, onProgress = null) {
     return new Promise((resolve, reject) => {
       const audioOutputPath = videoPath.replace(/\.[^/.]+$/, '_audio.wav');
       
@@ -153,6 +211,12 @@ class SpeechToTextService {
         })
         .on('progress', (progress) => {
           console.log('Audio extraction progress:', progress.percent + '%');
+          if (onProgress && progress.percent !== undefined) {
+            onProgress({
+              stage: 'extracting_audio',
+              percent: Math.min(40, Math.round((progress.percent / 100) * 40))
+            });
+          }
         })
         .on('end', () => {
           console.log('Audio extraction completed');
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const OidcProvider = require('./oidcProvider');
+const SamlProvider = require('./samlProvider');
+const MockProvider = require('./mockProvider');
+
+const CALLBACK_BASE_URL = (process.env.SSO_CALLBACK_BASE_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/auth/sso`).replace(/\/$/, '');
+
+const PROTOCOLS = {
+  oidc: OidcProvider,
+  saml: SamlProvider
+};
+
+/**
+ * Identity provider registry for institutional single sign-on
+ * A provider implements:
+ *   id, name, type, config
+ *   createLoginRequest(state) -> { url, data }; data is kept until the callback
+ *   getState(req) -> the state the IdP sent back
+ *   handleCallback(req, data, state) -> { subject, attributes, emailVerified }
+ * Providers are read from the JSON array in SSO_PROVIDERS_FILE, each
+ *   { id, name, type: 'oidc'|'saml', mapping, emailDomains, trustEmail, ... }
+ * plus the protocol settings documented on OidcProvider and SamlProvider.
+ */
+const providers = new Map();
+
+function callbackUrl(id) {
+  return `${CALLBACK_BASE_URL}/${id}/callback`;
+}
+
+function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+function listProviders() {
+  return [...providers.values()].map(({ id, name, type }) => ({ id, name, type }));
+}
+
+function createProvider(config) {
+  if (!config.id || !/^[a-z0-9-]+$/.test(config.id)) {
+    throw new Error(`SSO provider id must be lowercase letters, digits and dashes: ${config.id}`);
+  }
+  const Protocol = PROTOCOLS[config.type];
+  if (!Protocol) {
+    throw new Error(`Unknown SSO provider type for ${config.id}: ${config.type}`);
+  }
+  return new Protocol({ name: config.id, ...config }, callbackUrl(config.id));
+}
+
+function loadProviders(file = process.env.SSO_PROVIDERS_FILE) {
+  if (!file) return;
+
+  const configs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const config of configs) {
+    registerProvider(createProvider(config));
+  }
+}
+
+loadProviders();
+
+// The mock IdP lets anyone sign in as anyone, so it is only registered when asked for:
+// an unset or misspelled NODE_ENV must not expose it
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+if (process.env.SSO_ALLOW_MOCK === 'true' || MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  registerProvider(new MockProvider(callbackUrl('mock')));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  createProvider
+};
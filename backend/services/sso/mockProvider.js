@@ -0,0 +1,85 @@
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+/**
+ * Local identity provider for development and tests
+ * Its "login page" is a form served by this backend where any identity can be typed in,
+ * which is posted back to the callback like an IdP response. Never enable it in production.
+ */
+class MockProvider {
+  constructor(callbackUrl) {
+    this.id = 'mock';
+    this.name = 'Mock Institution (development)';
+    this.type = 'mock';
+    this.callbackUrl = callbackUrl;
+    this.config = {
+      id: 'mock',
+      mapping: {
+        email: 'email',
+        name: 'name',
+        role: 'affiliation',
+        roles: { instructor: ['faculty'], admin: ['admin'] }
+      }
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} - { url, data }
+   */
+  async createLoginRequest(state) {
+    const authorizeUrl = this.callbackUrl.replace(/\/callback$/, '/authorize');
+    return { url: `${authorizeUrl}?state=${encodeURIComponent(state)}`, data: {} };
+  }
+
+  renderLoginPage(state) {
+    return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(this.name)}</title></head>
+<body>
+  <h1>${escapeHtml(this.name)}</h1>
+  <form method="post" action="${escapeHtml(this.callbackUrl)}">
+    <input type="hidden" name="state" value="${escapeHtml(state)}">
+    <p><label>Email <input type="email" name="email" required></label></p>
+    <p><label>Name <input type="text" name="name"></label></p>
+    <p>
+      <label>Affiliation
+        <select name="affiliation">
+          <option value="student">student</option>
+          <option value="faculty">faculty</option>
+          <option value="admin">admin</option>
+        </select>
+      </label>
+    </p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+  }
+
+  getState(req) {
+    return req.body.state;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { subject, attributes, emailVerified }
+   */
+  async handleCallback(req) {
+    const { email, name, affiliation } = req.body;
+    if (!email) {
+      throw new Error('Mock login has no email');
+    }
+
+    return {
+      subject: `mock:${String(email).toLowerCase()}`,
+      attributes: { email, name, affiliation },
+      emailVerified: true
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,89 @@
+const { Issuer, generators } = require('openid-client');
+
+/**
+ * OpenID Connect identity provider (authorization code flow with PKCE)
+ * Config: issuer, clientId, clientSecret, scope (default "openid email profile")
+ */
+class OidcProvider {
+  constructor(config, callbackUrl) {
+    this.id = config.id;
+    this.name = config.name;
+    this.type = 'oidc';
+    this.config = config;
+    this.callbackUrl = callbackUrl;
+    this.clientPromise = null;
+  }
+
+  // Discovery runs on first use and is retried after a failure
+  getClient() {
+    if (!this.clientPromise) {
+      this.clientPromise = Issuer.discover(this.config.issuer)
+        .then(issuer => new issuer.Client({
+          client_id: this.config.clientId,
+          client_secret: this.config.clientSecret,
+          redirect_uris: [this.callbackUrl],
+          response_types: ['code']
+        }))
+        .catch(error => {
+          this.clientPromise = null;
+          throw error;
+        });
+    }
+    return this.clientPromise;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { url, data }
+   */
+  async createLoginRequest(state) {
+    const client = await this.getClient();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const url = client.authorizationUrl({
+      scope: this.config.scope || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    return { url, data: { nonce, codeVerifier } };
+  }
+
+  getState(req) {
+    return req.query.state;
+  }
+
+  /**
+   * Exchange the code and validate the ID token
+   * @returns {Promise<Object>} - { subject, attributes, emailVerified }
+   */
+  async handleCallback(req, data, state) {
+    const client = await this.getClient();
+    const tokenSet = await client.callback(this.callbackUrl, client.callbackParams(req), {
+      state,
+      nonce: data.nonce,
+      code_verifier: data.codeVerifier
+    });
+    const claims = tokenSet.claims();
+
+    // Many providers leave profile claims out of the ID token
+    let attributes = claims;
+    if (tokenSet.access_token) {
+      try {
+        attributes = { ...(await client.userinfo(tokenSet)), ...claims };
+      } catch (error) {
+        console.warn(`OIDC userinfo failed for ${this.id}:`, error.message);
+      }
+    }
+
+    return {
+      subject: claims.sub,
+      attributes,
+      emailVerified: this.config.trustEmail === true || attributes.email_verified === true
+    };
+  }
+}
+
+module.exports = OidcProvider;
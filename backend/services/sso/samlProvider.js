@@ -0,0 +1,66 @@
+const { SAML } = require('@node-saml/node-saml');
+
+/**
+ * SAML 2.0 identity provider (SP-initiated, HTTP-POST response)
+ * Config: entryPoint, idpCert (PEM or base64 body), spEntityId, wantAuthnResponseSigned
+ * Assertions must be signed. SAML has no standard "verified" flag, so emails are only
+ * trusted for account linking when the config sets trustEmail.
+ */
+class SamlProvider {
+  constructor(config, callbackUrl) {
+    this.id = config.id;
+    this.name = config.name;
+    this.type = 'saml';
+    this.config = config;
+    this.callbackUrl = callbackUrl;
+
+    const issuer = config.spEntityId || 'virtual-learning-platform';
+    this.saml = new SAML({
+      callbackUrl,
+      entryPoint: config.entryPoint,
+      issuer,
+      audience: issuer,
+      idpCert: config.idpCert,
+      identifierFormat: config.identifierFormat || null,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: config.wantAuthnResponseSigned === true,
+      acceptedClockSkewMs: 5000
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} - { url, data }
+   */
+  async createLoginRequest(state) {
+    const url = await this.saml.getAuthorizeUrlAsync(state, undefined, {});
+    return { url, data: {} };
+  }
+
+  getState(req) {
+    return req.body.RelayState;
+  }
+
+  /**
+   * Validate the signed response
+   * @returns {Promise<Object>} - { subject, attributes, emailVerified }
+   */
+  async handleCallback(req) {
+    const { profile } = await this.saml.validatePostResponseAsync(req.body);
+    if (!profile || !profile.nameID) {
+      throw new Error('SAML response has no subject');
+    }
+
+    return {
+      subject: profile.nameID,
+      attributes: profile,
+      emailVerified: this.config.trustEmail === true
+    };
+  }
+
+  // Metadata to register this platform with the IdP
+  getMetadata() {
+    return this.saml.generateServiceProviderMetadata(null, null);
+  }
+}
+
+module.exports = SamlProvider;
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+
+const ROLE_PRIORITY = ['admin', 'instructor', 'student'];
+
+const toList = (value) => [].concat(value ?? []).map(String).filter(Boolean);
+const first = (value) => toList(value)[0];
+
+class SsoAccountService {
+  /**
+   * Map IdP attributes to name, email and role using the provider's mapping:
+   *   { email: 'mail', name: 'displayName' | ['givenName', 'sn'], role: 'eduPersonAffiliation',
+   *     roles: { instructor: ['faculty', 'staff'], admin: [...] } }
+   * The highest mapped role wins; otherwise the provider's defaultRole (student).
+   */
+  mapProfile(config, attributes) {
+    const mapping = config.mapping || {};
+
+    const email = first(attributes[mapping.email || 'email'])?.trim().toLowerCase();
+
+    const nameFields = toList(mapping.name || 'name');
+    const name = nameFields
+      .map(field => first(attributes[field]))
+      .filter(Boolean)
+      .join(' ')
+      .trim() || (email ? email.split('@')[0] : '');
+
+    const values = toList(attributes[mapping.role]).map(value => value.toLowerCase());
+    const roles = mapping.roles || {};
+    const role = ROLE_PRIORITY.find(candidate =>
+      toList(roles[candidate]).some(value => values.includes(value.toLowerCase()))
+    ) || config.defaultRole || 'student';
+
+    return { email, name: name.slice(0, 100), role };
+  }
+
+  isAllowedDomain(config, email) {
+    const domains = toList(config.emailDomains).map(domain => domain.toLowerCase());
+    return domains.length === 0 || domains.includes(email.split('@')[1]);
+  }
+
+  // An IdP can only claim existing accounts in the domains it is configured for
+  canLinkByEmail(config, email) {
+    const domains = toList(config.emailDomains).map(domain => domain.toLowerCase());
+    return domains.includes(email.split('@')[1]);
+  }
+
+  /**
+   * Find the user for an IdP identity: by linked identity, then by email (linking it),
+   * otherwise provision a new account
+   * Admin accounts are never linked by email, and syncRole never changes an admin's role.
+   * @returns {Promise<Object>} - { user, created, linked } or { error }
+   */
+  async findOrCreateUser(provider, identity) {
+    const { config } = provider;
+    const profile = this.mapProfile(config, identity.attributes);
+
+    if (!identity.subject || !profile.email) {
+      return { error: 'missing_email' };
+    }
+    if (!this.isAllowedDomain(config, profile.email)) {
+      return { error: 'domain_not_allowed' };
+    }
+
+    const ssoIdentity = { provider: provider.id, subject: String(identity.subject) };
+
+    // Returning user
+    let user = await User.findOne({ ssoIdentities: { $elemMatch: ssoIdentity } });
+    if (user) {
+      if (!user.isActive) return { error: 'inactive' };
+
+      user.lastLogin = new Date();
+      if (config.syncRole && user.role !== 'admin') {
+        user.role = profile.role;
+      }
+      await user.save();
+      return { user, created: false, linked: false };
+    }
+
+    // Existing account with the same email; only link when the IdP vouches for the address
+    // and is configured for its domain
+    user = await User.findOne({ email: profile.email });
+    if (user) {
+      if (!user.isActive) return { error: 'inactive' };
+      if (user.role === 'admin' || !this.canLinkByEmail(config, profile.email)) {
+        return { error: 'link_not_allowed' };
+      }
+      if (!identity.emailVerified) return { error: 'unverified_email' };
+
+      user.ssoIdentities.push({ ...ssoIdentity, linkedAt: new Date() });
+      user.lastLogin = new Date();
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+      return { user, created: false, linked: true };
+    }
+
+    if (config.autoProvision === false) {
+      return { error: 'not_provisioned' };
+    }
+
+    // Just-in-time provisioning
+    user = new User({
+      name: profile.name,
+      email: profile.email,
+      role: profile.role,
+      emailVerified: !!identity.emailVerified,
+      emailVerifiedAt: identity.emailVerified ? new Date() : undefined,
+      ssoIdentities: [{ ...ssoIdentity, linkedAt: new Date() }],
+      lastLogin: new Date()
+    });
+    await user.save();
+    return { user, created: true, linked: true };
+  }
+}
+
+module.exports = new SsoAccountService();
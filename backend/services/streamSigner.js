@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.STREAM_URL_TTL_SECONDS) || 15 * 60;
+
+class StreamSignerService {
+  getSecret() {
+    return process.env.STREAM_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  hmac(payload) {
+    return crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+  }
+
+  /**
+   * Sign a token granting read access to one video and its HLS/thumbnail files
+   * The lesson duration is added to the TTL so a started video can be watched to the end
+   * @param {string} videoId - File name inside /videos
+   * @param {Object} options - { userId, duration }
+   * @returns {Object} - { token, expiresAt }
+   */
+  sign(videoId, { userId = null, duration = 0 } = {}) {
+    const expiresAt = new Date(Date.now() + (DEFAULT_TTL_SECONDS + (duration || 0)) * 1000);
+    const payload = Buffer.from(JSON.stringify({
+      v: videoId,
+      u: userId ? userId.toString() : null,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${this.hmac(payload)}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @returns {Object|null} - { videoId, userId, expiresAt } or null
+   */
+  verify(token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.hmac(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!data.v || !data.exp || data.exp * 1000 < Date.now()) return null;
+
+      return {
+        videoId: data.v,
+        userId: data.u,
+        expiresAt: new Date(data.exp * 1000)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a path inside /videos belongs to the signed video:
+   * the upload itself, its HLS ladder or its poster/sprite
+   */
+  isPathAllowed(grant, filePath) {
+    const normalized = path.posix.normalize(filePath);
+    if (normalized.startsWith('..') || path.posix.isAbsolute(normalized)) return false;
+
+    const name = path.parse(grant.videoId).name;
+    return normalized === grant.videoId ||
+      normalized.startsWith(`hls/${name}/`) ||
+      normalized.startsWith(`thumbnails/${name}/`);
+  }
+
+  /**
+   * Turn a stored "/videos/..." path into a signed streaming URL
+   */
+  toSignedUrl(token, videoPath) {
+    if (!videoPath || !videoPath.startsWith('/videos/')) return videoPath;
+    return `/api/stream/${token}/${videoPath.slice('/videos/'.length)}`;
+  }
+}
+
+module.exports = new StreamSignerService();
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Virtual Learning Platform';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const TOTP_PATTERN = new RegExp(`^\\d{${DIGITS}}$`);
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Roles an admin may require 2FA for
+const ENFORCEABLE_ROLES = ['instructor', 'admin'];
+// Roles that always need 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=admin
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => ENFORCEABLE_ROLES.includes(role));
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/-/g, '').toLowerCase())
+  .digest('hex');
+
+class TwoFactorService {
+  /**
+   * Whether the user must use 2FA, by admin flag or role policy
+   */
+  isRequired(user) {
+    if (!ENFORCEABLE_ROLES.includes(user.role)) return false;
+    return !!user.twoFactor?.required || REQUIRED_ROLES.includes(user.role);
+  }
+
+  canBeRequired(user) {
+    return ENFORCEABLE_ROLES.includes(user.role);
+  }
+
+  /**
+   * Whether signing in needs a second step (a code, or enrollment if 2FA is required but not set up)
+   */
+  needsChallenge(user) {
+    return !!user.twoFactor?.enabled || this.isRequired(user);
+  }
+
+  /**
+   * RFC 6238 code for a base32 secret at a time step
+   */
+  generateCode(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Time step the code belongs to, or null if it doesn't match
+   */
+  matchStep(secret, code, now = Date.now()) {
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      const expected = Buffer.from(this.generateCode(secret, step));
+      const given = Buffer.from(String(code));
+      if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  getStatus(user) {
+    return {
+      enabled: !!user.twoFactor?.enabled,
+      required: this.isRequired(user),
+      enabledAt: user.twoFactor?.enabledAt || null
+    };
+  }
+
+  async countRecoveryCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+  }
+
+  /**
+   * Start enrollment with a new secret; 2FA stays off until a code from it is confirmed
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+   */
+  async startSetup(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encrypt(secret) } });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Turn 2FA on once the user proves their app has the pending secret
+   * @returns {Promise<Object>} - { recoveryCodes } or { error: 'no_setup'|'invalid_code' }
+   */
+  async enable(user, code) {
+    const current = await User.findById(user._id).select(SECRET_FIELDS);
+    if (!current?.twoFactor?.pendingSecret) return { error: 'no_setup' };
+
+    const secret = decrypt(current.twoFactor.pendingSecret);
+    const step = this.matchStep(secret, code);
+    if (step === null) return { error: 'invalid_code' };
+
+    const recoveryCodes = this.newRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': encrypt(secret),
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.failedAttempts': 0
+      },
+      $unset: { 'twoFactor.pendingSecret': 1, 'twoFactor.lockedUntil': 1 }
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP or recovery code. Each code works once, and repeated failures lock 2FA for a while.
+   * @returns {Promise<Object>} - { method: 'totp'|'recovery' } or { error: 'not_enabled'|'locked'|'invalid_code', retryAt }
+   */
+  async verify(user, code) {
+    const current = await User.findById(user._id).select(SECRET_FIELDS);
+    if (!current?.twoFactor?.enabled || !current.twoFactor.secret) return { error: 'not_enabled' };
+
+    const { lockedUntil } = current.twoFactor;
+    if (lockedUntil && lockedUntil > new Date()) {
+      return { error: 'locked', retryAt: lockedUntil };
+    }
+
+    // Only DIGITS-long numbers can be TOTP codes; everything else, and TOTP misses, is tried as a recovery code
+    const normalized = String(code).trim();
+    if (TOTP_PATTERN.test(normalized)) {
+      const step = this.matchStep(decrypt(current.twoFactor.secret), normalized);
+      if (step !== null) {
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+          },
+          { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+        );
+        if (result.modifiedCount > 0) return { method: 'totp' };
+      }
+    }
+
+    const hash = hashRecoveryCode(normalized);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      {
+        $pull: { 'twoFactor.recoveryCodes': hash },
+        $set: { 'twoFactor.failedAttempts': 0 },
+        $unset: { 'twoFactor.lockedUntil': 1 }
+      }
+    );
+    if (result.modifiedCount > 0) return { method: 'recovery' };
+
+    return this.recordFailure(user._id);
+  }
+
+  async recordFailure(userId) {
+    const updated = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true }
+    );
+    if (updated.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      const retryAt = new Date(Date.now() + LOCKOUT_MS);
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.lockedUntil': retryAt, 'twoFactor.failedAttempts': 0 } }
+      );
+      return { error: 'locked', retryAt };
+    }
+    return { error: 'invalid_code' };
+  }
+
+  async disable(user) {
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.lockedUntil': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {Promise<string[]>} - The new codes, shown to the user once
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.newRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+    return recoveryCodes;
+  }
+
+  newRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
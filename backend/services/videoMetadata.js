@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+
+const VIDEOS_DIR = path.join(__dirname, '../../videos');
+const THUMBNAILS_DIR = path.join(VIDEOS_DIR, 'thumbnails');
+
+// Seek preview sprite settings
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_FRAMES = 100;
+const SPRITE_MIN_INTERVAL = 2; // seconds between preview frames
+
+class VideoMetadataService {
+  constructor() {
+    ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegPath);
+    if (process.env.FFPROBE_PATH) {
+      ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+    }
+  }
+
+  getVideoPath(videoId) {
+    return path.join(VIDEOS_DIR, path.basename(videoId));
+  }
+
+  getThumbnailDirectoryName(videoId) {
+    return path.parse(path.basename(videoId)).name;
+  }
+
+  /**
+   * Read duration, resolution, codecs and bitrate with ffprobe
+   * @param {string} videoPath - Path to video file
+   * @returns {Promise<Object>} - Normalized metadata
+   */
+  probe(videoPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(videoPath, (err, data) => {
+        if (err) {
+          return reject(new Error(`ffprobe failed: ${err.message}`));
+        }
+
+        const video = data.streams.find(stream => stream.codec_type === 'video');
+        const audio = data.streams.find(stream => stream.codec_type === 'audio');
+
+        if (!video) {
+          return reject(new Error('No video stream found'));
+        }
+
+        const duration = parseFloat(data.format.duration) || parseFloat(video.duration) || 0;
+
+        resolve({
+          duration: Math.round(duration),
+          width: video.width,
+          height: video.height,
+          videoCodec: video.codec_name,
+          audioCodec: audio ? audio.codec_name : null,
+          bitrate: parseInt(data.format.bit_rate) || null,
+          frameRate: this.parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+          size: parseInt(data.format.size) || null,
+          formatName: data.format.format_name
+        });
+      });
+    });
+  }
+
+  // ffprobe reports frame rates as fractions, e.g. "30000/1001"
+  parseFrameRate(value) {
+    if (!value) return null;
+
+    const [numerator, denominator] = value.split('/').map(Number);
+    if (!denominator) return numerator || null;
+    return Math.round((numerator / denominator) * 100) / 100;
+  }
+
+  /**
+   * Probe a video in /videos and generate its poster and seek-preview sprite
+   * @returns {Promise<Object>} - { metadata, poster, sprite }
+   */
+  async extract(videoId, onProgress = null) {
+    const videoPath = this.getVideoPath(videoId);
+    await fs.access(videoPath);
+
+    const report = (stage, percent) => {
+      if (onProgress) onProgress({ stage, percent });
+    };
+
+    report('probing', 5);
+    const metadata = await this.probe(videoPath);
+
+    const directory = this.getThumbnailDirectoryName(videoId);
+    const outputDir = path.join(THUMBNAILS_DIR, directory);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    report('generating_poster', 20);
+    await this.generatePoster(videoPath, outputDir, metadata.duration);
+
+    report('generating_sprite', 40);
+    const sprite = await this.generateSprite(videoPath, outputDir, metadata, (percent) => {
+      report('generating_sprite', 40 + Math.round(percent * 0.55));
+    });
+
+    return {
+      metadata,
+      poster: {
+        url: `/videos/thumbnails/${directory}/poster.jpg`
+      },
+      sprite: {
+        ...sprite,
+        url: `/videos/thumbnails/${directory}/sprite.jpg`
+      }
+    };
+  }
+
+  /**
+   * Grab a poster frame 10% into the video (skips black intro frames)
+   */
+  generatePoster(videoPath, outputDir, duration) {
+    const timestamp = duration > 0 ? Math.min(duration * 0.1, 30) : 0;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .seekInput(timestamp)
+        .outputOptions(['-frames:v 1', '-q:v 3'])
+        .on('end', () => resolve(path.join(outputDir, 'poster.jpg')))
+        .on('error', (err) => {
+          console.error('Poster generation error:', err.message);
+          reject(err);
+        })
+        .save(path.join(outputDir, 'poster.jpg'));
+    });
+  }
+
+  /**
+   * Tile evenly spaced frames into one image for seek-bar hover previews
+   * @returns {Promise<Object>} - Sprite layout the player needs to find a frame
+   */
+  generateSprite(videoPath, outputDir, metadata, onProgress) {
+    const duration = Math.max(metadata.duration, 1);
+    const interval = Math.max(SPRITE_MIN_INTERVAL, Math.ceil(duration / SPRITE_MAX_FRAMES));
+    const count = Math.max(1, Math.ceil(duration / interval));
+    const columns = Math.min(SPRITE_COLUMNS, count);
+    const rows = Math.ceil(count / columns);
+    const aspect = metadata.width && metadata.height ? metadata.height / metadata.width : 9 / 16;
+    const frameHeight = Math.round((SPRITE_FRAME_WIDTH * aspect) / 2) * 2;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .outputOptions([
+          `-vf fps=1/${interval},scale=${SPRITE_FRAME_WIDTH}:${frameHeight},tile=${columns}x${rows}`,
+          '-frames:v 1',
+          '-q:v 5'
+        ])
+        .on('progress', (progress) => {
+          if (onProgress && progress.percent !== undefined) {
+            onProgress(Math.min(100, Math.max(0, progress.percent)));
+          }
+        })
+        .on('end', () => resolve({
+          interval,
+          count,
+          columns,
+          rows,
+          frameWidth: SPRITE_FRAME_WIDTH,
+          frameHeight
+        }))
+        .on('error', (err) => {
+          console.error('Sprite generation error:', err.message);
+          reject(err);
+        })
+        .save(path.join(outputDir, 'sprite.jpg'));
+    });
+  }
+}
+
+module.exports = new VideoMetadataService();
@@ -0,0 +1,205 @@
+const Analytics = require('../models/Analytics');
+
+const MAX_BUCKETS = 200;
+const HOTSPOT_LIMIT = 5;
+const DROP_OFF_LIMIT = 5;
+// Viewers who got this far are treated as having finished, not dropped off
+const FINISHED_FRACTION = 0.95;
+
+const PLAY_EVENTS = ['play', 'video_play'];
+const STOP_EVENTS = ['pause', 'video_pause', 'video_closed'];
+const SEEK_EVENTS = ['seek', 'video_seek'];
+
+const toPosition = (value) => {
+  const position = Number(value);
+  return Number.isFinite(position) && position >= 0 ? position : null;
+};
+
+class VideoRetentionService {
+  /**
+   * Rebuild the stretches of video a session actually played from its player events
+   * @returns {Object} - { segments: [[start, end]], rewinds: [[to, from]], lastPosition, ended }
+   */
+  reconstructSession(sessionData, lessonDuration) {
+    const interactions = [...(sessionData.interactions || [])]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const segments = [];
+    const rewinds = [];
+    let playingFrom = null;
+    let lastPosition = 0;
+    let ended = false;
+
+    const closeSegment = (end) => {
+      if (playingFrom !== null && end > playingFrom) {
+        segments.push([playingFrom, end]);
+      }
+      playingFrom = null;
+    };
+
+    for (const interaction of interactions) {
+      const position = toPosition(interaction.data?.timestamp);
+
+      if (PLAY_EVENTS.includes(interaction.type) && position !== null) {
+        closeSegment(position);
+        playingFrom = position;
+        lastPosition = Math.max(lastPosition, position);
+      } else if (STOP_EVENTS.includes(interaction.type) && position !== null) {
+        closeSegment(position);
+        lastPosition = Math.max(lastPosition, position);
+      } else if (SEEK_EVENTS.includes(interaction.type)) {
+        const to = toPosition(interaction.data?.seekTo);
+        if (to === null) continue;
+
+        const wasPlaying = playingFrom !== null;
+        if (position !== null) {
+          closeSegment(position);
+          lastPosition = Math.max(lastPosition, position);
+          if (to < position) rewinds.push([to, position]);
+        }
+        if (wasPlaying) playingFrom = to;
+      } else if (interaction.type === 'video_ended') {
+        closeSegment(lessonDuration || position || lastPosition);
+        ended = true;
+      }
+    }
+
+    // Session closed while playing: assume it played up to the reported progress
+    if (playingFrom !== null) {
+      const reported = lessonDuration * (sessionData.videoProgress || 0) / 100;
+      closeSegment(Math.max(reported, lastPosition));
+    }
+
+    for (const [, end] of segments) {
+      lastPosition = Math.max(lastPosition, end);
+    }
+
+    return { segments, rewinds, lastPosition, ended };
+  }
+
+  /**
+   * Aggregate a lesson's sessions into a retention curve, rewatch hotspots and drop-off points
+   * @param {Object} options - { lessonDuration (seconds), bucketSize (seconds), since (Date), until (Date) }
+   */
+  async buildLessonHeatmap(courseId, lessonId, options = {}) {
+    const filter = { course: courseId, lesson: lessonId };
+    if (options.since || options.until) {
+      filter.createdAt = {
+        ...(options.since && { $gte: options.since }),
+        ...(options.until && { $lte: options.until })
+      };
+    }
+
+    const sessions = [];
+    let furthest = 0;
+    const cursor = Analytics.find(filter).select('user sessionData').lean().cursor();
+
+    for (let session = await cursor.next(); session; session = await cursor.next()) {
+      const playback = this.reconstructSession(session.sessionData || {}, options.lessonDuration || 0);
+      if (playback.segments.length === 0) continue;
+
+      furthest = Math.max(furthest, playback.lastPosition);
+      sessions.push({ user: session.user.toString(), ...playback });
+    }
+
+    // Fall back to the furthest anyone watched when the lesson has no stored duration
+    const duration = Math.ceil(options.lessonDuration || furthest);
+    const bucketSize = Math.max(
+      options.bucketSize || 1,
+      Math.ceil(duration / MAX_BUCKETS) || 1
+    );
+    const bucketCount = Math.max(1, Math.ceil(duration / bucketSize));
+    const toBucket = (position) => Math.min(bucketCount - 1, Math.floor(position / bucketSize));
+
+    const views = new Array(bucketCount).fill(0);
+    const rewindTargets = new Array(bucketCount).fill(0);
+    const viewers = new Map();
+
+    for (const session of sessions) {
+      if (!viewers.has(session.user)) {
+        viewers.set(session.user, {
+          watched: new Uint8Array(bucketCount),
+          lastPosition: 0,
+          ended: false
+        });
+      }
+      const viewer = viewers.get(session.user);
+
+      for (const [start, end] of session.segments) {
+        for (let bucket = toBucket(start); bucket <= toBucket(Math.max(start, end - 0.001)); bucket++) {
+          views[bucket] += 1;
+          viewer.watched[bucket] = 1;
+        }
+      }
+      for (const [to] of session.rewinds) {
+        rewindTargets[toBucket(to)] += 1;
+      }
+
+      viewer.lastPosition = Math.max(viewer.lastPosition, session.lastPosition);
+      viewer.ended = viewer.ended || session.ended;
+    }
+
+    const uniqueViewers = new Array(bucketCount).fill(0);
+    const dropOffs = new Array(bucketCount).fill(0);
+
+    for (const viewer of viewers.values()) {
+      viewer.watched.forEach((watched, bucket) => {
+        uniqueViewers[bucket] += watched;
+      });
+
+      const finished = viewer.ended || (duration > 0 && viewer.lastPosition >= duration * FINISHED_FRACTION);
+      if (!finished) {
+        dropOffs[toBucket(viewer.lastPosition)] += 1;
+      }
+    }
+
+    const totalViewers = viewers.size;
+    const buckets = views.map((count, index) => ({
+      start: index * bucketSize,
+      end: Math.min(duration, (index + 1) * bucketSize),
+      retention: totalViewers ? Math.round((uniqueViewers[index] / totalViewers) * 1000) / 10 : 0,
+      viewers: uniqueViewers[index],
+      views: count,
+      rewatches: count - uniqueViewers[index],
+      rewinds: rewindTargets[index],
+      dropOffs: dropOffs[index]
+    }));
+
+    const hotspots = buckets
+      .filter(bucket => bucket.rewatches > 0 || bucket.rewinds > 0)
+      .sort((a, b) => (b.rewatches + b.rewinds) - (a.rewatches + a.rewinds))
+      .slice(0, HOTSPOT_LIMIT)
+      .map(bucket => ({
+        start: bucket.start,
+        end: bucket.end,
+        rewatches: bucket.rewatches,
+        rewinds: bucket.rewinds
+      }));
+
+    const dropOffPoints = buckets
+      .filter(bucket => bucket.dropOffs > 0)
+      .sort((a, b) => b.dropOffs - a.dropOffs)
+      .slice(0, DROP_OFF_LIMIT)
+      .map(bucket => ({
+        start: bucket.start,
+        end: bucket.end,
+        viewers: bucket.dropOffs,
+        share: totalViewers ? Math.round((bucket.dropOffs / totalViewers) * 1000) / 10 : 0
+      }));
+
+    const finishedViewers = totalViewers - dropOffs.reduce((a, b) => a + b, 0);
+
+    return {
+      duration,
+      bucketSize,
+      totalViewers,
+      totalSessions: sessions.length,
+      completionRate: totalViewers ? Math.round((finishedViewers / totalViewers) * 100) : 0,
+      buckets,
+      hotspots,
+      dropOffPoints
+    };
+  }
+}
+
+module.exports = new VideoRetentionService();
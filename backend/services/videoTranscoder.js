@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+
+const VIDEOS_DIR = path.join(__dirname, '../../videos');
+const HLS_DIR = path.join(VIDEOS_DIR, 'hls');
+const SEGMENT_SECONDS = 6;
+
+// Rendition ladder, lowest first. Rungs taller than the source are skipped.
+const LADDER = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+class VideoTranscoder {
+  constructor() {
+    ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegPath);
+    if (process.env.FFPROBE_PATH) {
+      ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+    }
+  }
+
+  getVideoPath(videoId) {
+    return path.join(VIDEOS_DIR, path.basename(videoId));
+  }
+
+  getHlsDirectoryName(videoId) {
+    return path.parse(path.basename(videoId)).name;
+  }
+
+  /**
+   * Read the source dimensions, falling back to 1080p 16:9 if ffprobe is unavailable
+   */
+  async probeDimensions(videoPath) {
+    try {
+      const metadata = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(videoPath, (err, data) => (err ? reject(err) : resolve(data)));
+      });
+      const stream = metadata.streams.find(s => s.codec_type === 'video');
+
+      if (stream && stream.width && stream.height) {
+        return { width: stream.width, height: stream.height };
+      }
+    } catch (error) {
+      console.warn('ffprobe failed, assuming 1920x1080 source:', error.message);
+    }
+
+    return { width: 1920, height: 1080 };
+  }
+
+  /**
+   * Pick the ladder rungs for a source; always keeps at least the lowest one
+   */
+  getRenditions({ width, height }) {
+    const aspect = width / height;
+    const rungs = LADDER.filter(rung => rung.height <= height);
+
+    return (rungs.length > 0 ? rungs : [LADDER[0]]).map(rung => ({
+      ...rung,
+      // x264 needs even dimensions
+      width: Math.round((rung.height * aspect) / 2) * 2,
+      bandwidth: (rung.videoBitrate + rung.audioBitrate) * 1000
+    }));
+  }
+
+  /**
+   * Transcode a video in /videos into an HLS ladder under /videos/hls/<name>/
+   * @param {string} videoId - File name inside /videos
+   * @param {Function} onProgress - ({ stage, percent }) callback
+   * @returns {Object} - { directory, renditions }
+   */
+  async transcodeToHls(videoId, onProgress = null) {
+    const videoPath = this.getVideoPath(videoId);
+    await fs.access(videoPath);
+
+    const directory = this.getHlsDirectoryName(videoId);
+    const outputDir = path.join(HLS_DIR, directory);
+    // Work in a scratch folder so a half-finished retry never replaces a good ladder
+    const workDir = `${outputDir}.tmp-${process.pid}-${Date.now()}`;
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      const source = await this.probeDimensions(videoPath);
+      const renditions = this.getRenditions(source);
+
+      for (let i = 0; i < renditions.length; i++) {
+        await this.transcodeRendition(videoPath, workDir, renditions[i], (percent) => {
+          if (onProgress) {
+            onProgress({
+              stage: `transcoding_${renditions[i].name}`,
+              percent: Math.round(((i + percent / 100) / renditions.length) * 95)
+            });
+          }
+        });
+      }
+
+      await fs.writeFile(path.join(workDir, 'master.m3u8'), this.buildMasterPlaylist(renditions));
+
+      await fs.rm(outputDir, { recursive: true, force: true });
+      await fs.rename(workDir, outputDir);
+
+      return {
+        directory,
+        renditions: renditions.map(rendition => ({
+          name: rendition.name,
+          width: rendition.width,
+          height: rendition.height,
+          bandwidth: rendition.bandwidth,
+          playlist: `${rendition.name}.m3u8`
+        }))
+      };
+    } catch (error) {
+      await fs.rm(workDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Encode one rendition as a VOD playlist with fixed-length segments
+   */
+  transcodeRendition(videoPath, outputDir, rendition, onProgress) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions([
+          `-vf scale=${rendition.width}:${rendition.height}`,
+          '-preset veryfast',
+          '-profile:v main',
+          `-b:v ${rendition.videoBitrate}k`,
+          `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+          `-bufsize ${rendition.videoBitrate * 2}k`,
+          `-b:a ${rendition.audioBitrate}k`,
+          '-ac 2',
+          // Keyframes on segment boundaries so renditions can be switched cleanly
+          `-force_key_frames expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+          '-sc_threshold 0',
+          '-f hls',
+          `-hls_time ${SEGMENT_SECONDS}`,
+          '-hls_playlist_type vod',
+          `-hls_segment_filename ${path.join(outputDir, `${rendition.name}_%04d.ts`)}`
+        ])
+        .on('progress', (progress) => {
+          if (progress.percent !== undefined) {
+            onProgress(Math.min(100, Math.max(0, progress.percent)));
+          }
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          console.error(`HLS ${rendition.name} transcoding error:`, err.message);
+          reject(err);
+        })
+        .save(path.join(outputDir, `${rendition.name}.m3u8`));
+    });
+  }
+
+  buildMasterPlaylist(renditions) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    renditions.forEach(rendition => {
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+        `${rendition.name}.m3u8`
+      );
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new VideoTranscoder();
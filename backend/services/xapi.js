@@ -0,0 +1,480 @@
+const crypto = require('crypto');
+const XapiStatement = require('../models/XapiStatement');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const lrs = require('./lrs');
+
+const XAPI_VERSION = '1.0.3';
+const PLATFORM = 'Virtual Learning Platform';
+// Activity and account IRIs are built from this, so keep it stable once statements have been sent
+const BASE_IRI = (process.env.XAPI_BASE_IRI || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const ACTOR_FORMAT = process.env.XAPI_ACTOR_FORMAT === 'mbox' ? 'mbox' : 'account';
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const FORWARD_BATCH_SIZE = 50;
+const MAX_FORWARD_BATCHES = 20;
+const MAX_FORWARD_ATTEMPTS = 10;
+const FORWARD_BACKOFF_MS = 60 * 1000; // doubled on every retry
+const MAX_FORWARD_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+const VERBS = {
+  experienced: 'http://adlnet.gov/expapi/verbs/experienced',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed'
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  lesson: 'http://adlnet.gov/expapi/activities/lesson',
+  assessment: 'http://adlnet.gov/expapi/activities/assessment'
+};
+
+// From the xAPI video profile; progress is a 0-1 fraction of the video watched
+const PROGRESS_EXTENSION = 'https://w3id.org/xapi/video/extensions/progress';
+
+// xAPI durations are ISO 8601
+const toDuration = (seconds) => `PT${Math.max(0, Math.round(seconds || 0))}S`;
+
+const encodeCursor = (doc) => Buffer.from(JSON.stringify([doc.stored.toISOString(), doc._id.toString()])).toString('base64url');
+const decodeCursor = (value) => {
+  try {
+    const [stored, id] = JSON.parse(Buffer.from(value, 'base64url').toString());
+    const date = new Date(stored);
+    return Number.isNaN(date.getTime()) || !/^[0-9a-f]{24}$/.test(id) ? null : { stored: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+class XapiService {
+  get version() {
+    return XAPI_VERSION;
+  }
+
+  courseActivityId(courseId) {
+    return `${BASE_IRI}/courses/${courseId}`;
+  }
+
+  lessonActivityId(courseId, lessonId) {
+    return `${this.courseActivityId(courseId)}/lessons/${lessonId}`;
+  }
+
+  quizActivityId(courseId, lessonId) {
+    return `${this.lessonActivityId(courseId, lessonId)}/quiz`;
+  }
+
+  /**
+   * Deterministic (name-based, v5 layout) statement id, so re-emitting an event is a no-op
+   */
+  statementId(key) {
+    const hash = crypto.createHash('sha1').update(`${BASE_IRI}|${key}`).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  buildActor(user) {
+    const actor = { objectType: 'Agent', name: user.name };
+
+    if (ACTOR_FORMAT === 'mbox') {
+      actor.mbox = `mailto:${user.email}`;
+    } else {
+      actor.account = { homePage: BASE_IRI, name: user._id.toString() };
+    }
+    return actor;
+  }
+
+  // Actor for statements of a deleted user; the id is random and not linked to anyone
+  buildAnonymousActor(anonymousId) {
+    return { objectType: 'Agent', account: { homePage: BASE_IRI, name: anonymousId.toString() } };
+  }
+
+  buildVerb(name) {
+    return { id: VERBS[name], display: { 'en-US': name } };
+  }
+
+  buildActivity(id, type, name) {
+    return {
+      objectType: 'Activity',
+      id,
+      definition: {
+        type,
+        ...(name && { name: { 'en-US': name } })
+      }
+    };
+  }
+
+  /**
+   * Load the learner and course names used in statements
+   * Like record(), never throws so emitting cannot fail the learner's request
+   * @returns {Promise<Object|null>} - { user, course, lessonTitle(lessonId) } or null if either is gone
+   */
+  async loadContext(userId, courseId) {
+    let user;
+    let course;
+    try {
+      [user, course] = await Promise.all([
+        User.findById(userId).select('name email'),
+        Course.findById(courseId).select('title sections._id sections.lessons._id sections.lessons.title')
+      ]);
+    } catch (error) {
+      console.error('xAPI context error:', error);
+      return null;
+    }
+    if (!user || !course) return null;
+
+    const lessonTitle = (lessonId) => {
+      for (const section of course.sections) {
+        const lesson = section.lessons.id(lessonId);
+        if (lesson) return lesson.title;
+      }
+      return undefined;
+    };
+
+    return { user, course, lessonTitle };
+  }
+
+  /**
+   * Store a statement and queue it for the external LRS
+   * Recording is best effort: failures are logged, never thrown into the learner's request
+   * @returns {Promise<Object|null>} - Saved statement, or null if it already existed or failed
+   */
+  async record({ key, user, courseId, verb, object, result, context, timestamp = new Date() }) {
+    const statement = {
+      id: this.statementId(key),
+      actor: this.buildActor(user),
+      verb: this.buildVerb(verb),
+      object,
+      ...(result && { result }),
+      context: {
+        platform: PLATFORM,
+        ...context
+      },
+      timestamp: new Date(timestamp).toISOString(),
+      version: XAPI_VERSION
+    };
+
+    const contextActivities = Object.values(statement.context.contextActivities || {}).flat();
+
+    try {
+      return await XapiStatement.create({
+        statementId: statement.id,
+        user: user._id,
+        course: courseId,
+        verb: statement.verb.id,
+        activity: object.id,
+        relatedActivities: [object.id, ...contextActivities.map(activity => activity.id)],
+        timestamp: statement.timestamp,
+        statement,
+        ...(process.env.XAPI_LRS && { forwarding: { status: 'pending' } })
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error(`xAPI record error (${key}):`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * A closed player session: "experienced" the lesson
+   * @param {Object} session - Analytics document
+   */
+  async recordLessonViewed(session) {
+    const { sessionData } = session;
+    if (!sessionData.endTime || !sessionData.interactions?.length) return null;
+
+    const context = await this.loadContext(session.user, session.course);
+    if (!context) return null;
+
+    const { course, lessonTitle } = context;
+    return this.record({
+      key: `lesson-viewed:${session._id}`,
+      user: context.user,
+      courseId: course._id,
+      verb: 'experienced',
+      object: this.buildActivity(
+        this.lessonActivityId(course._id, session.lesson),
+        ACTIVITY_TYPES.lesson,
+        lessonTitle(session.lesson)
+      ),
+      result: {
+        duration: toDuration(sessionData.duration),
+        extensions: {
+          [PROGRESS_EXTENSION]: Math.round(sessionData.videoProgress || 0) / 100
+        }
+      },
+      context: {
+        contextActivities: {
+          grouping: [this.buildActivity(this.courseActivityId(course._id), ACTIVITY_TYPES.course, course.title)]
+        }
+      },
+      timestamp: sessionData.startTime
+    });
+  }
+
+  async recordLessonCompleted(userId, courseId, lessonId, completedAt = new Date()) {
+    const context = await this.loadContext(userId, courseId);
+    if (!context) return null;
+
+    const { course, lessonTitle } = context;
+    return this.record({
+      key: `lesson-completed:${userId}:${lessonId}`,
+      user: context.user,
+      courseId: course._id,
+      verb: 'completed',
+      object: this.buildActivity(
+        this.lessonActivityId(course._id, lessonId),
+        ACTIVITY_TYPES.lesson,
+        lessonTitle(lessonId)
+      ),
+      result: { completion: true },
+      context: {
+        contextActivities: {
+          grouping: [this.buildActivity(this.courseActivityId(course._id), ACTIVITY_TYPES.course, course.title)]
+        }
+      },
+      timestamp: completedAt
+    });
+  }
+
+  /**
+   * A graded (or expired) quiz attempt: "passed" or "failed" the lesson's assessment
+   * @param {Object} attempt - QuizAttempt document
+   */
+  async recordQuizAttempt(attempt) {
+    if (attempt.status === 'in_progress') return null;
+
+    const context = await this.loadContext(attempt.user, attempt.course);
+    if (!context) return null;
+
+    const { course, lessonTitle } = context;
+    const title = lessonTitle(attempt.lesson);
+    const seconds = attempt.submittedAt && attempt.startedAt
+      ? (attempt.submittedAt - attempt.startedAt) / 1000
+      : 0;
+
+    return this.record({
+      key: `quiz-attempt:${attempt._id}`,
+      user: context.user,
+      courseId: course._id,
+      verb: attempt.passed ? 'passed' : 'failed',
+      object: this.buildActivity(
+        this.quizActivityId(course._id, attempt.lesson),
+        ACTIVITY_TYPES.assessment,
+        title && `${title} quiz`
+      ),
+      result: {
+        score: {
+          scaled: (attempt.score || 0) / 100,
+          raw: attempt.earnedPoints || 0,
+          min: 0,
+          max: attempt.totalPoints || 0
+        },
+        success: !!attempt.passed,
+        completion: attempt.status === 'submitted',
+        duration: toDuration(seconds)
+      },
+      context: {
+        contextActivities: {
+          parent: [this.buildActivity(this.lessonActivityId(course._id, attempt.lesson), ACTIVITY_TYPES.lesson, title)],
+          grouping: [this.buildActivity(this.courseActivityId(course._id), ACTIVITY_TYPES.course, course.title)]
+        }
+      },
+      timestamp: attempt.submittedAt || new Date()
+    });
+  }
+
+  async recordCourseCompleted(userId, courseId, completedAt = new Date()) {
+    const context = await this.loadContext(userId, courseId);
+    if (!context) return null;
+
+    const { course } = context;
+    return this.record({
+      key: `course-completed:${userId}:${courseId}`,
+      user: context.user,
+      courseId: course._id,
+      verb: 'completed',
+      object: this.buildActivity(this.courseActivityId(course._id), ACTIVITY_TYPES.course, course.title),
+      result: { completion: true },
+      timestamp: completedAt
+    });
+  }
+
+  /**
+   * Resolve an xAPI agent filter to a user id
+   * @returns {Promise<Object>} - { userId } (null when no such user) or { error }
+   */
+  async resolveAgent(value) {
+    let agent;
+    try {
+      agent = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return { error: 'agent must be a JSON Agent object' };
+    }
+
+    if (agent?.account?.name && agent.account.homePage === BASE_IRI) {
+      return { userId: /^[0-9a-f]{24}$/.test(agent.account.name) ? agent.account.name : null };
+    }
+    if (typeof agent?.mbox === 'string' && agent.mbox.startsWith('mailto:')) {
+      const user = await User.findOne({ email: agent.mbox.slice(7).toLowerCase() }).select('_id');
+      return { userId: user ? user._id.toString() : null };
+    }
+    if (agent?.account || agent?.mbox) {
+      return { userId: null };
+    }
+    return { error: 'agent must identify a learner by account or mbox' };
+  }
+
+  /**
+   * Query stored statements with the xAPI GET /statements filters
+   * @param {Object} params - statementId, agent, verb, activity, related_activities, since, until, limit, ascending, cursor
+   * @param {Object} options - { userId } restricts results to one learner
+   * @returns {Promise<Object>} - { statement } for a statementId lookup, { statements, cursor } or { error }
+   */
+  async query(params, { userId } = {}) {
+    const filter = {};
+    if (userId) filter.user = userId;
+
+    if (params.statementId) {
+      const doc = await XapiStatement.findOne({ ...filter, statementId: params.statementId });
+      return { statement: doc ? this.toStatementJSON(doc) : null };
+    }
+
+    if (params.agent) {
+      const agent = await this.resolveAgent(params.agent);
+      if (agent.error) return { error: agent.error };
+      if (!agent.userId || (userId && agent.userId !== userId.toString())) {
+        return { statements: [], cursor: null };
+      }
+      filter.user = agent.userId;
+    }
+
+    if (params.verb) filter.verb = params.verb;
+    if (params.activity) {
+      filter[params.related_activities === 'true' ? 'relatedActivities' : 'activity'] = params.activity;
+    }
+
+    for (const [param, operator] of [['since', '$gt'], ['until', '$lte']]) {
+      if (!params[param]) continue;
+      const date = new Date(params[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${param} must be an ISO 8601 timestamp` };
+      }
+      filter.stored = { ...filter.stored, [operator]: date };
+    }
+
+    const ascending = params.ascending === 'true';
+    const direction = ascending ? 1 : -1;
+
+    if (params.cursor) {
+      const cursor = decodeCursor(params.cursor);
+      if (!cursor) return { error: 'Invalid cursor' };
+
+      const compare = ascending ? '$gt' : '$lt';
+      filter.$or = [
+        { stored: { [compare]: cursor.stored } },
+        { stored: cursor.stored, _id: { [compare]: cursor.id } }
+      ];
+    }
+
+    // limit=0 means "server maximum" in xAPI
+    const requested = parseInt(params.limit, 10);
+    let limit = DEFAULT_QUERY_LIMIT;
+    if (requested >= 0) {
+      limit = requested === 0 ? MAX_QUERY_LIMIT : Math.min(requested, MAX_QUERY_LIMIT);
+    }
+
+    const docs = await XapiStatement.find(filter)
+      .sort({ stored: direction, _id: direction })
+      .limit(limit + 1);
+
+    const page = docs.slice(0, limit);
+    return {
+      statements: page.map(doc => this.toStatementJSON(doc)),
+      cursor: docs.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  toStatementJSON(doc) {
+    return {
+      ...doc.statement,
+      stored: doc.stored.toISOString()
+    };
+  }
+
+  /**
+   * Send one batch of pending statements to the configured LRS
+   * @returns {Promise<Number>} - Statements sent
+   */
+  async forwardBatch(store) {
+    const now = new Date();
+    const batch = await XapiStatement.find({
+      'forwarding.status': 'pending',
+      $or: [
+        { 'forwarding.nextAttemptAt': { $exists: false } },
+        { 'forwarding.nextAttemptAt': { $lte: now } }
+      ]
+    })
+      .sort({ stored: 1 })
+      .limit(FORWARD_BATCH_SIZE)
+      .select('statement forwarding');
+
+    if (batch.length === 0) return 0;
+
+    try {
+      await store.saveStatements(batch.map(doc => doc.statement));
+    } catch (error) {
+      await XapiStatement.bulkWrite(batch.map(doc => {
+        const attempts = (doc.forwarding.attempts || 0) + 1;
+        const delay = Math.min(FORWARD_BACKOFF_MS * 2 ** (attempts - 1), MAX_FORWARD_BACKOFF_MS);
+        return {
+          updateOne: {
+            filter: { _id: doc._id },
+            update: {
+              $set: {
+                'forwarding.status': attempts >= MAX_FORWARD_ATTEMPTS ? 'failed' : 'pending',
+                'forwarding.attempts': attempts,
+                'forwarding.nextAttemptAt': new Date(now.getTime() + delay),
+                'forwarding.lastError': error.message
+              }
+            }
+          }
+        };
+      }));
+      throw error;
+    }
+
+    await XapiStatement.updateMany(
+      { _id: { $in: batch.map(doc => doc._id) } },
+      {
+        $set: { 'forwarding.status': 'sent', 'forwarding.sentAt': new Date() },
+        $inc: { 'forwarding.attempts': 1 },
+        $unset: { 'forwarding.nextAttemptAt': '', 'forwarding.lastError': '' }
+      }
+    );
+    return batch.length;
+  }
+
+  /**
+   * Forward pending statements until the queue is drained (or the per-run cap is hit)
+   * @returns {Promise<Number>} - Statements sent
+   */
+  async forwardPending() {
+    const store = lrs.getLrs();
+    if (!store) return 0;
+
+    let total = 0;
+    for (let run = 0; run < MAX_FORWARD_BATCHES; run++) {
+      const sent = await this.forwardBatch(store);
+      total += sent;
+      if (sent < FORWARD_BATCH_SIZE) break;
+    }
+    return total;
+  }
+}
+
+module.exports = new XapiService();
@@ -0,0 +1,43 @@
+const ExcelJS = require('exceljs');
+
+class XlsxService {
+  /**
+   * Build a single-sheet workbook
+   * Columns and rows use the same shape as csv.toCSV; Dates and numbers keep their cell types.
+   * @param {Array} columns - [{ key, label, width? }]
+   * @param {Array} rows - Plain objects keyed by column key
+   * @returns {Promise<Buffer>}
+   */
+  async toBuffer(columns, rows, sheetName = 'Sheet1') {
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+      views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map(column => ({
+      key: column.key,
+      header: column.label,
+      width: column.width || Math.min(40, Math.max(10, column.label.length + 2))
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of rows) {
+      sheet.addRow(columns.map(column => row[column.key] ?? null));
+    }
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Send a workbook as a download
+   */
+  async send(res, filename, columns, rows, sheetName) {
+    const buffer = await this.toBuffer(columns, rows, sheetName);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(Buffer.from(buffer));
+  }
+}
+
+module.exports = new XlsxService();
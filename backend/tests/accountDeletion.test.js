@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const Note = require('../models/Note');
+const QuizAttempt = require('../models/QuizAttempt');
+const Analytics = require('../models/Analytics');
+const Certificate = require('../models/Certificate');
+const Job = require('../models/Job');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const ApiKey = require('../models/ApiKey');
+const Report = require('../models/Report');
+const ReportSubscription = require('../models/ReportSubscription');
+const LearnerRisk = require('../models/LearnerRisk');
+const UploadSession = require('../models/UploadSession');
+const XapiStatement = require('../models/XapiStatement');
+const accountDeletion = require('../services/accountDeletion');
+const memoryModel = require('./helpers/memoryModel');
+const { id, userData, sessionData } = require('./helpers/fixtures');
+
+describe('accountDeletion.purge', () => {
+  let userId;
+  let store;
+
+  beforeEach(() => {
+    userId = id();
+    const courseId = id();
+    const lessonId = id();
+    const other = id();
+
+    [Course, QuizAttempt, Analytics, Certificate, Order, UserToken, ApiKey, Report, ReportSubscription,
+      LearnerRisk, UploadSession, XapiStatement].forEach(Model => memoryModel(Model));
+
+    store = {
+      users: memoryModel(User, [userData({ _id: userId })]),
+      progress: memoryModel(Progress, [{
+        user: userId,
+        course: courseId,
+        notes: [{ lessonId, content: 'Private thought', timestamp: 12 }],
+        bookmarks: [{ lessonId, title: 'Good part', timestamp: 30 }]
+      }]),
+      notes: memoryModel(Note, [
+        { user: userId, course: courseId, lesson: lessonId, content: 'Note' },
+        { user: other, course: courseId, lesson: lessonId, content: 'Someone else' }
+      ]),
+      jobs: memoryModel(Job, [
+        { type: 'reports.generate', user: userId, status: 'completed' },
+        { type: 'reports.generate', user: userId, status: 'queued' },
+        { type: 'reports.generate', user: other, status: 'queued' }
+      ]),
+      sessions: memoryModel(Session, [sessionData(userId)])
+    };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('deletes personal data and keeps progress under an unlinked id', async () => {
+    await expect(accountDeletion.purge(userId)).resolves.toEqual({ deleted: true });
+
+    expect(store.users.docs).toHaveLength(0);
+    expect(store.sessions.docs).toHaveLength(0);
+    expect(store.notes.docs.map(note => note.content)).toEqual(['Someone else']);
+    expect(store.jobs.docs.map(job => job.user.toString())).not.toContain(userId.toString());
+    expect(store.jobs.docs).toHaveLength(1);
+
+    const [progress] = store.progress.docs;
+    expect(progress.user.toString()).not.toBe(userId.toString());
+    expect(progress.notes).toHaveLength(0);
+    expect(progress.bookmarks).toHaveLength(0);
+  });
+
+  it('waits for the user\'s running jobs, cancelling queued ones', async () => {
+    store.jobs.docs.push(new Job({ type: 'account.exportData', user: userId, status: 'running' }));
+
+    await expect(accountDeletion.purge(userId)).resolves.toEqual({ skipped: 'jobs_running' });
+    expect(store.users.docs).toHaveLength(1);
+    expect(store.jobs.docs.filter(job => job.status === 'queued')).toHaveLength(1);
+    expect(store.progress.docs[0].user.toString()).toBe(userId.toString());
+
+    store.jobs.docs.find(job => job.status === 'running').status = 'completed';
+    await expect(accountDeletion.purge(userId)).resolves.toEqual({ deleted: true });
+    expect(store.jobs.docs).toHaveLength(1);
+  });
+
+  it('keeps instructors with courses', async () => {
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: id() });
+
+    await expect(accountDeletion.purge(userId)).resolves.toEqual({ skipped: 'has_courses' });
+    expect(store.users.docs).toHaveLength(1);
+  });
+});
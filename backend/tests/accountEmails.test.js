@@ -0,0 +1,71 @@
+process.env.MAIL_TRANSPORT = 'capture';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Session = require('../models/Session');
+const mailer = require('../services/mailer');
+const accountEmails = require('../services/accountEmails');
+const memoryModel = require('./helpers/memoryModel');
+const { userData, sessionData } = require('./helpers/fixtures');
+
+const capture = mailer.getTransport('capture');
+
+// Token from the link in the last email sent to an address
+const tokenFromMail = (address) => capture.lastTo(address).text.match(/token=([a-f0-9]+)/)[1];
+
+describe('accountEmails', () => {
+  let user;
+  let sessions;
+
+  beforeEach(() => {
+    capture.reset();
+    user = new User(userData());
+    memoryModel(User, [user.toObject()]);
+    memoryModel(UserToken);
+    sessions = memoryModel(Session, [sessionData(user._id), sessionData(user._id)]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('emails a verification link whose token works once', async () => {
+    await accountEmails.sendVerification(user);
+
+    const message = capture.lastTo(user.email);
+    expect(message.subject).toBe('Confirm your email address');
+    expect(message.text).toMatch(/\/verify-email\?token=/);
+
+    const token = tokenFromMail(user.email);
+    const verified = await accountEmails.verifyEmail(token);
+    expect(verified.emailVerified).toBe(true);
+
+    await expect(accountEmails.verifyEmail(token)).resolves.toBeNull();
+  });
+
+  it('invalidates the previous link when a new one is sent', async () => {
+    await accountEmails.sendVerification(user);
+    const first = tokenFromMail(user.email);
+    await accountEmails.sendVerification(user);
+
+    expect(capture.list()).toHaveLength(2);
+    await expect(accountEmails.verifyEmail(first)).resolves.toBeNull();
+  });
+
+  it('resets the password once and signs out every session', async () => {
+    await accountEmails.sendPasswordReset(user);
+    const token = tokenFromMail(user.email);
+
+    const updated = await accountEmails.resetPassword(token, 'new-password');
+    expect(updated.password).toBe('new-password');
+    expect(updated.passwordChangedAt).toBeInstanceOf(Date);
+    expect(sessions.docs.every(session => session.revokedReason === 'password_reset')).toBe(true);
+
+    await expect(accountEmails.resetPassword(token, 'other-password')).resolves.toBeNull();
+  });
+
+  it('does not accept a verification token as a reset token', async () => {
+    await accountEmails.sendVerification(user);
+
+    await expect(accountEmails.resetPassword(tokenFromMail(user.email), 'new-password')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const Analytics = require('../models/Analytics');
+const memoryModel = require('./helpers/memoryModel');
+const routerApp = require('./helpers/app');
+const { id, userData, courseData, sessionData, bearer } = require('./helpers/fixtures');
+
+describe('POST /api/analytics/track', () => {
+  let app;
+  let course;
+  let other;
+  let lessonId;
+  let analytics;
+  const student = userData();
+  const session = sessionData(student._id);
+
+  beforeEach(() => {
+    app = routerApp('/api/analytics', require('../routes/analytics'));
+
+    lessonId = id();
+    [course, other] = memoryModel(Course, [courseData({ sections: [[lessonId]] }), courseData()]).docs;
+    memoryModel(User, [{ ...student, enrolledCourses: [{ course: course._id }] }]);
+    memoryModel(Session, [session]);
+    analytics = memoryModel(Analytics);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const track = (body, auth = bearer(student, session)) => {
+    const req = request(app).post('/api/analytics/track');
+    return (auth ? req.set('Authorization', auth) : req).send({ action: 'video_play', ...body });
+  };
+
+  it('records interactions for the signed-in student', async () => {
+    const res = await track({ courseId: course._id.toString(), lessonId: lessonId.toString() });
+
+    expect(res.status).toBe(200);
+    expect(analytics.docs).toHaveLength(1);
+    expect(analytics.docs[0].user).toEqual(student._id);
+    expect(analytics.docs[0].sessionData.interactions[0].type).toBe('video_play');
+  });
+
+  it('requires a signed-in user', async () => {
+    const res = await track({ courseId: course._id.toString(), lessonId: lessonId.toString() }, null);
+
+    expect(res.status).toBe(401);
+    expect(analytics.docs).toHaveLength(0);
+  });
+
+  it('only accepts lessons of courses the user can access', async () => {
+    const otherLessonId = other.sections[0].lessons[0]._id.toString();
+
+    const notEnrolled = await track({ courseId: other._id.toString(), lessonId: otherLessonId });
+    expect(notEnrolled.status).toBe(403);
+
+    const foreignLesson = await track({ courseId: course._id.toString(), lessonId: otherLessonId });
+    expect(foreignLesson.status).toBe(400);
+
+    const invalid = await track({ courseId: 'intro', lessonId: lessonId.toString() });
+    expect(invalid.status).toBe(400);
+
+    expect(analytics.docs).toHaveLength(0);
+  });
+});
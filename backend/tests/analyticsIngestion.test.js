@@ -0,0 +1,53 @@
+const Course = require('../models/Course');
+const analyticsIngestion = require('../services/analyticsIngestion');
+const { id, courseData } = require('./helpers/fixtures');
+
+const buildCourse = (lessonId) => new Course(courseData({ sections: [[lessonId]] }));
+
+const event = (course, lessonId, extra = {}) => ({
+  id: `evt-${Math.random()}`,
+  sessionId: 'session-1',
+  courseId: course._id.toString(),
+  lessonId: lessonId.toString(),
+  type: 'video_play',
+  occurredAt: new Date().toISOString(),
+  position: 10,
+  ...extra
+});
+
+describe('analyticsIngestion.ingest', () => {
+  let apply;
+
+  beforeEach(() => {
+    apply = jest.spyOn(analyticsIngestion, 'applySessionEvents')
+      .mockImplementation(async (userId, sessionId, entries) => ({ accepted: entries.length, duplicates: 0, rejected: [] }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects events for courses the user is not enrolled in', async () => {
+    const lessonId = id();
+    const course = buildCourse(lessonId);
+    jest.spyOn(Course, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([course]) });
+
+    const user = { _id: id(), enrolledCourses: [] };
+    const result = await analyticsIngestion.ingest(user, [event(course, lessonId)]);
+
+    expect(result.accepted).toBe(0);
+    expect(result.rejected).toEqual([expect.objectContaining({ index: 0, reason: 'Course not found or not enrolled' })]);
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  it('accepts enrolled lessons and rejects lessons from other courses', async () => {
+    const lessonId = id();
+    const course = buildCourse(lessonId);
+    jest.spyOn(Course, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([course]) });
+
+    const user = { _id: id(), enrolledCourses: [{ course: course._id }] };
+    const result = await analyticsIngestion.ingest(user, [event(course, lessonId), event(course, id())]);
+
+    expect(result.accepted).toBe(1);
+    expect(result.rejected).toEqual([expect.objectContaining({ index: 1, reason: 'Lesson does not belong to the course' })]);
+    expect(apply).toHaveBeenCalledWith(user._id, 'session-1', [expect.objectContaining({ index: 0 })]);
+  });
+});
@@ -0,0 +1,116 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { authenticateToken, optionalAuth, requireScope, requireSession } = require('../middleware/auth');
+const memoryModel = require('./helpers/memoryModel');
+const { userData, minutesFromNow } = require('./helpers/fixtures');
+
+const buildApp = () => {
+  const app = express();
+  app.get('/notes', authenticateToken, requireScope('notes:read'), (req, res) => res.json({ user: req.user.email }));
+  app.post('/password', authenticateToken, requireSession, (req, res) => res.json({ ok: true }));
+  app.get('/courses', optionalAuth, requireScope('courses:read'), (req, res) => res.json({ user: req.user ? req.user.email : null }));
+  return app;
+};
+
+describe('API keys', () => {
+  let user;
+  let keys;
+
+  beforeEach(() => {
+    user = userData();
+    memoryModel(User, [user]);
+    keys = memoryModel(ApiKey);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const generate = (overrides = {}) => ApiKey.generate(user._id, {
+    name: 'Script',
+    scopes: ['notes:read'],
+    expiresAt: minutesFromNow(24 * 60),
+    ...overrides
+  });
+
+  describe('ApiKey.findActive', () => {
+    it('finds a key by its raw value and stores only a hash', async () => {
+      const { apiKey, key } = await generate();
+
+      expect(ApiKey.looksLikeKey(key)).toBe(true);
+      expect(JSON.stringify(keys.docs[0])).not.toContain(key);
+      expect(key.startsWith(apiKey.prefix)).toBe(true);
+      await expect(ApiKey.findActive(key)).resolves.toBe(keys.docs[0]);
+      await expect(ApiKey.findActive(`${key}x`)).resolves.toBeNull();
+    });
+
+    it('ignores expired and revoked keys', async () => {
+      const { key: expired } = await generate({ expiresAt: minutesFromNow(-1) });
+      const { apiKey, key: revoked } = await generate();
+      apiKey.revokedAt = new Date();
+
+      await expect(ApiKey.findActive(expired)).resolves.toBeNull();
+      await expect(ApiKey.findActive(revoked)).resolves.toBeNull();
+    });
+  });
+
+  describe('middleware', () => {
+    it('signs in with a key that has the route scope', async () => {
+      const { key } = await generate();
+
+      const res = await request(buildApp()).get('/notes').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(200);
+      expect(res.body.user).toBe(user.email);
+    });
+
+    it('rejects keys without the route scope', async () => {
+      const { key } = await generate({ scopes: ['courses:read'] });
+
+      const res = await request(buildApp()).get('/notes').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(403);
+      expect(res.body.requiredScope).toBe('notes:read');
+    });
+
+    it('rejects revoked keys', async () => {
+      const { apiKey, key } = await generate();
+      apiKey.revokedAt = new Date();
+
+      const res = await request(buildApp()).get('/notes').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(401);
+    });
+
+    it('keeps keys away from session-only routes', async () => {
+      const { key } = await generate();
+
+      const res = await request(buildApp()).post('/password').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(403);
+    });
+
+    it('signs in with a key on routes that also allow anonymous access', async () => {
+      const { key } = await generate({ scopes: ['courses:read'] });
+      const app = buildApp();
+
+      const signedIn = await request(app).get('/courses').set('Authorization', `Bearer ${key}`);
+      expect(signedIn.body.user).toBe(user.email);
+
+      const anonymous = await request(app).get('/courses');
+      expect(anonymous.status).toBe(200);
+      expect(anonymous.body.user).toBeNull();
+    });
+
+    it('rejects invalid or unscoped keys instead of continuing anonymously', async () => {
+      const { apiKey, key } = await generate({ scopes: ['courses:read'] });
+      const { key: unscoped } = await generate();
+      const app = buildApp();
+
+      expect((await request(app).get('/courses').set('Authorization', `Bearer ${unscoped}`)).status).toBe(403);
+
+      apiKey.revokedAt = new Date();
+      const revoked = await request(app).get('/courses').set('Authorization', `Bearer ${key}`);
+      expect(revoked.status).toBe(401);
+      expect(revoked.body.message).toBe('Invalid, expired or revoked API key');
+    });
+  });
+});
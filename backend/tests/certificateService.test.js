@@ -0,0 +1,38 @@
+const Course = require('../models/Course');
+const Certificate = require('../models/Certificate');
+const certificateService = require('../services/certificateService');
+const { id, courseData, lessonIdsOf } = require('./helpers/fixtures');
+
+const buildCourse = () => new Course(courseData({ sections: [[id(), id()], [id()]] }));
+
+const populated = (value) => ({ populate: jest.fn().mockResolvedValue(value) });
+
+describe('certificateService.issueIfEligible', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('does not issue a certificate for a stored 100% made of fake lesson ids', async () => {
+    const course = buildCourse();
+    jest.spyOn(Certificate, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Course, 'findById').mockReturnValue(populated(course));
+    const create = jest.spyOn(Certificate, 'create');
+
+    const progress = {
+      user: id(),
+      course: course._id,
+      overallProgress: 100,
+      completedLessons: [id(), id(), id()].map(lessonId => ({ lessonId }))
+    };
+
+    await expect(certificateService.issueIfEligible(progress)).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('requires a completion for every lesson of the course', () => {
+    const course = buildCourse();
+    const completions = lessonIdsOf(course).map(lessonId => ({ lessonId }));
+
+    expect(certificateService.hasCompletedAllLessons(course, { completedLessons: completions })).toBe(true);
+    expect(certificateService.hasCompletedAllLessons(course, { completedLessons: completions.slice(1) })).toBe(false);
+    expect(certificateService.hasCompletedAllLessons({ sections: [] }, { completedLessons: [] })).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const fs = require('fs').promises;
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UploadSession = require('../models/UploadSession');
+const chunkedUpload = require('../services/chunkedUpload');
+const memoryModel = require('./helpers/memoryModel');
+const routerApp = require('./helpers/app');
+const { userData, sessionData, bearer } = require('./helpers/fixtures');
+
+describe('chunked video uploads', () => {
+  let uploads;
+
+  beforeEach(() => {
+    uploads = memoryModel(UploadSession);
+    jest.spyOn(fs, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs, 'writeFile').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores videos under a whitelisted extension only', async () => {
+    const user = userData();
+
+    const session = await chunkedUpload.createSession(user, { filename: 'Lecture 1.MP4', size: 10, mimeType: 'video/mp4' });
+    expect(session.videoId).toMatch(/^video-[\d-]+\.mp4$/);
+    expect(uploads.docs).toHaveLength(1);
+
+    await expect(chunkedUpload.createSession(user, { filename: 'page.html', size: 10, mimeType: 'video/mp4' }))
+      .rejects.toThrow('Unsupported video file');
+    expect(uploads.docs).toHaveLength(1);
+  });
+
+  it('rejects files that are not video containers however they are labelled', async () => {
+    const instructor = userData({ role: 'instructor' });
+    const session = sessionData(instructor._id);
+    memoryModel(User, [instructor]);
+    memoryModel(Session, [session]);
+    const app = routerApp('/api/courses', require('../routes/courses'));
+
+    for (const filename of ['xss.html', 'logo.svg', 'video.mp4.html', 'noextension']) {
+      const res = await request(app)
+        .post('/api/courses/uploads')
+        .set('Authorization', bearer(instructor, session))
+        .send({ filename, size: 1024, mimeType: 'video/mp4' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid file type');
+    }
+    expect(uploads.docs).toHaveLength(0);
+
+    const res = await request(app)
+      .post('/api/courses/uploads')
+      .set('Authorization', bearer(instructor, session))
+      .send({ filename: 'lecture.webm', size: 1024, mimeType: 'video/webm' });
+    expect(res.status).toBe(201);
+  });
+});
@@ -0,0 +1,74 @@
+const Coupon = require('../models/Coupon');
+const couponService = require('../services/couponService');
+const paymentService = require('../services/paymentService');
+const memoryModel = require('./helpers/memoryModel');
+const { id, courseData } = require('./helpers/fixtures');
+
+const couponData = (overrides = {}) => ({
+  code: 'SPRING',
+  type: 'percent',
+  value: 20,
+  scope: 'global',
+  createdBy: id(),
+  ...overrides
+});
+
+describe('couponService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('computeDiscount', () => {
+    const discount = (overrides, amount, currency = 'USD') => couponService.computeDiscount(
+      new Coupon(couponData(overrides)), amount, currency, (value, cur) => paymentService.toMinorUnits(value, cur)
+    );
+
+    it('rounds percent discounts to the nearest minor unit', () => {
+      expect(discount({ value: 15 }, 4999)).toBe(750);
+      expect(discount({ value: 33 }, 1001)).toBe(330);
+      expect(discount({ value: 10 }, 1005)).toBe(101);
+      expect(discount({ value: 100 }, 4999)).toBe(4999);
+    });
+
+    it('converts fixed discounts to minor units and never goes past the amount', () => {
+      expect(discount({ type: 'fixed', value: 10.5, currency: 'USD' }, 4999)).toBe(1050);
+      expect(discount({ type: 'fixed', value: 500, currency: 'JPY' }, 3000, 'JPY')).toBe(500);
+      expect(discount({ type: 'fixed', value: 80, currency: 'USD' }, 4999)).toBe(4999);
+      expect(discount({ type: 'fixed', value: 0, currency: 'USD' }, 4999)).toBe(0);
+    });
+  });
+
+  describe('findApplicable', () => {
+    it('explains why a code cannot be used', async () => {
+      const course = courseData();
+      memoryModel(Coupon, [
+        couponData(),
+        couponData({ code: 'USED', maxRedemptions: 1, redemptionCount: 1 }),
+        couponData({ code: 'OTHER', scope: 'course', course: id() }),
+        couponData({ code: 'EUROS', type: 'fixed', value: 5, currency: 'EUR' })
+      ]);
+
+      expect((await couponService.findApplicable(' spring', course)).coupon.code).toBe('SPRING');
+      expect(await couponService.findApplicable('NOPE', course)).toEqual({ reason: 'This coupon code is not valid' });
+      expect(await couponService.findApplicable('USED', course)).toEqual({ reason: 'This coupon has reached its redemption limit' });
+      expect(await couponService.findApplicable('OTHER', course)).toEqual({ reason: 'This coupon does not apply to this course' });
+      expect(await couponService.findApplicable('EUROS', course)).toEqual({ reason: 'This coupon does not apply to this course' });
+    });
+  });
+
+  describe('redeem', () => {
+    it('counts redemptions up to the limit only', async () => {
+      const [coupon] = memoryModel(Coupon, [couponData({ maxRedemptions: 2 })]).docs;
+
+      expect(await couponService.redeem(coupon._id)).toBe(true);
+      expect(await couponService.redeem(coupon._id)).toBe(true);
+      expect(await couponService.redeem(coupon._id)).toBe(false);
+      expect(coupon.redemptionCount).toBe(2);
+    });
+
+    it('always counts coupons without a limit', async () => {
+      const [coupon] = memoryModel(Coupon, [couponData({ redemptionCount: 1000 })]).docs;
+
+      expect(await couponService.redeem(coupon._id)).toBe(true);
+      expect(coupon.redemptionCount).toBe(1001);
+    });
+  });
+});
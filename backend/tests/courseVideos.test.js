@@ -0,0 +1,85 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const VideoAsset = require('../models/VideoAsset');
+const memoryModel = require('./helpers/memoryModel');
+const routerApp = require('./helpers/app');
+const { userData, courseData, sessionData, bearer } = require('./helpers/fixtures');
+
+describe('lesson videos from other instructors', () => {
+  let app;
+  let instructor;
+  let auth;
+  let courses;
+  const other = userData({ email: 'other@example.com', role: 'instructor' });
+  const admin = userData({ email: 'admin@example.com', role: 'admin' });
+
+  beforeEach(() => {
+    app = routerApp('/api/courses', require('../routes/courses'));
+
+    instructor = userData({ role: 'instructor' });
+    const session = sessionData(instructor._id);
+    auth = bearer(instructor, session);
+    memoryModel(User, [instructor, other, admin]);
+    memoryModel(Session, [session]);
+    memoryModel(VideoAsset, [
+      { videoId: 'video-own.mp4', uploadedBy: instructor._id },
+      { videoId: 'video-other.mp4', uploadedBy: other._id },
+      { videoId: 'video-admin.mp4', uploadedBy: admin._id }
+    ]);
+    courses = memoryModel(Course);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    // Course creation logs its request
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Course.prototype, 'populate').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Course data whose only lesson plays the given video
+  const withVideo = (videoId, overrides = {}) => {
+    const data = courseData({ instructor: instructor._id, ...overrides });
+    data.sections[0].lessons[0].videoUrl = `/videos/${videoId}`;
+    return data;
+  };
+
+  const create = (data) => request(app).post('/api/courses').set('Authorization', auth).send(data);
+
+  it('only lets lessons use the instructor\'s own, admin or operator videos', async () => {
+    const foreign = await create(withVideo('video-other.mp4'));
+    expect(foreign.status).toBe(403);
+    expect(foreign.body.videoIds).toEqual(['video-other.mp4']);
+    expect(courses.docs).toHaveLength(0);
+
+    for (const videoId of ['video-own.mp4', 'video-admin.mp4', 'seeded.mp4']) {
+      expect((await create(withVideo(videoId))).status).toBe(201);
+    }
+  });
+
+  it('does not let an update switch a lesson to another instructor\'s video', async () => {
+    const [course] = memoryModel(Course, [withVideo('video-own.mp4')]).docs;
+    const sections = withVideo('video-other.mp4').sections;
+
+    const res = await request(app).put(`/api/courses/${course._id}`).set('Authorization', auth).send({ sections });
+    expect(res.status).toBe(403);
+  });
+
+  it('does not sign another instructor\'s video for a free preview lesson', async () => {
+    const data = withVideo('video-other.mp4', { price: 0 });
+    data.sections[0].lessons[0].isPreview = true;
+    const [course] = memoryModel(Course, [data]).docs;
+    const lessonId = course.sections[0].lessons[0]._id;
+
+    const res = await request(app).get(`/api/courses/${course._id}/lessons/${lessonId}/stream-url`);
+    expect(res.status).toBe(403);
+    expect(res.body).not.toHaveProperty('src');
+
+    course.sections[0].lessons[0].videoUrl = '/videos/video-own.mp4';
+    const own = await request(app).get(`/api/courses/${course._id}/lessons/${lessonId}/stream-url`);
+    expect(own.status).toBe(200);
+    expect(own.body.src).toMatch(/video-own\.mp4/);
+  });
+});
@@ -0,0 +1,12 @@
+const express = require('express');
+
+// App around one router with the body parsers server.js uses, for supertest
+function routerApp(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(mountPath, router);
+  return app;
+}
+
+module.exports = routerApp;
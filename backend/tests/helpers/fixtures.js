@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { generateToken } = require('../../middleware/auth');
+
+/**
+ * Plain data for the models the service tests put in memoryModel or build with `new Model()`
+ * Each factory fills the required fields; pass overrides for what the test is about.
+ */
+
+const id = () => new mongoose.Types.ObjectId();
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const userData = (overrides = {}) => ({
+  _id: id(),
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  password: 'secret123',
+  ...overrides
+});
+
+// One section per entry of sections, each a list of lesson ids
+const courseData = ({ sections = [[id()]], ...overrides } = {}) => ({
+  _id: id(),
+  title: 'Course',
+  description: 'Course',
+  instructor: id(),
+  category: 'programming',
+  level: 'beginner',
+  price: 49,
+  sections: sections.map((lessonIds, index) => ({
+    title: `Section ${index + 1}`,
+    lessons: lessonIds.map((lessonId, position) => ({
+      _id: lessonId,
+      title: `Lesson ${position + 1}`,
+      videoUrl: `/videos/${lessonId}.mp4`,
+      duration: 60
+    }))
+  })),
+  ...overrides
+});
+
+const lessonIdsOf = (course) => course.sections.flatMap(section => section.lessons.map(lesson => lesson._id));
+
+const sessionData = (userId, overrides = {}) => ({
+  sid: id().toString(),
+  user: userId,
+  currentJti: id().toString(),
+  expiresAt: minutesFromNow(60),
+  ...overrides
+});
+
+// Authorization header for a user signed in with a session from sessionData
+const bearer = (user, session) => `Bearer ${generateToken(user._id, session.sid)}`;
+
+module.exports = {
+  id,
+  minutesFromNow,
+  userData,
+  courseData,
+  lessonIdsOf,
+  sessionData,
+  bearer
+};
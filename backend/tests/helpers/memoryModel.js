@@ -0,0 +1,159 @@
+/**
+ * Back a Mongoose model with an in-memory array for service tests (no MongoDB needed)
+ * Supports the query operators the services use ($or, $gt, $gte, $lt, $lte, $ne, $in, $exists, $elemMatch,
+ * and $expr comparisons between fields)
+ * and $set/$unset/$inc/$pull updates. Documents are real model instances, so methods and defaults work.
+ * Call restore() (or jest.restoreAllMocks()) when done.
+ */
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const equals = (actual, expected) => {
+  if (expected === null) return actual === null || actual === undefined;
+  if (Array.isArray(actual)) return actual.some(item => equals(item, expected));
+  return comparable(actual) === comparable(expected);
+};
+
+const matchesCondition = (actual, condition) => {
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$gt': return actual !== undefined && actual !== null && comparable(actual) > comparable(expected);
+      case '$gte': return actual !== undefined && actual !== null && comparable(actual) >= comparable(expected);
+      case '$lt': return actual !== undefined && actual !== null && comparable(actual) < comparable(expected);
+      case '$lte': return actual !== undefined && actual !== null && comparable(actual) <= comparable(expected);
+      case '$ne': return !equals(actual, expected);
+      case '$in': return expected.some(value => equals(actual, value));
+      case '$exists': return (actual !== undefined && actual !== null) === expected;
+      case '$elemMatch': return Array.isArray(actual) && actual.some(item => matches(item, expected));
+      default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+const EXPR_COMPARISONS = {
+  $eq: (left, right) => left === right,
+  $ne: (left, right) => left !== right,
+  $gt: (left, right) => left > right,
+  $gte: (left, right) => left >= right,
+  $lt: (left, right) => left < right,
+  $lte: (left, right) => left <= right
+};
+
+// { $lt: ['$field', '$otherField' or a value] }; comparisons with a missing field are false
+const matchesExpr = (doc, expression) =>
+  Object.entries(expression).every(([operator, operands]) => {
+    const compare = EXPR_COMPARISONS[operator];
+    if (!compare) throw new Error(`memoryModel does not support $expr ${operator}`);
+
+    const [left, right] = operands.map(operand => (typeof operand === 'string' && operand.startsWith('$')
+      ? doc.get(operand.slice(1))
+      : operand));
+    if (left === undefined || left === null || right === undefined || right === null) return false;
+    return compare(comparable(left), comparable(right));
+  });
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(branch => matches(doc, branch));
+    if (path === '$expr') return matchesExpr(doc, condition);
+    return matchesCondition(doc.get(path), condition);
+  });
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $unset = {}, $inc = {}, $pull = {}, ...plain } = update;
+  for (const [path, value] of Object.entries({ ...plain, ...$set })) doc.set(path, value);
+  for (const path of Object.keys($unset)) doc.set(path, undefined);
+  for (const [path, value] of Object.entries($inc)) doc.set(path, (doc.get(path) || 0) + value);
+  for (const [path, value] of Object.entries($pull)) {
+    doc.set(path, (doc.get(path) || []).filter(item => !equals(item, value)));
+  }
+};
+
+// Chainable stand-in for a Mongoose Query
+const query = (run) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return chain;
+};
+
+function memoryModel(Model, initial = []) {
+  const docs = initial.map(data => new Model(data));
+
+  const spies = [
+    jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+      const doc = new Model(data);
+      await doc.validate();
+      docs.push(doc);
+      return doc;
+    }),
+    jest.spyOn(Model, 'find').mockImplementation((filter) => query(() => docs.filter(doc => matches(doc, filter)))),
+    jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(() => docs.find(doc => matches(doc, filter)) || null)),
+    jest.spyOn(Model, 'findById').mockImplementation((id) => query(() => docs.find(doc => equals(doc._id, id)) || null)),
+    jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+      const doc = docs.find(item => matches(item, filter));
+      return doc ? { _id: doc._id } : null;
+    }),
+    jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => docs.filter(doc => matches(doc, filter)).length),
+    jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(() => {
+      const doc = docs.find(item => matches(item, filter));
+      if (!doc) return null;
+      const before = new Model(doc.toObject());
+      applyUpdate(doc, update);
+      return options.new ? doc : before;
+    })),
+    jest.spyOn(Model, 'findOneAndDelete').mockImplementation((filter) => query(() => {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    })),
+    jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+      const doc = docs.find(item => matches(item, filter));
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }),
+    jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = docs.filter(doc => matches(doc, filter));
+      matched.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    }),
+    jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+      const before = docs.length;
+      for (let i = docs.length - 1; i >= 0; i--) {
+        if (matches(docs[i], filter)) docs.splice(i, 1);
+      }
+      return { deletedCount: before - docs.length };
+    }),
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+      if (!docs.includes(this)) docs.push(this);
+      return this;
+    }),
+    jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(async function() {
+      const index = docs.indexOf(this);
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index !== -1 ? 1 : 0 };
+    })
+  ];
+
+  return {
+    docs,
+    restore: () => spies.forEach(spy => spy.mockRestore())
+  };
+}
+
+module.exports = memoryModel;
@@ -0,0 +1,201 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Progress = require('../models/Progress');
+const paymentService = require('../services/paymentService');
+const couponService = require('../services/couponService');
+const payments = require('../services/payments');
+const memoryModel = require('./helpers/memoryModel');
+const { id, userData, courseData } = require('./helpers/fixtures');
+
+describe('paymentService', () => {
+  const provider = payments.getProvider('fake');
+  let user;
+  let course;
+  let orders;
+
+  beforeEach(() => {
+    [user] = memoryModel(User, [userData()]).docs;
+    [course] = memoryModel(Course, [courseData({ price: 49.99 })]).docs;
+    orders = memoryModel(Order);
+    memoryModel(Progress);
+    jest.spyOn(couponService, 'redeem').mockResolvedValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const addCoupon = (overrides = {}) => memoryModel(Coupon, [{
+    code: 'SPRING',
+    type: 'percent',
+    value: 20,
+    scope: 'global',
+    createdBy: id(),
+    ...overrides
+  }]).docs[0];
+
+  const webhookFor = (order, outcome = 'succeeded', overrides = {}) => provider.buildWebhook(outcome, {
+    sessionId: order.providerSessionId,
+    amount: order.amount,
+    currency: order.currency,
+    ...overrides
+  });
+
+  const deliver = ({ rawBody, headers }) => paymentService.handleWebhook('fake', rawBody, headers);
+
+  const isEnrolled = () => user.enrolledCourses.some(enrollment => enrollment.course.equals(course._id));
+
+  describe('quote', () => {
+    it('prices the course in minor units and applies a coupon', async () => {
+      addCoupon();
+
+      expect(await paymentService.quote(course)).toMatchObject({ currency: 'USD', listPrice: 4999, discount: 0, amount: 4999 });
+      expect(await paymentService.quote(course, ' spring ')).toMatchObject({ listPrice: 4999, discount: 1000, amount: 3999 });
+      expect(await paymentService.quote(course, 'UNKNOWN')).toEqual({ error: 'This coupon code is not valid' });
+    });
+  });
+
+  describe('createCheckout', () => {
+    it('opens one pending order and reuses it when checkout is started again', async () => {
+      const quote = await paymentService.quote(course);
+
+      const order = await paymentService.createCheckout(user, course, quote);
+      expect(order).toMatchObject({ status: 'pending', amount: 4999, currency: 'USD', provider: 'fake' });
+      expect(order.providerSessionId).toMatch(/^fake_cs_/);
+      expect(order.expiresAt > new Date()).toBe(true);
+
+      const again = await paymentService.createCheckout(user, course, quote);
+      expect(again._id).toEqual(order._id);
+      expect(orders.docs).toHaveLength(1);
+    });
+  });
+
+  describe('handleWebhook', () => {
+    it('marks the order paid, issues a receipt and enrolls the buyer', async () => {
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course));
+
+      const result = await deliver(webhookFor(order));
+      expect(result.event.type).toBe('payment.succeeded');
+      expect(result.order).toMatchObject({ status: 'paid' });
+      expect(result.order.receipt.number).toMatch(/^RCPT-/);
+      expect(isEnrolled()).toBe(true);
+    });
+
+    it('applies a replayed webhook only once', async () => {
+      addCoupon();
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course, 'SPRING'));
+      const webhook = webhookFor(order);
+      const enrollSpy = jest.spyOn(User.prototype, 'enrollInCourse');
+
+      const first = await deliver(webhook);
+      const receipt = first.order.receipt.number;
+      const replay = await deliver(webhook);
+
+      expect(replay.order.receipt.number).toBe(receipt);
+      expect(couponService.redeem).toHaveBeenCalledTimes(1);
+      expect(enrollSpy).toHaveBeenCalledTimes(1);
+      expect(course.enrollmentCount).toBe(1);
+    });
+
+    it('fails the order instead of enrolling when the paid amount or currency differs', async () => {
+      const quote = await paymentService.quote(course);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      for (const paid of [{ amount: 100 }, { currency: 'EUR' }]) {
+        orders.docs.length = 0;
+        const order = await paymentService.createCheckout(user, course, quote);
+
+        const result = await deliver(webhookFor(order, 'succeeded', paid));
+        expect(result.order).toMatchObject({ status: 'failed', failureReason: 'Paid amount does not match the order' });
+      }
+      expect(isEnrolled()).toBe(false);
+      expect(couponService.redeem).not.toHaveBeenCalled();
+    });
+
+    it('records a failed payment', async () => {
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course));
+
+      const result = await deliver(webhookFor(order, 'failed'));
+      expect(result.order).toMatchObject({ status: 'failed', failureReason: 'Card declined (test)' });
+      expect(isEnrolled()).toBe(false);
+    });
+
+    it('returns an error for webhooks that cannot be verified', async () => {
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course));
+      const { rawBody, headers } = webhookFor(order);
+      const forged = Buffer.from(rawBody.toString().replace('4999', '1'));
+
+      expect(await paymentService.handleWebhook('fake', forged, headers)).toEqual({ error: 'Invalid webhook signature' });
+      expect(await paymentService.handleWebhook('fake', rawBody, {})).toEqual({ error: 'Missing webhook signature' });
+      expect(await paymentService.handleWebhook('paypal', rawBody, headers)).toEqual({ error: 'Unknown payment provider: paypal' });
+      expect(order.status).toBe('pending');
+    });
+  });
+
+  describe('completeFreeOrder', () => {
+    it('completes an order a coupon makes free without a checkout', async () => {
+      addCoupon({ value: 100 });
+
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course, 'SPRING'));
+      expect(order).toMatchObject({ status: 'paid', amount: 0, discount: 4999, provider: 'coupon' });
+      expect(order.coupon.code).toBe('SPRING');
+      expect(order.receipt.number).toMatch(/^RCPT-/);
+      expect(couponService.redeem).toHaveBeenCalledTimes(1);
+      expect(isEnrolled()).toBe(true);
+    });
+
+    it('does not create an order when the coupon ran out meanwhile', async () => {
+      addCoupon({ value: 100 });
+      const quote = await paymentService.quote(course, 'SPRING');
+      couponService.redeem.mockResolvedValue(false);
+
+      const result = await paymentService.completeFreeOrder(user, course, quote);
+      expect(result).toEqual({ error: 'This coupon has reached its redemption limit' });
+      expect(orders.docs).toHaveLength(0);
+      expect(isEnrolled()).toBe(false);
+    });
+  });
+
+  describe('webhook route', () => {
+    const post = (app, { rawBody, headers }) => request(app)
+      .post('/api/payments/webhook/fake')
+      .set(headers)
+      .set('Content-Type', 'application/json')
+      .send(rawBody.toString());
+
+    let app;
+
+    beforeEach(() => {
+      // Keeps the signed bytes like server.js does for webhook routes
+      app = express();
+      app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+      app.use('/api/payments', require('../routes/payments'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('answers 400 to a webhook that fails verification', async () => {
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course));
+
+      const res = await post(app, { ...webhookFor(order), headers: { 'x-fake-signature': 't=1,v1=0' } });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid webhook');
+    });
+
+    it('answers 500 when a verified webhook cannot be applied, so the provider retries', async () => {
+      const order = await paymentService.createCheckout(user, course, await paymentService.quote(course));
+      const webhook = webhookFor(order);
+      jest.spyOn(Course, 'updateOne').mockRejectedValueOnce(new Error('connection reset'));
+
+      const failed = await post(app, webhook);
+      expect(failed.status).toBe(500);
+
+      const retried = await post(app, webhook);
+      expect(retried.status).toBe(200);
+      expect(retried.body).toEqual({ received: true, order: order._id.toString() });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const Course = require('../models/Course');
+const quizService = require('../services/quizService');
+const { courseData } = require('./helpers/fixtures');
+
+// Lesson quiz subdocument, so questions and options get ids like they do in the database
+const buildQuiz = (questions, passingScore = 70) => {
+  const course = new Course(courseData());
+  course.sections[0].lessons[0].quiz = { questions, passingScore };
+  return course.sections[0].lessons[0].quiz;
+};
+
+const optionIds = (question, ...texts) => texts.map(text => question.options.find(option => option.text === text)._id);
+
+describe('quizService.grade', () => {
+  describe('multiple choice', () => {
+    const quiz = buildQuiz([{
+      question: 'Which are primes?',
+      options: [
+        { text: '2', isCorrect: true },
+        { text: '3', isCorrect: true },
+        { text: '4', isCorrect: false }
+      ]
+    }]);
+    const [question] = quiz.questions;
+    const grade = (response) => quizService.grade(quiz, [{ questionId: question._id, response }]).results[0].isCorrect;
+
+    it('requires exactly the set of correct options', () => {
+      expect(grade(optionIds(question, '2', '3'))).toBe(true);
+      expect(grade(optionIds(question, '3', '2').map(String))).toBe(true);
+      expect(grade(optionIds(question, '2'))).toBe(false);
+      expect(grade(optionIds(question, '2', '3', '4'))).toBe(false);
+      expect(grade(['2', '3'])).toBe(false);
+    });
+
+    it('falls back to matching correctAnswer against the option text', () => {
+      const textQuiz = buildQuiz([{
+        question: 'Capital of France?',
+        correctAnswer: 'Paris',
+        options: [{ text: 'paris' }, { text: 'Lyon' }]
+      }]);
+      const [textQuestion] = textQuiz.questions;
+
+      const result = quizService.grade(textQuiz, [{ questionId: textQuestion._id, response: optionIds(textQuestion, 'paris')[0] }]);
+      expect(result.results[0].isCorrect).toBe(true);
+    });
+  });
+
+  describe('true/false', () => {
+    it('accepts booleans, their text and the ids of True/False options', () => {
+      const quiz = buildQuiz([
+        { question: 'The sky is blue', type: 'true_false', correctAnswer: 'True' },
+        {
+          question: 'Fire is cold',
+          type: 'true_false',
+          options: [{ text: 'True', isCorrect: false }, { text: 'False', isCorrect: true }]
+        }
+      ]);
+      const [byAnswer, byOption] = quiz.questions;
+      const isCorrect = (question, response) =>
+        quizService.grade(quiz, [{ questionId: question._id, response }]).results[quiz.questions.indexOf(question)].isCorrect;
+
+      expect(isCorrect(byAnswer, true)).toBe(true);
+      expect(isCorrect(byAnswer, ' TRUE ')).toBe(true);
+      expect(isCorrect(byAnswer, 'false')).toBe(false);
+      expect(isCorrect(byAnswer, 'yes')).toBe(false);
+      expect(isCorrect(byOption, optionIds(byOption, 'False')[0].toString())).toBe(true);
+      expect(isCorrect(byOption, optionIds(byOption, 'True')[0].toString())).toBe(false);
+    });
+  });
+
+  describe('short answer', () => {
+    it('accepts any "|" alternative, ignoring case, spacing and final punctuation', () => {
+      const quiz = buildQuiz([{ question: 'Who wrote the first program?', type: 'short_answer', correctAnswer: 'Ada Lovelace|Lovelace' }]);
+      const [question] = quiz.questions;
+      const grade = (response) => quizService.grade(quiz, [{ questionId: question._id, response }]).results[0].isCorrect;
+
+      expect(grade('ada  lovelace.')).toBe(true);
+      expect(grade('LOVELACE')).toBe(true);
+      expect(grade('Ada')).toBe(false);
+      expect(grade('')).toBe(false);
+      expect(grade(['Lovelace'])).toBe(false);
+    });
+  });
+
+  it('scores by points and leaves unanswered questions wrong', () => {
+    const quiz = buildQuiz([
+      { question: 'One', type: 'short_answer', correctAnswer: 'one', points: 3 },
+      { question: 'Two', type: 'short_answer', correctAnswer: 'two', points: 1 }
+    ], 75);
+    const [first, second] = quiz.questions;
+
+    const passing = quizService.grade(quiz, [{ questionId: first._id, response: 'one' }]);
+    expect(passing).toMatchObject({ earnedPoints: 3, totalPoints: 4, score: 75, passed: true });
+    expect(passing.results[1]).toMatchObject({ questionId: second._id, response: null, isCorrect: false, pointsAwarded: 0 });
+
+    expect(quizService.grade(quiz, [{ questionId: second._id, response: 'two' }])).toMatchObject({ score: 25, passed: false });
+  });
+
+  it('does not send answers to students', () => {
+    const quiz = buildQuiz([{ question: 'Q', correctAnswer: 'a', explanation: 'because', options: [{ text: 'a', isCorrect: true }] }]);
+
+    const [question] = quizService.sanitizeQuestions(quiz.questions);
+    expect(question).not.toHaveProperty('correctAnswer');
+    expect(question).not.toHaveProperty('explanation');
+    expect(question.options[0]).toEqual({ _id: expect.anything(), text: 'a' });
+  });
+});
@@ -0,0 +1,129 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const Progress = require('../models/Progress');
+const QuizAttempt = require('../models/QuizAttempt');
+const xapi = require('../services/xapi');
+const memoryModel = require('./helpers/memoryModel');
+const routerApp = require('./helpers/app');
+const { id, userData, courseData, sessionData, bearer } = require('./helpers/fixtures');
+
+const SECOND_MS = 1000;
+
+describe('quiz attempt routes', () => {
+  let app;
+  let user;
+  let auth;
+  let course;
+  let lesson;
+  let attempts;
+
+  beforeEach(() => {
+    app = routerApp('/api/quizzes', require('../routes/quizzes'));
+
+    user = userData();
+    const session = sessionData(user._id);
+    auth = bearer(user, session);
+    memoryModel(User, [user]);
+    memoryModel(Session, [session]);
+    memoryModel(Progress);
+
+    const data = courseData({ price: 0 });
+    data.sections[0].lessons[0].quiz = {
+      timeLimit: 10,
+      questions: [{ question: 'Who wrote the first program?', type: 'short_answer', correctAnswer: 'Ada Lovelace' }]
+    };
+    [course] = memoryModel(Course, [data]).docs;
+    lesson = course.sections[0].lessons[0];
+    attempts = memoryModel(QuizAttempt);
+
+    jest.spyOn(xapi, 'recordQuizAttempt').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // An attempt started long enough ago that it expired the given number of seconds ago
+  const attemptExpired = (secondsAgo) => {
+    const expiresAt = new Date(Date.now() - secondsAgo * SECOND_MS);
+    const attempt = new QuizAttempt({
+      user: user._id,
+      course: course._id,
+      section: course.sections[0]._id,
+      lesson: lesson._id,
+      attemptNumber: 1,
+      startedAt: new Date(expiresAt.getTime() - 10 * 60 * SECOND_MS),
+      expiresAt,
+      passingScore: 70,
+      timeLimit: 10
+    });
+    attempts.docs.push(attempt);
+    return attempt;
+  };
+
+  const submit = (attempt, response = 'ada lovelace') => request(app)
+    .post(`/api/quizzes/attempts/${attempt._id}/submit`)
+    .set('Authorization', auth)
+    .send({ answers: [{ questionId: lesson.quiz.questions[0]._id.toString(), response }] });
+
+  it('starts a timed attempt without sending the answers', async () => {
+    const res = await request(app)
+      .post(`/api/quizzes/${course._id}/lessons/${lesson._id}/attempts`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(201);
+    const { startedAt, expiresAt } = attempts.docs[0];
+    expect(expiresAt - startedAt).toBe(10 * 60 * SECOND_MS);
+    expect(res.body.questions[0]).not.toHaveProperty('correctAnswer');
+  });
+
+  it('grades a submission that arrives within the grace period', async () => {
+    const attempt = attemptExpired(20);
+
+    const res = await submit(attempt);
+    expect(res.status).toBe(200);
+    expect(res.body.attempt).toMatchObject({ status: 'submitted', score: 100, passed: true });
+  });
+
+  it('expires the attempt once the grace period is over', async () => {
+    const attempt = attemptExpired(31);
+
+    const res = await submit(attempt);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Time limit exceeded');
+    expect(attempt).toMatchObject({ status: 'expired', score: 0, passed: false });
+    expect(attempt.submittedAt).toEqual(attempt.expiresAt);
+  });
+
+  it('does not accept a second submission', async () => {
+    const attempt = attemptExpired(-60);
+
+    await submit(attempt);
+    const res = await submit(attempt, 'wrong');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Attempt closed');
+    expect(attempt.score).toBe(100);
+  });
+
+  it('starts a new attempt instead of resuming one past its time limit', async () => {
+    const stale = attemptExpired(5);
+
+    const res = await request(app)
+      .post(`/api/quizzes/${course._id}/lessons/${lesson._id}/attempts`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(201);
+    expect(stale.status).toBe('expired');
+    expect(res.body.attempt).toMatchObject({ attemptNumber: 2, status: 'in_progress' });
+  });
+
+  it('does not let other users submit an attempt', async () => {
+    const attempt = attemptExpired(-60);
+    attempt.user = id();
+
+    const res = await submit(attempt);
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../models/Session');
+const sessions = require('../services/sessions');
+const memoryModel = require('./helpers/memoryModel');
+const { userData } = require('./helpers/fixtures');
+
+const req = { ip: '127.0.0.1', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' };
+
+describe('sessions.rotate', () => {
+  let store;
+  let user;
+
+  beforeEach(() => {
+    store = memoryModel(Session);
+    user = userData();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('exchanges a refresh token for a new pair', async () => {
+    const { session, refreshToken } = await sessions.create(user, req);
+
+    const rotated = await sessions.rotate(refreshToken, req);
+
+    expect(rotated.error).toBeUndefined();
+    expect(rotated.session.sid).toBe(session.sid);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(store.docs[0].isActive()).toBe(true);
+  });
+
+  it('revokes the session when a rotated token is replayed', async () => {
+    const { refreshToken: first } = await sessions.create(user, req);
+    const { refreshToken: second } = await sessions.rotate(first, req);
+
+    await expect(sessions.rotate(first, req)).resolves.toEqual({ error: 'reuse' });
+    expect(store.docs[0].revokedReason).toBe('token_reuse');
+
+    // The legitimate client's latest token no longer works either
+    await expect(sessions.rotate(second, req)).resolves.toEqual({ error: 'invalid' });
+  });
+
+  it('rejects tokens that are not refresh tokens of a known session', async () => {
+    const { token } = await sessions.create(user, req);
+
+    await expect(sessions.rotate('not-a-jwt', req)).resolves.toEqual({ error: 'invalid' });
+    await expect(sessions.rotate(token, req)).resolves.toEqual({ error: 'invalid' });
+    await expect(sessions.rotate(sessions.signTokens(user._id, 'unknown', 'jti').refreshToken, req))
+      .resolves.toEqual({ error: 'invalid' });
+  });
+
+  it('does not rotate a session that was signed out', async () => {
+    const { session, refreshToken } = await sessions.create(user, req);
+    await sessions.revoke(session.sid);
+
+    await expect(sessions.rotate(refreshToken, req)).resolves.toEqual({ error: 'invalid' });
+    expect(store.docs[0].revokedReason).toBe('logout');
+  });
+});
@@ -0,0 +1,97 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SsoRequest = require('../models/SsoRequest');
+const memoryModel = require('./helpers/memoryModel');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/auth/sso', require('../routes/sso'));
+  return app;
+};
+
+describe('sso provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const mockRegistered = () => {
+    let registered;
+    jest.isolateModules(() => {
+      registered = !!require('../services/sso').getProvider('mock');
+    });
+    return registered;
+  };
+
+  it('only registers the mock IdP when asked for', () => {
+    delete process.env.SSO_ALLOW_MOCK;
+
+    delete process.env.NODE_ENV;
+    expect(mockRegistered()).toBe(false);
+    process.env.NODE_ENV = 'production';
+    expect(mockRegistered()).toBe(false);
+    process.env.NODE_ENV = 'staging';
+    expect(mockRegistered()).toBe(false);
+
+    process.env.NODE_ENV = 'development';
+    expect(mockRegistered()).toBe(true);
+    process.env.NODE_ENV = 'test';
+    expect(mockRegistered()).toBe(true);
+
+    process.env.NODE_ENV = 'production';
+    process.env.SSO_ALLOW_MOCK = 'true';
+    expect(mockRegistered()).toBe(true);
+  });
+});
+
+describe('sso routes', () => {
+  let app;
+  let requests;
+
+  beforeEach(() => {
+    app = buildApp();
+    memoryModel(User);
+    memoryModel(Session);
+    requests = memoryModel(SsoRequest);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const startLogin = async () => {
+    const res = await request(app).get('/api/auth/sso/mock/login');
+    expect(res.status).toBe(302);
+    return new URL(res.headers.location).searchParams.get('state');
+  };
+
+  const callback = (state) => request(app)
+    .post('/api/auth/sso/mock/callback')
+    .type('form')
+    .send({ state, email: 'ada@tech.edu', name: 'Ada', affiliation: 'student' });
+
+  it('signs in once per login request', async () => {
+    const state = await startLogin();
+    expect(requests.docs).toHaveLength(1);
+
+    const first = await callback(state);
+    expect(first.headers.location).toMatch(/\/auth\/callback\?token=/);
+    expect(requests.docs).toHaveLength(0);
+
+    const replay = await callback(state);
+    expect(replay.headers.location).toMatch(/error=sso_failed/);
+    expect(decodeURIComponent(replay.headers.location)).toMatch(/Your sign-in has expired/);
+  });
+
+  it('rejects responses without a known state', async () => {
+    await startLogin();
+
+    const res = await callback('forged-state');
+    expect(res.headers.location).toMatch(/error=sso_failed/);
+    expect(requests.docs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const MockProvider = require('../services/sso/mockProvider');
+const ssoAccounts = require('../services/ssoAccounts');
+const memoryModel = require('./helpers/memoryModel');
+const { userData } = require('./helpers/fixtures');
+
+// The mock IdP with extra provider settings, as they would come from SSO_PROVIDERS_FILE
+const buildProvider = (settings = {}) => {
+  const provider = new MockProvider('http://localhost:5000/api/auth/sso/mock/callback');
+  Object.assign(provider.config, settings);
+  return provider;
+};
+
+const identity = (email, affiliation = 'student', emailVerified = true) => ({
+  subject: `mock:${email}`,
+  attributes: { email, name: 'Ada Lovelace', affiliation },
+  emailVerified
+});
+
+describe('ssoAccounts.mapProfile', () => {
+  const config = {
+    mapping: {
+      email: 'mail',
+      name: ['givenName', 'sn'],
+      role: 'eduPersonAffiliation',
+      roles: { instructor: ['faculty', 'staff'], admin: ['it-admin'] }
+    }
+  };
+
+  it('maps name, email and the highest matching role', () => {
+    const profile = ssoAccounts.mapProfile(config, {
+      mail: [' Ada@Example.EDU '],
+      givenName: 'Ada',
+      sn: 'Lovelace',
+      eduPersonAffiliation: ['member', 'Staff', 'IT-Admin']
+    });
+
+    expect(profile).toEqual({ email: 'ada@example.edu', name: 'Ada Lovelace', role: 'admin' });
+  });
+
+  it('falls back to the default role and the email for the name', () => {
+    expect(ssoAccounts.mapProfile(config, { mail: 'ada@example.edu', eduPersonAffiliation: 'member' }))
+      .toEqual({ email: 'ada@example.edu', name: 'ada', role: 'student' });
+    expect(ssoAccounts.mapProfile({ ...config, defaultRole: 'instructor' }, { mail: 'ada@example.edu' }).role)
+      .toBe('instructor');
+  });
+});
+
+describe('ssoAccounts.findOrCreateUser', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User, [userData({ email: 'existing@tech.edu' })]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only accepts emails from the allowed domains', async () => {
+    const provider = buildProvider({ emailDomains: ['tech.edu'] });
+
+    await expect(ssoAccounts.findOrCreateUser(provider, identity('ada@elsewhere.edu')))
+      .resolves.toEqual({ error: 'domain_not_allowed' });
+
+    const result = await ssoAccounts.findOrCreateUser(provider, identity('ada@tech.edu'));
+    expect(result.created).toBe(true);
+  });
+
+  it('provisions new users with the mapped role', async () => {
+    const result = await ssoAccounts.findOrCreateUser(buildProvider(), identity('ada@tech.edu', 'faculty'));
+
+    expect(result).toMatchObject({ created: true, linked: true });
+    expect(result.user.role).toBe('instructor');
+    expect(result.user.emailVerified).toBe(true);
+    expect(result.user.ssoIdentities[0]).toMatchObject({ provider: 'mock', subject: 'mock:ada@tech.edu' });
+  });
+
+  it('links an existing account when the IdP verified the email, and finds it by identity afterwards', async () => {
+    const provider = buildProvider({ emailDomains: ['tech.edu'] });
+
+    const linked = await ssoAccounts.findOrCreateUser(provider, identity('existing@tech.edu'));
+    expect(linked).toMatchObject({ created: false, linked: true });
+    expect(linked.user._id).toEqual(users.docs[0]._id);
+    expect(linked.user.emailVerified).toBe(true);
+
+    const again = await ssoAccounts.findOrCreateUser(provider, identity('existing@tech.edu'));
+    expect(again).toMatchObject({ created: false, linked: false });
+    expect(users.docs).toHaveLength(1);
+  });
+
+  it('refuses to link an existing account by an unverified email', async () => {
+    const provider = buildProvider({ emailDomains: ['tech.edu'] });
+    const result = await ssoAccounts.findOrCreateUser(provider, identity('existing@tech.edu', 'student', false));
+
+    expect(result).toEqual({ error: 'unverified_email' });
+    expect(users.docs[0].ssoIdentities).toHaveLength(0);
+  });
+
+  it('refuses to link an existing account when the provider has no emailDomains', async () => {
+    const result = await ssoAccounts.findOrCreateUser(buildProvider(), identity('existing@tech.edu'));
+
+    expect(result).toEqual({ error: 'link_not_allowed' });
+    expect(users.docs[0].ssoIdentities).toHaveLength(0);
+  });
+
+  it('never links an admin account by email', async () => {
+    users.docs[0].role = 'admin';
+
+    const result = await ssoAccounts.findOrCreateUser(buildProvider({ emailDomains: ['tech.edu'] }), identity('existing@tech.edu'));
+
+    expect(result).toEqual({ error: 'link_not_allowed' });
+    expect(users.docs[0].ssoIdentities).toHaveLength(0);
+  });
+
+  it('syncs the mapped role on login, except for admins', async () => {
+    const provider = buildProvider({ syncRole: true });
+    const { user } = await ssoAccounts.findOrCreateUser(provider, identity('ada@tech.edu', 'faculty'));
+
+    await ssoAccounts.findOrCreateUser(provider, identity('ada@tech.edu', 'student'));
+    expect(user.role).toBe('student');
+
+    user.role = 'admin';
+    await ssoAccounts.findOrCreateUser(provider, identity('ada@tech.edu', 'student'));
+    expect(user.role).toBe('admin');
+  });
+
+  it('does not create accounts when autoProvision is false', async () => {
+    const provider = buildProvider({ autoProvision: false, emailDomains: ['tech.edu'] });
+
+    await expect(ssoAccounts.findOrCreateUser(provider, identity('ada@tech.edu')))
+      .resolves.toEqual({ error: 'not_provisioned' });
+    expect(users.docs).toHaveLength(1);
+
+    const existing = await ssoAccounts.findOrCreateUser(provider, identity('existing@tech.edu'));
+    expect(existing.linked).toBe(true);
+  });
+});
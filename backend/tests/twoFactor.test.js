@@ -0,0 +1,77 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const twoFactor = require('../services/twoFactor');
+const memoryModel = require('./helpers/memoryModel');
+const { userData } = require('./helpers/fixtures');
+
+const STEP_MS = 30 * 1000;
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('twoFactor', () => {
+  let user;
+  let users;
+  let secret;
+
+  beforeEach(async () => {
+    user = userData({ role: 'instructor' });
+    users = memoryModel(User, [user]);
+
+    ({ secret } = await twoFactor.startSetup(user));
+    await twoFactor.enable(user, twoFactor.generateCode(secret));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('matchStep', () => {
+    it('accepts codes from the current step and one step either side', () => {
+      const now = Date.now();
+      const current = Math.floor(now / STEP_MS);
+
+      expect(twoFactor.matchStep(secret, twoFactor.generateCode(secret, current), now)).toBe(current);
+      expect(twoFactor.matchStep(secret, twoFactor.generateCode(secret, current - 1), now)).toBe(current - 1);
+      expect(twoFactor.matchStep(secret, twoFactor.generateCode(secret, current - 3), now)).toBeNull();
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts a TOTP code once', async () => {
+      // enable() used the current step, so wait for the next one
+      const next = Math.floor(Date.now() / STEP_MS) + 1;
+      const code = twoFactor.generateCode(secret, next);
+
+      await expect(twoFactor.verify(user, code)).resolves.toEqual({ method: 'totp' });
+      expect(users.docs[0].twoFactor.lastUsedStep).toBe(next);
+
+      await expect(twoFactor.verify(user, code)).resolves.toEqual({ error: 'invalid_code' });
+    });
+
+    it('does not accept a code from before the last used step', async () => {
+      const current = Math.floor(Date.now() / STEP_MS);
+
+      await expect(twoFactor.verify(user, twoFactor.generateCode(secret, current - 1)))
+        .resolves.toEqual({ error: 'invalid_code' });
+    });
+
+    it('accepts recovery codes made only of digits, with or without the dash', async () => {
+      users.docs[0].twoFactor.recoveryCodes = [sha256('12345678'), sha256('87654321')];
+
+      await expect(twoFactor.verify(user, '12345678')).resolves.toEqual({ method: 'recovery' });
+      await expect(twoFactor.verify(user, '8765-4321')).resolves.toEqual({ method: 'recovery' });
+      expect(users.docs[0].twoFactor.recoveryCodes).toHaveLength(0);
+
+      await expect(twoFactor.verify(user, '12345678')).resolves.toEqual({ error: 'invalid_code' });
+    });
+
+    it('locks after repeated failures', async () => {
+      for (let i = 0; i < 4; i++) {
+        await expect(twoFactor.verify(user, 'nope')).resolves.toEqual({ error: 'invalid_code' });
+      }
+
+      const locked = await twoFactor.verify(user, 'nope');
+      expect(locked.error).toBe('locked');
+      await expect(twoFactor.verify(user, twoFactor.generateCode(secret))).resolves.toMatchObject({ error: 'locked' });
+    });
+  });
+});
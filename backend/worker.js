@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const registerJobs = require('./jobs');
+const startSchedules = require('./jobs/schedules');
+const chunkedUpload = require('./services/chunkedUpload');
+const analyticsIngestion = require('./services/analyticsIngestion');
+const xapi = require('./services/xapi');
+
+const jobQueue = registerJobs();
+
+const UPLOAD_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let uploadCleanupTimer = null;
+const IDLE_SESSION_INTERVAL_MS = 5 * 60 * 1000;
+let idleSessionTimer = null;
+const XAPI_FORWARD_INTERVAL_MS = 60 * 1000;
+let xapiForwardTimer = null;
+let schedules = [];
+
+// Abandoned chunked uploads hold partial files on disk until they expire
+const cleanupExpiredUploads = async () => {
+  try {
+    const expired = await chunkedUpload.cleanupExpired();
+    if (expired > 0) {
+      console.log(`🧹 Expired ${expired} abandoned upload(s)`);
+    }
+  } catch (error) {
+    console.error('Upload cleanup error:', error);
+  }
+};
+
+// Players that never sent session_end (closed tab, crash, lost network) are closed after the inactivity timeout
+const closeIdleSessions = async () => {
+  try {
+    const closed = await analyticsIngestion.closeIdleSessions();
+    if (closed > 0) {
+      console.log(`📊 Closed ${closed} idle analytics session(s)`);
+    }
+  } catch (error) {
+    console.error('Idle session close error:', error);
+  }
+};
+
+// Statements are stored locally first and sent to the external LRS (if configured) in batches
+const forwardXapiStatements = async () => {
+  try {
+    const sent = await xapi.forwardPending();
+    if (sent > 0) {
+      console.log(`📤 Forwarded ${sent} xAPI statement(s) to the LRS`);
+    }
+  } catch (error) {
+    console.error('xAPI forward error:', error.message);
+  }
+};
+
+// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/virtual_learning_platform', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(() => {
+  console.log('✅ Worker connected to MongoDB');
+  jobQueue.start({
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000
+  });
+  schedules = startSchedules(jobQueue);
+  cleanupExpiredUploads();
+  uploadCleanupTimer = setInterval(cleanupExpiredUploads, UPLOAD_CLEANUP_INTERVAL_MS);
+  closeIdleSessions();
+  idleSessionTimer = setInterval(closeIdleSessions, IDLE_SESSION_INTERVAL_MS);
+  if (process.env.XAPI_LRS) {
+    xapiForwardTimer = setInterval(forwardXapiStatements, XAPI_FORWARD_INTERVAL_MS);
+  }
+})
+.catch(err => {
+  console.error('❌ MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Let running jobs finish before exiting; anything cut off is requeued by the stale lock check
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, stopping worker...`);
+  clearInterval(uploadCleanupTimer);
+  clearInterval(idleSessionTimer);
+  clearInterval(xapiForwardTimer);
+  schedules.forEach(task => task.stop());
+  await jobQueue.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
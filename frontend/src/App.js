@@ -11,6 +11,10 @@ import CourseDetailPage from './pages/CourseDetailPage';
 import LoginPage from './pages/Auth/LoginPage';
 import RegisterPage from './pages/Auth/RegisterPage';
 import AuthCallbackPage from './pages/Auth/AuthCallbackPage';
+import ForgotPasswordPage from './pages/Auth/ForgotPasswordPage';
+import ResetPasswordPage from './pages/Auth/ResetPasswordPage';
+import VerifyEmailPage from './pages/Auth/VerifyEmailPage';
+import VerifyCertificatePage from './pages/Certificates/VerifyCertificatePage';
 
 // Private Pages
 import DashboardPage from './pages/Dashboard/DashboardPage';
@@ -18,6 +22,8 @@ import ProfilePage from './pages/Profile/ProfilePage';
 import MyCoursesPage from './pages/MyCourses/MyCoursesPage';
 import WishlistPage from './pages/Wishlist/WishlistPage';
 import CoursePlayerPage from './pages/CoursePlayer/CoursePlayerPage';
+import FakeCheckoutPage from './pages/Checkout/FakeCheckoutPage';
+import CheckoutCompletePage from './pages/Checkout/CheckoutCompletePage';
 
 // Instructor Pages
 import InstructorDashboard from './pages/Instructor/InstructorDashboard';
@@ -123,7 +129,20 @@ function App() {
               <RegisterPage />
             </PublicRoute>
           } />
+          <Route path="forgot-password" element={
+            <PublicRoute>
+              <ForgotPasswordPage />
+            </PublicRoute>
+          } />
+          <Route path="reset-password" element={
+            <PublicRoute>
+              <ResetPasswordPage />
+            </PublicRoute>
+          } />
           <Route path="auth/callback" element={<AuthCallbackPage />} />
+          <Route path="verify-email" element={<VerifyEmailPage />} />
+          <Route path="verify" element={<VerifyCertificatePage />} />
+          <Route path="verify/:serial" element={<VerifyCertificatePage />} />
           
           {/* Private Routes */}
           <Route path="dashboard" element={
@@ -146,6 +165,16 @@ function App() {
               <WishlistPage />
             </PrivateRoute>
           } />
+          <Route path="checkout/fake/:sessionId" element={
+            <PrivateRoute>
+              <FakeCheckoutPage />
+            </PrivateRoute>
+          } />
+          <Route path="checkout/complete" element={
+            <PrivateRoute>
+              <CheckoutCompletePage />
+            </PrivateRoute>
+          } />
           
           {/* Instructor Routes */}
           <Route path="instructor" element={
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { AnalyticsService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const LEVEL_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-800',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Learners the nightly assessment flagged as at risk, with the reasons why
+const AtRiskLearners = ({ courseId }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const { data, isLoading, error } = useQuery(
+    ['at-risk-learners', courseId],
+    () => AnalyticsService.getAtRiskLearners(courseId),
+    { enabled: !!courseId }
+  );
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await AnalyticsService.downloadCSV(`/analytics/course/${courseId}/at-risk`, {}, 'at-risk-learners.csv');
+    } catch (exportError) {
+      toast.error(handleApiError(exportError).message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const learners = data?.learners || [];
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="font-semibold text-secondary-900">At-risk learners</h3>
+            {data?.assessedAt && (
+              <p className="text-xs text-secondary-500">Last assessed {new Date(data.assessedAt).toLocaleString()}</p>
+            )}
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting || learners.length === 0}
+            className="btn-outline btn-sm flex items-center"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+            {exporting ? 'Exporting...' : 'CSV'}
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 py-8 text-center">
+            {error.response?.data?.message || 'Failed to load at-risk learners'}
+          </p>
+        ) : learners.length === 0 ? (
+          <p className="text-sm text-secondary-500 py-8 text-center">
+            No learners are currently flagged. Learners are reassessed every night.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-secondary-200 text-left text-secondary-600">
+                  <th className="py-2 pr-4 font-medium">Learner</th>
+                  <th className="py-2 pr-4 font-medium">Risk</th>
+                  <th className="py-2 pr-4 font-medium">Reasons</th>
+                  <th className="py-2 pr-4 font-medium">Progress</th>
+                  <th className="py-2 pr-4 font-medium">Last active</th>
+                  <th className="py-2 pr-4 font-medium">Flagged since</th>
+                </tr>
+              </thead>
+              <tbody>
+                {learners.map(learner => (
+                  <tr key={learner.user._id} className="border-b border-secondary-100 align-top">
+                    <td className="py-2 pr-4">
+                      <p className="font-medium text-secondary-900">{learner.user.name}</p>
+                      <p className="text-xs text-secondary-500">{learner.user.email}</p>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium capitalize ${LEVEL_STYLES[learner.level]}`}>
+                        <ExclamationTriangleIcon className="w-3 h-3 mr-1" />
+                        {learner.level}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <ul className="space-y-0.5 text-secondary-700">
+                        {learner.reasons.map(reason => (
+                          <li key={reason.code}>{reason.message}</li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td className="py-2 pr-4 text-secondary-900">{learner.metrics?.overallProgress ?? 0}%</td>
+                    <td className="py-2 pr-4 text-secondary-900">{formatDate(learner.metrics?.lastActivityAt)}</td>
+                    <td className="py-2 pr-4 text-secondary-900">{formatDate(learner.flaggedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AtRiskLearners;
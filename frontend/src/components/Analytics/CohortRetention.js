@@ -0,0 +1,83 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { AnalyticsService } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// Darker cells for higher retention
+const cellStyle = (retention) => ({
+  backgroundColor: `rgba(99, 102, 241, ${Math.max(0.05, retention / 100)})`,
+  color: retention > 50 ? 'white' : undefined,
+});
+
+// Weekly retention triangle: one row per enrollment week, one column per week since enrolling
+const CohortRetention = ({ courseId }) => {
+  const { data, isLoading, error } = useQuery(
+    ['course-cohorts', courseId],
+    () => AnalyticsService.getCohorts(courseId),
+    { enabled: !!courseId }
+  );
+
+  const cohorts = data?.cohorts || [];
+  const weekCount = Math.max(0, ...cohorts.map(cohort => cohort.weeks.length));
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="mb-4">
+          <h3 className="font-semibold text-secondary-900">Weekly retention by enrollment cohort</h3>
+          <p className="text-xs text-secondary-500">
+            Share of each week's new learners who watched a lesson or took a quiz in the weeks after enrolling
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 py-8 text-center">
+            {error.response?.data?.message || 'Failed to load cohorts'}
+          </p>
+        ) : cohorts.length === 0 ? (
+          <p className="text-sm text-secondary-500 py-8 text-center">
+            No cohorts yet. Retention is computed every night.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-secondary-200 text-left text-secondary-600">
+                  <th className="py-2 pr-4 font-medium">Week of</th>
+                  <th className="py-2 pr-4 font-medium">Learners</th>
+                  {Array.from({ length: weekCount }, (_, week) => (
+                    <th key={week} className="py-2 px-1 font-medium text-center">W{week}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {cohorts.map(cohort => (
+                  <tr key={cohort.cohort} className="border-b border-secondary-100">
+                    <td className="py-2 pr-4 text-secondary-900 whitespace-nowrap">{cohort.cohort}</td>
+                    <td className="py-2 pr-4 text-secondary-900">{cohort.size}</td>
+                    {cohort.weeks.map(week => (
+                      <td
+                        key={week.week}
+                        className="py-2 px-1 text-center text-xs"
+                        style={cellStyle(week.retention)}
+                        title={`${week.active} of ${cohort.size} active`}
+                      >
+                        {Math.round(week.retention)}%
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CohortRetention;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { AnalyticsService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Completion tick, or the best quiz score for lessons with a quiz
+const LessonCell = ({ lesson, row }) => {
+  const completedAt = row[`${lesson.key}_completedAt`];
+  const bestScore = lesson.hasQuiz ? row[`${lesson.key}_bestScore`] : null;
+
+  if (bestScore !== null && bestScore !== undefined) {
+    return (
+      <span
+        className={completedAt ? 'text-secondary-900' : 'text-secondary-500'}
+        title={`${row[`${lesson.key}_attempts`]} attempt(s)`}
+      >
+        {bestScore}%
+      </span>
+    );
+  }
+
+  return completedAt ? (
+    <span className="inline-block" title={`Completed ${formatDate(completedAt)}`}>
+      <CheckIcon className="w-4 h-4 text-green-600" />
+    </span>
+  ) : null;
+};
+
+// One row per enrolled learner, exportable for grading outside the platform
+const Gradebook = ({ courseId }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['gradebook', courseId],
+    () => AnalyticsService.getGradebook(courseId),
+    { enabled: !!courseId }
+  );
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      await AnalyticsService.downloadExport(
+        `/analytics/course/${courseId}/gradebook`,
+        { format },
+        `gradebook.${format}`
+      );
+    } catch (exportError) {
+      toast.error(handleApiError(exportError).message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const lessons = data?.lessons || [];
+  const rows = data?.rows || [];
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="font-semibold text-secondary-900">Gradebook</h3>
+            <p className="text-xs text-secondary-500">
+              Lesson completion and best quiz score for every enrolled learner
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {['csv', 'xlsx'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={!!exporting || rows.length === 0}
+                className="btn-outline btn-sm flex items-center uppercase"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                {exporting === format ? 'Exporting...' : format}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 py-8 text-center">
+            {error.response?.data?.message || 'Failed to load gradebook'}
+          </p>
+        ) : rows.length === 0 ? (
+          <p className="text-sm text-secondary-500 py-8 text-center">
+            No learners are enrolled yet.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-secondary-200 text-left text-secondary-600">
+                  <th className="py-2 pr-4 font-medium">Learner</th>
+                  <th className="py-2 pr-4 font-medium">Progress</th>
+                  <th className="py-2 pr-4 font-medium">Lessons</th>
+                  <th className="py-2 pr-4 font-medium">Watch time</th>
+                  <th className="py-2 pr-4 font-medium">Last active</th>
+                  {lessons.map(lesson => (
+                    <th
+                      key={lesson.key}
+                      className="py-2 px-1 font-medium text-center"
+                      title={`${lesson.sectionTitle}: ${lesson.title}`}
+                    >
+                      {lesson.number}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.userId} className="border-b border-secondary-100">
+                    <td className="py-2 pr-4">
+                      <p className="font-medium text-secondary-900">{row.name}</p>
+                      <p className="text-xs text-secondary-500">{row.email}</p>
+                    </td>
+                    <td className="py-2 pr-4 text-secondary-900">{row.overallProgress}%</td>
+                    <td className="py-2 pr-4 text-secondary-900">{row.completedLessons}/{lessons.length}</td>
+                    <td className="py-2 pr-4 text-secondary-900">{Math.round(row.watchMinutes)} min</td>
+                    <td className="py-2 pr-4 text-secondary-900">{formatDate(row.lastAccessedAt)}</td>
+                    {lessons.map(lesson => (
+                      <td key={lesson.key} className="py-2 px-1 text-center text-xs">
+                        <LessonCell lesson={lesson} row={row} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Gradebook;
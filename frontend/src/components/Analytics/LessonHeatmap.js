@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  ChartBarIcon,
+  ArrowPathIcon,
+  ArrowTrendingDownIcon,
+  ArrowDownTrayIcon,
+  UsersIcon,
+} from '@heroicons/react/24/outline';
+import { AnalyticsService, handleApiError } from '../../services/api';
+import PerformanceChart from './PerformanceChart';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const formatTime = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
+const formatRange = ({ start, end }) => `${formatTime(start)}–${formatTime(end)}`;
+
+// Retention curve, rewatch hotspots and drop-off points for one lesson video
+const LessonHeatmap = ({ courseId, lessons, range }) => {
+  const [lessonId, setLessonId] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  // Default to the first video lesson once the course has loaded
+  useEffect(() => {
+    if (!lessonId && lessons.length > 0) {
+      setLessonId(lessons[0]._id);
+    }
+  }, [lessonId, lessons]);
+
+  const { data, isLoading, error } = useQuery(
+    ['lesson-heatmap', courseId, lessonId, range.from, range.to],
+    () => AnalyticsService.getLessonHeatmap(courseId, lessonId, range),
+    { enabled: !!lessonId }
+  );
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await AnalyticsService.downloadCSV(
+        `/analytics/course/${courseId}/lessons/${lessonId}/heatmap`,
+        range,
+        `lesson-retention-${range.from}-to-${range.to}.csv`
+      );
+    } catch (exportError) {
+      toast.error(handleApiError(exportError).message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const heatmap = data?.heatmap;
+  const labels = heatmap?.buckets.map(bucket => formatTime(bucket.start)) || [];
+
+  const retentionData = {
+    labels,
+    datasets: [
+      {
+        label: 'Audience retention',
+        data: heatmap?.buckets.map(bucket => bucket.retention) || [],
+        borderColor: 'rgb(99, 102, 241)',
+        backgroundColor: 'rgba(99, 102, 241, 0.1)',
+        fill: true,
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 4
+      }
+    ]
+  };
+
+  const activityData = {
+    labels,
+    datasets: [
+      {
+        label: 'Rewatches',
+        data: heatmap?.buckets.map(bucket => bucket.rewatches) || [],
+        backgroundColor: 'rgba(251, 146, 60, 0.8)',
+        borderRadius: 4,
+        borderWidth: 0
+      },
+      {
+        label: 'Drop-offs',
+        data: heatmap?.buckets.map(bucket => bucket.dropOffs) || [],
+        backgroundColor: 'rgba(239, 68, 68, 0.8)',
+        borderRadius: 4,
+        borderWidth: 0
+      }
+    ]
+  };
+
+  if (lessons.length === 0) {
+    return (
+      <div className="card">
+        <div className="card-body text-center text-secondary-600">
+          This course has no video lessons yet.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <select
+          value={lessonId}
+          onChange={(e) => setLessonId(e.target.value)}
+          className="input md:max-w-md"
+        >
+          {lessons.map(lesson => (
+            <option key={lesson._id} value={lesson._id}>
+              {lesson.sectionTitle} — {lesson.title}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={exporting || !heatmap}
+          className="btn-outline btn-sm flex items-center self-start"
+        >
+          <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+          {exporting ? 'Exporting...' : 'CSV'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <LoadingSpinner size="lg" text="Building heatmap..." />
+        </div>
+      ) : error ? (
+        <div className="card">
+          <div className="card-body text-center text-red-600">
+            {error.response?.data?.message || 'Failed to load lesson analytics'}
+          </div>
+        </div>
+      ) : heatmap && heatmap.totalViewers === 0 ? (
+        <div className="card">
+          <div className="card-body text-center text-secondary-600">
+            Nobody has watched this lesson in the selected period yet.
+          </div>
+        </div>
+      ) : heatmap && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="card">
+              <div className="card-body flex items-center">
+                <UsersIcon className="w-8 h-8 text-primary-600 mr-4" />
+                <div>
+                  <p className="text-sm text-secondary-600">Viewers</p>
+                  <p className="text-2xl font-bold text-secondary-900">{heatmap.totalViewers}</p>
+                  <p className="text-xs text-secondary-500">{heatmap.totalSessions} sessions</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body flex items-center">
+                <ChartBarIcon className="w-8 h-8 text-green-600 mr-4" />
+                <div>
+                  <p className="text-sm text-secondary-600">Watched to the end</p>
+                  <p className="text-2xl font-bold text-secondary-900">{heatmap.completionRate}%</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body flex items-center">
+                <ArrowTrendingDownIcon className="w-8 h-8 text-red-600 mr-4" />
+                <div>
+                  <p className="text-sm text-secondary-600">Biggest drop-off</p>
+                  <p className="text-2xl font-bold text-secondary-900">
+                    {heatmap.dropOffPoints[0] ? formatRange(heatmap.dropOffPoints[0]) : '—'}
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <PerformanceChart
+            type="line"
+            title="Audience retention"
+            data={retentionData}
+          />
+
+          <PerformanceChart
+            type="bar"
+            title="Rewatches and drop-offs"
+            data={activityData}
+            yMax={null}
+            valueSuffix=""
+          />
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+              <div className="card-body">
+                <h3 className="font-semibold text-secondary-900 mb-4 flex items-center">
+                  <ArrowPathIcon className="w-5 h-5 text-orange-500 mr-2" />
+                  Rewatch hotspots
+                </h3>
+                {heatmap.hotspots.length === 0 ? (
+                  <p className="text-sm text-secondary-600">No rewatched parts yet.</p>
+                ) : (
+                  <ul className="divide-y divide-secondary-100">
+                    {heatmap.hotspots.map(hotspot => (
+                      <li key={hotspot.start} className="py-2 flex justify-between text-sm">
+                        <span className="font-mono text-secondary-900">{formatRange(hotspot)}</span>
+                        <span className="text-secondary-600">
+                          {hotspot.rewatches} rewatches · {hotspot.rewinds} rewinds
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            <div className="card">
+              <div className="card-body">
+                <h3 className="font-semibold text-secondary-900 mb-4 flex items-center">
+                  <ArrowTrendingDownIcon className="w-5 h-5 text-red-500 mr-2" />
+                  Common drop-off points
+                </h3>
+                {heatmap.dropOffPoints.length === 0 ? (
+                  <p className="text-sm text-secondary-600">Every viewer finished the lesson.</p>
+                ) : (
+                  <ul className="divide-y divide-secondary-100">
+                    {heatmap.dropOffPoints.map(point => (
+                      <li key={point.start} className="py-2 flex justify-between text-sm">
+                        <span className="font-mono text-secondary-900">{formatRange(point)}</span>
+                        <span className="text-secondary-600">
+                          {point.viewers} viewers ({point.share}%)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LessonHeatmap;
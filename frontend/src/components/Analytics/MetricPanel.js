@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { AnalyticsService, handleApiError } from '../../services/api';
+import PerformanceChart from './PerformanceChart';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// One instructor metrics view: summary, chart, optional table and CSV export
+const MetricPanel = ({ courseId, view, range, title, renderSummary, getChart, showTable = false }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const { data, isLoading, error } = useQuery(
+    ['course-metrics', courseId, view, range.from, range.to],
+    () => AnalyticsService.getCourseMetrics(courseId, view, range),
+    { enabled: !!courseId, keepPreviousData: true }
+  );
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await AnalyticsService.downloadCSV(
+        `/analytics/course/${courseId}/metrics/${view}`,
+        range,
+        `${view}-${range.from}-to-${range.to}.csv`
+      );
+    } catch (exportError) {
+      toast.error(handleApiError(exportError).message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const chart = data && getChart ? getChart(data) : null;
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold text-secondary-900">{title}</h3>
+          <button
+            onClick={handleExport}
+            disabled={exporting || !data}
+            className="btn-outline btn-sm flex items-center"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+            {exporting ? 'Exporting...' : 'CSV'}
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 py-8 text-center">
+            {error.response?.data?.message || `Failed to load ${title.toLowerCase()}`}
+          </p>
+        ) : data && (
+          <>
+            {renderSummary && (
+              <div className="mb-4">{renderSummary(data.summary)}</div>
+            )}
+
+            {chart && <PerformanceChart {...chart} />}
+
+            {showTable && (
+              <div className="overflow-x-auto mt-4">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-secondary-200 text-left text-secondary-600">
+                      {data.columns.map(column => (
+                        <th key={column.key} className="py-2 pr-4 font-medium">{column.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.rows.map((row, index) => (
+                      <tr
+                        key={index}
+                        className={`border-b border-secondary-100 ${row.level === 'section' ? 'font-semibold bg-secondary-50' : ''}`}
+                      >
+                        {data.columns.map(column => (
+                          <td key={column.key} className="py-2 pr-4 text-secondary-900">
+                            {row[column.key] ?? '—'}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MetricPanel;
@@ -29,7 +29,7 @@ ChartJS.register(
   Filler
 );
 
-const PerformanceChart = ({ data, type = 'line', title, height = 300 }) => {
+const PerformanceChart = ({ data, type = 'line', title, height = 300, yMax = 100, valueSuffix = '%' }) => {
   const chartRef = useRef(null);
 
   const chartOptions = {
@@ -76,7 +76,7 @@ const PerformanceChart = ({ data, type = 'line', title, height = 300 }) => {
               label += ': ';
             }
             if (context.parsed.y !== null) {
-              label += context.parsed.y + '%';
+              label += context.parsed.y + valueSuffix;
             }
             return label;
           }
@@ -97,7 +97,7 @@ const PerformanceChart = ({ data, type = 'line', title, height = 300 }) => {
       },
       y: {
         beginAtZero: true,
-        max: 100,
+        max: yMax ?? undefined,
         grid: {
           color: 'rgba(0, 0, 0, 0.05)'
         },
@@ -107,7 +107,7 @@ const PerformanceChart = ({ data, type = 'line', title, height = 300 }) => {
             family: "'Inter', sans-serif"
           },
           callback: function(value) {
-            return value + '%';
+            return value + valueSuffix;
           }
         }
       }
@@ -115,6 +115,14 @@ const PerformanceChart = ({ data, type = 'line', title, height = 300 }) => {
   };
 
   const getChartData = () => {
+    // Callers can pass their own datasets instead of the built-in series
+    if (data.datasets) {
+      return {
+        labels: data.labels || [],
+        datasets: data.datasets
+      };
+    }
+
     if (type === 'line') {
       return {
         labels: data.labels || ['Week 1', 'Week 2', 'Week 3', 'Week 4'],
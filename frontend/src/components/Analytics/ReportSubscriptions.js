@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { EnvelopeIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { ReportService, UserService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const FREQUENCY_LABELS = {
+  weekly: 'Weekly (Mondays)',
+  monthly: 'Monthly (1st of the month)',
+};
+
+// Weekly/monthly performance reports delivered by email
+const ReportSubscriptions = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ frequency: 'weekly', format: 'pdf', courseId: '' });
+
+  const { data, isLoading } = useQuery(['report-subscriptions'], ReportService.getSubscriptions);
+  const { data: profile } = useQuery(['profile'], UserService.getProfile, { staleTime: 5 * 60 * 1000 });
+
+  const onError = (error) => toast.error(handleApiError(error).message);
+  const refresh = () => queryClient.invalidateQueries(['report-subscriptions']);
+
+  const createMutation = useMutation(
+    (subscription) => ReportService.createSubscription(subscription),
+    {
+      onSuccess: () => {
+        toast.success('Scheduled report created');
+        refresh();
+      },
+      onError,
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ id, changes }) => ReportService.updateSubscription(id, changes),
+    { onSuccess: refresh, onError }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => ReportService.deleteSubscription(id),
+    {
+      onSuccess: () => {
+        toast.success('Scheduled report removed');
+        refresh();
+      },
+      onError,
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      frequency: form.frequency,
+      format: form.format,
+      courseId: form.courseId || undefined,
+    });
+  };
+
+  const subscriptions = data?.subscriptions || [];
+  const courses = (profile?.user?.enrolledCourses || [])
+    .map(enrollment => enrollment.course)
+    .filter(Boolean);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-xl font-semibold text-secondary-900">
+          Scheduled Reports
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        {data && !data.emailEnabled && (
+          <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+            Email notifications are turned off, so scheduled reports will not be sent.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+          <select
+            value={form.courseId}
+            onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+            className="input flex-1 min-w-[10rem]"
+          >
+            <option value="">All my courses</option>
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>{course.title}</option>
+            ))}
+          </select>
+          <select
+            value={form.frequency}
+            onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+            className="input w-auto"
+          >
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+          <select
+            value={form.format}
+            onChange={(e) => setForm({ ...form, format: e.target.value })}
+            className="input w-auto"
+          >
+            <option value="pdf">PDF</option>
+            <option value="csv">CSV</option>
+          </select>
+          <button type="submit" disabled={createMutation.isLoading} className="btn-primary flex items-center">
+            <EnvelopeIcon className="w-4 h-4 mr-1" />
+            {createMutation.isLoading ? 'Saving...' : 'Subscribe'}
+          </button>
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <p className="text-sm text-secondary-500">
+            No scheduled reports. Subscribe to get your performance report by email.
+          </p>
+        ) : (
+          <ul className="divide-y divide-secondary-100">
+            {subscriptions.map(subscription => (
+              <li key={subscription._id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="text-sm font-medium text-secondary-900">
+                    {subscription.course?.title || 'All my courses'}
+                    <span className="ml-2 text-xs uppercase text-secondary-500">{subscription.format}</span>
+                  </p>
+                  <p className="text-xs text-secondary-500">
+                    {FREQUENCY_LABELS[subscription.frequency]}
+                    {subscription.active
+                      ? ` · next on ${new Date(subscription.nextRunAt).toLocaleDateString()}`
+                      : ' · paused'}
+                    {subscription.lastError && ' · last delivery failed'}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => updateMutation.mutate({
+                      id: subscription._id,
+                      changes: { active: !subscription.active },
+                    })}
+                    className="btn-outline btn-sm"
+                  >
+                    {subscription.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => deleteMutation.mutate(subscription._id)}
+                    className="p-1 text-secondary-400 hover:text-red-600"
+                    title="Unsubscribe"
+                  >
+                    <TrashIcon className="w-5 h-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportSubscriptions;
@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
-import { useMutation, useQueryClient } from 'react-query';
-import { CourseService } from '../../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import { CourseService, JobService, handleApiError } from '../../services/api';
 import {
   DocumentTextIcon,
   SparklesIcon,
@@ -14,54 +14,128 @@ import { motion } from 'framer-motion';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import toast from 'react-hot-toast';
 
-const ContentManager = ({ courseId, lessons }) => {
-  const [processingStatus, setProcessingStatus] = useState({});
-  const queryClient = useQueryClient();
+const JOB_POLL_INTERVAL = 2000;
+
+const featureLabels = {
+  transcription: 'Transcription',
+  summary: 'Summary',
+  quiz: 'Quiz generation',
+};
+
+const requestForFeature = {
+  transcription: CourseService.generateTranscription,
+  summary: CourseService.generateSummary,
+  quiz: CourseService.generateQuiz,
+};
 
-  const generateTranscriptionMutation = useMutation(
-    (videoId) => CourseService.generateTranscription(videoId),
+// Polls a background job until it completes or fails
+const JobStatusRow = ({ courseId, job, lesson, onStatusChange, getStatusIcon }) => {
+  const queryClient = useQueryClient();
+  const { data } = useQuery(
+    ['job', job.jobId],
+    () => JobService.getJob(job.jobId),
     {
-      onMutate: (videoId) => {
-        setProcessingStatus(prev => ({ ...prev, [videoId]: 'transcribing' }));
-      },
-      onSuccess: (_, videoId) => {
-        setProcessingStatus(prev => ({ ...prev, [videoId]: 'completed' }));
-        toast.success('Transcription generated successfully!');
-        queryClient.invalidateQueries(['course', courseId]);
-      },
-      onError: (error, videoId) => {
-        setProcessingStatus(prev => ({ ...prev, [videoId]: 'error' }));
-        toast.error('Failed to generate transcription');
-      },
+      refetchInterval: (data) => (
+        data && ['completed', 'failed'].includes(data.job.status) ? false : JOB_POLL_INTERVAL
+      ),
+      refetchIntervalInBackground: true,
     }
   );
 
-  const generateSummaryMutation = useMutation(
-    () => CourseService.generateSummary(courseId),
-    {
-      onSuccess: () => {
-        toast.success('Course summary generated!');
-        queryClient.invalidateQueries(['course', courseId]);
-      },
-      onError: () => {
-        toast.error('Failed to generate summary');
-      },
+  const status = data?.job.status || 'queued';
+  const progress = data?.job.progress;
+
+  const lessonTitle = lesson?.title || 'lesson';
+
+  useEffect(() => {
+    onStatusChange(job.key, status);
+
+    if (status === 'completed') {
+      toast.success(`${featureLabels[job.feature]} finished for ${lessonTitle}`);
+      queryClient.invalidateQueries(['course', courseId]);
+    } else if (status === 'failed') {
+      toast.error(`${featureLabels[job.feature]} failed for ${lessonTitle}`);
     }
+  }, [status, job.key, job.feature, lessonTitle, courseId, onStatusChange, queryClient]);
+
+  const icon = status === 'completed' ? 'completed' : status === 'failed' ? 'error' : 'processing';
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          {getStatusIcon(icon)}
+          <div>
+            <p className="font-medium text-gray-900">
+              {lesson?.title || 'Unknown Lesson'}
+            </p>
+            <p className="text-sm text-gray-600">
+              {featureLabels[job.feature]}
+              {status === 'queued' && (progress?.stage === 'retrying' ? ' - retrying...' : ' - waiting for worker...')}
+              {status === 'running' && ` - ${(progress?.stage || 'running').replace(/_/g, ' ')}`}
+              {status === 'completed' && ' completed'}
+              {status === 'failed' && ` failed: ${data.job.error || 'unknown error'}`}
+            </p>
+          </div>
+        </div>
+
+        {status === 'completed' ? (
+          <span className="text-sm text-green-600 font-medium">
+            ✓ Done
+          </span>
+        ) : status !== 'failed' && (
+          <span className="text-sm text-gray-500">
+            {progress?.percent || 0}%
+          </span>
+        )}
+      </div>
+
+      {(status === 'queued' || status === 'running') && (
+        <div className="w-full bg-gray-200 rounded-full h-1.5 mt-3">
+          <div
+            className="bg-primary-600 h-1.5 rounded-full transition-all duration-300"
+            style={{ width: `${progress?.percent || 0}%` }}
+          />
+        </div>
+      )}
+    </div>
   );
+};
+
+const ContentManager = ({ courseId, lessons }) => {
+  const [jobs, setJobs] = useState({});
+  const [jobStatuses, setJobStatuses] = useState({});
 
-  const generateQuizMutation = useMutation(
-    (lessonId) => CourseService.generateQuiz(lessonId),
+  const startJobMutation = useMutation(
+    ({ feature, lessonId }) => requestForFeature[feature](courseId, lessonId),
     {
-      onSuccess: () => {
-        toast.success('Quiz generated successfully!');
-        queryClient.invalidateQueries(['course', courseId]);
+      onSuccess: (response, { feature, lessonId }) => {
+        const key = `${feature}:${lessonId}`;
+        setJobs(prev => ({
+          ...prev,
+          [key]: { key, feature, lessonId, jobId: response.data.jobId },
+        }));
       },
-      onError: () => {
-        toast.error('Failed to generate quiz');
+      onError: (error, { feature }) => {
+        toast.error(`${featureLabels[feature]} failed: ${handleApiError(error).message}`);
       },
     }
   );
 
+  const handleStatusChange = useCallback((key, status) => {
+    setJobStatuses(prev => (prev[key] === status ? prev : { ...prev, [key]: status }));
+  }, []);
+
+  const startJobs = (feature, targetLessons) => {
+    targetLessons.forEach(lesson => {
+      const status = jobStatuses[`${feature}:${lesson._id}`];
+      if (status === 'queued' || status === 'running') return;
+      startJobMutation.mutate({ feature, lessonId: lesson._id });
+    });
+  };
+
+  const hasQuiz = (lesson) => lesson.quiz?.questions?.length > 0;
+
   const aiFeatures = [
     {
       id: 'transcription',
@@ -70,16 +144,16 @@ const ContentManager = ({ courseId, lessons }) => {
       icon: DocumentTextIcon,
       action: 'Generate Transcriptions',
       color: 'blue',
-      available: lessons?.some(l => l.videoUrl && !l.transcription),
+      available: lessons?.some(l => l.videoUrl && !l.transcript),
     },
     {
       id: 'summary',
-      title: 'Course Summary',
-      description: 'Create AI-powered course summaries and key points',
+      title: 'Lesson Summaries',
+      description: 'Create AI-powered lesson summaries and key points',
       icon: SparklesIcon,
-      action: 'Generate Summary',
+      action: 'Generate Summaries',
       color: 'purple',
-      available: true,
+      available: lessons?.some(l => l.transcript),
     },
     {
       id: 'translation',
@@ -88,55 +162,50 @@ const ContentManager = ({ courseId, lessons }) => {
       icon: LanguageIcon,
       action: 'Add Languages',
       color: 'green',
-      available: lessons?.some(l => l.transcription),
+      available: lessons?.some(l => l.transcript),
     },
     {
       id: 'quiz',
       title: 'Auto Quiz Generation',
-      description: 'Generate practice quizzes from lesson content',
+      description: 'Generate practice quizzes from lesson transcripts',
       icon: QuestionMarkCircleIcon,
       action: 'Generate Quizzes',
       color: 'orange',
-      available: lessons?.length > 0,
+      available: lessons?.some(l => l.transcript && !hasQuiz(l)),
     },
   ];
 
   const handleFeatureAction = (feature) => {
     switch (feature.id) {
       case 'transcription':
-        // Generate transcriptions for all videos
-        lessons?.forEach(lesson => {
-          if (lesson.videoUrl && !lesson.transcription) {
-            generateTranscriptionMutation.mutate(lesson._id);
-          }
-        });
+        // Transcribe every video that has no transcript yet
+        startJobs('transcription', lessons?.filter(l => l.videoUrl && !l.transcript) || []);
         break;
       case 'summary':
-        generateSummaryMutation.mutate();
+        startJobs('summary', lessons?.filter(l => l.transcript) || []);
         break;
       case 'quiz':
-        // Generate quizzes for all lessons
-        lessons?.forEach(lesson => {
-          if (!lesson.quiz) {
-            generateQuizMutation.mutate(lesson._id);
-          }
-        });
+        // Generate quizzes for lessons that have a transcript but no quiz
+        startJobs('quiz', lessons?.filter(l => l.transcript && !hasQuiz(l)) || []);
         break;
       default:
-        toast.info('Feature coming soon!');
+        toast('Feature coming soon!');
     }
   };
 
   const getFeatureStatus = (feature) => {
+    const isRunning = Object.values(jobs).some(job => (
+      job.feature === feature.id &&
+      !['completed', 'failed'].includes(jobStatuses[job.key])
+    ));
+    if (isRunning) return 'processing';
+
     if (feature.id === 'transcription') {
-      const processingCount = Object.values(processingStatus).filter(s => s === 'transcribing').length;
-      if (processingCount > 0) return 'processing';
-      
-      const completedCount = lessons?.filter(l => l.transcription).length || 0;
+      const completedCount = lessons?.filter(l => l.transcript).length || 0;
       const totalCount = lessons?.filter(l => l.videoUrl).length || 0;
       if (completedCount === totalCount && totalCount > 0) return 'completed';
     }
-    
+
     return 'available';
   };
 
@@ -238,7 +307,7 @@ const ContentManager = ({ courseId, lessons }) => {
                         
                         {feature.id === 'transcription' && (
                           <div className="text-xs text-gray-500">
-                            {lessons?.filter(l => l.transcription).length || 0} / {lessons?.filter(l => l.videoUrl).length || 0} videos
+                            {lessons?.filter(l => l.transcript).length || 0} / {lessons?.filter(l => l.videoUrl).length || 0} videos
                           </div>
                         )}
                       </div>
@@ -252,7 +321,7 @@ const ContentManager = ({ courseId, lessons }) => {
       </div>
 
       {/* Processing Status */}
-      {Object.keys(processingStatus).length > 0 && (
+      {Object.keys(jobs).length > 0 && (
         <div className="card">
           <div className="card-header">
             <h3 className="text-lg font-semibold text-gray-900">
@@ -261,32 +330,16 @@ const ContentManager = ({ courseId, lessons }) => {
           </div>
           <div className="card-body">
             <div className="space-y-3">
-              {Object.entries(processingStatus).map(([lessonId, status]) => {
-                const lesson = lessons?.find(l => l._id === lessonId);
-                return (
-                  <div key={lessonId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                    <div className="flex items-center space-x-3">
-                      {getStatusIcon(status)}
-                      <div>
-                        <p className="font-medium text-gray-900">
-                          {lesson?.title || 'Unknown Lesson'}
-                        </p>
-                        <p className="text-sm text-gray-600">
-                          {status === 'transcribing' && 'Generating transcription...'}
-                          {status === 'completed' && 'Transcription completed'}
-                          {status === 'error' && 'Processing failed'}
-                        </p>
-                      </div>
-                    </div>
-                    
-                    {status === 'completed' && (
-                      <span className="text-sm text-green-600 font-medium">
-                        ✓ Done
-                      </span>
-                    )}
-                  </div>
-                );
-              })}
+              {Object.values(jobs).map(job => (
+                <JobStatusRow
+                  key={job.key}
+                  courseId={courseId}
+                  job={job}
+                  lesson={lessons?.find(l => l._id === job.lessonId)}
+                  onStatusChange={handleStatusChange}
+                  getStatusIcon={getStatusIcon}
+                />
+              ))}
             </div>
           </div>
         </div>
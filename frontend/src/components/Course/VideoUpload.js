@@ -1,7 +1,9 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useMutation } from 'react-query';
 import { CourseService } from '../../services/api';
+import { uploadVideoInChunks, cancelChunkedUpload } from '../../services/chunkedUploader';
+import { getVideoUrl } from '../../config/api';
 import {
   VideoCameraIcon,
   CloudArrowUpIcon,
@@ -14,38 +16,70 @@ import { motion, AnimatePresence } from 'framer-motion';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import toast from 'react-hot-toast';
 
+const MAX_VIDEO_SIZE = 5 * 1024 * 1024 * 1024; // 5GB, matches the server limit
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
 const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lessonId }) => {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadStatus, setUploadStatus] = useState('idle'); // idle, uploading, processing, completed, error
   const [videoPreview, setVideoPreview] = useState(existingVideoUrl || null);
   const [uploadedFile, setUploadedFile] = useState(null);
   const [processingStatus, setProcessingStatus] = useState(null);
+  const [bytesUploaded, setBytesUploaded] = useState(0);
+  const abortControllerRef = useRef(null);
+
+  // Uploaded videos are only reachable through signed URLs
+  useEffect(() => {
+    if (!existingVideoUrl || !existingVideoUrl.startsWith('/videos/')) return;
+
+    let cancelled = false;
+    CourseService.getUploadStatus(existingVideoUrl.split('/').pop())
+      .then(({ data }) => {
+        if (!cancelled && data.previewUrl) {
+          setVideoPreview(getVideoUrl(data.previewUrl));
+        }
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [existingVideoUrl]);
 
   const uploadMutation = useMutation(
-    async (formData) => {
+    async (file) => {
       setUploadStatus('uploading');
       setUploadProgress(0);
+      setBytesUploaded(0);
+
+      abortControllerRef.current = new AbortController();
       
-      return CourseService.uploadVideo(formData, {
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+      // Chunked so a dropped connection only costs the chunk in flight
+      return uploadVideoInChunks(file, {
+        signal: abortControllerRef.current.signal,
+        onProgress: (progress, bytes) => {
           setUploadProgress(progress);
+          setBytesUploaded(bytes);
         },
       });
     },
     {
-      onSuccess: (response) => {
+      onSuccess: (data) => {
         setUploadStatus('processing');
-        setProcessingStatus('Transcribing audio...');
+        setProcessingStatus('Waiting to optimize for streaming');
         
         // Poll for processing status
-        pollProcessingStatus(response.uploadId);
+        pollProcessingStatus(data.uploadId);
         
         if (onUploadComplete) {
-          onUploadComplete(response);
+          onUploadComplete(data);
         }
       },
       onError: (error) => {
+        if (error?.code === 'ERR_CANCELED') {
+          return;
+        }
         setUploadStatus('error');
         toast.error(error.response?.data?.message || 'Upload failed');
       },
@@ -54,12 +88,14 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
 
   const pollProcessingStatus = async (uploadId) => {
     try {
-      const response = await CourseService.getUploadStatus(uploadId);
+      const { data: response } = await CourseService.getUploadStatus(uploadId);
       
       if (response.status === 'completed') {
         setUploadStatus('completed');
         setProcessingStatus('Processing complete!');
-        setVideoPreview(response.videoUrl);
+        if (response.previewUrl) {
+          setVideoPreview(getVideoUrl(response.previewUrl));
+        }
         toast.success('Video uploaded and processed successfully!');
       } else if (response.status === 'processing') {
         setProcessingStatus(response.stage || 'Processing video...');
@@ -78,9 +114,9 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors.some(e => e.code === 'file-too-large')) {
-        toast.error('File is too large. Maximum size is 500MB.');
+        toast.error('File is too large. Maximum size is 5GB.');
       } else if (rejection.errors.some(e => e.code === 'file-invalid-type')) {
-        toast.error('Invalid file type. Please upload MP4, MOV, or AVI files.');
+        toast.error('Invalid file type. Please upload MP4, MOV, MKV or WebM files.');
       }
       return;
     }
@@ -90,33 +126,38 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
       setUploadedFile(file);
       setVideoPreview(URL.createObjectURL(file));
       
-      // Start upload
-      const formData = new FormData();
-      formData.append('video', file);
-      if (lessonId) {
-        formData.append('lessonId', lessonId);
-      }
-      
       if (onUploadStart) {
         onUploadStart(file);
       }
       
-      uploadMutation.mutate(formData);
+      uploadMutation.mutate(file);
     }
-  }, [lessonId, onUploadStart, uploadMutation]);
+  }, [onUploadStart, uploadMutation]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.webm'],
+      'video/*': ['.mp4', '.mov', '.mkv', '.webm'],
     },
     maxFiles: 1,
-    maxSize: 500 * 1024 * 1024, // 500MB
+    maxSize: MAX_VIDEO_SIZE,
     disabled: uploadStatus === 'uploading' || uploadStatus === 'processing',
   });
 
+  const cancelUpload = async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    if (uploadedFile) {
+      await cancelChunkedUpload(uploadedFile);
+    }
+    removeVideo();
+    toast('Upload cancelled');
+  };
+
   const removeVideo = () => {
     setVideoPreview(null);
+    setBytesUploaded(0);
     setUploadedFile(null);
     setUploadStatus('idle');
     setUploadProgress(0);
@@ -220,8 +261,9 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
             
             {uploadStatus === 'idle' && (
               <div className="text-xs text-gray-500 space-y-1">
-                <p>Supported formats: MP4, MOV, AVI, MKV, WebM</p>
-                <p>Maximum file size: 500MB</p>
+                <p>Supported formats: MP4, MOV, MKV, WebM</p>
+                <p>Maximum file size: 5GB</p>
+                <p>Interrupted uploads resume where they left off</p>
                 <p>AI transcription and captions will be generated automatically</p>
               </div>
             )}
@@ -255,12 +297,25 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
                       {uploadStatus === 'processing' && processingStatus}
                     </p>
                     {uploadStatus === 'uploading' && (
-                      <div className="w-64 bg-gray-700 rounded-full h-2 mt-4">
-                        <div
-                          className="bg-blue-500 h-2 rounded-full transition-all duration-300"
-                          style={{ width: `${uploadProgress}%` }}
-                        ></div>
-                      </div>
+                      <>
+                        <div className="w-64 bg-gray-700 rounded-full h-2 mt-4">
+                          <div
+                            className="bg-blue-500 h-2 rounded-full transition-all duration-300"
+                            style={{ width: `${uploadProgress}%` }}
+                          ></div>
+                        </div>
+                        {uploadedFile && (
+                          <p className="text-sm text-gray-300 mt-2">
+                            {formatMegabytes(bytesUploaded)} of {formatMegabytes(uploadedFile.size)} MB
+                          </p>
+                        )}
+                        <button
+                          onClick={cancelUpload}
+                          className="mt-3 text-sm text-gray-300 hover:text-white underline"
+                        >
+                          Cancel upload
+                        </button>
+                      </>
                     )}
                   </div>
                 </motion.div>
@@ -277,7 +332,7 @@ const VideoUpload = ({ onUploadComplete, onUploadStart, existingVideoUrl, lesson
                   {uploadedFile?.name || 'Uploaded Video'}
                 </p>
                 <p className="text-xs text-gray-500">
-                  {uploadedFile && `${(uploadedFile.size / (1024 * 1024)).toFixed(1)} MB`}
+                  {uploadedFile && `${formatMegabytes(uploadedFile.size)} MB`}
                   {uploadStatus === 'completed' && ' • Processing complete'}
                   {uploadStatus === 'processing' && ` • ${processingStatus}`}
                 </p>
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { AuthService, handleApiError } from '../../services/api';
+
+// Reminds signed-in users to confirm their email address
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const result = await AuthService.resendVerification();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-warning-50 border-b border-warning-200">
+      <div className="container-custom py-2 flex flex-wrap items-center justify-center gap-2 text-sm text-warning-800">
+        <EnvelopeIcon className="w-4 h-4" />
+        <span>Please confirm your email address using the link we sent to {user.email}.</span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium underline hover:no-underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -2,11 +2,13 @@ import React from 'react';
 import { Outlet } from 'react-router-dom';
 import Header from './Header';
 import Footer from './Footer';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = () => {
   return (
     <div className="min-h-screen flex flex-col bg-secondary-50">
       <Header />
+      <EmailVerificationBanner />
       <main className="flex-1">
         <Outlet />
       </main>
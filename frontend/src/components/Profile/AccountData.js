@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { UserService, handleApiError } from '../../services/api';
+
+// "Your data": download everything we store, or schedule the account for deletion
+const AccountData = () => {
+  const queryClient = useQueryClient();
+  const { user, updateUser } = useAuth();
+  const [showDelete, setShowDelete] = useState(false);
+  const [confirmEmail, setConfirmEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  const { data } = useQuery(['data-export'], UserService.getDataExport, {
+    refetchInterval: (result) => (result?.report?.status === 'pending' ? 3000 : false),
+  });
+  const report = data?.report;
+
+  const exportMutation = useMutation(UserService.requestDataExport, {
+    onSuccess: () => {
+      toast.success('Preparing your data. This can take a few minutes.');
+      queryClient.invalidateQueries(['data-export']);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const deleteMutation = useMutation(UserService.requestAccountDeletion, {
+    onSuccess: (result) => {
+      updateUser({ deletion: { requestedAt: new Date().toISOString(), scheduledFor: result.scheduledFor } });
+      setShowDelete(false);
+      setConfirmEmail('');
+      setPassword('');
+      toast.success('Account deletion scheduled');
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const cancelMutation = useMutation(UserService.cancelAccountDeletion, {
+    onSuccess: () => {
+      updateUser({ deletion: null });
+      toast.success('Account deletion cancelled');
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await UserService.downloadDataExport(report);
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    deleteMutation.mutate({ confirmEmail, password });
+  };
+
+  const scheduledFor = user?.deletion?.scheduledFor;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-xl font-semibold text-secondary-900">
+          Your Data
+        </h3>
+      </div>
+      <div className="card-body space-y-6">
+        <div className="space-y-3">
+          <p className="text-sm text-secondary-600">
+            Download a ZIP with your profile, progress, notes, quiz attempts, learning activity,
+            reviews, certificates and purchases as JSON and CSV files.
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => exportMutation.mutate()}
+              disabled={exportMutation.isLoading || report?.status === 'pending'}
+              className="btn-outline btn-sm"
+            >
+              {report?.status === 'pending' ? 'Preparing...' : 'Export my data'}
+            </button>
+            {report?.status === 'ready' && (
+              <button
+                onClick={handleDownload}
+                disabled={downloading}
+                className="btn-primary btn-sm flex items-center"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                {downloading ? 'Downloading...' : 'Download'}
+              </button>
+            )}
+          </div>
+          {report?.status === 'ready' && (
+            <p className="text-xs text-secondary-500">
+              Created {new Date(report.createdAt).toLocaleString()} · available until{' '}
+              {new Date(report.expiresAt).toLocaleDateString()}
+            </p>
+          )}
+          {report?.status === 'failed' && (
+            <p className="text-xs text-error-600">The last export failed. Please try again.</p>
+          )}
+        </div>
+
+        <div className="border-t border-secondary-100 pt-6 space-y-3">
+          {scheduledFor ? (
+            <div className="flex items-start space-x-3 rounded-lg bg-error-50 p-4">
+              <ExclamationTriangleIcon className="w-6 h-6 text-error-600 flex-shrink-0" />
+              <div className="space-y-2">
+                <p className="text-sm text-secondary-700">
+                  Your account will be deleted on {new Date(scheduledFor).toLocaleDateString()}.
+                </p>
+                <button
+                  onClick={() => cancelMutation.mutate()}
+                  disabled={cancelMutation.isLoading}
+                  className="btn-outline btn-sm"
+                >
+                  Keep my account
+                </button>
+              </div>
+            </div>
+          ) : showDelete ? (
+            <form onSubmit={handleDelete} className="space-y-3">
+              <p className="text-sm text-secondary-600">
+                Your account is deleted after a grace period, during which you can still cancel.
+                Your reviews and learning statistics are kept without your name; everything else is removed.
+              </p>
+              <input
+                type="email"
+                value={confirmEmail}
+                onChange={(e) => setConfirmEmail(e.target.value)}
+                placeholder={`Type ${user?.email} to confirm`}
+                className="input"
+                required
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password (leave empty if you only sign in with Google or SSO)"
+                className="input"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={deleteMutation.isLoading}
+                  className="btn-error btn-sm"
+                >
+                  {deleteMutation.isLoading ? 'Deleting...' : 'Delete my account'}
+                </button>
+                <button type="button" onClick={() => setShowDelete(false)} className="btn-outline btn-sm">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button onClick={() => setShowDelete(true)} className="btn-outline btn-sm text-error-600">
+              Delete account
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+// "Where you're logged in": one row per device with its own sign-out
+const ActiveSessions = () => {
+  const queryClient = useQueryClient();
+  const { logout, logoutAll } = useAuth();
+
+  const { data, isLoading } = useQuery(['auth-sessions'], AuthService.getSessions);
+
+  const revokeMutation = useMutation(
+    (session) => AuthService.revokeSession(session.id),
+    {
+      onSuccess: (result) => {
+        if (result.current) {
+          logout();
+          return;
+        }
+        toast.success('Device signed out');
+        queryClient.invalidateQueries(['auth-sessions']);
+      },
+      onError: (error) => toast.error(handleApiError(error).message),
+    }
+  );
+
+  const handleLogoutAll = () => {
+    if (window.confirm('Sign out of every device, including this one?')) {
+      logoutAll();
+    }
+  };
+
+  const sessions = data?.sessions || [];
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-secondary-900">
+          Where You're Logged In
+        </h3>
+        {sessions.length > 0 && (
+          <button onClick={handleLogoutAll} className="btn-outline btn-sm">
+            Sign out everywhere
+          </button>
+        )}
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <ul className="divide-y divide-secondary-100">
+            {sessions.map(session => {
+              const DeviceIcon = isMobile(session.device) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+              return (
+                <li key={session.id} className="flex items-center justify-between py-3">
+                  <div className="flex items-center space-x-3">
+                    <DeviceIcon className="w-6 h-6 text-secondary-400" />
+                    <div>
+                      <p className="text-sm font-medium text-secondary-900">
+                        {session.device}
+                        {session.current && (
+                          <span className="ml-2 text-xs text-success-600">This device</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-secondary-500">
+                        {session.ip && `${session.ip} · `}
+                        Last active {new Date(session.lastUsedAt).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => revokeMutation.mutate(session)}
+                    disabled={revokeMutation.isLoading}
+                    className="btn-outline btn-sm"
+                  >
+                    Sign out
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
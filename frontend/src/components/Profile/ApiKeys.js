@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { KeyIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import { ApiKeyService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const EXPIRY_OPTIONS = [30, 90, 180, 365];
+
+// Personal API keys for scripts and integrations; a new key is shown once
+const ApiKeys = () => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [newKey, setNewKey] = useState(null);
+
+  const { data, isLoading } = useQuery(['api-keys'], ApiKeyService.getApiKeys);
+
+  const resetForm = () => {
+    setShowForm(false);
+    setName('');
+    setScopes([]);
+    setExpiresInDays(90);
+  };
+
+  const createMutation = useMutation(ApiKeyService.createApiKey, {
+    onSuccess: (result) => {
+      setNewKey(result.key);
+      resetForm();
+      queryClient.invalidateQueries(['api-keys']);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const revokeMutation = useMutation(ApiKeyService.revokeApiKey, {
+    onSuccess: () => {
+      toast.success('API key revoked');
+      queryClient.invalidateQueries(['api-keys']);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const toggleScope = (scope) => {
+    setScopes(current => current.includes(scope)
+      ? current.filter(item => item !== scope)
+      : [...current, scope]);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({ name, scopes, expiresInDays });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (window.confirm(`Revoke "${apiKey.name}"? Integrations using it will stop working.`)) {
+      revokeMutation.mutate(apiKey.id);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  const apiKeys = data?.apiKeys || [];
+  const availableScopes = data?.scopes || {};
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-secondary-900">
+          API Keys
+        </h3>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="btn-outline btn-sm">
+            New key
+          </button>
+        )}
+      </div>
+      <div className="card-body space-y-4">
+        {newKey && (
+          <div className="rounded-lg bg-success-50 p-4 space-y-2">
+            <p className="text-sm text-secondary-700">
+              Copy your new key now. It won't be shown again.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 break-all font-mono text-sm text-secondary-900">{newKey}</code>
+              <button type="button" onClick={handleCopy} className="btn-outline btn-sm flex items-center">
+                <ClipboardDocumentIcon className="w-4 h-4 mr-1" />
+                Copy
+              </button>
+            </div>
+            <button type="button" onClick={() => setNewKey(null)} className="btn-primary btn-sm">
+              Done
+            </button>
+          </div>
+        )}
+
+        {showForm && (
+          <form onSubmit={handleCreate} className="space-y-4">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Key name, e.g. Grade sync script"
+              maxLength={100}
+              className="input"
+              required
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {Object.entries(availableScopes).map(([scope, description]) => (
+                <div key={scope} className="flex items-start">
+                  <input
+                    id={`scope-${scope}`}
+                    type="checkbox"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-secondary-300 rounded mt-1"
+                  />
+                  <label htmlFor={`scope-${scope}`} className="ml-2 block text-sm text-secondary-700">
+                    <span className="font-mono">{scope}</span>
+                    <span className="block text-xs text-secondary-500">{description}</span>
+                  </label>
+                </div>
+              ))}
+            </div>
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(Number(e.target.value))}
+              className="input"
+            >
+              {EXPIRY_OPTIONS.map(days => (
+                <option key={days} value={days}>Expires in {days} days</option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={createMutation.isLoading || !name.trim() || scopes.length === 0}
+                className="btn-primary btn-sm"
+              >
+                {createMutation.isLoading ? 'Creating...' : 'Create key'}
+              </button>
+              <button type="button" onClick={resetForm} className="btn-outline btn-sm">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <p className="text-sm text-secondary-500">
+            Use an API key to let scripts and integrations access your account.
+          </p>
+        ) : (
+          <ul className="divide-y divide-secondary-100">
+            {apiKeys.map(apiKey => (
+              <li key={apiKey.id} className="flex items-center justify-between py-3">
+                <div className="flex items-center space-x-3">
+                  <KeyIcon className="w-6 h-6 text-secondary-400" />
+                  <div>
+                    <p className="text-sm font-medium text-secondary-900">
+                      {apiKey.name}
+                      <span className="ml-2 font-mono text-xs text-secondary-500">{apiKey.prefix}…</span>
+                      {apiKey.expired && (
+                        <span className="ml-2 text-xs text-error-600">Expired</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {apiKey.scopes.join(', ')}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {apiKey.lastUsedAt
+                        ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                        : 'Never used'}
+                      {' · '}
+                      Expires {new Date(apiKey.expiresAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey)}
+                  disabled={revokeMutation.isLoading}
+                  className="btn-outline btn-sm"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { motion } from 'framer-motion';
+import {
+  ClockIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import { QuizService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const LessonQuiz = ({ courseId, lesson, onClose }) => {
+  const queryClient = useQueryClient();
+  const [attempt, setAttempt] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [results, setResults] = useState(null);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const clockOffset = useRef(0);
+
+  const startMutation = useMutation(
+    () => QuizService.startAttempt(courseId, lesson._id),
+    {
+      onSuccess: (data) => {
+        // Keep the countdown in line with the server clock
+        clockOffset.current = new Date(data.serverTime).getTime() - Date.now();
+        setAttempt(data.attempt);
+        setQuestions(data.questions);
+        setAnswers({});
+        setResults(null);
+      },
+      onError: (error) => {
+        toast.error(handleApiError(error).message);
+      },
+    }
+  );
+
+  const submitMutation = useMutation(
+    () => QuizService.submitAttempt(
+      attempt.id,
+      Object.entries(answers).map(([questionId, response]) => ({ questionId, response }))
+    ),
+    {
+      onSuccess: (data) => {
+        setAttempt(data.attempt);
+        setResults(data.results);
+        queryClient.invalidateQueries(['progress', courseId]);
+        toast[data.attempt.passed ? 'success' : 'error'](
+          data.attempt.passed ? 'Quiz passed!' : 'Quiz not passed, try again'
+        );
+      },
+      onError: (error) => {
+        const { message } = handleApiError(error);
+        if (error.response?.data?.attempt) {
+          setAttempt(error.response.data.attempt);
+          setResults([]);
+        }
+        toast.error(message);
+      },
+    }
+  );
+
+  const { mutate: startAttempt } = startMutation;
+  const { mutate: submitAttempt, isLoading: isSubmitting } = submitMutation;
+
+  useEffect(() => {
+    startAttempt();
+  }, [startAttempt]);
+
+  const handleSubmit = useCallback(() => {
+    if (attempt && attempt.status === 'in_progress' && !isSubmitting) {
+      submitAttempt();
+    }
+  }, [attempt, isSubmitting, submitAttempt]);
+
+  // Countdown; submit whatever has been answered when time runs out
+  useEffect(() => {
+    if (!attempt || attempt.status !== 'in_progress') return undefined;
+
+    const tick = () => {
+      const remaining = new Date(attempt.expiresAt).getTime() - (Date.now() + clockOffset.current);
+      setTimeLeft(Math.max(0, Math.floor(remaining / 1000)));
+      if (remaining <= 0) {
+        handleSubmit();
+      }
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [attempt, handleSubmit]);
+
+  const setAnswer = (questionId, response) => {
+    setAnswers(prev => ({ ...prev, [questionId]: response }));
+  };
+
+  const formatTimeLeft = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+  };
+
+  const renderQuestionInput = (question) => {
+    if (question.type === 'short_answer') {
+      return (
+        <input
+          type="text"
+          value={answers[question._id] || ''}
+          onChange={(e) => setAnswer(question._id, e.target.value)}
+          className="input w-full"
+          placeholder="Your answer"
+        />
+      );
+    }
+
+    const options = question.type === 'true_false' && question.options.length === 0
+      ? [{ _id: 'true', text: 'True' }, { _id: 'false', text: 'False' }]
+      : question.options;
+
+    return (
+      <div className="space-y-2">
+        {options.map(option => (
+          <label
+            key={option._id}
+            className="flex items-center p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50"
+          >
+            <input
+              type="radio"
+              name={question._id}
+              checked={answers[question._id] === option._id}
+              onChange={() => setAnswer(question._id, option._id)}
+              className="mr-3"
+            />
+            <span className="text-gray-900">{option.text}</span>
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  const isFinished = attempt && attempt.status !== 'in_progress';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white rounded-xl w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              {lesson.title} - Quiz
+            </h3>
+            {attempt && (
+              <p className="text-sm text-gray-600">
+                Attempt {attempt.attemptNumber} · Passing score {attempt.passingScore}%
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-4">
+            {attempt && !isFinished && timeLeft !== null && (
+              <div className={`flex items-center text-sm font-medium ${
+                timeLeft < 60 ? 'text-red-600' : 'text-gray-700'
+              }`}>
+                <ClockIcon className="w-4 h-4 mr-1" />
+                {formatTimeLeft(timeLeft)}
+              </div>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-6">
+          {startMutation.isLoading && (
+            <LoadingSpinner size="lg" text="Preparing quiz..." />
+          )}
+
+          {isFinished && (
+            <div className={`p-4 rounded-lg mb-6 ${
+              attempt.passed ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+            }`}>
+              <p className="text-2xl font-bold">{attempt.score}%</p>
+              <p className="text-sm">
+                {attempt.status === 'expired'
+                  ? 'Time limit exceeded'
+                  : `${attempt.earnedPoints} of ${attempt.totalPoints} points`}
+              </p>
+            </div>
+          )}
+
+          <div className="space-y-6">
+            {questions.map((question, index) => {
+              const result = results?.find(r => r.questionId === question._id);
+
+              return (
+                <div key={question._id}>
+                  <div className="flex items-start mb-3">
+                    <span className="font-medium text-gray-900 mr-2">{index + 1}.</span>
+                    <p className="font-medium text-gray-900 flex-1">{question.question}</p>
+                    {result && (
+                      result.isCorrect
+                        ? <CheckCircleIcon className="w-5 h-5 text-green-600" />
+                        : <XCircleIcon className="w-5 h-5 text-red-600" />
+                    )}
+                  </div>
+                  {!isFinished && renderQuestionInput(question)}
+                  {result?.explanation && (
+                    <p className="text-sm text-gray-600 mt-2">{result.explanation}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          {isFinished ? (
+            <>
+              <button onClick={onClose} className="btn-outline btn-sm">
+                Close
+              </button>
+              {!attempt.passed && (
+                <button onClick={() => startAttempt()} className="btn-primary btn-sm">
+                  Try Again
+                </button>
+              )}
+            </>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={!attempt || isSubmitting}
+              className="btn-primary btn-sm"
+            >
+              {isSubmitting ? <LoadingSpinner size="sm" color="white" /> : 'Submit Quiz'}
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default LessonQuiz;
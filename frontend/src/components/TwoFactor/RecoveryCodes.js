@@ -0,0 +1,59 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { ClipboardDocumentIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+// One-time display of freshly generated recovery codes
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = window.URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', 'vlp-recovery-codes.txt');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-secondary-600">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+        access to your authenticator app. They won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-secondary-50 rounded-lg p-4">
+        {codes.map(code => (
+          <li key={code} className="text-center text-secondary-900">{code}</li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleCopy} className="btn-outline btn-sm flex items-center">
+          <ClipboardDocumentIcon className="w-4 h-4 mr-1" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-outline btn-sm flex items-center">
+          <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+          Download
+        </button>
+        {onDone && (
+          <button type="button" onClick={onDone} className="btn-primary btn-sm ml-auto">
+            I've saved my codes
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// Second login step: a code from the authenticator app or a recovery code
+const TwoFactorChallenge = ({ challengeToken, onSuccess, onExpired }) => {
+  const { verifyTwoFactor } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await verifyTwoFactor(challengeToken, code.trim());
+    setSubmitting(false);
+
+    if (result.success) {
+      onSuccess(result.user);
+    } else if (result.expired) {
+      onExpired();
+    } else {
+      setCode('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <label htmlFor="two-factor-code" className="block text-sm font-medium text-secondary-700 mb-2">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          id="two-factor-code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={useRecoveryCode ? 9 : 6}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="input"
+          placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+        />
+        <p className="mt-1 text-sm text-secondary-500">
+          {useRecoveryCode
+            ? 'Each recovery code can only be used once.'
+            : 'Open your authenticator app and enter the 6-digit code.'}
+        </p>
+      </div>
+
+      <button type="submit" disabled={submitting || !code.trim()} className="btn-primary w-full btn-lg">
+        {submitting ? <LoadingSpinner size="sm" color="white" /> : 'Verify'}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+          }}
+          className="text-primary-600 hover:text-primary-500 font-medium"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" onClick={onExpired} className="text-secondary-500 hover:text-secondary-700">
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+// Two-factor authentication section of the profile page
+const TwoFactorSettings = () => {
+  const queryClient = useQueryClient();
+  const { updateUser } = useAuth();
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [newCodes, setNewCodes] = useState(null);
+
+  const { data: status, isLoading } = useQuery(['two-factor'], AuthService.getTwoFactorStatus);
+
+  const refresh = () => queryClient.invalidateQueries(['two-factor']);
+
+  const reset = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleEnabled = () => {
+    reset();
+    updateUser({ twoFactorEnabled: true });
+    refresh();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      if (mode === 'disable') {
+        await AuthService.disableTwoFactor(code.trim(), password);
+        updateUser({ twoFactorEnabled: false });
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const result = await AuthService.regenerateRecoveryCodes(code.trim());
+        setNewCodes(result.recoveryCodes);
+      }
+      reset();
+      refresh();
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-secondary-900">
+          Two-Factor Authentication
+        </h3>
+        {status?.enabled && (
+          <span className="flex items-center text-sm text-success-600">
+            <ShieldCheckIcon className="w-5 h-5 mr-1" />
+            On
+          </span>
+        )}
+      </div>
+      <div className="card-body space-y-4">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : newCodes ? (
+          <RecoveryCodes codes={newCodes} onDone={() => setNewCodes(null)} />
+        ) : mode === 'setup' ? (
+          <TwoFactorSetup onDone={handleEnabled} onCancel={reset} />
+        ) : !status?.enabled ? (
+          <>
+            <p className="text-sm text-secondary-600">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            {status?.required && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+                Your administrator requires two-factor authentication for your account.
+              </p>
+            )}
+            <button onClick={() => setMode('setup')} className="btn-primary">
+              Set up two-factor authentication
+            </button>
+          </>
+        ) : mode ? (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <p className="text-sm text-secondary-600">
+              {mode === 'disable'
+                ? 'Enter a code from your authenticator app (or a recovery code) to turn off two-factor authentication.'
+                : 'Enter a code from your authenticator app to replace your recovery codes. Your old codes will stop working.'}
+            </p>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input"
+              placeholder="Authentication code"
+            />
+            {mode === 'disable' && (
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+                placeholder="Password (not needed for Google sign-in accounts)"
+              />
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={submitting || !code.trim()}
+                className={mode === 'disable' ? 'btn-error' : 'btn-primary'}
+              >
+                {submitting ? 'Please wait...' : mode === 'disable' ? 'Disable' : 'Generate new codes'}
+              </button>
+              <button type="button" onClick={reset} className="btn-outline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <p className="text-sm text-secondary-600">
+              Enabled {status.enabledAt && `on ${new Date(status.enabledAt).toLocaleDateString()}`}.
+              {' '}{status.recoveryCodesRemaining} recovery codes left.
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => setMode('regenerate')} className="btn-outline btn-sm">
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button onClick={() => setMode('disable')} className="btn-outline btn-sm text-error-600">
+                  Disable
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import RecoveryCodes from './RecoveryCodes';
+
+// Authenticator enrollment: scan the QR code, confirm a code, save the recovery codes.
+// With a challengeToken this finishes a login, and onDone receives the new tokens.
+const TwoFactorSetup = ({ challengeToken, onDone, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  // Each setup call replaces the secret, so only request one when effects run twice in development
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    AuthService.setupTwoFactor(challengeToken)
+      .then(setSetup)
+      .catch((error) => {
+        toast.error(handleApiError(error).message);
+        if (onCancel) onCancel();
+      });
+  }, [challengeToken, onCancel]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      setResult(await AuthService.enableTwoFactor(code.trim(), challengeToken));
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onDone(result)} />;
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-secondary-600">
+        Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.
+      </p>
+      <img src={setup.qrCode} alt="Authenticator QR code" className="w-48 h-48 mx-auto" />
+      <p className="text-xs text-secondary-500 text-center">
+        Can't scan it? Enter this key instead:
+        <span className="block font-mono text-sm text-secondary-900 break-all mt-1">{setup.secret}</span>
+      </p>
+      <form onSubmit={handleSubmit} className="flex items-end gap-2">
+        <div className="flex-1">
+          <label htmlFor="two-factor-setup-code" className="block text-sm font-medium text-secondary-700 mb-2">
+            Code from the app
+          </label>
+          <input
+            id="two-factor-setup-code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="input"
+            placeholder="123456"
+          />
+        </div>
+        <button type="submit" disabled={submitting || code.trim().length !== 6} className="btn-primary">
+          {submitting ? 'Verifying...' : 'Enable'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-outline">
+            Cancel
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
+import Hls from 'hls.js';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   FaPlay,
@@ -18,18 +19,28 @@ import {
 } from 'react-icons/fa';
 import { MdSpeed, MdPictureInPicture, MdHighQuality } from 'react-icons/md';
 
+const AUTO_QUALITY = -1;
+
+const isHlsSource = (url) => /\.m3u8($|\?)/.test(url || '');
+
 const EnhancedVideoPlayer = ({
   src,
+  fallbackSrc,
+  poster,
+  previewSprite,
   captions,
   onTimeUpdate,
   onPlay,
   onPause,
   onSeek,
+  onEnded,
   onNoteCreate,
+  onBookmarkCreate,
   showNotesPanel = true
 }) => {
   const videoRef = useRef(null);
   const progressRef = useRef(null);
+  const hlsRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -42,14 +53,82 @@ const EnhancedVideoPlayer = ({
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
   const [showSpeedMenu, setShowSpeedMenu] = useState(false);
   const [showQualityMenu, setShowQualityMenu] = useState(false);
-  const [quality, setQuality] = useState('1080p');
+  const [qualityLevels, setQualityLevels] = useState([]);
+  const [quality, setQuality] = useState(AUTO_QUALITY);
+  const [activeLevel, setActiveLevel] = useState(null);
   const [buffered, setBuffered] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [showBookmarkTooltip, setShowBookmarkTooltip] = useState(false);
   const [bookmarks, setBookmarks] = useState([]);
+  const [hoverPreview, setHoverPreview] = useState(null);
 
   const controlsTimeout = useRef(null);
 
+  // Attach the source; HLS playlists go through hls.js so renditions can be switched
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !src) return undefined;
+
+    setQualityLevels([]);
+    setQuality(AUTO_QUALITY);
+    setActiveLevel(null);
+    setIsLoading(true);
+
+    if (!isHlsSource(src)) {
+      video.src = src;
+      return undefined;
+    }
+
+    if (!Hls.isSupported()) {
+      // Safari plays HLS natively and picks renditions itself
+      video.src = video.canPlayType('application/vnd.apple.mpegurl') ? src : (fallbackSrc || src);
+      return undefined;
+    }
+
+    const hls = new Hls({ capLevelToPlayerSize: true });
+    hlsRef.current = hls;
+
+    hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+      setQualityLevels(
+        data.levels
+          .map((level, index) => ({ index, height: level.height, bitrate: level.bitrate }))
+          .sort((a, b) => b.height - a.height)
+      );
+    });
+
+    hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+      setActiveLevel(data.level);
+    });
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+
+      switch (data.type) {
+        case Hls.ErrorTypes.NETWORK_ERROR:
+          hls.startLoad();
+          break;
+        case Hls.ErrorTypes.MEDIA_ERROR:
+          hls.recoverMediaError();
+          break;
+        default:
+          console.error('HLS playback error:', data);
+          hls.destroy();
+          hlsRef.current = null;
+          if (fallbackSrc) {
+            video.src = fallbackSrc;
+          }
+      }
+    });
+
+    hls.loadSource(src);
+    hls.attachMedia(video);
+
+    return () => {
+      hls.destroy();
+      hlsRef.current = null;
+    };
+  }, [src, fallbackSrc]);
+
   useEffect(() => {
     const video = videoRef.current;
     if (!video) return;
@@ -86,6 +165,11 @@ const EnhancedVideoPlayer = ({
       if (onPause) onPause();
     };
 
+    const handleEnded = () => {
+      setIsPlaying(false);
+      if (onEnded) onEnded();
+    };
+
     const handleWaiting = () => setIsLoading(true);
     const handleCanPlay = () => setIsLoading(false);
 
@@ -93,6 +177,7 @@ const EnhancedVideoPlayer = ({
     video.addEventListener('loadedmetadata', handleLoadedMetadata);
     video.addEventListener('play', handlePlay);
     video.addEventListener('pause', handlePause);
+    video.addEventListener('ended', handleEnded);
     video.addEventListener('waiting', handleWaiting);
     video.addEventListener('canplay', handleCanPlay);
 
@@ -101,10 +186,31 @@ const EnhancedVideoPlayer = ({
       video.removeEventListener('loadedmetadata', handleLoadedMetadata);
       video.removeEventListener('play', handlePlay);
       video.removeEventListener('pause', handlePause);
+      video.removeEventListener('ended', handleEnded);
       video.removeEventListener('waiting', handleWaiting);
       video.removeEventListener('canplay', handleCanPlay);
     };
-  }, [captions, showCaptions, onTimeUpdate, onPlay, onPause]);
+  }, [captions, showCaptions, onTimeUpdate, onPlay, onPause, onEnded]);
+
+  // Space toggles playback unless the user is typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== ' ' || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+      const video = videoRef.current;
+      if (!video) return;
+
+      e.preventDefault();
+      if (video.paused) {
+        video.play().catch(error => console.error('Playback error:', error));
+      } else {
+        video.pause();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const updateBuffered = () => {
     const video = videoRef.current;
@@ -141,6 +247,34 @@ const EnhancedVideoPlayer = ({
     if (onSeek) onSeek(newTime);
   };
 
+  const handleProgressHover = (e) => {
+    if (!duration) return;
+
+    const rect = progressRef.current.getBoundingClientRect();
+    const pos = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+
+    setHoverPreview({
+      time: pos * duration,
+      left: pos * rect.width,
+      width: rect.width
+    });
+  };
+
+  // Background offset of the sprite tile closest to the hovered time
+  const getSpriteFrameStyle = (time) => {
+    const frame = Math.min(Math.floor(time / previewSprite.interval), previewSprite.count - 1);
+    const column = frame % previewSprite.columns;
+    const row = Math.floor(frame / previewSprite.columns);
+
+    return {
+      width: previewSprite.frameWidth,
+      height: previewSprite.frameHeight,
+      backgroundImage: `url(${previewSprite.url})`,
+      backgroundPosition: `-${column * previewSprite.frameWidth}px -${row * previewSprite.frameHeight}px`,
+      backgroundRepeat: 'no-repeat'
+    };
+  };
+
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value);
     setVolume(newVolume);
@@ -175,10 +309,18 @@ const EnhancedVideoPlayer = ({
     setShowSpeedMenu(false);
   };
 
-  const changeQuality = (newQuality) => {
-    setQuality(newQuality);
+  const changeQuality = (levelIndex) => {
+    if (hlsRef.current) {
+      // Switches immediately and flushes the buffer; AUTO_QUALITY re-enables ABR
+      hlsRef.current.currentLevel = levelIndex;
+    }
+    setQuality(levelIndex);
     setShowQualityMenu(false);
-    // In production, this would reload the video with different quality
+  };
+
+  const getQualityLabel = (levelIndex) => {
+    const level = qualityLevels.find(l => l.index === levelIndex);
+    return level ? `${level.height}p` : '';
   };
 
   const skip = (seconds) => {
@@ -194,6 +336,7 @@ const EnhancedVideoPlayer = ({
     setBookmarks([...bookmarks, newBookmark]);
     setShowBookmarkTooltip(true);
     setTimeout(() => setShowBookmarkTooltip(false), 2000);
+    if (onBookmarkCreate) onBookmarkCreate(currentTime);
   };
 
   const togglePictureInPicture = async () => {
@@ -236,9 +379,9 @@ const EnhancedVideoPlayer = ({
       {/* Video Element */}
       <video
         ref={videoRef}
-        src={src}
         className="w-full h-full object-contain"
         onClick={togglePlay}
+        poster={poster}
         preload="metadata"
         crossOrigin="anonymous"
       />
@@ -300,7 +443,33 @@ const EnhancedVideoPlayer = ({
                 ref={progressRef}
                 className="relative h-1 bg-gray-600 rounded-full cursor-pointer group/progress"
                 onClick={handleSeek}
+                onMouseMove={handleProgressHover}
+                onMouseLeave={() => setHoverPreview(null)}
               >
+                {/* Hover Preview */}
+                {hoverPreview && (
+                  <div
+                    className="absolute bottom-4 flex flex-col items-center pointer-events-none"
+                    style={{
+                      left: Math.min(
+                        Math.max(hoverPreview.left, (previewSprite?.frameWidth || 0) / 2),
+                        hoverPreview.width - (previewSprite?.frameWidth || 0) / 2
+                      ),
+                      transform: 'translateX(-50%)'
+                    }}
+                  >
+                    {previewSprite?.url && (
+                      <div
+                        className="rounded border border-white/70 shadow-lg bg-black"
+                        style={getSpriteFrameStyle(hoverPreview.time)}
+                      />
+                    )}
+                    <span className="mt-1 px-1.5 py-0.5 text-xs text-white bg-black bg-opacity-80 rounded">
+                      {formatTime(hoverPreview.time)}
+                    </span>
+                  </div>
+                )}
+
                 {/* Buffered */}
                 <div 
                   className="absolute h-full bg-gray-500 rounded-full"
@@ -449,39 +618,49 @@ const EnhancedVideoPlayer = ({
                   </AnimatePresence>
                 </div>
 
-                {/* Quality */}
-                <div className="relative">
-                  <button
-                    onClick={() => setShowQualityMenu(!showQualityMenu)}
-                    className="text-white hover:text-primary-400 transition-colors"
-                    title="Video quality"
-                  >
-                    <MdHighQuality size={22} />
-                  </button>
-                  
-                  <AnimatePresence>
-                    {showQualityMenu && (
-                      <motion.div
-                        initial={{ opacity: 0, y: 10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        exit={{ opacity: 0, y: 10 }}
-                        className="absolute bottom-full right-0 mb-2 bg-gray-800 rounded-lg shadow-xl overflow-hidden"
-                      >
-                        {['1080p', '720p', '480p', '360p', 'Auto'].map(q => (
+                {/* Quality (only when the source has several renditions) */}
+                {qualityLevels.length > 1 && (
+                  <div className="relative">
+                    <button
+                      onClick={() => setShowQualityMenu(!showQualityMenu)}
+                      className="text-white hover:text-primary-400 transition-colors"
+                      title="Video quality"
+                    >
+                      <MdHighQuality size={22} />
+                    </button>
+                    
+                    <AnimatePresence>
+                      {showQualityMenu && (
+                        <motion.div
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          exit={{ opacity: 0, y: 10 }}
+                          className="absolute bottom-full right-0 mb-2 bg-gray-800 rounded-lg shadow-xl overflow-hidden"
+                        >
+                          {qualityLevels.map(level => (
+                            <button
+                              key={level.index}
+                              onClick={() => changeQuality(level.index)}
+                              className={`block w-full px-4 py-2 text-sm text-left hover:bg-gray-700 transition-colors ${
+                                quality === level.index ? 'text-primary-400' : 'text-white'
+                              }`}
+                            >
+                              {level.height}p
+                            </button>
+                          ))}
                           <button
-                            key={q}
-                            onClick={() => changeQuality(q)}
-                            className={`block w-full px-4 py-2 text-sm text-left hover:bg-gray-700 transition-colors ${
-                              quality === q ? 'text-primary-400' : 'text-white'
+                            onClick={() => changeQuality(AUTO_QUALITY)}
+                            className={`block w-full px-4 py-2 text-sm text-left hover:bg-gray-700 transition-colors whitespace-nowrap ${
+                              quality === AUTO_QUALITY ? 'text-primary-400' : 'text-white'
                             }`}
                           >
-                            {q}
+                            Auto{quality === AUTO_QUALITY && activeLevel !== null && ` (${getQualityLabel(activeLevel)})`}
                           </button>
-                        ))}
-                      </motion.div>
-                    )}
-                  </AnimatePresence>
-                </div>
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  </div>
+                )}
 
                 {/* Picture in Picture */}
                 <button
@@ -17,6 +17,7 @@ const VideoPlayer = ({
   onTimeUpdate,
   onPlay,
   onPause,
+  onEnded,
   onSeek,
   onVolumeChange,
   onFullscreen,
@@ -70,6 +71,12 @@ const VideoPlayer = ({
         }
       };
       
+      const handleEnded = () => {
+        if (onEnded) {
+          onEnded();
+        }
+      };
+      
       const handleVolumeChange = () => {
         if (onVolumeChange) {
           onVolumeChange(video.volume);
@@ -80,6 +87,7 @@ const VideoPlayer = ({
       video.addEventListener('loadedmetadata', handleLoadedMetadata);
       video.addEventListener('play', handlePlay);
       video.addEventListener('pause', handlePause);
+      video.addEventListener('ended', handleEnded);
       video.addEventListener('volumechange', handleVolumeChange);
       
       return () => {
@@ -88,11 +96,12 @@ const VideoPlayer = ({
           video.removeEventListener('loadedmetadata', handleLoadedMetadata);
           video.removeEventListener('play', handlePlay);
           video.removeEventListener('pause', handlePause);
+          video.removeEventListener('ended', handleEnded);
           video.removeEventListener('volumechange', handleVolumeChange);
         }
       };
     }
-  }, [captions, showCaptions, onTimeUpdate, onPlay, onPause, onVolumeChange]);
+  }, [captions, showCaptions, onTimeUpdate, onPlay, onPause, onEnded, onVolumeChange]);
 
   const togglePlay = async () => {
     if (videoRef.current) {
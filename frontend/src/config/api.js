@@ -13,8 +13,8 @@ export const getVideoUrl = (videoPath) => {
     return videoPath;
   }
   
-  // If it starts with /videos/, prepend base URL
-  if (videoPath.startsWith('/videos/')) {
+  // Signed stream URLs and /videos/ paths are served by the backend
+  if (videoPath.startsWith('/api/stream/') || videoPath.startsWith('/videos/')) {
     return `${API_CONFIG.BASE_URL}${videoPath}`;
   }
   
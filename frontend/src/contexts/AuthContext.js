@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { authAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
@@ -100,6 +100,8 @@ export const useAuth = () => {
 // Auth Provider component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  // Refresh tokens are single-use, so requests failing together must share one refresh
+  const refreshPromise = useRef(null);
 
   // Set up axios interceptor for token refresh
   useEffect(() => {
@@ -118,14 +120,23 @@ export const AuthProvider = ({ children }) => {
       async (error) => {
         const originalRequest = error.config;
 
-        if (error.response?.status === 401 && !originalRequest._retry) {
+        // Requests sent without a token (login steps) have nothing to refresh
+        const skipRefresh = !originalRequest.headers?.Authorization ||
+          ['/auth/refresh', '/auth/logout'].some((url) => originalRequest.url?.includes(url));
+
+        if (error.response?.status === 401 && !originalRequest._retry && !skipRefresh) {
           originalRequest._retry = true;
 
           if (state.refreshToken) {
             try {
-              const response = await authAPI.post('/auth/refresh', {
-                refreshToken: state.refreshToken,
-              });
+              if (!refreshPromise.current) {
+                refreshPromise.current = authAPI
+                  .post('/auth/refresh', { refreshToken: state.refreshToken })
+                  .finally(() => {
+                    refreshPromise.current = null;
+                  });
+              }
+              const response = await refreshPromise.current;
 
               const { token, refreshToken } = response.data;
               
@@ -205,18 +216,14 @@ export const AuthProvider = ({ children }) => {
         password,
       });
 
-      const { user, token, refreshToken } = response.data;
-
-      // Store tokens
-      localStorage.setItem('token', token);
-      localStorage.setItem('refreshToken', refreshToken);
-
-      dispatch({
-        type: AUTH_ACTIONS.AUTH_SUCCESS,
-        payload: { user, token, refreshToken },
-      });
+      // Password was right; the caller asks for the second factor
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        const { challengeToken, setupRequired } = response.data;
+        return { success: false, twoFactor: { challengeToken, setupRequired } };
+      }
 
-      toast.success(`Welcome back, ${user.name}!`);
+      const user = completeLogin(response.data);
       return { success: true, user };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
@@ -229,6 +236,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Store the tokens from a finished sign-in
+  const completeLogin = ({ user, token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    dispatch({
+      type: AUTH_ACTIONS.AUTH_SUCCESS,
+      payload: { user, token, refreshToken },
+    });
+
+    toast.success(`Welcome back, ${user.name}!`);
+    return user;
+  };
+
+  // Second login step with an authenticator or recovery code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.post('/auth/2fa/verify', { challengeToken, code });
+      const user = completeLogin(response.data);
+
+      if (response.data.recoveryCodesRemaining !== undefined) {
+        toast(`You have ${response.data.recoveryCodesRemaining} recovery codes left`);
+      }
+      return { success: true, user };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message, expired: error.response?.status === 401 };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -246,7 +284,7 @@ export const AuthProvider = ({ children }) => {
         payload: { user, token, refreshToken },
       });
 
-      toast.success(`Welcome to VLP, ${user.name}!`);
+      toast.success(`Welcome to VLP, ${user.name}! Check your inbox to confirm your email.`);
       return { success: true, user };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -278,6 +316,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Logout from every device, including this one
+  const logoutAll = async () => {
+    try {
+      await authAPI.post('/auth/logout-all');
+    } catch (error) {
+      console.error('Logout all error:', error);
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success('Logged out from all devices');
+    }
+  };
+
   // Update user profile
   const updateUser = (userData) => {
     dispatch({
@@ -294,12 +347,21 @@ export const AuthProvider = ({ children }) => {
   // Change password
   const changePassword = async (currentPassword, newPassword) => {
     try {
-      await authAPI.post('/auth/change-password', {
+      const response = await authAPI.post('/auth/change-password', {
         currentPassword,
         newPassword,
       });
       
-      toast.success('Password changed successfully');
+      // Other devices were signed out; this one continues with a new session
+      const { token, refreshToken } = response.data;
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      dispatch({
+        type: AUTH_ACTIONS.AUTH_SUCCESS,
+        payload: { user: state.user, token, refreshToken },
+      });
+      
+      toast.success('Password changed. Other devices have been signed out');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to change password';
@@ -336,6 +398,9 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
+    verifyTwoFactor,
+    completeLogin,
     updateUser,
     clearError,
     changePassword,
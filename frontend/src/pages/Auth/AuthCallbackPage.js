@@ -16,7 +16,7 @@ const AuthCallbackPage = () => {
       const error = searchParams.get('error');
 
       if (error) {
-        toast.error('Authentication failed. Please try again.');
+        toast.error(searchParams.get('message') || 'Authentication failed. Please try again.');
         navigate('/login');
         return;
       }
@@ -24,7 +24,7 @@ const AuthCallbackPage = () => {
       if (token && refreshToken) {
         const result = handleGoogleCallback(token, refreshToken);
         if (result.success) {
-          toast.success('Successfully signed in with Google!');
+          toast.success(`Successfully signed in with ${searchParams.get('provider') || 'Google'}!`);
           navigate('/dashboard');
         } else {
           toast.error('Authentication failed. Please try again.');
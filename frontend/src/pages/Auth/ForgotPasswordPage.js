@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { BookOpenIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const ForgotPasswordPage = () => {
+  const [sentTo, setSentTo] = useState(null);
+  const [error, setError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setError(null);
+    try {
+      await AuthService.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (requestError) {
+      setError(handleApiError(requestError).message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        {/* Header */}
+        <div className="text-center">
+          <Link to="/" className="flex items-center justify-center space-x-2 mb-6">
+            <div className="w-10 h-10 bg-gradient-to-br from-primary-500 to-primary-700 rounded-xl flex items-center justify-center">
+              <BookOpenIcon className="w-6 h-6 text-white" />
+            </div>
+            <span className="text-2xl font-display font-bold text-secondary-900">
+              VLP
+            </span>
+          </Link>
+          <h2 className="text-3xl font-display font-bold text-secondary-900 mb-2">
+            Forgot your password?
+          </h2>
+          <p className="text-secondary-600">
+            Enter your email and we'll send you a link to choose a new one
+          </p>
+        </div>
+
+        <div className="card">
+          <div className="card-body">
+            {sentTo ? (
+              <div className="text-center space-y-3">
+                <EnvelopeIcon className="w-12 h-12 text-primary-600 mx-auto" />
+                <p className="text-secondary-700">
+                  If an account exists for <span className="font-medium">{sentTo}</span>, a password reset
+                  link is on its way. The link expires in one hour.
+                </p>
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <div className="bg-error-50 border border-error-200 text-error-700 px-4 py-3 rounded-lg mb-6">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                  <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
+                      Email Address
+                    </label>
+                    <input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      className={`input ${errors.email ? 'input-error' : ''}`}
+                      placeholder="Enter your email"
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: 'Invalid email address',
+                        },
+                      })}
+                    />
+                    {errors.email && (
+                      <p className="mt-1 text-sm text-error-600">
+                        {errors.email.message}
+                      </p>
+                    )}
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="btn-primary w-full btn-lg"
+                  >
+                    {isSubmitting ? (
+                      <LoadingSpinner size="sm" color="white" />
+                    ) : (
+                      'Send reset link'
+                    )}
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="text-center">
+          <p className="text-secondary-600">
+            Remembered it?{' '}
+            <Link
+              to="/login"
+              className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+            >
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -1,41 +1,78 @@
 import React, { useState } from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
-import { EyeIcon, EyeSlashIcon, BookOpenIcon } from '@heroicons/react/24/outline';
+import { AuthService } from '../../services/api';
+import { EyeIcon, EyeSlashIcon, BookOpenIcon, BuildingLibraryIcon } from '@heroicons/react/24/outline';
 import { FaGoogle } from 'react-icons/fa';
 import { motion } from 'framer-motion';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import TwoFactorChallenge from '../../components/TwoFactor/TwoFactorChallenge';
+import TwoFactorSetup from '../../components/TwoFactor/TwoFactorSetup';
 
 const LoginPage = () => {
-  const { login, loading, error, clearError } = useAuth();
+  const { login, completeLogin, loading, error, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [showPassword, setShowPassword] = useState(false);
+  // Set when the password (or Google sign-in) was accepted but a second factor is needed
+  const [challenge, setChallenge] = useState(() => (
+    searchParams.get('challenge')
+      ? { challengeToken: searchParams.get('challenge'), setupRequired: searchParams.get('setup') === '1' }
+      : null
+  ));
 
   const from = location.state?.from?.pathname || '/dashboard';
 
+  const { data: ssoData } = useQuery(['sso-providers'], AuthService.getSsoProviders, {
+    staleTime: 5 * 60 * 1000,
+  });
+  const ssoProviders = ssoData?.providers || [];
+
   const {
     register,
     handleSubmit,
     formState: { errors, isSubmitting },
   } = useForm();
 
+  const redirectAfterLogin = (user) => {
+    // Check if user is instructor and redirect accordingly
+    if (user?.role === 'instructor') {
+      navigate('/instructor/dashboard', { replace: true });
+    } else {
+      navigate(from, { replace: true });
+    }
+  };
+
   const onSubmit = async (data) => {
     clearError();
     const result = await login(data.email, data.password);
     if (result.success) {
-      // Check if user is instructor and redirect accordingly
-      if (result.user?.role === 'instructor') {
-        navigate('/instructor/dashboard', { replace: true });
-      } else {
-        navigate(from, { replace: true });
-      }
+      redirectAfterLogin(result.user);
+    } else if (result.twoFactor) {
+      setChallenge(result.twoFactor);
     }
   };
 
+  const cancelChallenge = () => {
+    setChallenge(null);
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleSetupDone = (result) => {
+    redirectAfterLogin(completeLogin(result));
+  };
+
+  const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
   const handleGoogleLogin = () => {
-    window.location.href = `${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/auth/google`;
+    window.location.href = `${apiUrl}/auth/google`;
+  };
+
+  const handleSsoLogin = (providerId) => {
+    window.location.href = `${apiUrl}/auth/sso/${providerId}/login`;
   };
 
   return (
@@ -57,148 +94,183 @@ const LoginPage = () => {
             </span>
           </Link>
           <h2 className="text-3xl font-display font-bold text-secondary-900 mb-2">
-            Welcome Back
+            {challenge ? 'Two-Step Verification' : 'Welcome Back'}
           </h2>
           <p className="text-secondary-600">
-            Sign in to continue your learning journey
+            {!challenge
+              ? 'Sign in to continue your learning journey'
+              : challenge.setupRequired
+                ? 'Your account requires an authenticator app. Set one up to finish signing in'
+                : 'Enter the code from your authenticator app'}
           </p>
         </div>
 
         {/* Login Form */}
         <div className="card">
           <div className="card-body">
-            {error && (
-              <motion.div
-                initial={{ opacity: 0, scale: 0.95 }}
-                animate={{ opacity: 1, scale: 1 }}
-                className="bg-error-50 border border-error-200 text-error-700 px-4 py-3 rounded-lg mb-6"
-              >
-                {error}
-              </motion.div>
-            )}
-
-            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-              {/* Email Field */}
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
-                  Email Address
-                </label>
-                <input
-                  id="email"
-                  type="email"
-                  autoComplete="email"
-                  className={`input ${errors.email ? 'input-error' : ''}`}
-                  placeholder="Enter your email"
-                  {...register('email', {
-                    required: 'Email is required',
-                    pattern: {
-                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                      message: 'Invalid email address',
-                    },
-                  })}
+            {challenge ? (
+              challenge.setupRequired ? (
+                <TwoFactorSetup
+                  challengeToken={challenge.challengeToken}
+                  onDone={handleSetupDone}
+                  onCancel={cancelChallenge}
+                />
+              ) : (
+                <TwoFactorChallenge
+                  challengeToken={challenge.challengeToken}
+                  onSuccess={redirectAfterLogin}
+                  onExpired={cancelChallenge}
                 />
-                {errors.email && (
-                  <p className="mt-1 text-sm text-error-600">
-                    {errors.email.message}
-                  </p>
+              )
+            ) : (
+              <>
+                {error && (
+                  <motion.div
+                    initial={{ opacity: 0, scale: 0.95 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                    className="bg-error-50 border border-error-200 text-error-700 px-4 py-3 rounded-lg mb-6"
+                  >
+                    {error}
+                  </motion.div>
                 )}
-              </div>
-
-              {/* Password Field */}
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
-                  Password
-                </label>
-                <div className="relative">
-                  <input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    autoComplete="current-password"
-                    className={`input pr-10 ${errors.password ? 'input-error' : ''}`}
-                    placeholder="Enter your password"
-                    {...register('password', {
-                      required: 'Password is required',
-                      minLength: {
-                        value: 6,
-                        message: 'Password must be at least 6 characters',
-                      },
-                    })}
-                  />
+
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                  {/* Email Field */}
+                  <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
+                      Email Address
+                    </label>
+                    <input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      className={`input ${errors.email ? 'input-error' : ''}`}
+                      placeholder="Enter your email"
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: 'Invalid email address',
+                        },
+                      })}
+                    />
+                    {errors.email && (
+                      <p className="mt-1 text-sm text-error-600">
+                        {errors.email.message}
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Password Field */}
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
+                      Password
+                    </label>
+                    <div className="relative">
+                      <input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        autoComplete="current-password"
+                        className={`input pr-10 ${errors.password ? 'input-error' : ''}`}
+                        placeholder="Enter your password"
+                        {...register('password', {
+                          required: 'Password is required',
+                          minLength: {
+                            value: 6,
+                            message: 'Password must be at least 6 characters',
+                          },
+                        })}
+                      />
+                      <button
+                        type="button"
+                        className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                        onClick={() => setShowPassword(!showPassword)}
+                      >
+                        {showPassword ? (
+                          <EyeSlashIcon className="h-5 w-5 text-secondary-400" />
+                        ) : (
+                          <EyeIcon className="h-5 w-5 text-secondary-400" />
+                        )}
+                      </button>
+                    </div>
+                    {errors.password && (
+                      <p className="mt-1 text-sm text-error-600">
+                        {errors.password.message}
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Remember Me & Forgot Password */}
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <input
+                        id="remember-me"
+                        name="remember-me"
+                        type="checkbox"
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-secondary-300 rounded"
+                      />
+                      <label htmlFor="remember-me" className="ml-2 block text-sm text-secondary-700">
+                        Remember me
+                      </label>
+                    </div>
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm text-primary-600 hover:text-primary-500 font-medium"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+
+                  {/* Submit Button */}
                   <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowPassword(!showPassword)}
+                    type="submit"
+                    disabled={isSubmitting || loading}
+                    className="btn-primary w-full btn-lg"
                   >
-                    {showPassword ? (
-                      <EyeSlashIcon className="h-5 w-5 text-secondary-400" />
+                    {isSubmitting || loading ? (
+                      <LoadingSpinner size="sm" color="white" />
                     ) : (
-                      <EyeIcon className="h-5 w-5 text-secondary-400" />
+                      'Sign In'
                     )}
                   </button>
+                </form>
+
+                {/* Divider */}
+                <div className="mt-6">
+                  <div className="relative">
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-secondary-300" />
+                    </div>
+                    <div className="relative flex justify-center text-sm">
+                      <span className="px-2 bg-white text-secondary-500">Or continue with</span>
+                    </div>
+                  </div>
                 </div>
-                {errors.password && (
-                  <p className="mt-1 text-sm text-error-600">
-                    {errors.password.message}
-                  </p>
-                )}
-              </div>
-
-              {/* Remember Me & Forgot Password */}
-              <div className="flex items-center justify-between">
-                <div className="flex items-center">
-                  <input
-                    id="remember-me"
-                    name="remember-me"
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-secondary-300 rounded"
-                  />
-                  <label htmlFor="remember-me" className="ml-2 block text-sm text-secondary-700">
-                    Remember me
-                  </label>
-                </div>
-                <Link
-                  to="/forgot-password"
-                  className="text-sm text-primary-600 hover:text-primary-500 font-medium"
+
+                {/* Google Login */}
+                <button
+                  type="button"
+                  onClick={handleGoogleLogin}
+                  className="mt-6 w-full flex justify-center items-center px-4 py-3 border border-secondary-300 rounded-lg shadow-sm text-sm font-medium text-secondary-700 bg-white hover:bg-secondary-50 transition-colors duration-200"
                 >
-                  Forgot password?
-                </Link>
-              </div>
-
-              {/* Submit Button */}
-              <button
-                type="submit"
-                disabled={isSubmitting || loading}
-                className="btn-primary w-full btn-lg"
-              >
-                {isSubmitting || loading ? (
-                  <LoadingSpinner size="sm" color="white" />
-                ) : (
-                  'Sign In'
-                )}
-              </button>
-            </form>
-
-            {/* Divider */}
-            <div className="mt-6">
-              <div className="relative">
-                <div className="absolute inset-0 flex items-center">
-                  <div className="w-full border-t border-secondary-300" />
-                </div>
-                <div className="relative flex justify-center text-sm">
-                  <span className="px-2 bg-white text-secondary-500">Or continue with</span>
-                </div>
-              </div>
-            </div>
+                  <FaGoogle className="w-5 h-5 text-red-500 mr-3" />
+                  Sign in with Google
+                </button>
 
-            {/* Google Login */}
-            <button
-              type="button"
-              onClick={handleGoogleLogin}
-              className="mt-6 w-full flex justify-center items-center px-4 py-3 border border-secondary-300 rounded-lg shadow-sm text-sm font-medium text-secondary-700 bg-white hover:bg-secondary-50 transition-colors duration-200"
-            >
-              <FaGoogle className="w-5 h-5 text-red-500 mr-3" />
-              Sign in with Google
-            </button>
+                {/* Institution (SSO) Login */}
+                {ssoProviders.map(provider => (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    onClick={() => handleSsoLogin(provider.id)}
+                    className="mt-3 w-full flex justify-center items-center px-4 py-3 border border-secondary-300 rounded-lg shadow-sm text-sm font-medium text-secondary-700 bg-white hover:bg-secondary-50 transition-colors duration-200"
+                  >
+                    <BuildingLibraryIcon className="w-5 h-5 text-primary-600 mr-3" />
+                    Sign in with {provider.name}
+                  </button>
+                ))}
+              </>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { EyeIcon, EyeSlashIcon, BookOpenIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const password = watch('password');
+
+  const onSubmit = async (data) => {
+    setError(null);
+    try {
+      const result = await AuthService.resetPassword(token, data.password);
+      toast.success(result.message);
+      navigate('/login', { replace: true });
+    } catch (requestError) {
+      setError(handleApiError(requestError).message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        {/* Header */}
+        <div className="text-center">
+          <Link to="/" className="flex items-center justify-center space-x-2 mb-6">
+            <div className="w-10 h-10 bg-gradient-to-br from-primary-500 to-primary-700 rounded-xl flex items-center justify-center">
+              <BookOpenIcon className="w-6 h-6 text-white" />
+            </div>
+            <span className="text-2xl font-display font-bold text-secondary-900">
+              VLP
+            </span>
+          </Link>
+          <h2 className="text-3xl font-display font-bold text-secondary-900 mb-2">
+            Choose a new password
+          </h2>
+        </div>
+
+        <div className="card">
+          <div className="card-body">
+            {!token ? (
+              <p className="text-secondary-700 text-center">
+                This reset link is incomplete.{' '}
+                <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 font-medium">
+                  Request a new one
+                </Link>
+              </p>
+            ) : (
+              <>
+                {error && (
+                  <div className="bg-error-50 border border-error-200 text-error-700 px-4 py-3 rounded-lg mb-6">
+                    {error}{' '}
+                    <Link to="/forgot-password" className="font-medium underline">
+                      Request a new link
+                    </Link>
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
+                      New Password
+                    </label>
+                    <div className="relative">
+                      <input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        autoComplete="new-password"
+                        className={`input pr-10 ${errors.password ? 'input-error' : ''}`}
+                        placeholder="Create a password"
+                        {...register('password', {
+                          required: 'Password is required',
+                          minLength: {
+                            value: 6,
+                            message: 'Password must be at least 6 characters',
+                          },
+                          pattern: {
+                            value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                            message: 'Password must contain uppercase, lowercase, and number',
+                          },
+                        })}
+                      />
+                      <button
+                        type="button"
+                        className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                        onClick={() => setShowPassword(!showPassword)}
+                      >
+                        {showPassword ? (
+                          <EyeSlashIcon className="h-5 w-5 text-secondary-400" />
+                        ) : (
+                          <EyeIcon className="h-5 w-5 text-secondary-400" />
+                        )}
+                      </button>
+                    </div>
+                    {errors.password && (
+                      <p className="mt-1 text-sm text-error-600">
+                        {errors.password.message}
+                      </p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor="confirmPassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                      Confirm Password
+                    </label>
+                    <input
+                      id="confirmPassword"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="new-password"
+                      className={`input ${errors.confirmPassword ? 'input-error' : ''}`}
+                      placeholder="Confirm your password"
+                      {...register('confirmPassword', {
+                        required: 'Please confirm your password',
+                        validate: (value) =>
+                          value === password || 'Passwords do not match',
+                      })}
+                    />
+                    {errors.confirmPassword && (
+                      <p className="mt-1 text-sm text-error-600">
+                        {errors.confirmPassword.message}
+                      </p>
+                    )}
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="btn-primary w-full btn-lg"
+                  >
+                    {isSubmitting ? (
+                      <LoadingSpinner size="sm" color="white" />
+                    ) : (
+                      'Reset password'
+                    )}
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
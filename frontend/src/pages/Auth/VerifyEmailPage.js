@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import { useAuth } from '../../contexts/AuthContext';
+import { AuthService, handleApiError } from '../../services/api';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const { user, updateUser } = useAuth();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is incomplete.');
+  // Tokens are single-use, so don't send it twice when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    AuthService.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        updateUser({ emailVerified: true });
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(handleApiError(error).message);
+      });
+  }, [token, updateUser]);
+
+  return (
+    <div className="container-custom py-16">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md mx-auto card"
+      >
+        <div className="card-body text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <LoadingSpinner size="lg" />
+              <p className="text-secondary-600">Confirming your email address...</p>
+            </>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <CheckCircleIcon className="w-16 h-16 text-success-600 mx-auto" />
+              <h2 className="text-2xl font-bold text-secondary-900">Email confirmed</h2>
+              <p className="text-secondary-600">Thanks! Your email address is verified.</p>
+              <Link to={user ? '/dashboard' : '/login'} className="btn-primary inline-block">
+                {user ? 'Go to dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <XCircleIcon className="w-16 h-16 text-error-600 mx-auto" />
+              <h2 className="text-2xl font-bold text-secondary-900">Verification failed</h2>
+              <p className="text-secondary-600">{message}</p>
+              <p className="text-sm text-secondary-500">
+                {user
+                  ? 'You can request a new link from the banner at the top of the page.'
+                  : 'Sign in to request a new verification link.'}
+              </p>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
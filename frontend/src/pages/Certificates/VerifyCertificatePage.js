@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { CertificateService } from '../../services/api';
+import {
+  CheckBadgeIcon,
+  XCircleIcon,
+  MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const VerifyCertificatePage = () => {
+  const { serial } = useParams();
+  const navigate = useNavigate();
+  const [serialInput, setSerialInput] = useState(serial || '');
+
+  const { data, isLoading, error } = useQuery(
+    ['certificate-verification', serial],
+    () => CertificateService.verifyCertificate(serial),
+    { enabled: !!serial, retry: false }
+  );
+
+  const certificate = data?.certificate;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = serialInput.trim().toUpperCase();
+    if (value) {
+      navigate(`/verify/${value}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-secondary-50 py-12 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-display font-bold text-secondary-900 mb-2">
+            Verify a Certificate
+          </h1>
+          <p className="text-secondary-600">
+            Enter the certificate ID printed on the certificate to confirm it was issued by us.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex gap-2 mb-8">
+          <input
+            type="text"
+            value={serialInput}
+            onChange={(e) => setSerialInput(e.target.value)}
+            placeholder="CERT-XXXX-XXXX-XXXX"
+            className="input flex-1 font-mono uppercase"
+          />
+          <button type="submit" className="btn-primary flex items-center">
+            <MagnifyingGlassIcon className="w-4 h-4 mr-1" />
+            Verify
+          </button>
+        </form>
+
+        {isLoading && (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" text="Checking certificate..." />
+          </div>
+        )}
+
+        {serial && error && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="card"
+          >
+            <div className="card-body text-center py-10">
+              <XCircleIcon className="w-16 h-16 text-red-500 mx-auto mb-4" />
+              <h2 className="text-xl font-semibold text-secondary-900 mb-2">
+                Certificate not found
+              </h2>
+              <p className="text-secondary-600">
+                No certificate exists with the ID <span className="font-mono">{serial}</span>.
+              </p>
+            </div>
+          </motion.div>
+        )}
+
+        {certificate && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="card"
+          >
+            <div className="card-body text-center py-10">
+              {certificate.valid ? (
+                <CheckBadgeIcon className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              ) : (
+                <XCircleIcon className="w-16 h-16 text-red-500 mx-auto mb-4" />
+              )}
+              <h2 className="text-xl font-semibold text-secondary-900 mb-1">
+                {certificate.valid ? 'Valid certificate' : 'This certificate has been revoked'}
+              </h2>
+              <p className="text-sm text-secondary-500 font-mono mb-6">{certificate.serial}</p>
+
+              <dl className="text-left max-w-md mx-auto space-y-3">
+                <div className="flex justify-between">
+                  <dt className="text-secondary-500">Awarded to</dt>
+                  <dd className="font-medium text-secondary-900">{certificate.recipientName}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-secondary-500">Course</dt>
+                  <dd className="font-medium text-secondary-900 text-right">{certificate.courseTitle}</dd>
+                </div>
+                {certificate.instructorName && (
+                  <div className="flex justify-between">
+                    <dt className="text-secondary-500">Instructor</dt>
+                    <dd className="font-medium text-secondary-900">{certificate.instructorName}</dd>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <dt className="text-secondary-500">Issued on</dt>
+                  <dd className="font-medium text-secondary-900">
+                    {new Date(certificate.issuedAt).toLocaleDateString()}
+                  </dd>
+                </div>
+                {certificate.revokedAt && (
+                  <div className="flex justify-between">
+                    <dt className="text-secondary-500">Revoked on</dt>
+                    <dd className="font-medium text-red-600">
+                      {new Date(certificate.revokedAt).toLocaleDateString()}
+                    </dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificatePage;
@@ -0,0 +1,115 @@
+import React, { useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { PaymentService } from '../../services/api';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMinorUnits } from '../../utils/currency';
+
+// Where the payment provider sends the buyer back; waits for the webhook to confirm the order
+const CheckoutCompletePage = () => {
+  const [searchParams] = useSearchParams();
+  const queryClient = useQueryClient();
+  const orderId = searchParams.get('order');
+
+  const { data, isLoading } = useQuery(
+    ['order', orderId],
+    () => PaymentService.getOrder(orderId),
+    {
+      enabled: !!orderId,
+      refetchInterval: (data) => (data?.order?.status === 'pending' ? 2000 : false),
+    }
+  );
+
+  const order = data?.order;
+
+  useEffect(() => {
+    if (order?.status === 'paid') {
+      queryClient.invalidateQueries(['course', order.course]);
+      queryClient.invalidateQueries(['dashboard']);
+    }
+  }, [order?.status, order?.course, queryClient]);
+
+  if (isLoading || !order || order.status === 'pending') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Confirming your payment..." />
+      </div>
+    );
+  }
+
+  const paid = order.status === 'paid';
+
+  return (
+    <div className="min-h-screen bg-secondary-50 py-12 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-md mx-auto card"
+      >
+        <div className="card-body text-center">
+          {paid ? (
+            <CheckCircleIcon className="w-16 h-16 text-green-500 mx-auto mb-4" />
+          ) : (
+            <XCircleIcon className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          )}
+          <h1 className="text-2xl font-semibold text-secondary-900 mb-2">
+            {paid ? 'Payment successful' : 'Payment was not completed'}
+          </h1>
+          <p className="text-secondary-600 mb-6">
+            {paid
+              ? `You are now enrolled in ${order.courseTitle}.`
+              : 'Your card was not charged. You can try again from the course page.'}
+          </p>
+
+          {paid && order.receipt && (
+            <dl className="text-left text-sm space-y-2 border-t border-secondary-100 pt-4 mb-6">
+              <div className="flex justify-between">
+                <dt className="text-secondary-500">Receipt</dt>
+                <dd className="font-mono text-secondary-900">{order.receipt.number}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-secondary-500">Course</dt>
+                <dd className="text-secondary-900 text-right">{order.courseTitle}</dd>
+              </div>
+              {order.discount > 0 && (
+                <div className="flex justify-between">
+                  <dt className="text-secondary-500">Coupon {order.couponCode}</dt>
+                  <dd className="text-green-600">
+                    -{formatMinorUnits(order.discount, order.currency)}
+                  </dd>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <dt className="text-secondary-500">Amount paid</dt>
+                <dd className="font-semibold text-secondary-900">
+                  {formatMinorUnits(order.amount, order.currency)}
+                </dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-secondary-500">Date</dt>
+                <dd className="text-secondary-900">{new Date(order.paidAt).toLocaleString()}</dd>
+              </div>
+            </dl>
+          )}
+
+          {paid ? (
+            <Link to={`/learn/${order.course}`} className="btn-primary w-full">
+              Start Learning
+            </Link>
+          ) : (
+            <Link to={`/courses/${order.course}`} className="btn-primary w-full">
+              Back to course
+            </Link>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default CheckoutCompletePage;
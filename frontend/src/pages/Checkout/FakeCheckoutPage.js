@@ -0,0 +1,107 @@
+import React from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import { PaymentService } from '../../services/api';
+import { CreditCardIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { formatMinorUnits } from '../../utils/currency';
+
+// Stand-in for a hosted payment page, only served by the fake provider in development
+const FakeCheckoutPage = () => {
+  const { sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const orderId = searchParams.get('order');
+
+  const { data, isLoading } = useQuery(
+    ['order', orderId],
+    () => PaymentService.getOrder(orderId),
+    { enabled: !!orderId }
+  );
+
+  const completeMutation = useMutation(
+    (outcome) => PaymentService.completeFakeCheckout(sessionId, outcome),
+    {
+      onSuccess: () => {
+        navigate(`/checkout/complete?order=${orderId}`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Checkout failed');
+      },
+    }
+  );
+
+  const order = data?.order;
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <p className="text-secondary-600">This checkout session could not be found.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-secondary-50 py-12 px-4">
+      <div className="max-w-md mx-auto card">
+        <div className="card-body">
+          <div className="flex items-center mb-6">
+            <CreditCardIcon className="w-8 h-8 text-primary-600 mr-3" />
+            <div>
+              <h1 className="text-xl font-semibold text-secondary-900">Test Checkout</h1>
+              <p className="text-xs text-secondary-500">No real payment is made</p>
+            </div>
+          </div>
+
+          <div className="flex justify-between py-3 border-t border-b border-secondary-100 mb-6">
+            <span className="text-secondary-700">{order.courseTitle}</span>
+            <span className="font-semibold text-secondary-900">
+              {formatMinorUnits(order.amount, order.currency)}
+            </span>
+          </div>
+
+          {order.status === 'pending' ? (
+            <div className="space-y-3">
+              <button
+                onClick={() => completeMutation.mutate('succeeded')}
+                disabled={completeMutation.isLoading}
+                className="btn-primary w-full"
+              >
+                {completeMutation.isLoading ? <LoadingSpinner size="sm" color="white" /> : 'Pay'}
+              </button>
+              <button
+                onClick={() => completeMutation.mutate('failed')}
+                disabled={completeMutation.isLoading}
+                className="btn-outline w-full"
+              >
+                Simulate declined card
+              </button>
+            </div>
+          ) : (
+            <Link to={`/checkout/complete?order=${order.id}`} className="btn-primary w-full">
+              View order
+            </Link>
+          )}
+
+          <Link
+            to={`/courses/${order.course}`}
+            className="block text-center text-sm text-secondary-500 hover:text-secondary-700 mt-4"
+          >
+            Cancel and return to course
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FakeCheckoutPage;
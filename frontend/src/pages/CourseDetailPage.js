@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
-import { CourseService, UserService } from '../services/api';
+import { CourseService, UserService, PaymentService, CouponService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { getVideoUrl, API_CONFIG } from '../config/api';
 import VideoPlayer from '../components/Video/VideoPlayer';
@@ -24,6 +24,8 @@ import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid';
 import { motion } from 'framer-motion';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import toast from 'react-hot-toast';
+import { formatPrice, formatMinorUnits } from '../utils/currency';
+import { startAnalyticsSession, trackEvent, endAnalyticsSession } from '../services/analyticsQueue';
 
 const CourseDetailPage = () => {
   const { id } = useParams();
@@ -38,6 +40,10 @@ const CourseDetailPage = () => {
   const [showCaptions, setShowCaptions] = useState(false);
   const [currentVideoTime, setCurrentVideoTime] = useState(0);
   const [selectedLessonId, setSelectedLessonId] = useState(null);
+  const [showCouponInput, setShowCouponInput] = useState(false);
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [analyticsSessionId, setAnalyticsSessionId] = useState(null);
 
   // Fetch captions when video is selected
   useEffect(() => {
@@ -65,32 +71,16 @@ const CourseDetailPage = () => {
     fetchCaptions();
   }, [selectedVideo]);
 
-  // Track video analytics
-  const trackVideoInteraction = async (action, data = {}) => {
-    if (!selectedVideo || !user) return;
-    
-    try {
-      await fetch(`${API_CONFIG.API_URL}/analytics/track`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: JSON.stringify({
-          userId: user.id,
-          courseId: id,
-          lessonId: selectedLessonId,
-          action,
-          data: {
-            videoUrl: selectedVideo.url,
-            timestamp: currentVideoTime,
-            ...data
-          }
-        })
-      });
-    } catch (error) {
-      console.error('Failed to track video interaction:', error);
-    }
+  // Each opened video is its own analytics session; the previous one ends when it changes or on unmount
+  useEffect(() => {
+    if (!analyticsSessionId) return undefined;
+    return () => endAnalyticsSession(analyticsSessionId);
+  }, [analyticsSessionId]);
+
+  // Player events are buffered and sent in batches by the analytics queue
+  const trackVideoInteraction = (action, data = {}) => {
+    if (!analyticsSessionId) return;
+    trackEvent(analyticsSessionId, action, { position: currentVideoTime, data });
   };
 
   const { data: course, isLoading, error } = useQuery(
@@ -125,6 +115,38 @@ const CourseDetailPage = () => {
     }
   );
 
+  // Paid courses go through the payment provider; enrollment happens after the webhook
+  const checkoutMutation = useMutation(
+    () => PaymentService.startCheckout(id, appliedCoupon?.coupon.code),
+    {
+      onSuccess: (data) => {
+        // A coupon covering the full price completes the order without a payment step
+        if (!data.checkoutUrl) {
+          navigate(`/checkout/complete?order=${data.order.id}`);
+          return;
+        }
+        window.location.href = data.checkoutUrl;
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to start checkout');
+      },
+    }
+  );
+
+  const couponMutation = useMutation(
+    (code) => CouponService.validateCoupon(id, code),
+    {
+      onSuccess: (data) => {
+        setAppliedCoupon(data);
+        setShowCouponInput(false);
+        toast.success(`Coupon ${data.coupon.code} applied`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'This coupon code is not valid');
+      },
+    }
+  );
+
   const wishlistMutation = useMutation(
     (action) => {
       return action === 'add' 
@@ -152,9 +174,25 @@ const CourseDetailPage = () => {
       navigate('/login', { state: { from: { pathname: `/courses/${id}` } } });
       return;
     }
+    if (course?.price > 0) {
+      checkoutMutation.mutate();
+      return;
+    }
     enrollMutation.mutate();
   };
 
+  const handleApplyCoupon = (e) => {
+    e.preventDefault();
+    if (couponCode.trim()) {
+      couponMutation.mutate(couponCode.trim());
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+  };
+
   const handleWishlist = () => {
     if (!isAuthenticated) {
       navigate('/login', { state: { from: { pathname: `/courses/${id}` } } });
@@ -310,14 +348,79 @@ const CourseDetailPage = () => {
                 <div className="card-body">
                   <div className="text-center mb-6">
                     <div className="text-3xl font-bold text-primary-600 mb-2">
-                      {courseData.price === 0 ? 'Free' : `$${courseData.price}`}
+                      {appliedCoupon
+                        ? formatMinorUnits(appliedCoupon.amount, appliedCoupon.currency)
+                        : formatPrice(courseData.price, courseData.currency)}
                     </div>
+                    {appliedCoupon ? (
+                      <div className="text-sm text-secondary-500 mb-1">
+                        <span className="line-through">
+                          {formatMinorUnits(appliedCoupon.listPrice, appliedCoupon.currency)}
+                        </span>
+                        <span className="ml-2 text-green-600 font-medium">
+                          {formatMinorUnits(appliedCoupon.discount, appliedCoupon.currency)} off with {appliedCoupon.coupon.code}
+                        </span>
+                      </div>
+                    ) : courseData.price > 0 && courseData.originalPrice > courseData.price && (
+                      <div className="text-sm text-secondary-500 mb-1">
+                        <span className="line-through">
+                          {formatPrice(courseData.originalPrice, courseData.currency)}
+                        </span>
+                        <span className="ml-2 text-green-600 font-medium">
+                          {Math.round((1 - courseData.price / courseData.originalPrice) * 100)}% off
+                        </span>
+                      </div>
+                    )}
                     {courseData.price > 0 && (
                       <p className="text-sm text-secondary-600">
                         One-time payment • Lifetime access
                       </p>
                     )}
                   </div>
+
+                  {courseData.price > 0 && !isEnrolled && (
+                    <div className="mb-4 text-sm">
+                      {appliedCoupon ? (
+                        <div className="flex items-center justify-between bg-green-50 text-green-700 rounded-lg px-3 py-2">
+                          <span>
+                            Coupon <span className="font-mono font-medium">{appliedCoupon.coupon.code}</span> applied
+                          </span>
+                          <button
+                            onClick={handleRemoveCoupon}
+                            className="text-green-700 hover:text-green-900"
+                            aria-label="Remove coupon"
+                          >
+                            <XMarkIcon className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : showCouponInput ? (
+                        <form onSubmit={handleApplyCoupon} className="flex space-x-2">
+                          <input
+                            type="text"
+                            value={couponCode}
+                            onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                            placeholder="Coupon code"
+                            className="input flex-1 uppercase"
+                            autoFocus
+                          />
+                          <button
+                            type="submit"
+                            disabled={couponMutation.isLoading || !couponCode.trim()}
+                            className="btn-outline px-4"
+                          >
+                            {couponMutation.isLoading ? <LoadingSpinner size="sm" /> : 'Apply'}
+                          </button>
+                        </form>
+                      ) : (
+                        <button
+                          onClick={() => setShowCouponInput(true)}
+                          className="text-primary-600 hover:text-primary-700 font-medium"
+                        >
+                          Have a coupon?
+                        </button>
+                      )}
+                    </div>
+                  )}
                   
                   <div className="space-y-3 mb-6">
                     {isEnrolled ? (
@@ -330,15 +433,17 @@ const CourseDetailPage = () => {
                     ) : (
                       <button
                         onClick={handleEnroll}
-                        disabled={enrollMutation.isLoading}
+                        disabled={enrollMutation.isLoading || checkoutMutation.isLoading}
                         className="btn-primary w-full btn-lg"
                       >
-                        {enrollMutation.isLoading ? (
+                        {enrollMutation.isLoading || checkoutMutation.isLoading ? (
                           <LoadingSpinner size="sm" color="white" />
                         ) : courseData.price === 0 ? (
                           'Enroll for Free'
+                        ) : appliedCoupon?.amount === 0 ? (
+                          'Enroll with Coupon'
                         ) : (
-                          'Enroll Now'
+                          'Buy Now'
                         )}
                       </button>
                     )}
@@ -467,17 +572,27 @@ const CourseDetailPage = () => {
                               <div
                                 key={lesson._id}
                                 className="flex items-center justify-between p-3 bg-secondary-50 rounded-lg cursor-pointer hover:bg-secondary-100"
-                                onClick={() => {
+                                onClick={async () => {
                                   if (lesson.videoUrl || lesson.content) {
                                     const videoPath = lesson.videoUrl || lesson.content;
-                                    const fullUrl = getVideoUrl(videoPath);
+                                    let stream;
+                                    try {
+                                      const response = await CourseService.getStreamUrl(id, lesson._id);
+                                      stream = response.data;
+                                    } catch (error) {
+                                      toast.error(error.response?.data?.message || 'Unable to load this video');
+                                      return;
+                                    }
                                     setSelectedVideo({
-                                      url: fullUrl,
+                                      // VideoPlayer has no HLS support, so it plays the original upload
+                                      url: getVideoUrl(stream.fallbackSrc || videoPath),
+                                      path: videoPath,
                                       title: lesson.title,
                                       description: lesson.description,
                                       videoId: lesson._id || lesson.id
                                     });
                                     setSelectedLessonId(lesson._id || lesson.id);
+                                    setAnalyticsSessionId(user ? startAnalyticsSession(id, lesson._id || lesson.id) : null);
                                     setShowVideoPlayer(true);
                                     setCurrentVideoTime(0);
                                     setCaptions(null);
@@ -569,13 +684,13 @@ const CourseDetailPage = () => {
                             <div className="flex items-start space-x-4">
                               <img
                                 src={review.user?.avatar || '/api/placeholder/40/40'}
-                                alt={review.user?.name}
+                                alt={review.user?.name || 'Former learner'}
                                 className="w-10 h-10 rounded-full"
                               />
                               <div className="flex-1">
                                 <div className="flex items-center justify-between mb-2">
                                   <h4 className="font-medium text-secondary-900">
-                                    {review.user?.name}
+                                    {review.user?.name || 'Former learner'}
                                   </h4>
                                   <div className="flex items-center">
                                     {[...Array(5)].map((_, i) => (
@@ -665,6 +780,7 @@ const CourseDetailPage = () => {
                     onClick={() => {
                       setShowVideoPlayer(false);
                       trackVideoInteraction('video_closed');
+                      setAnalyticsSessionId(null);
                     }}
                     className="text-gray-500 hover:text-gray-700"
                   >
@@ -684,6 +800,7 @@ const CourseDetailPage = () => {
                 }}
                 onPlay={() => trackVideoInteraction('video_play')}
                 onPause={() => trackVideoInteraction('video_pause')}
+                onEnded={() => trackVideoInteraction('video_ended')}
                 onSeek={(time) => trackVideoInteraction('video_seek', { seekTo: time })}
                 onVolumeChange={(volume) => trackVideoInteraction('volume_change', { volume })}
                 onFullscreen={(isFullscreen) => trackVideoInteraction('fullscreen_toggle', { isFullscreen })}
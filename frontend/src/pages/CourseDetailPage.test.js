@@ -0,0 +1,122 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { QueryClient, QueryClientProvider, notifyManager, setLogger } from 'react-query';
+import toast from 'react-hot-toast';
+import CourseDetailPage from './CourseDetailPage';
+import { CourseService, CouponService, PaymentService } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  CourseService: { getCourse: jest.fn(), enrollInCourse: jest.fn() },
+  UserService: { addToWishlist: jest.fn(), removeFromWishlist: jest.fn() },
+  PaymentService: { startCheckout: jest.fn() },
+  CouponService: { validateCoupon: jest.fn() },
+}));
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'user-1', wishlist: [] }, isAuthenticated: true }),
+}));
+jest.mock('../services/analyticsQueue', () => ({
+  startAnalyticsSession: jest.fn(),
+  trackEvent: jest.fn(),
+  endAnalyticsSession: jest.fn(),
+}));
+jest.mock('../components/Video/VideoPlayer', () => () => null);
+jest.mock('../components/Notes/NoteTaking', () => () => null);
+jest.mock('react-hot-toast', () => ({ success: jest.fn(), error: jest.fn() }));
+
+// Query and mutation results reach components asynchronously
+notifyManager.setNotifyFunction((fn) => act(fn));
+// Rejected coupons are expected here, not worth logging
+setLogger({ log: () => {}, warn: () => {}, error: () => {} });
+
+const course = {
+  _id: 'course-1',
+  title: 'Course',
+  description: 'Course',
+  price: 49.99,
+  currency: 'USD',
+  sections: [],
+  isEnrolled: false,
+};
+
+const renderPage = () => {
+  const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  return render(
+    <QueryClientProvider client={queryClient}>
+      <MemoryRouter initialEntries={['/courses/course-1']}>
+        <Routes>
+          <Route path="/courses/:id" element={<CourseDetailPage />} />
+          <Route path="/checkout/complete" element={<p>Checkout complete</p>} />
+        </Routes>
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+};
+
+const enterCoupon = async (code) => {
+  fireEvent.click(await screen.findByRole('button', { name: 'Have a coupon?' }));
+  fireEvent.change(screen.getByPlaceholderText('Coupon code'), { target: { value: code } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+};
+
+describe('CourseDetailPage coupon input', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    CourseService.getCourse.mockResolvedValue({ data: course });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('shows the discounted price and checks out with the applied code', async () => {
+    CouponService.validateCoupon.mockResolvedValue({
+      coupon: { code: 'SPRING' },
+      currency: 'USD',
+      listPrice: 4999,
+      discount: 1000,
+      amount: 3999,
+    });
+    PaymentService.startCheckout.mockReturnValue(new Promise(() => {}));
+    renderPage();
+
+    await enterCoupon('spring');
+
+    expect(await screen.findByText('$39.99')).toBeInTheDocument();
+    expect(CouponService.validateCoupon).toHaveBeenCalledWith('course-1', 'SPRING');
+    expect(screen.getByText('$10.00 off with SPRING')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Buy Now' }));
+    await waitFor(() => expect(PaymentService.startCheckout).toHaveBeenCalledWith('course-1', 'SPRING'));
+  });
+
+  it('keeps the input and the list price when the code is rejected', async () => {
+    CouponService.validateCoupon.mockRejectedValue({ response: { data: { message: 'This coupon has expired' } } });
+    renderPage();
+
+    await enterCoupon('old');
+
+    await waitFor(() => expect(toast.error).toHaveBeenCalledWith('This coupon has expired'));
+    expect(screen.getByPlaceholderText('Coupon code')).toHaveValue('OLD');
+    expect(screen.getByText('$49.99')).toBeInTheDocument();
+  });
+
+  it('completes a free order without a payment step and can remove the coupon', async () => {
+    CouponService.validateCoupon.mockResolvedValue({
+      coupon: { code: 'FREE' },
+      currency: 'USD',
+      listPrice: 4999,
+      discount: 4999,
+      amount: 0,
+    });
+    PaymentService.startCheckout.mockResolvedValue({ order: { id: 'order-1' } });
+    renderPage();
+
+    await enterCoupon('free');
+    fireEvent.click(await screen.findByRole('button', { name: 'Remove coupon' }));
+    expect(screen.getByText('$49.99')).toBeInTheDocument();
+
+    await enterCoupon('free');
+    fireEvent.click(await screen.findByRole('button', { name: 'Enroll with Coupon' }));
+    expect(await screen.findByText('Checkout complete')).toBeInTheDocument();
+    expect(PaymentService.startCheckout).toHaveBeenCalledWith('course-1', 'FREE');
+  });
+});
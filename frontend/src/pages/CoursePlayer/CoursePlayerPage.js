@@ -1,23 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { CourseService, ProgressService } from '../../services/api';
 import {
   PlayIcon,
-  PauseIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
-  BookmarkIcon,
-  ChatBubbleLeftIcon,
   Cog6ToothIcon,
   XMarkIcon,
   CheckIcon,
   ListBulletIcon,
+  QuestionMarkCircleIcon,
 } from '@heroicons/react/24/outline';
 import { BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid';
 import { motion, AnimatePresence } from 'framer-motion';
-import ReactPlayer from 'react-player';
+import EnhancedVideoPlayer from '../../components/UI/EnhancedVideoPlayer';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import LessonQuiz from '../../components/Quiz/LessonQuiz';
+import { getVideoUrl } from '../../config/api';
+import { startAnalyticsSession, trackEvent, endAnalyticsSession } from '../../services/analyticsQueue';
 import toast from 'react-hot-toast';
 
 const CoursePlayerPage = () => {
@@ -25,18 +26,20 @@ const CoursePlayerPage = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   
-  const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
   const [showSidebar, setShowSidebar] = useState(true);
   const [showNotes, setShowNotes] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
   const [noteText, setNoteText] = useState('');
-  const [playbackRate, setPlaybackRate] = useState(1);
+  const analyticsSessionRef = useRef(null);
 
   // Fetch course data
   const { data: courseData, isLoading: courseLoading } = useQuery(
     ['course', courseId],
-    () => CourseService.getCourse(courseId),
+    async () => {
+      const response = await CourseService.getCourse(courseId);
+      return response.data;
+    },
     { enabled: !!courseId }
   );
 
@@ -48,7 +51,7 @@ const CoursePlayerPage = () => {
   );
 
   // Get current lesson
-  const course = courseData?.course;
+  const course = courseData;
   const progress = progressData?.progress;
   
   const currentSection = course?.sections?.find(s => 
@@ -58,12 +61,32 @@ const CoursePlayerPage = () => {
   const currentLesson = currentSection?.lessons?.find(l => l._id === lessonId) || 
                       currentSection?.lessons?.[0];
 
+  // Signed URLs are short-lived; fetch fresh ones per lesson and never swap them mid-playback
+  const { data: stream, isLoading: streamLoading, isError: streamError } = useQuery(
+    ['stream-url', courseId, currentLesson?._id],
+    async () => {
+      const response = await CourseService.getStreamUrl(courseId, currentLesson._id);
+      return response.data;
+    },
+    {
+      enabled: !!courseId && !!currentLesson?.videoUrl,
+      staleTime: Infinity,
+      cacheTime: 0,
+      refetchOnWindowFocus: false,
+      retry: false
+    }
+  );
+
   // Mark lesson as complete mutation
   const completeLessonMutation = useMutation(
     (lessonData) => ProgressService.completeLesson(courseId, lessonData),
     {
-      onSuccess: () => {
-        toast.success('Lesson completed!');
+      onSuccess: (data) => {
+        if (data?.certificate) {
+          toast.success('Course completed! Your certificate is ready in My Courses.', { duration: 6000 });
+        } else {
+          toast.success('Lesson completed!');
+        }
         queryClient.invalidateQueries(['progress', courseId]);
       },
       onError: () => {
@@ -129,6 +152,22 @@ const CoursePlayerPage = () => {
     }
   };
 
+  // One analytics session per lesson viewed; player events are buffered and sent in batches
+  useEffect(() => {
+    if (!courseId || !currentLesson?.videoUrl) return undefined;
+
+    const sessionId = startAnalyticsSession(courseId, currentLesson._id);
+    analyticsSessionRef.current = sessionId;
+    return () => {
+      endAnalyticsSession(sessionId);
+      analyticsSessionRef.current = null;
+    };
+  }, [courseId, currentLesson?._id, currentLesson?.videoUrl]);
+
+  const trackPlayerEvent = (type, data) => {
+    trackEvent(analyticsSessionRef.current, type, { position: currentTime, data });
+  };
+
   const handleLessonComplete = () => {
     if (currentLesson) {
       completeLessonMutation.mutate({
@@ -164,11 +203,8 @@ const CoursePlayerPage = () => {
     const handleKeyPress = (e) => {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
       
+      // Space (play/pause) is handled by the video player
       switch (e.key) {
-        case ' ':
-          e.preventDefault();
-          setIsPlaying(!isPlaying);
-          break;
         case 'ArrowLeft':
           e.preventDefault();
           goToPreviousLesson();
@@ -192,7 +228,7 @@ const CoursePlayerPage = () => {
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [isPlaying, currentLesson]);
+  }, [currentLesson]);
 
   if (courseLoading || progressLoading) {
     return (
@@ -313,32 +349,37 @@ const CoursePlayerPage = () => {
       <div className="flex-1 flex flex-col">
         {/* Video Player */}
         <div className="flex-1 relative bg-black">
-          {currentLesson.videoUrl ? (
-            <ReactPlayer
-              url={currentLesson.videoUrl}
-              width="100%"
-              height="100%"
-              playing={isPlaying}
-              playbackRate={playbackRate}
-              onProgress={({ playedSeconds }) => setCurrentTime(playedSeconds)}
-              onDuration={setDuration}
-              onEnded={handleLessonComplete}
-              controls={false}
-              config={{
-                file: {
-                  attributes: {
-                    crossOrigin: 'anonymous',
-                  },
-                  tracks: currentLesson.captions ? [
-                    {
-                      kind: 'subtitles',
-                      src: currentLesson.captions,
-                      srcLang: 'en',
-                      default: true,
-                    },
-                  ] : [],
-                },
+          {currentLesson.videoUrl && streamLoading ? (
+            <div className="flex items-center justify-center h-full">
+              <LoadingSpinner size="lg" color="white" />
+            </div>
+          ) : currentLesson.videoUrl && (streamError || !stream?.src) ? (
+            <div className="flex items-center justify-center h-full">
+              <div className="text-center">
+                <PlayIcon className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold mb-2">Video unavailable</h3>
+                <p className="text-secondary-400">
+                  You don't have access to this video, or it could not be loaded.
+                </p>
+              </div>
+            </div>
+          ) : currentLesson.videoUrl ? (
+            <EnhancedVideoPlayer
+              key={currentLesson._id}
+              src={getVideoUrl(stream.src)}
+              fallbackSrc={getVideoUrl(stream.fallbackSrc)}
+              poster={getVideoUrl(stream.posterUrl)}
+              previewSprite={stream.sprite && { ...stream.sprite, url: getVideoUrl(stream.sprite.url) }}
+              onTimeUpdate={setCurrentTime}
+              onPlay={() => trackPlayerEvent('video_play')}
+              onPause={() => trackPlayerEvent('video_pause')}
+              onSeek={(time) => trackPlayerEvent('video_seek', { seekTo: time })}
+              onEnded={() => {
+                trackPlayerEvent('video_ended');
+                handleLessonComplete();
               }}
+              onNoteCreate={() => setShowNotes(true)}
+              onBookmarkCreate={handleAddBookmark}
             />
           ) : (
             <div className="flex items-center justify-center h-full">
@@ -352,73 +393,6 @@ const CoursePlayerPage = () => {
             </div>
           )}
 
-          {/* Video Controls Overlay */}
-          <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-6">
-            <div className="flex items-center space-x-4">
-              {/* Play/Pause */}
-              <button
-                onClick={() => setIsPlaying(!isPlaying)}
-                className="w-12 h-12 bg-white/20 backdrop-blur-sm rounded-full flex items-center justify-center hover:bg-white/30 transition-colors"
-              >
-                {isPlaying ? (
-                  <PauseIcon className="w-6 h-6" />
-                ) : (
-                  <PlayIcon className="w-6 h-6 ml-1" />
-                )}
-              </button>
-
-              {/* Progress Bar */}
-              <div className="flex-1">
-                <div className="progress bg-white/20">
-                  <div 
-                    className="progress-bar bg-primary-500" 
-                    style={{ width: `${(currentTime / duration) * 100}%` }}
-                  ></div>
-                </div>
-                <div className="flex justify-between text-xs text-white/80 mt-1">
-                  <span>
-                    {Math.floor(currentTime / 60)}:{String(Math.floor(currentTime % 60)).padStart(2, '0')}
-                  </span>
-                  <span>
-                    {Math.floor(duration / 60)}:{String(Math.floor(duration % 60)).padStart(2, '0')}
-                  </span>
-                </div>
-              </div>
-
-              {/* Action Buttons */}
-              <div className="flex items-center space-x-2">
-                <button
-                  onClick={handleAddBookmark}
-                  className="p-2 bg-white/20 backdrop-blur-sm rounded-lg hover:bg-white/30 transition-colors"
-                  title="Add Bookmark (B)"
-                >
-                  <BookmarkIcon className="w-5 h-5" />
-                </button>
-
-                <button
-                  onClick={() => setShowNotes(true)}
-                  className="p-2 bg-white/20 backdrop-blur-sm rounded-lg hover:bg-white/30 transition-colors"
-                  title="Add Note (N)"
-                >
-                  <ChatBubbleLeftIcon className="w-5 h-5" />
-                </button>
-
-                <select
-                  value={playbackRate}
-                  onChange={(e) => setPlaybackRate(Number(e.target.value))}
-                  className="bg-white/20 backdrop-blur-sm rounded-lg px-2 py-1 text-sm"
-                >
-                  <option value={0.5}>0.5x</option>
-                  <option value={0.75}>0.75x</option>
-                  <option value={1}>1x</option>
-                  <option value={1.25}>1.25x</option>
-                  <option value={1.5}>1.5x</option>
-                  <option value={2}>2x</option>
-                </select>
-              </div>
-            </div>
-          </div>
-
           {/* Sidebar Toggle */}
           {!showSidebar && (
             <button
@@ -453,6 +427,16 @@ const CoursePlayerPage = () => {
                 Previous
               </button>
 
+              {currentLesson.quiz?.questions?.length > 0 && (
+                <button
+                  onClick={() => setShowQuiz(true)}
+                  className="btn-outline btn-sm flex items-center"
+                >
+                  <QuestionMarkCircleIcon className="w-4 h-4 mr-1" />
+                  Take Quiz
+                </button>
+              )}
+
               {!isLessonCompleted && (
                 <button
                   onClick={handleLessonComplete}
@@ -482,6 +466,17 @@ const CoursePlayerPage = () => {
         </div>
       </div>
 
+      {/* Quiz Modal */}
+      <AnimatePresence>
+        {showQuiz && (
+          <LessonQuiz
+            courseId={courseId}
+            lesson={currentLesson}
+            onClose={() => setShowQuiz(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Notes Modal */}
       <AnimatePresence>
         {showNotes && (
@@ -1,10 +1,105 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { motion } from 'framer-motion';
-import { ChartBarIcon } from '@heroicons/react/24/outline';
+import {
+  ChartBarIcon,
+  ArrowLeftIcon,
+} from '@heroicons/react/24/outline';
+import { CourseService } from '../../services/api';
+import MetricPanel from '../../components/Analytics/MetricPanel';
+import LessonHeatmap from '../../components/Analytics/LessonHeatmap';
+import AtRiskLearners from '../../components/Analytics/AtRiskLearners';
+import CohortRetention from '../../components/Analytics/CohortRetention';
+import Gradebook from '../../components/Analytics/Gradebook';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/currency';
+
+const TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'funnel', label: 'Completion Funnel' },
+  { id: 'quizzes', label: 'Quizzes' },
+  { id: 'video', label: 'Video Retention' },
+  { id: 'cohorts', label: 'Cohorts' },
+  { id: 'at-risk', label: 'At-Risk Learners' },
+  { id: 'gradebook', label: 'Gradebook' },
+];
+
+const PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+];
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const lastDays = (days) => ({
+  from: toDateInput(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)),
+  to: toDateInput(new Date()),
+});
+
+const Stat = ({ label, value }) => (
+  <div>
+    <p className="text-xs text-secondary-500">{label}</p>
+    <p className="text-xl font-bold text-secondary-900">{value}</p>
+  </div>
+);
+
+const lineDataset = (label, data, color) => ({
+  label,
+  data,
+  borderColor: `rgb(${color})`,
+  backgroundColor: `rgba(${color}, 0.1)`,
+  fill: true,
+  tension: 0.3,
+  pointRadius: 2,
+  pointHoverRadius: 5
+});
+
+const barDataset = (label, data, color) => ({
+  label,
+  data,
+  backgroundColor: `rgba(${color}, 0.8)`,
+  borderRadius: 4,
+  borderWidth: 0
+});
 
 const CourseAnalyticsPage = () => {
   const { id } = useParams();
+  const [activeTab, setActiveTab] = useState('overview');
+  const [range, setRange] = useState(() => lastDays(30));
+
+  const { data: course, isLoading } = useQuery(
+    ['course', id],
+    async () => {
+      const response = await CourseService.getCourse(id);
+      return response.data;
+    },
+    { enabled: !!id }
+  );
+
+  const lessons = useMemo(() => (course?.sections || []).flatMap(section =>
+    section.lessons
+      .filter(lesson => lesson.videoUrl)
+      .map(lesson => ({ ...lesson, sectionTitle: section.title }))
+  ), [course]);
+
+  const handleRangeChange = (field) => (e) => {
+    if (e.target.value) {
+      setRange(current => ({ ...current, [field]: e.target.value }));
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading course..." />
+      </div>
+    );
+  }
+
+  const panelProps = { courseId: id, range };
 
   return (
     <div className="min-h-screen bg-secondary-50">
@@ -13,23 +108,247 @@ const CourseAnalyticsPage = () => {
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.5 }}
-          className="text-center"
         >
-          <ChartBarIcon className="w-16 h-16 text-primary-600 mx-auto mb-4" />
-          <h1 className="text-3xl font-display font-bold text-secondary-900 mb-4">
-            Course Analytics
-          </h1>
-          <p className="text-secondary-600 mb-8">
-            Detailed analytics and insights for your course performance.
-          </p>
-          <div className="card max-w-md mx-auto">
-            <div className="card-body">
-              <h3 className="font-semibold text-secondary-900 mb-2">Course ID: {id}</h3>
-              <p className="text-sm text-secondary-600">
-                Student engagement, completion rates, revenue tracking, and AI-powered insights.
-              </p>
+          <Link
+            to="/instructor"
+            className="inline-flex items-center text-sm text-secondary-600 hover:text-secondary-900 mb-4"
+          >
+            <ArrowLeftIcon className="w-4 h-4 mr-1" />
+            Back to dashboard
+          </Link>
+
+          <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between mb-6 gap-4">
+            <div>
+              <h1 className="text-3xl font-display font-bold text-secondary-900 flex items-center">
+                <ChartBarIcon className="w-8 h-8 text-primary-600 mr-3" />
+                Course Analytics
+              </h1>
+              <p className="text-secondary-600 mt-1">{course?.title}</p>
             </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+              {PRESETS.map(preset => (
+                <button
+                  key={preset.days}
+                  onClick={() => setRange(lastDays(preset.days))}
+                  className="btn-outline btn-sm"
+                >
+                  {preset.label}
+                </button>
+              ))}
+              <input
+                type="date"
+                value={range.from}
+                max={range.to}
+                onChange={handleRangeChange('from')}
+                className="input w-auto"
+                aria-label="From"
+              />
+              <span className="text-secondary-500">to</span>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from}
+                onChange={handleRangeChange('to')}
+                className="input w-auto"
+                aria-label="To"
+              />
+            </div>
+          </div>
+
+          <div className="border-b border-secondary-200 mb-6">
+            <nav className="flex space-x-8 overflow-x-auto">
+              {TABS.map(tab => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`py-3 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
+                    activeTab === tab.id
+                      ? 'border-primary-500 text-primary-600'
+                      : 'border-transparent text-secondary-500 hover:text-secondary-700 hover:border-secondary-300'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </nav>
           </div>
+
+          {activeTab === 'overview' && (
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+              <MetricPanel
+                {...panelProps}
+                view="enrollments"
+                title="Enrollments"
+                renderSummary={(summary) => (
+                  <div className="flex gap-8">
+                    <Stat label="New enrollments" value={summary.enrollments} />
+                    <Stat label="Completions" value={summary.completions} />
+                    <Stat label="All-time students" value={summary.totalEnrollments} />
+                  </div>
+                )}
+                getChart={(result) => ({
+                  type: 'line',
+                  yMax: null,
+                  valueSuffix: '',
+                  data: {
+                    labels: result.rows.map(row => row.period),
+                    datasets: [
+                      lineDataset('Enrollments', result.rows.map(row => row.enrollments), '99, 102, 241'),
+                      lineDataset('Completions', result.rows.map(row => row.completions), '34, 197, 94'),
+                    ],
+                  },
+                })}
+              />
+
+              <MetricPanel
+                {...panelProps}
+                view="activity"
+                title="Active learners"
+                renderSummary={(summary) => (
+                  <div className="flex gap-8">
+                    <Stat label="Active learners" value={summary.activeLearners} />
+                    <Stat label="Sessions" value={summary.sessions} />
+                    <Stat label="Watch time" value={`${Math.round(summary.watchMinutes / 60)}h`} />
+                  </div>
+                )}
+                getChart={(result) => ({
+                  type: 'line',
+                  yMax: null,
+                  valueSuffix: '',
+                  data: {
+                    labels: result.rows.map(row => row.period),
+                    datasets: [
+                      lineDataset('Active learners', result.rows.map(row => row.activeLearners), '14, 165, 233'),
+                    ],
+                  },
+                })}
+              />
+
+              <MetricPanel
+                {...panelProps}
+                view="revenue"
+                title="Revenue"
+                renderSummary={(summary) => (
+                  <div className="flex gap-8">
+                    <Stat label="Orders" value={summary.orders} />
+                    {Object.entries(summary.totals).map(([currency, total]) => (
+                      <Stat
+                        key={currency}
+                        label={`Revenue (${currency})`}
+                        value={formatMoney(total.gross, currency)}
+                      />
+                    ))}
+                  </div>
+                )}
+                getChart={(result) => {
+                  const currency = Object.keys(result.summary.totals)[0];
+                  const rows = result.rows.filter(row => row.currency === currency);
+                  return {
+                    type: 'bar',
+                    yMax: null,
+                    valueSuffix: ` ${currency}`,
+                    data: {
+                      labels: rows.map(row => row.period),
+                      datasets: [
+                        barDataset('Revenue', rows.map(row => row.gross), '34, 197, 94'),
+                      ],
+                    },
+                  };
+                }}
+              />
+
+              <MetricPanel
+                {...panelProps}
+                view="ratings"
+                title="Ratings"
+                renderSummary={(summary) => (
+                  <div className="flex gap-8">
+                    <Stat label="New reviews" value={summary.reviews} />
+                    <Stat label="Average in range" value={summary.averageRating ?? '—'} />
+                    <Stat label="Overall" value={`${summary.overallRating} (${summary.totalReviews})`} />
+                  </div>
+                )}
+                getChart={(result) => ({
+                  type: 'line',
+                  yMax: 5,
+                  valueSuffix: '',
+                  data: {
+                    labels: result.rows.map(row => row.period),
+                    datasets: [
+                      lineDataset('Overall rating', result.rows.map(row => row.cumulativeAverage), '251, 146, 60'),
+                      lineDataset('Average of new reviews', result.rows.map(row => row.averageRating), '99, 102, 241'),
+                    ],
+                  },
+                })}
+              />
+            </div>
+          )}
+
+          {activeTab === 'funnel' && (
+            <MetricPanel
+              {...panelProps}
+              view="funnel"
+              title="Completion funnel (learners who started in this period)"
+              showTable
+              renderSummary={(summary) => (
+                <div className="flex gap-8">
+                  <Stat label="Started" value={summary.started} />
+                  <Stat label="Finished the course" value={summary.finished} />
+                  <Stat label="Course completion" value={`${summary.completionRate}%`} />
+                </div>
+              )}
+              getChart={(result) => {
+                const rows = result.rows.filter(row => row.level === 'lesson');
+                return {
+                  type: 'bar',
+                  height: 320,
+                  data: {
+                    labels: rows.map(row => row.position),
+                    datasets: [
+                      barDataset('Completed lesson', rows.map(row => row.completionRate), '99, 102, 241'),
+                    ],
+                  },
+                };
+              }}
+            />
+          )}
+
+          {activeTab === 'quizzes' && (
+            <MetricPanel
+              {...panelProps}
+              view="quizzes"
+              title="Quiz scores by lesson"
+              showTable
+              renderSummary={(summary) => (
+                <div className="flex gap-8">
+                  <Stat label="Quizzes" value={summary.quizzes} />
+                  <Stat label="Attempts" value={summary.attempts} />
+                  <Stat label="Average score" value={summary.averageScore !== null ? `${summary.averageScore}%` : '—'} />
+                </div>
+              )}
+              getChart={(result) => ({
+                type: 'bar',
+                data: {
+                  labels: result.rows.map(row => row.position),
+                  datasets: [
+                    barDataset('Average score', result.rows.map(row => row.averageScore), '34, 197, 94'),
+                    barDataset('Pass rate', result.rows.map(row => row.passRate), '251, 146, 60'),
+                  ],
+                },
+              })}
+            />
+          )}
+
+          {activeTab === 'video' && (
+            <LessonHeatmap courseId={id} lessons={lessons} range={range} />
+          )}
+
+          {activeTab === 'cohorts' && <CohortRetention courseId={id} />}
+
+          {activeTab === 'at-risk' && <AtRiskLearners courseId={id} />}
+
+          {activeTab === 'gradebook' && <Gradebook courseId={id} />}
         </motion.div>
       </div>
     </div>
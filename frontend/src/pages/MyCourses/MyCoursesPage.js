@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
 import { Link } from 'react-router-dom';
-import { UserService } from '../../services/api';
+import { UserService, CertificateService, handleApiError } from '../../services/api';
 import {
   PlayIcon,
   ClockIcon,
@@ -9,9 +9,12 @@ import {
   TrophyIcon,
   StarIcon,
   AdjustmentsHorizontalIcon,
+  AcademicCapIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 import { motion } from 'framer-motion';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import toast from 'react-hot-toast';
 
 const MyCoursesPage = () => {
   const [filter, setFilter] = useState('all'); // all, in-progress, completed
@@ -23,7 +26,26 @@ const MyCoursesPage = () => {
     { staleTime: 5 * 60 * 1000 }
   );
 
+  const { data: certificateData } = useQuery(
+    ['certificates'],
+    CertificateService.getMyCertificates,
+    { staleTime: 5 * 60 * 1000 }
+  );
+
   const enrolledCourses = dashboardData?.dashboard?.enrolledCourses || [];
+  const certificates = certificateData?.certificates || [];
+  const [downloadingSerial, setDownloadingSerial] = useState(null);
+
+  const downloadCertificate = async (serial) => {
+    setDownloadingSerial(serial);
+    try {
+      await CertificateService.downloadCertificate(serial);
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setDownloadingSerial(null);
+    }
+  };
 
   // Filter courses based on selected filter
   const filteredCourses = enrolledCourses.filter(course => {
@@ -152,6 +174,41 @@ const MyCoursesPage = () => {
           </motion.div>
         </div>
 
+        {/* Certificates */}
+        {certificates.length > 0 && (
+          <div className="card mb-8">
+            <div className="card-body">
+              <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center">
+                <AcademicCapIcon className="w-5 h-5 mr-2 text-primary-600" />
+                My Certificates
+              </h2>
+              <div className="divide-y divide-secondary-100">
+                {certificates.map((certificate) => (
+                  <div key={certificate.serial} className="py-3 flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-secondary-900">{certificate.courseTitle}</p>
+                      <p className="text-xs text-secondary-500">
+                        Issued {new Date(certificate.issuedAt).toLocaleDateString()} •{' '}
+                        <Link to={`/verify/${certificate.serial}`} className="text-primary-600 hover:underline">
+                          {certificate.serial}
+                        </Link>
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => downloadCertificate(certificate.serial)}
+                      disabled={downloadingSerial === certificate.serial}
+                      className="btn-outline btn-sm flex items-center"
+                    >
+                      <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                      {downloadingSerial === certificate.serial ? 'Preparing...' : 'Download PDF'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Filters and Sort */}
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-8">
           {/* Filter Tabs */}
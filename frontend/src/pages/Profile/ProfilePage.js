@@ -15,6 +15,11 @@ import {
 } from '@heroicons/react/24/outline';
 import { motion } from 'framer-motion';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import ReportSubscriptions from '../../components/Analytics/ReportSubscriptions';
+import ActiveSessions from '../../components/Profile/ActiveSessions';
+import ApiKeys from '../../components/Profile/ApiKeys';
+import AccountData from '../../components/Profile/AccountData';
+import TwoFactorSettings from '../../components/TwoFactor/TwoFactorSettings';
 import toast from 'react-hot-toast';
 
 const ProfilePage = () => {
@@ -390,6 +395,51 @@ const ProfilePage = () => {
                 )}
               </div>
             </motion.div>
+
+            {/* Scheduled Reports */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.4 }}
+            >
+              <ReportSubscriptions />
+            </motion.div>
+
+            {/* Two-Factor Authentication */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.5 }}
+            >
+              <TwoFactorSettings />
+            </motion.div>
+
+            {/* Active Sessions */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.6 }}
+            >
+              <ActiveSessions />
+            </motion.div>
+
+            {/* API Keys */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.7 }}
+            >
+              <ApiKeys />
+            </motion.div>
+
+            {/* Your Data */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.8 }}
+            >
+              <AccountData />
+            </motion.div>
           </div>
         </div>
       </div>
@@ -0,0 +1,152 @@
+import { api } from './api';
+
+const STORAGE_KEY = 'analyticsQueue';
+const MAX_QUEUE_SIZE = 1000;
+const BATCH_SIZE = 50;
+const FLUSH_INTERVAL = 10000;
+// Beacons are limited to ~64KB, so unload flushes send several smaller batches
+const BEACON_BATCH_SIZE = 25;
+
+const generateId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+const loadQueue = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Events survive reloads and offline periods; resending is safe because the server dedupes by id
+let queue = loadQueue();
+let flushing = null;
+let flushTimer = null;
+const openSessions = new Map();
+
+const saveQueue = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    // Storage full or unavailable; the in-memory queue still gets flushed
+  }
+};
+
+const removeEvents = (events) => {
+  const sent = new Set(events.map((event) => event.id));
+  queue = queue.filter((event) => !sent.has(event.id));
+  saveQueue();
+};
+
+export const flushAnalytics = () => {
+  if (flushing) return flushing;
+  if (queue.length === 0 || !navigator.onLine || !localStorage.getItem('token')) {
+    return Promise.resolve();
+  }
+
+  const batch = queue.slice(0, BATCH_SIZE);
+  flushing = api.post('/analytics/events', { events: batch })
+    .then(() => {
+      removeEvents(batch);
+    })
+    .catch((error) => {
+      // A batch the server refuses outright would otherwise be retried forever
+      const status = error.response?.status;
+      if (status && status < 500 && status !== 401 && status !== 429) {
+        removeEvents(batch);
+      }
+    })
+    .finally(() => {
+      flushing = null;
+      if (queue.length >= BATCH_SIZE) flushAnalytics();
+    });
+
+  return flushing;
+};
+
+// Page is going away: axios requests would be cancelled, beacons are not
+const flushWithBeacon = () => {
+  openSessions.forEach((session, sessionId) => {
+    queue.push({ ...session, id: generateId(), sessionId, type: 'session_end', occurredAt: new Date().toISOString() });
+  });
+  openSessions.clear();
+  saveQueue();
+
+  const token = localStorage.getItem('token');
+  if (!token || !navigator.sendBeacon) return;
+
+  const url = `${api.defaults.baseURL}/analytics/events`;
+  for (let start = 0; start < queue.length; start += BEACON_BATCH_SIZE) {
+    const events = queue.slice(start, start + BEACON_BATCH_SIZE);
+    const body = new Blob([JSON.stringify({ events, token })], { type: 'text/plain' });
+    if (!navigator.sendBeacon(url, body)) break;
+  }
+};
+
+const handleVisibilityChange = () => {
+  if (document.visibilityState === 'hidden') flushAnalytics();
+};
+
+const startFlushing = () => {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(flushAnalytics, FLUSH_INTERVAL);
+  window.addEventListener('online', flushAnalytics);
+  window.addEventListener('pagehide', flushWithBeacon);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+};
+
+/**
+ * Start a viewing session for a lesson
+ * Returns the session id to pass to trackEvent and endAnalyticsSession
+ */
+export const startAnalyticsSession = (courseId, lessonId) => {
+  const sessionId = generateId();
+  openSessions.set(sessionId, { courseId, lessonId });
+  startFlushing();
+  return sessionId;
+};
+
+/**
+ * Buffer a player event for an open session
+ * @param {Object} details - { position (seconds), progress (0-100), data }
+ */
+export const trackEvent = (sessionId, type, { position, progress, data } = {}) => {
+  const session = openSessions.get(sessionId);
+  if (!session) return;
+
+  queue.push({
+    id: generateId(),
+    sessionId,
+    courseId: session.courseId,
+    lessonId: session.lessonId,
+    type,
+    occurredAt: new Date().toISOString(),
+    ...(Number.isFinite(position) && { position }),
+    ...(Number.isFinite(progress) && { progress }),
+    ...(data && { data }),
+  });
+
+  // Drop the oldest events rather than fill up storage while offline
+  if (queue.length > MAX_QUEUE_SIZE) {
+    queue = queue.slice(queue.length - MAX_QUEUE_SIZE);
+  }
+  saveQueue();
+
+  if (queue.length >= BATCH_SIZE) flushAnalytics();
+};
+
+export const endAnalyticsSession = (sessionId, details = {}) => {
+  trackEvent(sessionId, 'session_end', details);
+  openSessions.delete(sessionId);
+  flushAnalytics();
+};
+
+// Send anything left over from a previous visit
+if (queue.length > 0) {
+  startFlushing();
+}
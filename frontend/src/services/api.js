@@ -68,6 +68,54 @@ export class AuthService {
     return response.data;
   }
 
+  static async logoutAll() {
+    const response = await api.post('/auth/logout-all');
+    return response.data;
+  }
+
+  static async getSessions() {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  }
+
+  static async revokeSession(sessionId) {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  }
+
+  static async getTwoFactorStatus() {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  }
+
+  // challengeToken is only passed while finishing a login that requires 2FA
+  static async setupTwoFactor(challengeToken) {
+    const client = challengeToken ? authAPI : api;
+    const response = await client.post('/auth/2fa/setup', { challengeToken });
+    return response.data;
+  }
+
+  static async enableTwoFactor(code, challengeToken) {
+    const client = challengeToken ? authAPI : api;
+    const response = await client.post('/auth/2fa/enable', { code, challengeToken });
+    return response.data;
+  }
+
+  static async disableTwoFactor(code, password) {
+    const response = await api.post('/auth/2fa/disable', { code, password });
+    return response.data;
+  }
+
+  static async regenerateRecoveryCodes(code) {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  }
+
+  static async getSsoProviders() {
+    const response = await authAPI.get('/auth/sso/providers');
+    return response.data;
+  }
+
   static async refreshToken(refreshToken) {
     const response = await authAPI.post('/auth/refresh', { refreshToken });
     return response.data;
@@ -80,6 +128,26 @@ export class AuthService {
     });
     return response.data;
   }
+
+  static async verifyEmail(token) {
+    const response = await authAPI.post('/auth/verify-email', { token });
+    return response.data;
+  }
+
+  static async resendVerification() {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  }
+
+  static async forgotPassword(email) {
+    const response = await authAPI.post('/auth/forgot-password', { email });
+    return response.data;
+  }
+
+  static async resetPassword(token, password) {
+    const response = await authAPI.post('/auth/reset-password', { token, password });
+    return response.data;
+  }
 }
 
 export const CourseService = {
@@ -93,10 +161,22 @@ export const CourseService = {
     headers: { 'Content-Type': 'multipart/form-data' },
     ...config
   }),
+  getStreamUrl: (courseId, lessonId) => api.get(`/courses/${courseId}/lessons/${lessonId}/stream-url`),
   getUploadStatus: (uploadId) => api.get(`/courses/upload-status/${uploadId}`),
-  generateTranscription: (videoId) => api.post(`/courses/transcribe/${videoId}`),
-  generateSummary: (courseId) => api.post(`/courses/${courseId}/generate-summary`),
-  generateQuiz: (lessonId) => api.post(`/courses/lessons/${lessonId}/generate-quiz`),
+  createUploadSession: (data) => api.post('/courses/uploads', data),
+  uploadChunk: (uploadId, chunk, { offset, checksum, ...config }) => api.patch(`/courses/uploads/${uploadId}`, chunk, {
+    headers: {
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': offset,
+      'Upload-Checksum': `sha256 ${checksum}`
+    },
+    timeout: 120000,
+    ...config
+  }),
+  cancelUpload: (uploadId) => api.delete(`/courses/uploads/${uploadId}`),
+  generateTranscription: (courseId, lessonId) => api.post('/ai/transcribe', { courseId, lessonId }),
+  generateSummary: (courseId, lessonId) => api.post('/ai/summarize', { courseId, lessonId }),
+  generateQuiz: (courseId, lessonId) => api.post('/ai/generate-quiz', { courseId, lessonId }),
   addReview: (id, reviewData) => api.post(`/courses/${id}/reviews`, reviewData),
 };
 
@@ -130,6 +210,42 @@ export class UserService {
     const response = await api.delete(`/users/wishlist/${courseId}`);
     return response.data;
   }
+
+  static async requestDataExport() {
+    const response = await api.post('/users/me/export');
+    return response.data;
+  }
+
+  static async getDataExport() {
+    const response = await api.get('/users/me/export');
+    return response.data;
+  }
+
+  static async downloadDataExport(report) {
+    const response = await api.get(`/reports/${report.id}/download`, {
+      responseType: 'blob',
+      timeout: 120000,
+    });
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `my-data-${report.createdAt.slice(0, 10)}.zip`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  }
+
+  static async requestAccountDeletion(data) {
+    const response = await api.post('/users/me/deletion', data);
+    return response.data;
+  }
+
+  static async cancelAccountDeletion() {
+    const response = await api.delete('/users/me/deletion');
+    return response.data;
+  }
 }
 
 export class ProgressService {
@@ -179,6 +295,199 @@ export class ProgressService {
   }
 }
 
+export class QuizService {
+  static async startAttempt(courseId, lessonId) {
+    const response = await api.post(`/quizzes/${courseId}/lessons/${lessonId}/attempts`);
+    return response.data;
+  }
+
+  static async getAttempts(courseId, lessonId) {
+    const response = await api.get(`/quizzes/${courseId}/lessons/${lessonId}/attempts`);
+    return response.data;
+  }
+
+  static async getAttempt(attemptId) {
+    const response = await api.get(`/quizzes/attempts/${attemptId}`);
+    return response.data;
+  }
+
+  static async submitAttempt(attemptId, answers) {
+    const response = await api.post(`/quizzes/attempts/${attemptId}/submit`, { answers });
+    return response.data;
+  }
+}
+
+export class JobService {
+  static async getJob(jobId) {
+    const response = await api.get(`/jobs/${jobId}`);
+    return response.data;
+  }
+}
+
+export class ReportService {
+  static async getSubscriptions() {
+    const response = await api.get('/reports/subscriptions');
+    return response.data;
+  }
+
+  static async createSubscription(data) {
+    const response = await api.post('/reports/subscriptions', data);
+    return response.data;
+  }
+
+  static async updateSubscription(subscriptionId, data) {
+    const response = await api.patch(`/reports/subscriptions/${subscriptionId}`, data);
+    return response.data;
+  }
+
+  static async deleteSubscription(subscriptionId) {
+    const response = await api.delete(`/reports/subscriptions/${subscriptionId}`);
+    return response.data;
+  }
+}
+
+export class CertificateService {
+  static async getMyCertificates() {
+    const response = await api.get('/certificates');
+    return response.data;
+  }
+
+  static async verifyCertificate(serial) {
+    const response = await authAPI.get(`/certificates/verify/${encodeURIComponent(serial)}`);
+    return response.data;
+  }
+
+  static async downloadCertificate(serial) {
+    const response = await api.get(`/certificates/${encodeURIComponent(serial)}/download`, {
+      responseType: 'blob',
+      timeout: 30000,
+    });
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `certificate-${serial}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  }
+}
+
+export class PaymentService {
+  static async startCheckout(courseId, couponCode) {
+    const response = await api.post('/payments/checkout', { courseId, couponCode });
+    return response.data;
+  }
+
+  static async getOrders() {
+    const response = await api.get('/payments/orders');
+    return response.data;
+  }
+
+  static async getOrder(orderId) {
+    const response = await api.get(`/payments/orders/${orderId}`);
+    return response.data;
+  }
+
+  static async completeFakeCheckout(sessionId, outcome) {
+    const response = await api.post(`/payments/fake/${sessionId}/complete`, { outcome });
+    return response.data;
+  }
+}
+
+export class AnalyticsService {
+  static async getLessonHeatmap(courseId, lessonId, params = {}) {
+    const response = await api.get(
+      `/analytics/course/${courseId}/lessons/${lessonId}/heatmap`,
+      { params }
+    );
+    return response.data;
+  }
+
+  static async getCourseMetrics(courseId, view, params = {}) {
+    const response = await api.get(`/analytics/course/${courseId}/metrics/${view}`, { params });
+    return response.data;
+  }
+
+  static async getAtRiskLearners(courseId) {
+    const response = await api.get(`/analytics/course/${courseId}/at-risk`);
+    return response.data;
+  }
+
+  static async getCohorts(courseId) {
+    const response = await api.get(`/analytics/course/${courseId}/cohorts`);
+    return response.data;
+  }
+
+  static async getGradebook(courseId) {
+    const response = await api.get(`/analytics/course/${courseId}/gradebook`);
+    return response.data;
+  }
+
+  // Download any analytics view that supports ?format=csv
+  static async downloadCSV(path, params, filename) {
+    return AnalyticsService.downloadExport(path, { ...params, format: 'csv' }, filename);
+  }
+
+  // Download an analytics export in the file type given by params.format (csv, xlsx)
+  static async downloadExport(path, params, filename) {
+    const response = await api.get(path, {
+      params,
+      responseType: 'blob',
+      timeout: 30000,
+    });
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  }
+}
+
+export class CouponService {
+  static async validateCoupon(courseId, code) {
+    const response = await api.post('/coupons/validate', { courseId, code });
+    return response.data;
+  }
+
+  static async getCoupons(params = {}) {
+    const response = await api.get('/coupons', { params });
+    return response.data;
+  }
+
+  static async createCoupon(data) {
+    const response = await api.post('/coupons', data);
+    return response.data;
+  }
+
+  static async updateCoupon(couponId, data) {
+    const response = await api.patch(`/coupons/${couponId}`, data);
+    return response.data;
+  }
+}
+
+export class ApiKeyService {
+  static async getApiKeys() {
+    const response = await api.get('/api-keys');
+    return response.data;
+  }
+
+  static async createApiKey(data) {
+    const response = await api.post('/api-keys', data);
+    return response.data;
+  }
+
+  static async revokeApiKey(keyId) {
+    const response = await api.delete(`/api-keys/${keyId}`);
+    return response.data;
+  }
+}
+
 export class AIService {
   static async transcribeMedia(formData) {
     const response = await api.post('/ai/transcribe', formData, {
@@ -0,0 +1,164 @@
+import { CourseService } from './api';
+
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_RETRIES = 8;
+const MAX_RETRY_DELAY = 30000;
+const STORAGE_PREFIX = 'videoUpload:';
+
+// The same file picked again after a reload resumes its previous session
+const getResumeKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitForOnline = () => {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+};
+
+// Base64 SHA-256 digest, as expected by the Upload-Checksum header
+const sha256 = async (blob) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  let binary = '';
+  new Uint8Array(digest).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return window.btoa(binary);
+};
+
+// Same shape as the final chunk response, built from upload-status
+const toResult = (uploadId, status) => ({
+  uploadId,
+  videoUrl: status.videoUrl,
+  filename: status.videoUrl.split('/').pop(),
+  size: status.size
+});
+
+const isCancelled = (error) => error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+
+/**
+ * Find or create the upload session for a file
+ * Returns { uploadId, bytesReceived } or, if a previous attempt already finished, { completed }
+ */
+const openSession = async (file) => {
+  const resumeKey = getResumeKey(file);
+  const savedId = localStorage.getItem(resumeKey);
+
+  if (savedId) {
+    try {
+      const { data } = await CourseService.getUploadStatus(savedId);
+
+      if (data.status === 'uploading') {
+        return { uploadId: savedId, bytesReceived: data.bytesReceived };
+      }
+      if (data.status === 'processing' || data.status === 'completed') {
+        return { uploadId: savedId, completed: data };
+      }
+    } catch (error) {
+      // Unknown or foreign session, start over
+    }
+    localStorage.removeItem(resumeKey);
+  }
+
+  const { data } = await CourseService.createUploadSession({
+    filename: file.name,
+    size: file.size,
+    mimeType: file.type || 'video/mp4',
+    chunkSize: CHUNK_SIZE
+  });
+
+  localStorage.setItem(resumeKey, data.upload.uploadId);
+  return { uploadId: data.upload.uploadId, bytesReceived: 0 };
+};
+
+/**
+ * Upload a video in checksummed chunks, resuming after dropped connections
+ * and page reloads
+ * @param {File} file - Video file
+ * @param {Object} options - { onProgress(percent, bytesReceived), signal }
+ * @returns {Promise<Object>} - { uploadId, videoUrl, filename, jobs }
+ */
+export const uploadVideoInChunks = async (file, { onProgress, signal } = {}) => {
+  const resumeKey = getResumeKey(file);
+  const session = await openSession(file);
+  const { uploadId } = session;
+
+  if (session.completed) {
+    localStorage.removeItem(resumeKey);
+    return toResult(uploadId, session.completed);
+  }
+
+  let offset = session.bytesReceived;
+  let failures = 0;
+
+  const report = () => {
+    if (onProgress) onProgress(Math.floor((offset / file.size) * 100), offset);
+  };
+  report();
+
+  while (offset < file.size) {
+    const chunk = file.slice(offset, offset + CHUNK_SIZE);
+
+    try {
+      const checksum = await sha256(chunk);
+      const { data } = await CourseService.uploadChunk(uploadId, chunk, { offset, checksum, signal });
+
+      offset = data.upload.bytesReceived;
+      failures = 0;
+      report();
+
+      if (data.videoUrl) {
+        localStorage.removeItem(resumeKey);
+        return data;
+      }
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+
+      const status = error.response?.status;
+
+      if (status === 404 || status === 410) {
+        localStorage.removeItem(resumeKey);
+        throw error;
+      }
+
+      // Server has a different offset (e.g. the last response was lost), continue from there
+      if (status === 409 && error.response.data.bytesReceived !== undefined) {
+        offset = error.response.data.bytesReceived;
+        report();
+        continue;
+      }
+
+      failures += 1;
+      if (failures > MAX_RETRIES || (status >= 400 && status < 500 && status !== 460)) {
+        throw error;
+      }
+
+      // Network drop or server error: back off, then ask the server where to resume
+      await waitForOnline();
+      await sleep(Math.min(1000 * 2 ** (failures - 1), MAX_RETRY_DELAY));
+
+      try {
+        const { data } = await CourseService.getUploadStatus(uploadId);
+        if (data.status === 'uploading') {
+          offset = data.bytesReceived;
+        }
+      } catch (statusError) {
+        // Still unreachable, the next chunk attempt will retry
+      }
+    }
+  }
+
+  // Every byte arrived but the completing response was lost
+  const { data } = await CourseService.getUploadStatus(uploadId);
+  localStorage.removeItem(resumeKey);
+  return toResult(uploadId, data);
+};
+
+export const cancelChunkedUpload = async (file) => {
+  const resumeKey = getResumeKey(file);
+  const uploadId = localStorage.getItem(resumeKey);
+  localStorage.removeItem(resumeKey);
+
+  if (uploadId) {
+    await CourseService.cancelUpload(uploadId).catch(() => {});
+  }
+};
@@ -0,0 +1,2 @@
+// Adds DOM matchers such as toBeInTheDocument to jest's expect
+import '@testing-library/jest-dom';
@@ -0,0 +1,23 @@
+// Format an amount in major units (e.g. 49.99)
+export const formatMoney = (amount, currency = 'USD') => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency,
+}).format(amount);
+
+// Format a course price; 0 is shown as Free
+export const formatPrice = (price, currency = 'USD') => {
+  if (!price) return 'Free';
+
+  return formatMoney(price, currency);
+};
+
+// Format an order amount sent by the payments API in minor units (e.g. cents)
+export const formatMinorUnits = (amount, currency = 'USD') => {
+  const formatter = new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency,
+  });
+  const digits = formatter.resolvedOptions().maximumFractionDigits;
+
+  return formatter.format(amount / 10 ** digits);
+};